@@ -0,0 +1,12 @@
+require('dotenv').config();
+
+// The platform as the supplier on tax invoices for its booking fees
+module.exports = {
+  legalName: process.env.PLATFORM_LEGAL_NAME || 'OP Booking Platform',
+  gstin: process.env.PLATFORM_GSTIN,
+  address: process.env.PLATFORM_ADDRESS,
+  // Defaults to the state in the GSTIN
+  state: process.env.PLATFORM_STATE,
+  // Other support services n.e.c.
+  sacCode: '998599'
+};
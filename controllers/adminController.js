@@ -1,6 +1,17 @@
+const mongoose = require('mongoose');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Booking = require('../models/Booking');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ReconciliationService = require('../services/reconciliationService');
+const RefundPolicyService = require('../services/refundPolicyService');
+const PlatformSetting = require('../models/PlatformSetting');
+const Settlement = require('../models/Settlement');
+const SettlementService = require('../services/settlementService');
+const FeeSchedule = require('../models/FeeSchedule');
+const FeeScheduleService = require('../services/feeScheduleService');
+const Coupon = require('../models/Coupon');
+const CouponService = require('../services/couponService');
 
 // User Management
 const getUsers = async (req, res) => {
@@ -336,6 +347,468 @@ const getDashboardMetrics = async (req, res) => {
   }
 };
 
+// Payment Reconciliation
+const getReconciliationReports = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const [reports, total] = await Promise.all([
+      ReconciliationReport.find()
+        .select('-issues')
+        .populate('triggeredBy', 'name email')
+        .sort('-startedAt')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ReconciliationReport.countDocuments()
+    ]);
+
+    res.json({
+      success: true,
+      count: reports.length,
+      total,
+      page,
+      data: reports
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_REPORTS_FAILED',
+        message: 'Unable to fetch reconciliation reports',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const getReconciliationReport = async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.id)
+      .populate('triggeredBy', 'name email')
+      .populate('issues.hospital', 'name')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'REPORT_NOT_FOUND',
+          message: 'Reconciliation report not found'
+        }
+      });
+    }
+
+    const { type, action } = req.query;
+    report.issues = report.issues.filter(issue =>
+      (!type || issue.type === type) && (!action || issue.action === action)
+    );
+
+    res.json({
+      success: true,
+      data: report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_REPORT_FAILED',
+        message: 'Unable to fetch reconciliation report',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Runs in the background; poll the returned report for the result
+const runReconciliation = async (req, res) => {
+  try {
+    const started = await ReconciliationService.start({
+      trigger: 'manual',
+      triggeredBy: req.user.id
+    });
+
+    if (!started) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'RECONCILIATION_RUNNING',
+          message: 'A reconciliation run is already in progress'
+        }
+      });
+    }
+
+    started.finished.catch(error => console.error('Reconciliation run failed:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started',
+      data: started.report
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RECONCILIATION_FAILED',
+        message: 'Unable to start reconciliation',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Platform Cancellation Policy (applies to hospitals without their own)
+const getPlatformCancellationPolicy = async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await RefundPolicyService.getPlatformPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_POLICY_FAILED',
+        message: 'Unable to fetch cancellation policy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const updatePlatformCancellationPolicy = async (req, res) => {
+  try {
+    const validationError = RefundPolicyService.validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_POLICY',
+          message: validationError
+        }
+      });
+    }
+
+    const settings = await PlatformSetting.getSettings();
+    settings.cancellationPolicy = {
+      tiers: req.body.tiers.map(({ hoursBefore, refundPercent }) => ({ hoursBefore, refundPercent })),
+      afterStartRefundPercent: req.body.afterStartRefundPercent ?? 0,
+      emergencyFeeRefundable: !!req.body.emergencyFeeRefundable
+    };
+    settings.updatedBy = req.user.id;
+    await settings.save();
+
+    res.json({
+      success: true,
+      message: 'Cancellation policy updated successfully',
+      data: await RefundPolicyService.getPlatformPolicy()
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_POLICY_FAILED',
+        message: 'Unable to update cancellation policy',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Hospital Settlements
+const getSettlements = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    const query = {};
+    if (Settlement.STATUSES.includes(req.query.status)) query.status = req.query.status;
+    if (req.query.hospitalId) {
+      if (!mongoose.isValidObjectId(req.query.hospitalId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_HOSPITAL_ID',
+            message: 'Invalid hospital ID'
+          }
+        });
+      }
+      query.hospital = req.query.hospitalId;
+    }
+
+    const [settlements, total] = await Promise.all([
+      Settlement.find(query)
+        .populate('hospital', 'name')
+        .sort('-periodStart')
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Settlement.countDocuments(query)
+    ]);
+
+    res.json({
+      success: true,
+      count: settlements.length,
+      total,
+      page,
+      data: settlements.map(settlement => SettlementService.format(settlement))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_SETTLEMENTS_FAILED',
+        message: 'Unable to fetch settlements',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Marks a settlement paid (with the bank transfer's UTR), on hold or back to pending
+const updateSettlementStatus = async (req, res) => {
+  try {
+    const { status, utr, reason } = req.body;
+    const result = await SettlementService.updateStatus(req.params.id, {
+      status,
+      utr,
+      reason,
+      userId: req.user.id
+    });
+
+    if (!result.success) {
+      return res.status(SettlementService.httpStatusFor(result.error)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Settlement marked ${status}`,
+      data: SettlementService.format(result.data)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_SETTLEMENT_FAILED',
+        message: 'Unable to update settlement',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Also runs every Monday; batches anything recorded before the last full week ended
+const runSettlements = async (req, res) => {
+  try {
+    const result = await SettlementService.createWeeklyBatches();
+
+    if (!result) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SETTLEMENT_RUNNING',
+          message: 'Settlements are already being created'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `${result.created} settlements created`,
+      data: result
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'SETTLEMENT_RUN_FAILED',
+        message: 'Unable to create settlements',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Fee Schedules
+const getFeeSchedules = async (req, res) => {
+  try {
+    const query = {};
+    if (FeeSchedule.SCOPES.includes(req.query.scope)) query.scope = req.query.scope;
+    if (req.query.hospitalId) {
+      if (!mongoose.isValidObjectId(req.query.hospitalId)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_HOSPITAL_ID',
+            message: 'Invalid hospital ID'
+          }
+        });
+      }
+      query.hospital = req.query.hospitalId;
+    }
+
+    const schedules = await FeeSchedule.find(query)
+      .populate('hospital', 'name')
+      .sort('-version');
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules.map(schedule => FeeScheduleService.format(schedule))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_FEE_SCHEDULES_FAILED',
+        message: 'Unable to fetch fee schedules',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Schedules are never edited; a fee change is a new schedule with a later effectiveFrom
+const createFeeSchedule = async (req, res) => {
+  try {
+    const result = await FeeScheduleService.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(FeeScheduleService.httpStatusFor(result.error)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Fee schedule version ${result.data.version} created`,
+      data: FeeScheduleService.format(result.data)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_FEE_SCHEDULE_FAILED',
+        message: 'Unable to create fee schedule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const withdrawFeeSchedule = async (req, res) => {
+  try {
+    const result = await FeeScheduleService.withdraw(req.params.id);
+
+    if (!result.success) {
+      return res.status(FeeScheduleService.httpStatusFor(result.error)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.data.deleted ? 'Fee schedule deleted' : 'Fee schedule ended',
+      data: FeeScheduleService.format(result.data.schedule)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'WITHDRAW_FEE_SCHEDULE_FAILED',
+        message: 'Unable to withdraw fee schedule',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Coupons
+const getCoupons = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.active === 'true') query.isActive = true;
+    if (req.query.active === 'false') query.isActive = false;
+
+    const coupons = await Coupon.find(query).sort('-createdAt');
+
+    res.json({
+      success: true,
+      count: coupons.length,
+      data: coupons.map(coupon => CouponService.format(coupon))
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'FETCH_COUPONS_FAILED',
+        message: 'Unable to fetch coupons',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const createCoupon = async (req, res) => {
+  try {
+    const result = await CouponService.create(req.body, req.user.id);
+
+    if (!result.success) {
+      return res.status(CouponService.httpStatusFor(result.error)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Coupon ${result.data.code} created`,
+      data: CouponService.format(result.data)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'CREATE_COUPON_FAILED',
+        message: 'Unable to create coupon',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+const updateCouponStatus = async (req, res) => {
+  try {
+    const result = await CouponService.setActive(req.params.id, req.body.isActive);
+
+    if (!result.success) {
+      return res.status(CouponService.httpStatusFor(result.error)).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Coupon ${result.data.isActive ? 'activated' : 'deactivated'}`,
+      data: CouponService.format(result.data)
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'UPDATE_COUPON_FAILED',
+        message: 'Unable to update coupon',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
 module.exports = {
   getUsers,
   createUser,
@@ -344,5 +817,19 @@ module.exports = {
   getHospitals,
   updateHospitalStatus,
   getBookings,
-  getDashboardMetrics
+  getDashboardMetrics,
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  getPlatformCancellationPolicy,
+  updatePlatformCancellationPolicy,
+  getSettlements,
+  updateSettlementStatus,
+  runSettlements,
+  getFeeSchedules,
+  createFeeSchedule,
+  withdrawFeeSchedule,
+  getCoupons,
+  createCoupon,
+  updateCouponStatus
 };
@@ -2,7 +2,8 @@ const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const config = require('../config/db');
-const Hospital = require('../models/Hospital');
+const HospitalMember = require('../models/HospitalMember');
+const Doctor = require('../models/Doctor');
 
 // Generate JWT Token
 const generateToken = (user) => {
@@ -296,8 +297,9 @@ const loginHospital = async (req, res) => {
       return res.status(401).json({ message: 'Invalid credentials' });
     }
 
-    // Check if hospital has created their hospital details
-    const hospitalDetails = await Hospital.findOne({ createdBy: hospital._id });
+    // Check if hospital has created their hospital details (or the user was added as staff)
+    const membership = await HospitalMember.findForUser(hospital._id);
+    const hospitalDetails = membership ? membership.hospital : null;
     const hasHospitalDetails = !!hospitalDetails;
     
     // Add debug logs
@@ -318,7 +320,12 @@ const loginHospital = async (req, res) => {
         role: hospital.role
       },
       hasHospitalDetails,
-      isApproved
+      isApproved,
+      membership: membership ? {
+        hospital: hospitalDetails._id,
+        role: membership.role,
+        permissions: membership.permissions
+      } : null
     });
   } catch (error) {
     console.error('Login Error:', error);
@@ -363,11 +370,61 @@ const loginAdmin = async (req, res) => {
   }
 };
 
+// Doctor Login (accounts are created by the doctor's hospital)
+const loginDoctor = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate input
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Please provide email and password' });
+    }
+
+    const user = await User.findOne({ email, role: 'doctor' });
+    if (!user) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const isMatch = await bcrypt.compare(password, user.password);
+    if (!isMatch) {
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Removed doctors keep their account but can no longer log in
+    const doctor = await Doctor.findOne({ user: user._id, isActive: true })
+      .populate('hospital', 'name');
+    if (!doctor) {
+      return res.status(403).json({ message: 'Doctor account is not active' });
+    }
+
+    const token = generateToken(user);
+    res.json({
+      token,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      },
+      doctor: {
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.specialization,
+        hospital: doctor.hospital
+      }
+    });
+  } catch (error) {
+    console.error('Login Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
 module.exports = {
   registerUser,
   registerHospital,
   registerAdmin,
   loginUser,
   loginHospital,
-  loginAdmin
+  loginAdmin,
+  loginDoctor
 };
@@ -1,9 +1,137 @@
+const mongoose = require('mongoose');
 const Booking = require('../models/Booking');
 const Hospital = require('../models/Hospital');
+const Doctor = require('../models/Doctor');
+const HospitalMember = require('../models/HospitalMember');
+const FamilyMember = require('../models/FamilyMember');
+const User = require('../models/User');
 const RazorpayService = require('../services/razorpayService');
 const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
 const NotificationService = require('../services/notificationService');
+const AvailabilityService = require('../services/availabilityService');
+const EventService = require('../services/eventService');
+const WaitTimeService = require('../services/waitTimeService');
+const PaymentService = require('../services/paymentService');
+const RefundPolicyService = require('../services/refundPolicyService');
+const BookingStateMachine = require('../services/bookingStateMachine');
+const RescheduleService = require('../services/rescheduleService');
+const WaitlistService = require('../services/waitlistService');
+const MedicalRecordService = require('../services/medicalRecordService');
+const PrescriptionService = require('../services/prescriptionService');
+const InvoiceService = require('../services/invoiceService');
+const FeeScheduleService = require('../services/feeScheduleService');
+const CouponService = require('../services/couponService');
+
+const formatFeeBreakdown = (fees) => ({
+  consultationFee: fees.basePrice,
+  platformFee: fees.platformFee,
+  emergencyFee: fees.emergencyFee,
+  discount: fees.discount,
+  couponCode: fees.couponCode,
+  gst: fees.gst,
+  total: fees.totalAmount,
+  note: fees.basePrice
+    ? 'Includes the hospital consultation fee. Nothing more is due at the hospital for this consultation.'
+    : 'This is only the platform fee. Hospital consultation charges to be paid separately at the hospital.'
+});
+
+// Fees a booking would be charged, with a coupon applied if one is given.
+// Nothing is reserved; createBooking checks the coupon again and holds it.
+const getQuote = async (req, res) => {
+  try {
+    const {
+      hospitalId,
+      doctorId,
+      couponCode,
+      paymentMethod = 'online',
+      isEmergency = false
+    } = req.body;
+
+    const hospital = mongoose.isValidObjectId(hospitalId)
+      ? await Hospital.findOne({ _id: hospitalId, status: 'approved' })
+      : null;
+    if (!hospital) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'HOSPITAL_NOT_FOUND',
+          message: 'Hospital not found'
+        }
+      });
+    }
+
+    if (isEmergency && !hospital.emergencyServices) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_EMERGENCY_SERVICE',
+          message: 'This hospital does not provide emergency services. Please select a hospital that offers emergency care.'
+        }
+      });
+    }
+
+    let doctor = null;
+    if (doctorId) {
+      doctor = mongoose.isValidObjectId(doctorId)
+        ? await Doctor.findOne({ _id: doctorId, hospital: hospital._id, isActive: true })
+        : null;
+      if (!doctor) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DOCTOR_NOT_FOUND',
+            message: 'This doctor is not available at the selected hospital. Please choose another doctor.'
+          }
+        });
+      }
+    }
+
+    let coupon = null;
+    if (couponCode) {
+      const couponCheck = await CouponService.validate(couponCode, {
+        userId: req.user.id,
+        hospital,
+        paymentMethod
+      });
+      if (!couponCheck.success) {
+        return res.status(400).json({
+          success: false,
+          error: couponCheck.error
+        });
+      }
+      coupon = couponCheck.data;
+    }
+
+    const fees = await FeeScheduleService.getFees(hospital, {
+      isEmergency,
+      doctor,
+      online: paymentMethod === 'online',
+      coupon
+    });
+
+    res.json({
+      success: true,
+      data: {
+        feeBreakdown: formatFeeBreakdown(fees),
+        coupon: coupon && {
+          code: coupon.code,
+          description: coupon.description || null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Booking quote error:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'QUOTE_FAILED',
+        message: 'Unable to calculate fees. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
 
 // Create booking
 const createBooking = async (req, res) => {
@@ -15,6 +143,7 @@ const createBooking = async (req, res) => {
       symptoms, 
       specialization, 
       preferredDoctor,
+      doctorId,
       paymentMethod,
       name,
       age,
@@ -24,6 +153,10 @@ const createBooking = async (req, res) => {
       healthIssue,
       doctorName,
       specialty,
+      waitlistEntryId,
+      memberId,
+      couponCode,
+      shareMedicalRecord = false,
       isEmergency = false // Default to false if not provided
     } = req.body;
     
@@ -112,72 +245,208 @@ const createBooking = async (req, res) => {
       });
     }
 
-    // Calculate platform fees with emergency consideration
-    const fees = hospital.calculateFees(isEmergency);
+    // Booking with a specific doctor uses their hours and capacity
+    let doctor = null;
+    if (doctorId) {
+      doctor = await Doctor.findOne({ _id: doctorId, hospital: hospital._id, isActive: true });
+      if (!doctor) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'DOCTOR_NOT_FOUND',
+            message: 'This doctor is not available at the selected hospital. Please choose another doctor.'
+          }
+        });
+      }
+    }
 
-    // Generate token number
-    const startOfDay = new Date(appointmentDateTime);
-    startOfDay.setHours(0, 0, 0, 0);
-    const endOfDay = new Date(appointmentDateTime);
-    endOfDay.setHours(23, 59, 59, 999);
+    // Booking for a saved family member fills the patient details from their profile
+    let patientDetails = { name, age, gender, mobile, address, healthIssue };
+    let familyMember = null;
+    if (memberId) {
+      familyMember = mongoose.isValidObjectId(memberId)
+        ? await FamilyMember.findOne({ _id: memberId, user: req.user.id, isActive: true })
+        : null;
+      if (!familyMember) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'MEMBER_NOT_FOUND',
+            message: 'This family member was not found on your account.'
+          }
+        });
+      }
 
-    const existingBookingsCount = await Booking.countDocuments({
-      hospital: hospitalId,
-      appointmentDate: {
-        $gte: startOfDay,
-        $lt: endOfDay
+      const accountHolder = familyMember.mobile ? null : await User.findById(req.user.id).select('phoneNumber');
+      patientDetails = {
+        name: familyMember.name,
+        age: familyMember.getAge(appointmentDateTime),
+        gender: familyMember.gender,
+        mobile: mobile || familyMember.mobile || accountHolder?.phoneNumber,
+        address: address || familyMember.address,
+        healthIssue
+      };
+    }
+
+    // Make sure the slot is within opening hours for that day
+    const slotCheck = AvailabilityService.validateSlot(hospital, appointmentDateTime, timeSlot, doctor);
+    if (!slotCheck.success) {
+      return res.status(400).json({
+        success: false,
+        error: slotCheck.error
+      });
+    }
+
+    let coupon = null;
+    if (couponCode) {
+      const couponCheck = await CouponService.validate(couponCode, {
+        userId: req.user.id,
+        hospital,
+        paymentMethod
+      });
+      if (!couponCheck.success) {
+        return res.status(400).json({
+          success: false,
+          error: couponCheck.error
+        });
       }
+      coupon = couponCheck.data;
+    }
+
+    // Calculate fees under the schedule in effect now. Hospitals that
+    // collect the consultation fee online add it to online payments.
+    const fees = await FeeScheduleService.getFees(hospital, {
+      isEmergency,
+      doctor,
+      online: paymentMethod === 'online',
+      coupon
     });
 
-    const hospitalPrefix = hospital.name.substring(0, 3).toUpperCase();
-    const tokenPrefix = isEmergency ? 'E' : '';
-    const tokenNumber = `${hospitalPrefix}${tokenPrefix}${(existingBookingsCount + 1).toString().padStart(3, '0')}`;
+    // Take a seat in the slot before creating the booking. A waitlist offer
+    // already holds one for the patient.
+    let waitlistEntry = null;
+    if (waitlistEntryId) {
+      const claim = await WaitlistService.claimOffer(waitlistEntryId, req.user.id, {
+        hospitalId: hospital._id,
+        appointmentDate: appointmentDateTime,
+        timeSlot,
+        doctorId: doctor?._id
+      });
+      if (!claim.success) {
+        return res.status(400).json({
+          success: false,
+          error: claim.error
+        });
+      }
+      waitlistEntry = claim.data.entry;
+    } else {
+      const reservation = await AvailabilityService.reserveSeat(hospital, appointmentDateTime, timeSlot, doctor);
+      if (!reservation.success) {
+        const dayFull = ['DAILY_LIMIT_REACHED', 'DOCTOR_DAILY_LIMIT_REACHED'].includes(reservation.error.code);
+        return res.status(400).json({
+          success: false,
+          error: dayFull ? { ...reservation.error, canJoinWaitlist: true } : reservation.error
+        });
+      }
+    }
+
+    const releaseSeat = () => (waitlistEntry
+      ? WaitlistService.undoClaim(waitlistEntry)
+      : AvailabilityService.releaseCounters(hospital._id, appointmentDateTime, timeSlot, doctor?._id));
+
+    // The coupon is held until the booking is paid or closed, so pending
+    // bookings cannot use it beyond its limit
+    const couponUsed = fees.discount > 0;
+    if (couponUsed) {
+      const couponHold = await CouponService.reserve(coupon, req.user.id);
+      if (!couponHold.success) {
+        await releaseSeat();
+        return res.status(400).json({
+          success: false,
+          error: couponHold.error
+        });
+      }
+    }
 
-    // Create booking with correct fee breakdown
+    // Create booking with correct fee breakdown (the token is issued on save)
     const booking = new Booking({
       user: req.user.id,
       hospital: hospitalId,
       appointmentDate: appointmentDateTime,
       timeSlot,
-      tokenNumber,
       isEmergency,
       status: 'pending',
       symptoms,
       specialization,
-      preferredDoctor,
-      doctorName,
-      specialty,
-      doctorAssigned: null,
-      patientDetails: {
-        name,
-        age,
-        gender,
-        mobile,
-        address,
-        healthIssue
-      },
+      preferredDoctor: doctor ? doctor._id : preferredDoctor,
+      doctorName: doctor ? doctor.name : doctorName,
+      specialty: doctor ? doctor.specialization : specialty,
+      doctorAssigned: doctor ? doctor._id : null,
+      capacityHeld: true,
+      patientDetails,
+      familyMember: familyMember?._id || null,
+      medicalRecordConsent: shareMedicalRecord === true
+        ? { shared: true, grantedAt: new Date() }
+        : { shared: false },
       payment: {
         method: paymentMethod,
         amount: fees.totalAmount,
         status: 'pending',
         breakdown: {
-          platformFee: fees.platformFee,      // Fixed 30 rupees
-          emergencyFee: fees.emergencyFee,    // 100 rupees if emergency, 0 if not
-          gst: fees.gst,                      // 18% of (platformFee + emergencyFee)
-          total: fees.totalAmount             // Sum of all above
-        }
+          basePrice: fees.basePrice,          // Consultation fee, 0 if paid at the hospital
+          platformFee: fees.platformFee,      // Flat or a percentage of the consultation price
+          emergencyFee: fees.emergencyFee,    // 0 if not an emergency
+          discount: fees.discount,            // Coupon discount on platformFee + emergencyFee
+          gst: fees.gst,                      // gstRate% of (platformFee + emergencyFee - discount)
+          gstRate: fees.gstRate,
+          total: fees.totalAmount             // basePrice + platformFee + emergencyFee - discount + gst
+        },
+        feeScheduleVersion: fees.scheduleVersion,
+        coupon: couponUsed ? { coupon: coupon._id, code: coupon.code, reserved: true } : undefined
       }
     });
 
-    await booking.save();
+    try {
+      await booking.save();
+    } catch (error) {
+      await releaseSeat();
+      if (couponUsed) await CouponService.unreserve(coupon._id, req.user.id);
+      throw error;
+    }
+    if (waitlistEntry) {
+      await WaitlistService.completeClaim(waitlistEntry, booking);
+    }
     await booking.populate('hospital', 'name address');
+    EventService.publishBookingUpdate(booking, 'booking.created');
     await NotificationService.createBookingNotifications(booking, 'BOOKING_CREATED');
 
+    // A coupon can leave nothing to pay; the booking is confirmed without a gateway order
+    if (paymentMethod === 'online' && fees.totalAmount === 0) {
+      const paidBooking = await PaymentService.markPaid(booking._id, { paymentId: null, method: 'coupon' });
+
+      return res.status(201).json({
+        success: true,
+        message: 'Booking confirmed. No payment is due.',
+        data: {
+          booking: paidBooking || booking,
+          feeBreakdown: formatFeeBreakdown(fees)
+        }
+      });
+    }
+
     // Handle online payment
     if (paymentMethod === 'online') {
-      const orderResponse = await RazorpayService.createOrder(booking._id.toString(), fees.totalAmount * 100);
+      const orderResponse = await RazorpayService.createOrder(booking._id.toString(), fees.totalAmount, {
+        consultationFee: fees.basePrice,
+        platformFee: fees.platformFee,
+        emergencyFee: fees.emergencyFee,
+        discount: fees.discount,
+        gst: fees.gst
+      });
       
       if (!orderResponse.success) {
+        await AvailabilityService.releaseSeat(booking);
+        await CouponService.release(booking);
         await Booking.findByIdAndDelete(booking._id);
         return res.status(500).json({
           success: false,
@@ -196,7 +465,7 @@ const createBooking = async (req, res) => {
           booking,
           paymentDetails: {
             key: process.env.RAZORPAY_KEY_ID,
-            amount: fees.totalAmount * 100, // Razorpay expects amount in paise
+            amount: Math.round(fees.totalAmount * 100), // Razorpay expects amount in paise
             currency: 'INR',
             orderId: orderResponse.data.orderId,
             prefillData: {
@@ -205,13 +474,7 @@ const createBooking = async (req, res) => {
               contact: booking.patientDetails.mobile
             }
           },
-          feeBreakdown: {
-            platformFee: fees.platformFee,
-            emergencyFee: fees.emergencyFee,
-            gst: fees.gst,
-            total: fees.totalAmount,
-            note: "This is only the platform fee. Hospital consultation charges to be paid separately at the hospital."
-          }
+          feeBreakdown: formatFeeBreakdown(fees)
         }
       });
     }
@@ -223,13 +486,7 @@ const createBooking = async (req, res) => {
       data: {
         booking,
         paymentMethod: 'cod',
-        feeBreakdown: {
-          platformFee: fees.platformFee,
-          emergencyFee: fees.emergencyFee,
-          gst: fees.gst,
-          total: fees.totalAmount,
-          note: "This is only the platform fee. Hospital consultation charges to be paid separately at the hospital."
-        }
+        feeBreakdown: formatFeeBreakdown(fees)
       }
     });
 
@@ -273,21 +530,24 @@ const verifyPayment = async (req, res) => {
       });
     }
 
-    // Update booking payment status
-    booking.payment.paymentId = paymentId;
-    booking.payment.status = 'completed';
-    booking.payment.paidAt = new Date();
-    booking.status = 'confirmed';
-    booking.payment.details = verificationResponse.data;
+    if (booking.payment.orderId && booking.payment.orderId !== orderId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ORDER_MISMATCH',
+          message: 'Payment does not belong to this booking'
+        }
+      });
+    }
 
-    await booking.save();
-    await NotificationService.createBookingNotifications(booking, 'PAYMENT_RECEIVED');
+    // Null when the payment webhook already recorded it
+    const updatedBooking = await PaymentService.markPaid(booking._id, verificationResponse.data);
 
     res.json({
       success: true,
       message: 'Payment verified successfully',
       data: {
-        booking,
+        booking: updatedBooking || await Booking.findById(booking._id),
         payment: verificationResponse.data
       }
     });
@@ -307,60 +567,7 @@ const verifyPayment = async (req, res) => {
 // Get user bookings
 const getUserBookings = async (req, res) => {
   try {
-    // First, get all bookings with populated hospital data
-    let bookings = await Booking.find({ user: req.user.id })
-      .populate({
-        path: 'hospital',
-        select: 'name address',
-        model: 'Hospital'  // Make sure to specify the correct model name
-      })
-      .sort('-appointmentDate');
-
-    // Fix any bookings with missing hospital references
-    for (const booking of bookings) {
-      try {
-        // If hospital is null, try to find it
-        if (!booking.hospital) {
-          const hospital = await Hospital.findById(booking.hospital);
-          if (hospital) {
-            booking.hospital = hospital;
-          }
-        }
-
-        // Generate or update token number if hospital exists
-        if (booking.hospital && (!booking.tokenNumber || typeof booking.tokenNumber === 'number')) {
-          // Get hospital prefix
-          const hospitalPrefix = booking.hospital.name.substring(0, 3).toUpperCase();
-          
-          // Find bookings for the same hospital and date
-          const startOfDay = new Date(booking.appointmentDate);
-          startOfDay.setHours(0, 0, 0, 0);
-          const endOfDay = new Date(booking.appointmentDate);
-          endOfDay.setHours(23, 59, 59, 999);
-
-          const sameDayBookings = await Booking.find({
-            hospital: booking.hospital._id,
-            appointmentDate: {
-              $gte: startOfDay,
-              $lt: endOfDay
-            },
-            createdAt: { $lt: booking.createdAt }  // Only count bookings created before this one
-          }).sort('createdAt');
-
-          // Calculate sequential number based on creation order
-          const sequentialNumber = sameDayBookings.length + 1;
-          
-          // Update token number with new format
-          booking.tokenNumber = `${hospitalPrefix}${sequentialNumber.toString().padStart(3, '0')}`;
-          await booking.save();
-        }
-      } catch (error) {
-        console.error(`Error processing booking ${booking._id}:`, error);
-      }
-    }
-
-    // Refresh bookings list after updates
-    bookings = await Booking.find({ user: req.user.id })
+    const bookings = await Booking.find({ user: req.user.id })
       .populate({
         path: 'hospital',
         select: 'name address',
@@ -368,7 +575,12 @@ const getUserBookings = async (req, res) => {
       })
       .sort('-appointmentDate');
 
-    res.json(bookings);
+    const waitTimes = await WaitTimeService.estimateForBookings(bookings);
+
+    res.json(bookings.map(booking => ({
+      ...booking.toJSON(),
+      waitTime: waitTimes.get(booking._id.toString()) || null
+    })));
   } catch (error) {
     console.error('Error fetching user bookings:', error);
     res.status(500).json({ message: error.message });
@@ -378,7 +590,7 @@ const getUserBookings = async (req, res) => {
 // Get hospital bookings
 const getHospitalBookings = async (req, res) => {
   try {
-    const bookings = await Booking.find({ hospital: req.params.hospitalId })
+    const bookings = await Booking.find({ hospital: req.hospital._id })
       .populate('user', 'email')
       .sort('-appointmentDate');
     res.json(bookings);
@@ -392,55 +604,32 @@ const updateBookingStatus = async (req, res) => {
   try {
     const { status, rejectionReason, completionNotes } = req.body;
     const booking = await Booking.findOne({
-      _id: req.params.id,
-      hospital: req.user.hospitalId
+      _id: req.params.bookingId,
+      hospital: req.hospital._id
     });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Validate status transitions
-    const validTransitions = {
-      pending: ['confirmed', 'rejected'],
-      confirmed: ['completed', 'cancelled'],
-      rejected: [],
-      cancelled: [],
-      completed: []
-    };
-
-    if (!validTransitions[booking.status].includes(status)) {
-      return res.status(400).json({ 
-        message: `Cannot change status from ${booking.status} to ${status}` 
-      });
-    }
+    const result = await BookingStateMachine.transition(booking, status, {
+      actor: 'hospital',
+      userId: req.user.id,
+      reason: rejectionReason,
+      set: status === 'completed' ? { completionNotes } : {}
+    });
 
-    // Additional validation for rejection
-    if (status === 'rejected' && !rejectionReason) {
-      return res.status(400).json({ 
-        message: 'Rejection reason is required' 
+    if (!result.success) {
+      return res.status(BookingStateMachine.httpStatusFor(result.error)).json({
+        message: result.error.message,
+        error: result.error
       });
     }
 
-    // Update booking status
-    booking.status = status;
-    booking.statusUpdatedAt = new Date();
-
-    if (status === 'rejected') {
-      booking.rejectionReason = rejectionReason;
-    }
-
-    if (status === 'completed') {
-      booking.completionNotes = completionNotes;
-      booking.completedAt = new Date();
-    }
-
-    await booking.save();
-    await NotificationService.createBookingNotifications(booking, `BOOKING_${status.toUpperCase()}`);
-
     res.json({
       message: 'Booking status updated successfully',
-      booking
+      booking: result.booking,
+      refund: result.refund
     });
   } catch (error) {
     console.error('Error updating booking status:', error);
@@ -465,6 +654,8 @@ const downloadBooking = async (req, res) => {
     res.setHeader('Content-Type', 'application/pdf');
     res.setHeader('Content-Disposition', `attachment; filename=booking-${booking._id}.pdf`);
     
+    const breakdown = booking.payment.breakdown;
+
     doc.pipe(res);
     doc.fontSize(25).text('Booking Details', 100, 100);
     doc.fontSize(15)
@@ -473,11 +664,24 @@ const downloadBooking = async (req, res) => {
       .text(`Token Number: ${booking.tokenNumber}`)
       .text(`Status: ${booking.status}`)
       .moveDown()
-      .text('Payment Details')
-      .text(`Base Price: ₹${booking.payment.breakdown.basePrice}`)
-      .text(`Platform Fee: ₹${booking.payment.breakdown.platformFee}`)
-      .text(`GST (18%): ₹${booking.payment.breakdown.gst}`)
-      .text(`Total Amount: ₹${booking.payment.breakdown.total}`);
+      .text('Payment Details');
+    if (breakdown.basePrice) {
+      doc.text(`Consultation Fee: ₹${breakdown.basePrice}`);
+    }
+    doc.text(`Platform Fee: ₹${breakdown.platformFee}`);
+    if (breakdown.emergencyFee) {
+      doc.text(`Emergency Fee: ₹${breakdown.emergencyFee}`);
+    }
+    if (breakdown.discount) {
+      doc.text(`Coupon Discount${booking.payment.coupon?.code ? ` (${booking.payment.coupon.code})` : ''}: -₹${breakdown.discount}`);
+    }
+    doc
+      .text(`GST (${breakdown.gstRate ?? 18}%): ₹${breakdown.gst}`)
+      .text(`Total Amount: ₹${breakdown.total}`);
+    if (!breakdown.basePrice) {
+      doc.fontSize(11).moveDown()
+        .text('Consultation charges are to be paid at the hospital.');
+    }
     
     doc.end();
   } catch (error) {
@@ -485,6 +689,31 @@ const downloadBooking = async (req, res) => {
   }
 };
 
+// Only signed prescriptions can be downloaded
+const downloadPrescription = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    })
+      .populate('hospital')
+      .populate('prescriptionDetails.doctor', 'name specialization qualification');
+
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+    if (!PrescriptionService.isSigned(booking) || !booking.prescriptionDetails.doctor) {
+      return res.status(404).json({ message: 'No signed prescription for this booking yet' });
+    }
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=prescription-${booking._id}.pdf`);
+    PrescriptionService.renderPdf(booking, res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
 const updateCodPaymentStatus = async (req, res) => {
   try {
     const { paymentStatus, remarks } = req.body;
@@ -518,13 +747,10 @@ const updateCodPaymentStatus = async (req, res) => {
     // Add additional fields if payment is completed
     if (paymentStatus === 'completed') {
       updateData['payment.paidAt'] = new Date();
-      if (existingBooking.status === 'pending') {
-        updateData.status = 'confirmed';
-      }
     }
 
     // Use findOneAndUpdate to avoid validation issues
-    const booking = await Booking.findOneAndUpdate(
+    let booking = await Booking.findOneAndUpdate(
       { _id: req.params.bookingId },
       { $set: updateData },
       { 
@@ -537,6 +763,20 @@ const updateCodPaymentStatus = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found after update' });
     }
 
+    // A paid booking no longer waits on the hospital's confirmation
+    if (paymentStatus === 'completed' && booking.status === 'pending') {
+      const result = await BookingStateMachine.transition(booking, 'confirmed', {
+        actor: 'admin',
+        userId: req.user.id
+      });
+      if (result.success) booking = result.booking;
+    } else {
+      EventService.publishBookingUpdate(booking);
+    }
+    if (paymentStatus === 'completed') {
+      await InvoiceService.issueInvoice(booking);
+    }
+
     // Format the response
     const response = {
       bookingId: booking._id,
@@ -570,7 +810,7 @@ const cancelBooking = async (req, res) => {
     const booking = await Booking.findOne({
       _id: req.params.id,
       user: req.user.id
-    }).populate('hospital');
+    });
 
     if (!booking) {
       return res.status(404).json({ 
@@ -579,54 +819,171 @@ const cancelBooking = async (req, res) => {
       });
     }
 
-    // Only allow cancellation of pending or confirmed bookings
-    if (!['pending', 'confirmed'].includes(booking.status)) {
-      return res.status(400).json({ 
+    // Refunds what the cancellation policy allows for a completed online payment
+    const result = await BookingStateMachine.transition(booking, 'cancelled', {
+      actor: 'user',
+      userId: req.user.id,
+      reason: req.body?.reason
+    });
+
+    if (!result.success) {
+      return res.status(BookingStateMachine.httpStatusFor(result.error)).json({
         success: false,
-        message: 'Cannot cancel booking in current status' 
+        message: result.error.code === 'INVALID_TRANSITION'
+          ? 'Cannot cancel booking in current status'
+          : result.error.message,
+        error: result.error
       });
     }
 
-    // If payment was made online and completed, initiate refund process
-    if (booking.payment.method === 'online' && booking.payment.status === 'completed') {
-      const refundResponse = await RazorpayService.initiateRefund(
-        booking.payment.paymentId,
-        booking.payment.amount
-      );
-
-      if (!refundResponse.success) {
-        return res.status(500).json({
-          success: false,
-          error: refundResponse.error
-        });
+    res.json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      data: {
+        booking: result.booking,
+        refundDetails: result.booking.payment.refundDetails,
+        refund: result.refund
       }
+    });
+  } catch (error) {
+    console.error('Error cancelling booking:', error);
+    res.status(500).json({ 
+      success: false,
+      error: {
+        code: 'CANCELLATION_FAILED',
+        message: 'Unable to cancel booking',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
 
-      booking.payment.status = 'refunded';
-      booking.payment.refundDetails = refundResponse.data;
+// The patient decides per booking whether the hospital may see their medical record
+const updateMedicalRecordConsent = async (req, res) => {
+  try {
+    const { share } = req.body;
+    if (typeof share !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'share must be true or false'
+      });
     }
 
-    booking.status = 'cancelled';
-    booking.cancelledAt = new Date();
-    await booking.save();
+    const booking = await Booking.findOneAndUpdate(
+      { _id: req.params.id, user: req.user.id },
+      { $set: MedicalRecordService.consentUpdate(share) },
+      { new: true, runValidators: false }
+    );
 
-    // Create notifications for both user and hospital
-    await NotificationService.createBookingNotifications(booking, 'BOOKING_CANCELLED');
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: share
+        ? 'Your medical record is now shared with the hospital for this booking'
+        : 'Your medical record is no longer shared with the hospital for this booking',
+      data: { medicalRecordConsent: booking.medicalRecordConsent }
+    });
+  } catch (error) {
+    console.error('Error updating medical record consent:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// What cancelling now would refund, so the user can confirm first
+const getCancellationPreview = async (req, res) => {
+  try {
+    const booking = await Booking.findOne({
+      _id: req.params.id,
+      user: req.user.id
+    });
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const quote = await RefundPolicyService.quote(booking);
 
     res.json({
       success: true,
-      message: 'Booking cancelled successfully',
       data: {
-        booking,
-        refundDetails: booking.payment.refundDetails
+        bookingId: booking._id,
+        canCancel: BookingStateMachine.canTransition(booking.status, 'cancelled', 'user'),
+        ...quote
       }
     });
   } catch (error) {
-    console.error('Error cancelling booking:', error);
-    res.status(500).json({ 
+    console.error('Error previewing cancellation:', error);
+    res.status(500).json({
       success: false,
       error: {
-        code: 'CANCELLATION_FAILED',
-        message: 'Unable to cancel booking',
+        code: 'CANCELLATION_PREVIEW_FAILED',
+        message: 'Unable to calculate the refund',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      }
+    });
+  }
+};
+
+// Move a booking to another day or slot, by the patient or the hospital's staff
+const rescheduleBooking = async (req, res) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+    if (!booking || (req.user.role === 'user' && !booking.user.equals(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    let actor = 'user';
+    if (req.user.role !== 'user') {
+      const membership = await HospitalMember.findForUser(req.user.id, booking.hospital);
+      if (!membership || !membership.hasPermission('bookings:manage')) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to reschedule this booking'
+        });
+      }
+      actor = 'hospital';
+    }
+
+    const { appointmentDate, timeSlot, reason } = req.body;
+    const result = await RescheduleService.reschedule(booking, {
+      date: appointmentDate,
+      timeSlot,
+      actor,
+      userId: req.user.id,
+      reason
+    });
+
+    if (!result.success) {
+      return res.status(result.error.code === 'BOOKING_CHANGED' ? 409 : 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Booking rescheduled successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error rescheduling booking:', error);
+    res.status(500).json({
+      success: false,
+      error: {
+        code: 'RESCHEDULE_FAILED',
+        message: 'Unable to reschedule booking',
         details: process.env.NODE_ENV === 'development' ? error.message : undefined
       }
     });
@@ -646,6 +1003,7 @@ const updateBookingToken = async (req, res) => {
 
     booking.tokenNumber = tokenNumber;
     await booking.save();
+    EventService.publishBookingUpdate(booking, 'token.updated');
 
     // Send notification for token update
     await NotificationService.createBookingNotifications(booking, 'TOKEN_UPDATED');
@@ -656,25 +1014,70 @@ const updateBookingToken = async (req, res) => {
   }
 };
 
-// In assignDoctor function (if you have one)
+// Assign or reassign a doctor from the hospital's roster
 const assignDoctor = async (req, res) => {
   try {
-    const { doctorId, doctorName } = req.body;
-    const booking = await Booking.findById(req.params.id)
-      .populate('hospital');
+    const { doctorId } = req.body;
+    if (!doctorId) {
+      return res.status(400).json({ message: 'doctorId is required' });
+    }
 
-    booking.doctorAssigned = doctorId;
-    booking.doctorName = doctorName;
-    await booking.save();
+    const hospital = req.hospital;
 
-    // Send notification for doctor assignment
-    await NotificationService.createBookingNotifications(booking, 'DOCTOR_ASSIGNED', {
-      doctorName
+    const booking = await Booking.findOne({
+      _id: req.params.bookingId,
+      hospital: hospital._id
     });
 
-    res.json(booking);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    if (!['pending', 'confirmed', 'checked-in', 'skipped'].includes(booking.status)) {
+      return res.status(400).json({
+        message: `Cannot assign a doctor to a ${booking.status} booking`
+      });
+    }
+
+    const doctor = await Doctor.findOne({ _id: doctorId, hospital: hospital._id, isActive: true });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    if (booking.doctorAssigned && booking.doctorAssigned.equals(doctor._id)) {
+      return res.status(400).json({ message: `Dr. ${doctor.name} is already assigned to this booking` });
+    }
+
+    // The doctor must be seeing patients in the booked slot that day
+    const slotCheck = AvailabilityService.validateSlot(hospital, booking.appointmentDate, booking.timeSlot, doctor);
+    if (!slotCheck.success) {
+      return res.status(400).json({ code: slotCheck.error.code, message: slotCheck.error.message });
+    }
+
+    const reassignment = await AvailabilityService.reassignSeat(hospital, booking, doctor);
+    if (!reassignment.success) {
+      return res.status(400).json({ code: reassignment.error.code, message: reassignment.error.message });
+    }
+
+    // Skip validation, the appointment time of today's bookings may already have passed
+    const updatedBooking = await Booking.findOneAndUpdate(
+      { _id: booking._id },
+      { $set: { doctorName: doctor.name, specialty: doctor.specialization } },
+      { new: true, runValidators: false }
+    ).populate('hospital', 'name');
+
+    EventService.publishBookingUpdate(updatedBooking);
+    await NotificationService.createBookingNotifications(updatedBooking, 'DOCTOR_ASSIGNED', {
+      doctorName: doctor.name
+    });
+
+    res.json({
+      message: 'Doctor assigned successfully',
+      booking: updatedBooking
+    });
   } catch (error) {
-    res.status(400).json({ message: error.message });
+    console.error('Error assigning doctor:', error);
+    res.status(500).json({ message: error.message });
   }
 };
 
@@ -704,14 +1107,19 @@ const getPendingPayments = async (req, res) => {
 };
 
 module.exports = {
+  getQuote,
   createBooking,
   verifyPayment,
   getUserBookings,
   getHospitalBookings,
   updateBookingStatus,
   downloadBooking,
+  downloadPrescription,
   updateCodPaymentStatus,
   cancelBooking,
+  getCancellationPreview,
+  updateMedicalRecordConsent,
+  rescheduleBooking,
   updateBookingToken,
   assignDoctor,
   getPendingPayments
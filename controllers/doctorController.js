@@ -0,0 +1,352 @@
+const bcrypt = require('bcryptjs');
+const Doctor = require('../models/Doctor');
+const User = require('../models/User');
+const HospitalMember = require('../models/HospitalMember');
+const Booking = require('../models/Booking');
+const AvailabilityService = require('../services/availabilityService');
+const { parseDateString, timeToMinutes, toDateKey, getDayRange, nowInIST } = require('../utils/slotUtils');
+
+const EDITABLE_FIELDS = [
+  'name',
+  'specialization',
+  'qualification',
+  'experience',
+  'consultationFee',
+  'patientsPerSlot',
+  'maxPatientsPerDay',
+  'isActive'
+];
+
+// Returns an error message for an invalid weekly schedule, or null
+const validateAvailability = (availability) => {
+  if (!Array.isArray(availability)) {
+    return 'availability must be an array';
+  }
+
+  const days = new Set();
+  for (const entry of availability) {
+    const start = timeToMinutes(entry.startTime);
+    const end = timeToMinutes(entry.endTime);
+    if (start === null || end === null || end <= start) {
+      return `Invalid hours for ${entry.day}. Use HH:mm with endTime after startTime`;
+    }
+    if (days.has(entry.day)) {
+      return `Only one availability entry is allowed per day (${entry.day})`;
+    }
+    days.add(entry.day);
+  }
+  return null;
+};
+
+// Leave days come in as DD-MM-YYYY like booking dates
+const parseLeaveDays = (leaveDays) => {
+  if (!Array.isArray(leaveDays)) return null;
+
+  const parsed = [];
+  for (const leave of leaveDays) {
+    const date = parseDateString(leave.date);
+    if (!date) return null;
+    parsed.push({ date, reason: leave.reason });
+  }
+  return parsed;
+};
+
+// Bookings the doctor still has to see, optionally only on the given days
+const countUpcomingBookings = (doctor, days = null) => {
+  const { start } = getDayRange(nowInIST());
+  const query = {
+    doctorAssigned: doctor._id,
+    appointmentDate: { $gte: start },
+    status: { $in: AvailabilityService.ACTIVE_STATUSES }
+  };
+  if (days) {
+    query.$or = days.map(day => {
+      const range = getDayRange(day);
+      return { appointmentDate: { $gte: range.start, $lt: range.end } };
+    });
+  }
+  return Booking.countDocuments(query);
+};
+
+const applyDoctorFields = (doctor, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) {
+      doctor[field] = body[field];
+    }
+  });
+
+  if (body.availability !== undefined) {
+    const error = validateAvailability(body.availability);
+    if (error) return error;
+    doctor.availability = body.availability;
+  }
+
+  if (body.leaveDays !== undefined) {
+    const leaveDays = parseLeaveDays(body.leaveDays);
+    if (!leaveDays) return 'leaveDays must be a list of { date: "DD-MM-YYYY", reason }';
+    doctor.leaveDays = leaveDays;
+  }
+
+  return null;
+};
+
+const getDoctors = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const query = { hospital: hospital._id };
+    if (req.query.includeInactive !== 'true') {
+      query.isActive = true;
+    }
+
+    const doctors = await Doctor.find(query).sort({ name: 1 });
+    res.json(doctors);
+  } catch (error) {
+    console.error('Error fetching doctors:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const getDoctor = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const doctor = await Doctor.findOne({ _id: req.params.doctorId, hospital: hospital._id });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    res.json(doctor);
+  } catch (error) {
+    console.error('Error fetching doctor:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const createDoctor = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const missingFields = ['name', 'specialization'].filter(field => !req.body[field]);
+    if (missingFields.length > 0) {
+      return res.status(400).json({
+        message: 'Missing required fields',
+        fields: missingFields
+      });
+    }
+
+    const doctor = new Doctor({
+      hospital: hospital._id,
+      createdBy: req.user.id
+    });
+
+    const error = applyDoctorFields(doctor, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    await doctor.save();
+    res.status(201).json(doctor);
+  } catch (error) {
+    console.error('Error creating doctor:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+const updateDoctor = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const doctor = await Doctor.findOne({ _id: req.params.doctorId, hospital: hospital._id });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const deactivating = doctor.isActive && req.body.isActive === false;
+    const previousLeave = new Set((doctor.leaveDays || []).map(leave => toDateKey(leave.date)));
+
+    const error = applyDoctorFields(doctor, req.body);
+    if (error) {
+      return res.status(400).json({ message: error });
+    }
+
+    // Bookings assigned to the doctor would be stranded, as with deleteDoctor
+    if (deactivating) {
+      const upcomingBookings = await countUpcomingBookings(doctor);
+      if (upcomingBookings > 0) {
+        return res.status(400).json({
+          message: `Dr. ${doctor.name} has ${upcomingBookings} upcoming booking(s). Reassign them before deactivating the doctor.`,
+          upcomingBookings
+        });
+      }
+    }
+
+    const newLeaveDays = doctor.leaveDays
+      .map(leave => leave.date)
+      .filter(date => !previousLeave.has(toDateKey(date)));
+    if (newLeaveDays.length > 0) {
+      const upcomingBookings = await countUpcomingBookings(doctor, newLeaveDays);
+      if (upcomingBookings > 0) {
+        return res.status(400).json({
+          message: `Dr. ${doctor.name} has ${upcomingBookings} booking(s) on the new leave days. Reassign them before adding the leave.`,
+          upcomingBookings
+        });
+      }
+    }
+
+    await doctor.save();
+    res.json(doctor);
+  } catch (error) {
+    console.error('Error updating doctor:', error);
+    res.status(400).json({ message: error.message });
+  }
+};
+
+// Doctors are deactivated rather than removed so past bookings keep their reference
+const deleteDoctor = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const doctor = await Doctor.findOne({ _id: req.params.doctorId, hospital: hospital._id });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    const upcomingBookings = await countUpcomingBookings(doctor);
+
+    if (upcomingBookings > 0) {
+      return res.status(400).json({
+        message: `Dr. ${doctor.name} has ${upcomingBookings} upcoming booking(s). Reassign them before removing the doctor.`,
+        upcomingBookings
+      });
+    }
+
+    doctor.isActive = false;
+    await doctor.save();
+
+    res.json({ message: 'Doctor removed successfully' });
+  } catch (error) {
+    console.error('Error deleting doctor:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Create the login a doctor uses for their own day list
+const createDoctorAccount = async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    if (!email || !password) {
+      return res.status(400).json({ message: 'Please provide email and password' });
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({ message: 'Invalid email format' });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+
+    const hospital = req.hospital;
+
+    const doctor = await Doctor.findOne({ _id: req.params.doctorId, hospital: hospital._id, isActive: true });
+    if (!doctor) {
+      return res.status(404).json({ message: 'Doctor not found' });
+    }
+
+    if (doctor.user) {
+      return res.status(400).json({ message: 'This doctor already has a login' });
+    }
+
+    const existingUser = await User.findOne({ email: email.toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const user = new User({
+      name: doctor.name,
+      email,
+      password: await bcrypt.hash(password, salt),
+      role: 'doctor'
+    });
+    await user.save();
+
+    doctor.user = user._id;
+    await doctor.save();
+
+    await HospitalMember.create({
+      hospital: hospital._id,
+      user: user._id,
+      role: 'doctor',
+      doctor: doctor._id,
+      invitedBy: req.user.id
+    });
+
+    res.status(201).json({
+      message: 'Doctor login created successfully',
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role
+      }
+    });
+  } catch (error) {
+    console.error('Error creating doctor account:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const removeDoctorAccount = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const doctor = await Doctor.findOne({ _id: req.params.doctorId, hospital: hospital._id });
+    if (!doctor || !doctor.user) {
+      return res.status(404).json({ message: 'Doctor login not found' });
+    }
+
+    await User.deleteOne({ _id: doctor.user, role: 'doctor' });
+    await HospitalMember.deleteOne({ hospital: hospital._id, user: doctor.user });
+    doctor.user = undefined;
+    await doctor.save();
+
+    res.json({ message: 'Doctor login removed successfully' });
+  } catch (error) {
+    console.error('Error removing doctor account:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Public list of a hospital's active doctors for booking
+const getHospitalDoctors = async (req, res) => {
+  try {
+    const query = { hospital: req.params.id, isActive: true };
+    if (req.query.specialization) {
+      query.specialization = new RegExp(`^${req.query.specialization.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    }
+
+    const doctors = await Doctor.find(query)
+      .select('name specialization qualification experience consultationFee availability')
+      .sort({ name: 1 });
+
+    res.json(doctors);
+  } catch (error) {
+    console.error('Error fetching hospital doctors:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getDoctors,
+  getDoctor,
+  createDoctor,
+  updateDoctor,
+  deleteDoctor,
+  createDoctorAccount,
+  removeDoctorAccount,
+  getHospitalDoctors
+};
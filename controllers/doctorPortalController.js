@@ -0,0 +1,245 @@
+const Booking = require('../models/Booking');
+const QueueService = require('../services/queueService');
+const MedicalRecordService = require('../services/medicalRecordService');
+const PrescriptionService = require('../services/prescriptionService');
+const { parseDateString, formatDateString, nowInIST } = require('../utils/slotUtils');
+
+const sendQueueError = (res, error) => {
+  const status = error.code === 'BOOKING_NOT_FOUND' ? 404 : 400;
+  res.status(status).json({ code: error.code, message: error.message });
+};
+
+// Doctors can only act on bookings assigned to them
+const findDoctorBooking = (req) => Booking.findOne({
+  _id: req.params.bookingId,
+  doctorAssigned: req.doctor._id
+});
+
+const formatDoctorBooking = (booking) => ({
+  id: booking._id,
+  tokenNumber: booking.tokenNumber,
+  status: booking.status,
+  isEmergency: booking.isEmergency,
+  timeSlot: booking.timeSlot,
+  patientDetails: booking.patientDetails,
+  symptoms: booking.symptoms,
+  prescriptions: booking.prescriptions,
+  completionNotes: booking.completionNotes,
+  checkedInAt: booking.checkedInAt,
+  calledAt: booking.calledAt,
+  completedAt: booking.completedAt
+});
+
+const getDoctorProfile = async (req, res) => {
+  try {
+    await req.doctor.populate('hospital', 'name address contactNumber');
+    res.json(req.doctor);
+  } catch (error) {
+    console.error('Error fetching doctor profile:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The doctor's own patients for a day, in queue order
+const getDoctorBookings = async (req, res) => {
+  try {
+    let date = nowInIST();
+    if (req.query.date) {
+      date = parseDateString(req.query.date);
+      if (!date) {
+        return res.status(400).json({ message: 'Please provide date in DD-MM-YYYY format' });
+      }
+    }
+
+    const bookings = await Booking.find({
+      ...QueueService.getDayQuery(req.doctor.hospital, date),
+      doctorAssigned: req.doctor._id,
+      status: { $in: [...QueueService.QUEUE_STATUSES, 'pending', 'completed', 'no-show'] }
+    })
+    .sort(QueueService.QUEUE_ORDER)
+    .lean();
+
+    const countStatus = (...statuses) => bookings.filter(booking => statuses.includes(booking.status)).length;
+
+    res.json({
+      date: formatDateString(date),
+      summary: {
+        total: bookings.length,
+        waiting: countStatus(...QueueService.WAITING_STATUSES),
+        inConsultation: countStatus('in-consultation'),
+        completed: countStatus('completed')
+      },
+      bookings: bookings.map(formatDoctorBooking)
+    });
+  } catch (error) {
+    console.error('Error fetching doctor bookings:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// One patient's booking, with their medical record when they chose to share it
+const getDoctorBooking = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    res.json({
+      ...formatDoctorBooking(booking),
+      appointmentDate: formatDateString(booking.appointmentDate),
+      medicalRecord: await MedicalRecordService.getSharedRecord(booking)
+    });
+  } catch (error) {
+    console.error('Error fetching doctor booking:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const callPatient = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await QueueService.updateStatus(
+      { _id: req.doctor.hospital }, booking._id, 'in-consultation', req.user.id, 'doctor'
+    );
+    if (!result.success) {
+      return sendQueueError(res, result.error);
+    }
+
+    res.json(result.data);
+  } catch (error) {
+    console.error('Error calling patient:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const completeConsultation = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await QueueService.updateStatus(
+      { _id: req.doctor.hospital }, booking._id, 'completed', req.user.id, 'doctor'
+    );
+    if (!result.success) {
+      return sendQueueError(res, result.error);
+    }
+
+    if (req.body.completionNotes) {
+      await Booking.updateOne(
+        { _id: booking._id },
+        { $set: { completionNotes: req.body.completionNotes } }
+      );
+    }
+
+    res.json({
+      ...result.data,
+      completionNotes: req.body.completionNotes || booking.completionNotes
+    });
+  } catch (error) {
+    console.error('Error completing consultation:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const sendPrescriptionError = (res, error) => {
+  res.status(PrescriptionService.httpStatusFor(error)).json({ code: error.code, message: error.message });
+};
+
+const addPrescriptions = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await PrescriptionService.addItems(booking, {
+      items: req.body.prescriptions,
+      followUpDate: req.body.followUpDate,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescriptions added successfully',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error adding prescriptions:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const amendPrescription = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const { followUpDate, reason, ...changes } = req.body;
+    const result = await PrescriptionService.amendItem(booking, req.params.itemId, {
+      changes,
+      followUpDate,
+      reason,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescription updated successfully',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error amending prescription:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const signPrescription = async (req, res) => {
+  try {
+    const booking = await findDoctorBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await PrescriptionService.sign(booking, {
+      userId: req.user.id,
+      doctorId: req.doctor._id,
+      followUpDate: req.body.followUpDate
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescription signed and shared with the patient',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error signing prescription:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getDoctorProfile,
+  getDoctorBookings,
+  getDoctorBooking,
+  callPatient,
+  completeConsultation,
+  addPrescriptions,
+  amendPrescription,
+  signPrescription
+};
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const FamilyMember = require('../models/FamilyMember');
+
+const EDITABLE_FIELDS = ['name', 'dateOfBirth', 'gender', 'relation', 'mobile', 'address', 'medicalInfo'];
+
+const formatMember = (member) => ({
+  id: member._id,
+  name: member.name,
+  dateOfBirth: member.dateOfBirth ? member.dateOfBirth.toISOString().split('T')[0] : null,
+  age: member.getAge(),
+  gender: member.gender,
+  relation: member.relation,
+  mobile: member.mobile || null,
+  address: member.address || null,
+  medicalInfo: {
+    bloodGroup: member.medicalInfo?.bloodGroup || null,
+    allergies: member.medicalInfo?.allergies || [],
+    chronicConditions: member.medicalInfo?.chronicConditions || [],
+    currentMedications: member.medicalInfo?.currentMedications || []
+  },
+  createdAt: member.createdAt
+});
+
+// Copies the editable fields present in the request body onto the member
+const applyChanges = (member, body) => {
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    if (field === 'dateOfBirth') {
+      member.dateOfBirth = new Date(body.dateOfBirth);
+    } else if (field === 'medicalInfo') {
+      member.medicalInfo = {
+        bloodGroup: body.medicalInfo.bloodGroup,
+        allergies: body.medicalInfo.allergies || [],
+        chronicConditions: body.medicalInfo.chronicConditions || [],
+        currentMedications: body.medicalInfo.currentMedications || []
+      };
+    } else {
+      member[field] = body[field];
+    }
+  });
+};
+
+const findOwnMember = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.memberId)) return null;
+  return FamilyMember.findOne({ _id: req.params.memberId, user: req.user.id, isActive: true });
+};
+
+const getFamilyMembers = async (req, res) => {
+  try {
+    const members = await FamilyMember.find({ user: req.user.id, isActive: true })
+      .sort({ createdAt: 1 });
+    res.json({ members: members.map(formatMember) });
+  } catch (error) {
+    console.error('Get Family Members Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const getFamilyMember = async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+    if (!member) {
+      return res.status(404).json({ message: 'Family member not found' });
+    }
+    res.json(formatMember(member));
+  } catch (error) {
+    console.error('Get Family Member Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const addFamilyMember = async (req, res) => {
+  try {
+    const count = await FamilyMember.countDocuments({ user: req.user.id, isActive: true });
+    if (count >= FamilyMember.MAX_PER_USER) {
+      return res.status(400).json({
+        message: `An account can have at most ${FamilyMember.MAX_PER_USER} family members`
+      });
+    }
+
+    const member = new FamilyMember({ user: req.user.id });
+    applyChanges(member, req.body);
+    await member.save();
+
+    res.status(201).json(formatMember(member));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add Family Member Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const updateFamilyMember = async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+    if (!member) {
+      return res.status(404).json({ message: 'Family member not found' });
+    }
+
+    applyChanges(member, req.body);
+    await member.save();
+
+    res.json(formatMember(member));
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update Family Member Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The member is hidden rather than deleted so past bookings keep pointing at it
+const removeFamilyMember = async (req, res) => {
+  try {
+    const member = await findOwnMember(req);
+    if (!member) {
+      return res.status(404).json({ message: 'Family member not found' });
+    }
+
+    member.isActive = false;
+    await member.save();
+
+    res.json({ message: 'Family member removed successfully' });
+  } catch (error) {
+    console.error('Remove Family Member Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getFamilyMembers,
+  getFamilyMember,
+  addFamilyMember,
+  updateFamilyMember,
+  removeFamilyMember
+};
@@ -1,8 +1,25 @@
+const mongoose = require('mongoose');
 const Hospital = require('../models/Hospital');
+const HospitalMember = require('../models/HospitalMember');
 const Booking = require('../models/Booking');
+const Doctor = require('../models/Doctor');
 const NotificationService = require('../services/notificationService');
+const AvailabilityService = require('../services/availabilityService');
+const EventService = require('../services/eventService');
+const QueueService = require('../services/queueService');
+const WaitTimeService = require('../services/waitTimeService');
+const RefundPolicyService = require('../services/refundPolicyService');
+const BookingStateMachine = require('../services/bookingStateMachine');
+const WaitlistService = require('../services/waitlistService');
+const MedicalRecordService = require('../services/medicalRecordService');
+const FeeScheduleService = require('../services/feeScheduleService');
+const { parseDateString, toDateKey, getDayRange, nowInIST } = require('../utils/slotUtils');
 const moment = require('moment');
 
+// Consultation fee collected online for a booking. Bookings made before the
+// fee could be collected have no basePrice and count as 0.
+const CONSULTATION_FEE = { $ifNull: ['$payment.breakdown.basePrice', 0] };
+
 const createHospital = async (req, res) => {
   try {
     if (!req.user || !['hospital', 'admin'].includes(req.user.role)) {
@@ -11,8 +28,8 @@ const createHospital = async (req, res) => {
 
     // Check if hospital user already has a hospital
     if (req.user.role === 'hospital') {
-      const existingHospital = await Hospital.findOne({ createdBy: req.user.id });
-      if (existingHospital) {
+      const existingMembership = await HospitalMember.findForUser(req.user.id);
+      if (existingMembership) {
         return res.status(400).json({ 
           message: 'Hospital user can only create one hospital' 
         });
@@ -84,6 +101,15 @@ const createHospital = async (req, res) => {
     });
     
     await hospital.save();
+
+    if (req.user.role === 'hospital') {
+      await HospitalMember.create({
+        hospital: hospital._id,
+        user: req.user.id,
+        role: 'owner'
+      });
+    }
+
     res.status(201).json(hospital);
   } catch (error) {
     res.status(400).json({ message: error.message });
@@ -92,14 +118,7 @@ const createHospital = async (req, res) => {
 
 const updateHospital = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({
-      _id: req.params.id,
-      ...(req.user.role === 'hospital' ? { createdBy: req.user.id } : {})
-    });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found or unauthorized' });
-    }
+    const hospital = req.hospital;
 
     // Process categories if provided
     if (req.body.categories) {
@@ -133,7 +152,7 @@ const updateHospital = async (req, res) => {
     hospital.updatedBy = req.user.id;
     await hospital.save();
     
-    const feeBreakdown = hospital.calculateFees();
+    const feeBreakdown = await FeeScheduleService.getFees(hospital);
     res.json({
       ...hospital.toJSON(),
       feeBreakdown
@@ -145,19 +164,28 @@ const updateHospital = async (req, res) => {
 
 const updateBookingSettings = async (req, res) => {
   try {
-    const { maxOpBookingsPerDay, isOpen, timings } = req.body;
-    const hospital = await Hospital.findOne({
-      _id: req.params.id,
-      createdBy: req.user.id
-    });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const { maxOpBookingsPerDay, isOpen, timings, reschedulePolicy, collectConsultationFee } = req.body;
+    const hospital = req.hospital;
 
     if (maxOpBookingsPerDay) hospital.maxOpBookingsPerDay = maxOpBookingsPerDay;
     if (typeof isOpen !== 'undefined') hospital.isOpen = isOpen;
     if (timings) hospital.timings = timings;
+    if (typeof collectConsultationFee !== 'undefined') {
+      if (typeof collectConsultationFee !== 'boolean') {
+        return res.status(400).json({ message: 'collectConsultationFee must be true or false' });
+      }
+      hospital.collectConsultationFee = collectConsultationFee;
+    }
+    if (reschedulePolicy) {
+      for (const field of ['maxReschedules', 'cutoffHours']) {
+        const value = reschedulePolicy[field];
+        if (value === undefined) continue;
+        if (typeof value !== 'number' || value < 0) {
+          return res.status(400).json({ message: `reschedulePolicy.${field} must be a number, 0 or more` });
+        }
+        hospital.reschedulePolicy[field] = value;
+      }
+    }
 
     await hospital.save();
     res.json(hospital);
@@ -169,17 +197,16 @@ const updateBookingSettings = async (req, res) => {
 const getHospitalBookings = async (req, res) => {
   try {
     const { status, date } = req.query;
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Build query
     const query = { hospital: hospital._id };
 
     // Add status filter if provided and valid
-    const validStatuses = ['pending', 'confirmed', 'completed', 'cancelled', 'rejected'];
+    const validStatuses = [
+      'pending', 'confirmed', 'checked-in', 'in-consultation', 'skipped',
+      'no-show', 'completed', 'cancelled', 'rejected'
+    ];
     if (status && status !== 'all' && validStatuses.includes(status)) {
       query.status = status;
     }
@@ -199,6 +226,8 @@ const getHospitalBookings = async (req, res) => {
       .sort({ appointmentDate: 1, timeSlot: 1 })
       .lean();
 
+    const waitTimes = await WaitTimeService.estimateForBookings(bookings);
+
     // Transform bookings to match UI format
     const formattedBookings = bookings.map(booking => ({
       id: booking._id,
@@ -209,11 +238,12 @@ const getHospitalBookings = async (req, res) => {
       doctorName: booking.doctorName || 'To be assigned',
       department: booking.specialization,
       appointmentTime: booking.timeSlot,
-      estimatedTime: booking.timeSlot,
+      estimatedTime: waitTimes.get(booking._id.toString())?.estimatedStartTime || booking.timeSlot,
+      waitTime: waitTimes.get(booking._id.toString()) || null,
       date: booking.appointmentDate.toISOString().split('T')[0],
       status: booking.status,
       contactNumber: booking.patientDetails.mobile,
-      fee: booking.payment.breakdown.basePrice,
+      fee: booking.payment.breakdown.basePrice || 0,
       symptoms: booking.symptoms,
       priority: booking.priority || 'normal',
       user: {
@@ -226,7 +256,7 @@ const getHospitalBookings = async (req, res) => {
         method: booking.payment.method,
         details: {
           ...booking.payment.breakdown,
-          amount: booking.payment.breakdown.basePrice
+          amount: booking.payment.breakdown.basePrice || 0
         }
       }
     }));
@@ -243,20 +273,27 @@ const updateBookingStatus = async (req, res) => {
     const { status, rejectionReason } = req.body;
     const booking = await Booking.findOne({
       _id: req.params.bookingId,
-      hospital: req.params.id
+      hospital: req.hospital._id
     });
 
     if (!booking) {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    booking.status = status;
-    if (status === 'rejected') {
-      booking.rejectionReason = rejectionReason;
+    const result = await BookingStateMachine.transition(booking, status, {
+      actor: 'hospital',
+      userId: req.user.id,
+      reason: rejectionReason
+    });
+
+    if (!result.success) {
+      return res.status(BookingStateMachine.httpStatusFor(result.error)).json({
+        message: result.error.message,
+        error: result.error
+      });
     }
-    await booking.save();
 
-    res.json(booking);
+    res.json(result.booking);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
@@ -264,11 +301,7 @@ const updateBookingStatus = async (req, res) => {
 
 const getDashboardStats = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Get date ranges
     const today = new Date();
@@ -322,7 +355,7 @@ const getDashboardStats = async (req, res) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$payment.breakdown.basePrice' }
+            total: { $sum: CONSULTATION_FEE }
           }
         }
       ]),
@@ -351,7 +384,7 @@ const getDashboardStats = async (req, res) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$payment.breakdown.basePrice' }
+            total: { $sum: CONSULTATION_FEE }
           }
         }
       ]),
@@ -547,24 +580,19 @@ const getHospitals = async (req, res) => {
     const bookingCountMap = new Map(
       bookingCounts.map(item => [item._id.toString(), item.todayBookingsCount])
     );
+    const calculateFees = await FeeScheduleService.getCalculator();
 
     const hospitalsWithData = await Promise.all(hospitals.map(async hospital => {
-      const totalSlotsPerDay = calculateTotalSlots(hospital.timings);
-      const availableSlots = await calculateAvailableSlots(
-        hospital._id,
-        new Date(),
-        totalSlotsPerDay,
-        hospital.patientsPerSlot || 1
-      );
+      const availability = await AvailabilityService.getDayAvailability(hospital, nowInIST());
 
       return {
         ...hospital.toJSON(),
-        feeBreakdown: hospital.calculateFees(),
+        feeBreakdown: calculateFees(hospital),
         todayBookingsCount: bookingCountMap.get(hospital._id.toString()) || 0,
         remainingSlots: hospital.maxOpBookingsPerDay - (bookingCountMap.get(hospital._id.toString()) || 0),
-        totalSlotsPerDay,
-        availableSlots,
-        patientsPerSlot: hospital.patientsPerSlot || 1
+        totalSlotsPerDay: availability.slots.length,
+        availableSlots: availability.remainingCapacity,
+        patientsPerSlot: availability.patientsPerSlot
       };
     }));
 
@@ -584,13 +612,7 @@ const getHospital = async (req, res) => {
       return res.status(404).json({ message: 'Hospital not found' });
     }
 
-    const totalSlotsPerDay = calculateTotalSlots(hospital.timings);
-    const availableSlots = await calculateAvailableSlots(
-      hospital._id,
-      new Date(),
-      totalSlotsPerDay,
-      hospital.patientsPerSlot || 1
-    );
+    const availability = await AvailabilityService.getDayAvailability(hospital, nowInIST());
 
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -606,33 +628,63 @@ const getHospital = async (req, res) => {
       status: { $in: ['confirmed', 'pending'] }
     });
 
-    const feeBreakdown = hospital.calculateFees();
+    const feeBreakdown = await FeeScheduleService.getFees(hospital);
     res.json({
       ...hospital.toJSON(),
       feeBreakdown,
       todayBookingsCount,
       remainingSlots: hospital.maxOpBookingsPerDay - todayBookingsCount,
-      totalSlotsPerDay,
-      availableSlots,
-      patientsPerSlot: hospital.patientsPerSlot || 1
+      totalSlotsPerDay: availability.slots.length,
+      availableSlots: availability.remainingCapacity,
+      patientsPerSlot: availability.patientsPerSlot
     });
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 };
 
-const deleteHospital = async (req, res) => {
+const getHospitalAvailability = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({
-      _id: req.params.id,
-      ...(req.user.role === 'hospital' ? { createdBy: req.user.id } : {})
-    });
-    
+    const date = parseDateString(req.query.date);
+    if (!date) {
+      return res.status(400).json({
+        message: 'Please provide date in DD-MM-YYYY format (e.g., 25-12-2024)'
+      });
+    }
+
+    const today = nowInIST();
+    today.setUTCHours(0, 0, 0, 0);
+    if (date < today) {
+      return res.status(400).json({ message: 'Cannot check availability for a past date' });
+    }
+
+    const hospital = await Hospital.findById(req.params.id);
     if (!hospital) {
       return res.status(404).json({ message: 'Hospital not found' });
     }
 
-    await hospital.remove();
+    let doctor = null;
+    if (req.query.doctorId) {
+      doctor = await Doctor.findOne({ _id: req.query.doctorId, hospital: hospital._id, isActive: true });
+      if (!doctor) {
+        return res.status(404).json({ message: 'Doctor not found' });
+      }
+    }
+
+    const availability = await AvailabilityService.getDayAvailability(hospital, date, doctor);
+    res.json(availability);
+  } catch (error) {
+    console.error('Error fetching hospital availability:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const deleteHospital = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    await Hospital.deleteOne({ _id: hospital._id });
+    await HospitalMember.deleteMany({ hospital: hospital._id });
     res.json({ message: 'Hospital deleted successfully' });
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -651,7 +703,7 @@ const getFilteredHospitals = async (req, res) => {
         // Hospital users can see their own hospitals (any status) and other approved & active hospitals
         query = {
           $or: [
-            { createdBy: req.user.id },
+            { _id: { $in: await HospitalMember.distinct('hospital', { user: req.user.id, status: 'active' }) } },
             { status: 'approved', isOpen: true }
           ]
         };
@@ -702,10 +754,11 @@ const getFilteredHospitals = async (req, res) => {
     const bookingCountMap = new Map(
       bookingCounts.map(item => [item._id.toString(), item.todayBookingsCount])
     );
+    const calculateFees = await FeeScheduleService.getCalculator();
 
     const hospitalsWithData = hospitals.map(hospital => ({
       ...hospital.toJSON(),
-      feeBreakdown: hospital.calculateFees(),
+      feeBreakdown: calculateFees(hospital),
       todayBookingsCount: bookingCountMap.get(hospital._id.toString()) || 0,
       remainingSlots: hospital.maxOpBookingsPerDay - (bookingCountMap.get(hospital._id.toString()) || 0)
     }));
@@ -718,11 +771,7 @@ const getFilteredHospitals = async (req, res) => {
 
 const getHospitalSettings = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     const settings = {
       maxOpBookingsPerDay: hospital.maxOpBookingsPerDay,
@@ -730,7 +779,8 @@ const getHospitalSettings = async (req, res) => {
       opBookingPrice: hospital.opBookingPrice,
       emergencyServices: hospital.emergencyServices,
       doctors: hospital.doctors,
-      categories: hospital.categories
+      categories: hospital.categories,
+      tokenSettings: hospital.tokenSettings
     };
 
     res.json(settings);
@@ -741,11 +791,7 @@ const getHospitalSettings = async (req, res) => {
 
 const updateHospitalSettings = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     const allowedUpdates = [
       'maxOpBookingsPerDay',
@@ -753,7 +799,8 @@ const updateHospitalSettings = async (req, res) => {
       'opBookingPrice',
       'emergencyServices',
       'doctors',
-      'categories'
+      'categories',
+      'tokenSettings'
     ];
 
     allowedUpdates.forEach(update => {
@@ -771,14 +818,7 @@ const updateHospitalSettings = async (req, res) => {
 
 const updateHospitalActiveStatus = async (req, res) => {
   try {
-    // First find the hospital using createdBy
-    const hospital = await Hospital.findOne({
-      createdBy: req.user.id  // Use createdBy instead of _id
-    });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     hospital.isOpen = req.body.isOpen;
     await hospital.save();
@@ -807,11 +847,7 @@ const calculateRevenue = async (hospitalId, startDate, endDate) => {
 const updateHospitalBookingPrice = async (req, res) => {
   try {
     const { price } = req.body;
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     const { opBookingPrice } = req.body;
     
@@ -867,7 +903,7 @@ const getHospitalProfile = async (req, res) => {
         {
           $group: {
             _id: null,
-            total: { $sum: '$payment.breakdown.basePrice' }
+            total: { $sum: CONSULTATION_FEE }
           }
         }
       ])
@@ -891,8 +927,8 @@ const getHospitalProfile = async (req, res) => {
         maxOpBookingsPerDay: hospital.maxOpBookingsPerDay,
         timings: hospital.timings,
         slotSettings: {
-          patientsPerSlot: hospital.patientsPerSlot || 1,
-          totalSlotsPerDay: calculateTotalSlots(hospital.timings)
+          patientsPerSlot: AvailabilityService.getPatientsPerSlot(hospital),
+          totalSlotsPerDay: calculateTotalSlots(hospital)
         }
       },
       medicalServices: {
@@ -926,7 +962,7 @@ const getHospitalProfile = async (req, res) => {
     };
 
     // Calculate fee breakdown
-    const feeBreakdown = hospital.calculateFees();
+    const feeBreakdown = await FeeScheduleService.getFees(hospital);
 
     res.json({
       ...hospitalProfile,
@@ -939,7 +975,7 @@ const getHospitalProfile = async (req, res) => {
 
 const getOwnHospitalProfile = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id })
+    const hospital = await Hospital.findById(req.hospital._id)
       .populate('createdBy', 'email role')
       .populate('updatedBy', 'email role')
       .populate('approvedBy', 'email role')
@@ -950,6 +986,7 @@ const getOwnHospitalProfile = async (req, res) => {
     }
 
     // Calculate total slots per day based on timings
+    const slotDuration = AvailabilityService.getSlotDuration(hospital);
     const calculateTotalSlots = (timings) => {
       if (!timings || !timings.length) return 0;
       
@@ -958,7 +995,7 @@ const getOwnHospitalProfile = async (req, res) => {
         const start = moment(timing.openTime, 'HH:mm');
         const end = moment(timing.closeTime, 'HH:mm');
         const duration = moment.duration(end.diff(start));
-        return Math.floor(duration.asMinutes() / 30);
+        return Math.floor(duration.asMinutes() / slotDuration);
       });
 
       return Math.max(...slotsPerDay);
@@ -967,7 +1004,7 @@ const getOwnHospitalProfile = async (req, res) => {
     // Calculate slots with patients per slot for each timing
     const timingsWithSlots = hospital.timings.map(timing => ({
       ...timing,
-      maxPatientsPerSlot: hospital.patientsPerSlot || 1
+      maxPatientsPerSlot: AvailabilityService.getPatientsPerSlot(hospital)
     }));
 
     const totalSlotsPerDay = calculateTotalSlots(hospital.timings);
@@ -1004,10 +1041,10 @@ const getOwnHospitalProfile = async (req, res) => {
         maxOpBookingsPerDay: hospital.maxOpBookingsPerDay,
         timings: timingsWithSlots,
         slotSettings: {
-          patientsPerSlot: hospital.patientsPerSlot || 1,
+          patientsPerSlot: AvailabilityService.getPatientsPerSlot(hospital),
           totalSlotsPerDay: totalSlotsPerDay,
-          maxPatientsPerDay: totalSlotsPerDay * (hospital.patientsPerSlot || 1),
-          totalCapacityPerSlot: hospital.patientsPerSlot || 1
+          maxPatientsPerDay: totalSlotsPerDay * AvailabilityService.getPatientsPerSlot(hospital),
+          totalCapacityPerSlot: AvailabilityService.getPatientsPerSlot(hospital)
         }
       },
       medicalServices: {
@@ -1055,7 +1092,7 @@ const getOwnHospitalProfile = async (req, res) => {
         remainingSlots: hospital.maxOpBookingsPerDay - todayBookings
       },
       feeBreakdown: typeof hospital.calculateFees === 'function' 
-        ? hospital.calculateFees() 
+        ? await FeeScheduleService.getFees(hospital) 
         : {
             basePrice: hospital.opBookingPrice,
             platformFee: Math.ceil(hospital.opBookingPrice * 0.018),
@@ -1073,11 +1110,7 @@ const getOwnHospitalProfile = async (req, res) => {
 
 const updateHospitalProfile = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     const {
       basicInfo,
@@ -1130,6 +1163,7 @@ const updateHospitalProfile = async (req, res) => {
         if (operationalDetails.slotSettings.patientsPerSlot && 
             operationalDetails.slotSettings.patientsPerSlot >= 1) {
           hospital.patientsPerSlot = operationalDetails.slotSettings.patientsPerSlot;
+          hospital.slotSettings.patientsPerSlot = operationalDetails.slotSettings.patientsPerSlot;
         }
       }
     }
@@ -1192,8 +1226,8 @@ const updateHospitalProfile = async (req, res) => {
         maxOpBookingsPerDay: updatedHospital.maxOpBookingsPerDay,
         timings: updatedHospital.timings,
         slotSettings: {
-          patientsPerSlot: updatedHospital.patientsPerSlot || 1,
-          totalSlotsPerDay: calculateTotalSlots(updatedHospital.timings)
+          patientsPerSlot: AvailabilityService.getPatientsPerSlot(updatedHospital),
+          totalSlotsPerDay: calculateTotalSlots(updatedHospital)
         }
       },
       medicalServices: {
@@ -1218,10 +1252,7 @@ const updateHospitalProfile = async (req, res) => {
 const getBookingDetails = async (req, res) => {
   try {
     // First find the hospital
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Find the specific booking
     const booking = await Booking.findOne({
@@ -1254,11 +1285,11 @@ const getBookingDetails = async (req, res) => {
       priority: booking.priority || 'normal',
       payment: {
         status: booking.payment.status,
-        amount: booking.payment.breakdown.basePrice,
+        amount: booking.payment.breakdown.basePrice || 0,
         method: booking.payment.method,
         breakdown: {
           ...booking.payment.breakdown,
-          amount: booking.payment.breakdown.basePrice
+          amount: booking.payment.breakdown.basePrice || 0
         }
       },
       user: {
@@ -1266,6 +1297,8 @@ const getBookingDetails = async (req, res) => {
         email: booking.user?.email,
         phone: booking.user?.phoneNumber
       },
+      // Only present when the patient consented to share it for this booking
+      medicalRecord: await MedicalRecordService.getSharedRecord(booking),
       createdAt: booking.createdAt,
       updatedAt: booking.updatedAt
     };
@@ -1282,10 +1315,7 @@ const manageBooking = async (req, res) => {
     const { status, rejectionReason } = req.body;
 
     // Find the hospital first
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Find the booking and use lean() to get a plain JavaScript object
     const booking = await Booking.findOne({
@@ -1305,32 +1335,19 @@ const manageBooking = async (req, res) => {
       });
     }
 
-    // Validate rejection reason if status is rejected
-    if (status === 'rejected' && !rejectionReason) {
-      return res.status(400).json({ 
-        message: 'Rejection reason is required when rejecting a booking' 
-      });
-    }
-
-    // Only update the status and rejection reason
-    const updateData = { status };
-    if (status === 'rejected') {
-      updateData.rejectionReason = rejectionReason;
-    }
-
-    // Use findOneAndUpdate to avoid validation issues with required fields
-    const updatedBooking = await Booking.findOneAndUpdate(
-      { _id: booking._id },
-      { $set: updateData },
-      { 
-        new: true, // Return the updated document
-        runValidators: false // Skip validation since we're only updating status
-      }
-    ).populate('user', 'name email phoneNumber');
+    const result = await BookingStateMachine.transition(booking, status, {
+      actor: 'hospital',
+      userId: req.user.id,
+      reason: rejectionReason
+    });
 
-    if (!updatedBooking) {
-      return res.status(404).json({ message: 'Booking not found after update' });
+    if (!result.success) {
+      return res.status(BookingStateMachine.httpStatusFor(result.error)).json({
+        message: result.error.message,
+        error: result.error
+      });
     }
+    const updatedBooking = await result.booking.populate('user', 'name email phoneNumber');
 
     // Format the response
     const response = {
@@ -1371,10 +1388,7 @@ const updateBookingToken = async (req, res) => {
     }
 
     // Find the hospital first
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Find the booking
     const booking = await Booking.findOne({
@@ -1386,11 +1400,11 @@ const updateBookingToken = async (req, res) => {
       return res.status(404).json({ message: 'Booking not found' });
     }
 
-    // Validate token number format (e.g., ABC001)
-    const tokenRegex = /^[A-Z]{3}\d{3}$/;
+    // Validate token number format (e.g., ABC001, ABCE001)
+    const tokenRegex = /^[A-Z0-9]{1,12}$/;
     if (!tokenRegex.test(tokenNumber)) {
       return res.status(400).json({ 
-        message: 'Invalid token number format. Must be 3 uppercase letters followed by 3 digits (e.g., ABC001)' 
+        message: 'Invalid token number format. Use up to 12 uppercase letters and digits (e.g., ABC001)' 
       });
     }
 
@@ -1421,7 +1435,17 @@ const updateBookingToken = async (req, res) => {
 
     // Update token number
     booking.tokenNumber = tokenNumber;
-    await booking.save();
+    try {
+      await booking.save();
+    } catch (error) {
+      // Another booking took the token after the check above
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        message: 'Token number already in use for this date'
+      });
+    }
+    EventService.publishBookingUpdate(booking, 'token.updated');
+    await QueueService.publishQueueUpdate(hospital._id, booking.appointmentDate);
 
     // Return success response with old and new token numbers
     res.json({
@@ -1535,11 +1559,7 @@ const getHospitalsForPatients = async (req, res) => {
 const getHospitalReports = async (req, res) => {
   try {
     const { range = 'week' } = req.query;
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Calculate date range
     const endDate = new Date();
@@ -1581,7 +1601,7 @@ const getHospitalReports = async (req, res) => {
                   { $eq: ['$status', 'completed'] },
                   { $eq: ['$payment.status', 'completed'] }
                 ]},
-                '$payment.breakdown.basePrice',
+                CONSULTATION_FEE,
                 0
               ]
             }
@@ -1616,7 +1636,7 @@ const getHospitalReports = async (req, res) => {
       {
         $group: {
           _id: '$payment.method',
-          amount: { $sum: '$payment.amount' },
+          amount: { $sum: CONSULTATION_FEE },
           count: { $sum: 1 }
         }
       }
@@ -1734,12 +1754,12 @@ const getHospitalReports = async (req, res) => {
   }
 };
 
+// Bookings for a saved family member belong to the member, the rest to the account holder
+const patientIdOf = (booking) => booking.familyMember?._id || booking.familyMember || booking.user?._id || booking.user;
+
 const getHospitalPatients = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+    const hospital = req.hospital;
 
     // Get today's date range
     const today = new Date();
@@ -1758,6 +1778,7 @@ const getHospitalPatients = async (req, res) => {
         }
       })
       .populate('user', 'name email phoneNumber')
+      .populate('familyMember', 'relation')
       .sort({ timeSlot: 1 })
       .lean(),
 
@@ -1768,6 +1789,7 @@ const getHospitalPatients = async (req, res) => {
         status: { $in: ['confirmed', 'pending'] }
       })
       .populate('user', 'name email phoneNumber')
+      .populate('familyMember', 'relation')
       .sort({ appointmentDate: 1, timeSlot: 1 })
       .lean(),
 
@@ -1777,6 +1799,7 @@ const getHospitalPatients = async (req, res) => {
         appointmentDate: { $lt: today }
       })
       .populate('user', 'name email phoneNumber')
+      .populate('familyMember', 'relation')
       .sort({ appointmentDate: -1 })
       .limit(50) // Limit to last 50 bookings
       .lean(),
@@ -1789,7 +1812,8 @@ const getHospitalPatients = async (req, res) => {
         {
           $group: {
             _id: null,
-            totalPatients: { $addToSet: '$user' }, // Unique patients
+            // Family members booked from one account are separate patients
+            totalPatients: { $addToSet: { user: '$user', familyMember: '$familyMember' } },
             todayPatients: {
               $sum: {
                 $cond: [
@@ -1809,9 +1833,13 @@ const getHospitalPatients = async (req, res) => {
       ])
     ]);
 
+    const waitTimes = await WaitTimeService.estimateForBookings([...todayBookings, ...upcomingBookings]);
+
     // Format patient data
     const formatBooking = (booking) => ({
       id: booking._id,
+      patientId: patientIdOf(booking),
+      relation: booking.familyMember?.relation || null,
       patientName: booking.patientDetails.name,
       patientAge: booking.patientDetails.age,
       patientGender: booking.patientDetails.gender,
@@ -1823,6 +1851,7 @@ const getHospitalPatients = async (req, res) => {
       symptoms: booking.symptoms,
       department: booking.specialization,
       doctorName: booking.doctorName,
+      waitTime: waitTimes.get(booking._id.toString()) || null,
       user: {
         name: booking.user?.name,
         email: booking.user?.email,
@@ -1830,7 +1859,7 @@ const getHospitalPatients = async (req, res) => {
       },
       payment: {
         status: booking.payment.status,
-        amount: booking.payment.breakdown.basePrice
+        amount: booking.payment.breakdown.basePrice || 0
       }
     });
 
@@ -1861,13 +1890,66 @@ const getHospitalPatients = async (req, res) => {
   }
 };
 
-const getPaymentStats = async (req, res) => {
+// Visits to this hospital by one patient, identified by the patientId from the patient list
+const getPatientHistory = async (req, res) => {
   try {
-    const hospital = await Hospital.findOne({ createdBy: req.user.id });
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
+    const { patientId } = req.params;
+    if (!mongoose.isValidObjectId(patientId)) {
+      return res.status(404).json({ message: 'Patient not found' });
     }
 
+    const bookings = await Booking.find({
+      hospital: req.hospital._id,
+      $or: [
+        { familyMember: patientId },
+        { user: patientId, familyMember: null }
+      ]
+    })
+      .populate('familyMember', 'name relation')
+      .sort({ appointmentDate: -1 })
+      .lean();
+
+    if (!bookings.length) {
+      return res.status(404).json({ message: 'Patient not found' });
+    }
+
+    const latest = bookings[0];
+    // Only from a booking the patient shared their record with
+    const consented = bookings.find(booking => MedicalRecordService.isShared(booking));
+    res.json({
+      patient: {
+        id: patientId,
+        name: latest.patientDetails.name,
+        age: latest.patientDetails.age,
+        gender: latest.patientDetails.gender,
+        contactNumber: latest.patientDetails.mobile,
+        relation: latest.familyMember?.relation || null,
+        medicalRecord: consented ? await MedicalRecordService.getSharedRecord(consented) : null
+      },
+      visits: bookings.map(booking => ({
+        id: booking._id,
+        appointmentDate: booking.appointmentDate,
+        timeSlot: booking.timeSlot,
+        tokenNumber: booking.tokenNumber,
+        status: booking.status,
+        symptoms: booking.symptoms,
+        healthIssue: booking.patientDetails.healthIssue,
+        department: booking.specialization,
+        doctorName: booking.doctorName,
+        completionNotes: booking.completionNotes,
+        prescriptions: booking.prescriptions
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching patient history:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const getPaymentStats = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
     // Get today's date range
     const today = new Date();
     today.setHours(0, 0, 0, 0);
@@ -1890,7 +1972,7 @@ const getPaymentStats = async (req, res) => {
               $sum: {
                 $cond: [
                   { $eq: ['$payment.status', 'completed'] },
-                  '$payment.breakdown.basePrice',
+                  CONSULTATION_FEE,
                   0
                 ]
               }
@@ -1898,8 +1980,8 @@ const getPaymentStats = async (req, res) => {
             pendingAmount: {
               $sum: {
                 $cond: [
-                  { $ne: ['$payment.status', 'completed'] },
-                  { $ifNull: ['$payment.breakdown.basePrice', 0] },
+                  { $eq: ['$payment.status', 'pending'] },
+                  CONSULTATION_FEE,
                   0
                 ]
               }
@@ -1936,7 +2018,7 @@ const getPaymentStats = async (req, res) => {
               $sum: {
                 $cond: [
                   { $eq: ['$payment.status', 'completed'] },
-                  '$payment.breakdown.basePrice',
+                  CONSULTATION_FEE,
                   0
                 ]
               }
@@ -1996,7 +2078,7 @@ const getPaymentStats = async (req, res) => {
 
 const updateSlotSettings = async (req, res) => {
   try {
-    const { patientsPerSlot } = req.body;
+    const { patientsPerSlot, slotDuration } = req.body;
     
     // Validate input
     if (!patientsPerSlot || patientsPerSlot < 1) {
@@ -2005,15 +2087,14 @@ const updateSlotSettings = async (req, res) => {
       });
     }
 
-    // Find hospital using createdBy from the JWT token
-    const hospital = await Hospital.findOne({ 
-      createdBy: req.user.id
-    });
-
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
+    if (slotDuration !== undefined && ![15, 20, 30, 45, 60].includes(slotDuration)) {
+      return res.status(400).json({
+        message: 'Slot duration must be one of 15, 20, 30, 45 or 60 minutes'
+      });
     }
 
+    const hospital = req.hospital;
+
     // Check if hospital has timings set
     if (!hospital.timings || hospital.timings.length === 0) {
       return res.status(400).json({ 
@@ -2023,6 +2104,10 @@ const updateSlotSettings = async (req, res) => {
 
     // Update slot settings
     hospital.patientsPerSlot = patientsPerSlot;
+    hospital.slotSettings.patientsPerSlot = patientsPerSlot;
+    if (slotDuration !== undefined) {
+      hospital.slotSettings.slotDuration = slotDuration;
+    }
     await hospital.save();
 
     // Return response
@@ -2031,6 +2116,7 @@ const updateSlotSettings = async (req, res) => {
       message: 'Slot settings updated successfully',
       data: {
         patientsPerSlot: hospital.patientsPerSlot,
+        slotDuration: AvailabilityService.getSlotDuration(hospital),
         hospitalName: hospital.name,
         timings: hospital.timings.map(timing => ({
           day: timing.day,
@@ -2050,41 +2136,160 @@ const updateSlotSettings = async (req, res) => {
   }
 };
 
-// Helper function to calculate total slots per day
-const calculateTotalSlots = (timings) => {
-  let totalSlots = 0;
-  timings.forEach(timing => {
-    if (timing.isOpen) {
-      const [openHour, openMin] = timing.openTime.split(':').map(Number);
-      const [closeHour, closeMin] = timing.closeTime.split(':').map(Number);
-      
-      // Calculate total minutes
-      const totalMinutes = (closeHour * 60 + closeMin) - (openHour * 60 + openMin);
-      // Each slot is 30 minutes
-      totalSlots += Math.floor(totalMinutes / 30);
+const getCancellationPolicy = async (req, res) => {
+  try {
+    const { source, policy } = await RefundPolicyService.getPolicy(req.hospital);
+    res.json({
+      source,
+      policy,
+      platformPolicy: source === 'platform' ? policy : await RefundPolicyService.getPlatformPolicy()
+    });
+  } catch (error) {
+    console.error('Error fetching cancellation policy:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Send { useDefault: true } to go back to the platform policy
+const updateCancellationPolicy = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    if (req.body.useDefault === true) {
+      hospital.cancellationPolicy = undefined;
+    } else {
+      const error = RefundPolicyService.validatePolicy(req.body);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+
+      hospital.cancellationPolicy = {
+        tiers: req.body.tiers.map(({ hoursBefore, refundPercent }) => ({ hoursBefore, refundPercent })),
+        afterStartRefundPercent: req.body.afterStartRefundPercent ?? 0,
+        emergencyFeeRefundable: !!req.body.emergencyFeeRefundable
+      };
     }
-  });
-  return totalSlots;
+
+    hospital.updatedBy = req.user.id;
+    await hospital.save();
+
+    const { source, policy } = await RefundPolicyService.getPolicy(hospital);
+    res.json({
+      message: 'Cancellation policy updated successfully',
+      source,
+      policy
+    });
+  } catch (error) {
+    console.error('Error updating cancellation policy:', error);
+    res.status(400).json({ message: error.message });
+  }
 };
 
-// Helper function to calculate available slots
-const calculateAvailableSlots = async (hospitalId, date, totalSlots, patientsPerSlot) => {
-  const startOfDay = new Date(date);
-  startOfDay.setHours(0, 0, 0, 0);
-  const endOfDay = new Date(date);
-  endOfDay.setHours(23, 59, 59, 999);
+// Closes the hospital for a day: no new bookings are taken for it and every
+// booking already made for it is cancelled with a full refund
+const addClosedDay = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+    const { date: dateString, reason } = req.body;
 
-  const bookedAppointments = await Booking.countDocuments({
-    hospital: hospitalId,
-    appointmentDate: {
-      $gte: startOfDay,
-      $lt: endOfDay
-    },
-    status: { $in: ['confirmed', 'pending'] }
-  });
-
-  const totalCapacity = totalSlots * patientsPerSlot;
-  return totalCapacity - bookedAppointments;
+    const date = parseDateString(dateString);
+    if (!date) {
+      return res.status(400).json({ message: 'date must be in DD-MM-YYYY format' });
+    }
+    if (toDateKey(date) < toDateKey(nowInIST())) {
+      return res.status(400).json({ message: 'Cannot close the hospital on a past date' });
+    }
+
+    if (!hospital.isClosedOn(date)) {
+      hospital.closedDays.push({ date, reason });
+      hospital.updatedBy = req.user.id;
+      await hospital.save();
+    }
+
+    const { start, end } = getDayRange(date);
+    const bookings = await Booking.find({
+      hospital: hospital._id,
+      appointmentDate: { $gte: start, $lt: end },
+      status: { $in: AvailabilityService.ACTIVE_STATUSES }
+    }).populate('hospital');
+
+    const cancelled = [];
+    const failed = [];
+    for (const booking of bookings) {
+      try {
+        // Keep going when a refund fails; reconciliation reports it for a manual refund
+        const result = await BookingStateMachine.transition(booking, 'cancelled', {
+          actor: 'hospital',
+          userId: req.user.id,
+          reason: reason || 'Hospital closed for the day',
+          closeOnRefundFailure: true
+        });
+
+        if (!result.success) {
+          failed.push({ bookingId: booking._id, tokenNumber: booking.tokenNumber, error: result.error });
+        } else {
+          cancelled.push({
+            bookingId: booking._id,
+            tokenNumber: booking.tokenNumber,
+            refundAmount: result.refundError ? 0 : result.refund.refundAmount,
+            refundError: result.refundError || undefined
+          });
+        }
+      } catch (error) {
+        console.error(`Error cancelling booking ${booking._id} for closed day:`, error);
+        failed.push({ bookingId: booking._id, tokenNumber: booking.tokenNumber, error: { message: error.message } });
+      }
+    }
+
+    // Nobody will be offered a seat on a closed day
+    await WaitlistService.closeDay(hospital._id, date);
+
+    res.json({
+      message: `Hospital closed on ${dateString}`,
+      closedDays: hospital.closedDays,
+      cancelled,
+      failed
+    });
+  } catch (error) {
+    console.error('Error closing hospital for the day:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Reopens a closed day for new bookings; cancelled bookings stay cancelled
+const removeClosedDay = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const date = parseDateString(req.params.date);
+    if (!date) {
+      return res.status(400).json({ message: 'date must be in DD-MM-YYYY format' });
+    }
+    if (!hospital.isClosedOn(date)) {
+      return res.status(404).json({ message: 'The hospital is not closed on this date' });
+    }
+
+    hospital.closedDays = hospital.closedDays.filter(closure => toDateKey(closure.date) !== toDateKey(date));
+    hospital.updatedBy = req.user.id;
+    await hospital.save();
+
+    res.json({
+      message: `Hospital reopened on ${req.params.date}`,
+      closedDays: hospital.closedDays
+    });
+  } catch (error) {
+    console.error('Error reopening closed day:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Helper function to calculate total slots across the configured timings
+const calculateTotalSlots = (hospital) => {
+  const slotDuration = AvailabilityService.getSlotDuration(hospital);
+  return (hospital.timings || []).reduce(
+    (total, timing) => total + AvailabilityService.buildSlots(timing, slotDuration).length,
+    0
+  );
 };
 
 module.exports = {
@@ -2092,6 +2297,7 @@ module.exports = {
   updateHospital,
   getHospitals,
   getHospital,
+  getHospitalAvailability,
   deleteHospital,
   updateHospitalStatus,
   getHospitalBookings,
@@ -2112,6 +2318,11 @@ module.exports = {
   getHospitalsForPatients,
   getHospitalReports,
   getHospitalPatients,
+  getPatientHistory,
   getPaymentStats,
-  updateSlotSettings
+  updateSlotSettings,
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  addClosedDay,
+  removeClosedDay
 };
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const InvoiceService = require('../services/invoiceService');
+
+const getMyInvoices = async (req, res) => {
+  try {
+    const query = { user: req.user.id };
+    if (req.query.bookingId) {
+      if (!mongoose.isValidObjectId(req.query.bookingId)) {
+        return res.status(400).json({ message: 'Invalid booking ID' });
+      }
+      query.booking = req.query.bookingId;
+    }
+
+    const invoices = await Invoice.find(query).sort({ issuedAt: -1 }).lean();
+    res.json({
+      count: invoices.length,
+      invoices: invoices.map(invoice => InvoiceService.format(invoice))
+    });
+  } catch (error) {
+    console.error('Error fetching invoices:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const downloadInvoice = async (req, res) => {
+  try {
+    const invoice = mongoose.isValidObjectId(req.params.invoiceId)
+      ? await Invoice.findOne({ _id: req.params.invoiceId, user: req.user.id }).lean()
+      : null;
+    if (!invoice) {
+      return res.status(404).json({ message: 'Invoice not found' });
+    }
+
+    const filename = invoice.number.replace(/\//g, '-');
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename=${filename}.pdf`);
+    InvoiceService.renderPdf(invoice, res);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getMyInvoices,
+  downloadInvoice
+};
@@ -0,0 +1,274 @@
+const bcrypt = require('bcryptjs');
+const HospitalMember = require('../models/HospitalMember');
+const User = require('../models/User');
+
+// Doctor members are created through the doctor login endpoints so they stay
+// linked to a Doctor profile
+const STAFF_ROLES = ['owner', 'receptionist', 'billing'];
+
+const formatMember = (member) => ({
+  id: member._id,
+  role: member.role,
+  permissions: member.permissions,
+  status: member.status,
+  doctor: member.doctor,
+  user: member.user && {
+    id: member.user._id,
+    name: member.user.name,
+    email: member.user.email
+  },
+  createdAt: member.createdAt
+});
+
+// Returns an error message for an invalid permission list, or null
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return 'permissions must be an array';
+  }
+  const unknown = permissions.filter(permission => !HospitalMember.PERMISSIONS.includes(permission));
+  if (unknown.length > 0) {
+    return `Unknown permissions: ${unknown.join(', ')}`;
+  }
+  return null;
+};
+
+// Only owners (and platform admins) can make, change or remove an owner,
+// so staff:manage alone cannot be used to take over the hospital
+const canManageOwners = (req) => req.user.role === 'admin' || req.membership?.role === 'owner';
+
+const isSelf = (req, member) => member.user.toString() === req.user.id.toString();
+
+// A hospital must always keep at least one active owner
+const isLastOwner = async (member) => {
+  if (member.role !== 'owner') return false;
+  const owners = await HospitalMember.countDocuments({
+    hospital: member.hospital,
+    role: 'owner',
+    status: 'active'
+  });
+  return owners <= 1;
+};
+
+const getMembers = async (req, res) => {
+  try {
+    const query = { hospital: req.hospital._id };
+    if (req.query.includeRevoked !== 'true') {
+      query.status = 'active';
+    }
+
+    const members = await HospitalMember.find(query)
+      .populate('user', 'name email')
+      .sort({ createdAt: 1 });
+
+    res.json(members.map(formatMember));
+  } catch (error) {
+    console.error('Error fetching hospital members:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Add a staff member by creating their login. An existing login is only
+// accepted back when it was a member here before and was removed; logins of
+// other hospitals are never attached without their owner's say.
+const addMember = async (req, res) => {
+  try {
+    const { name, email, password, role, permissions } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({ message: 'Please provide email and role' });
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        message: `Role must be one of ${STAFF_ROLES.join(', ')}. Doctor logins are created from the doctor's profile.`
+      });
+    }
+
+    if (role === 'owner' && !canManageOwners(req)) {
+      return res.status(403).json({ message: 'Only an owner can add another owner' });
+    }
+
+    if (permissions !== undefined) {
+      const error = validatePermissions(permissions);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    }
+
+    let user = await User.findOne({ email: email.toLowerCase() });
+    const formerMember = user && user.role === 'hospital'
+      && await HospitalMember.exists({ hospital: req.hospital._id, user: user._id });
+    if (user && !formerMember) {
+      return res.status(400).json({ message: 'An account with this email already exists' });
+    }
+
+    if (!user) {
+      if (!name || !password) {
+        return res.status(400).json({ message: 'Name and password are required for a new staff login' });
+      }
+
+      const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+      if (!emailRegex.test(email)) {
+        return res.status(400).json({ message: 'Invalid email format' });
+      }
+
+      if (password.length < 8) {
+        return res.status(400).json({ message: 'Password must be at least 8 characters' });
+      }
+
+      const salt = await bcrypt.genSalt(10);
+      user = new User({
+        name,
+        email,
+        password: await bcrypt.hash(password, salt),
+        role: 'hospital'
+      });
+      await user.save();
+    }
+
+    let member = await HospitalMember.findOne({ hospital: req.hospital._id, user: user._id });
+    if (member && member.status === 'active') {
+      return res.status(400).json({ message: 'This user is already a member of the hospital' });
+    }
+
+    // Re-adding a revoked member starts them over with the new role
+    if (!member) {
+      member = new HospitalMember({ hospital: req.hospital._id, user: user._id });
+    }
+    member.role = role;
+    member.permissions = permissions ?? HospitalMember.ROLE_PERMISSIONS[role];
+    member.status = 'active';
+    member.invitedBy = req.user.id;
+    await member.save();
+
+    await member.populate('user', 'name email');
+    res.status(201).json(formatMember(member));
+  } catch (error) {
+    console.error('Error adding hospital member:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const updateMember = async (req, res) => {
+  try {
+    const { role, permissions } = req.body;
+
+    const member = await HospitalMember.findOne({
+      _id: req.params.memberId,
+      hospital: req.hospital._id,
+      status: 'active'
+    });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (role !== undefined && role !== member.role) {
+      if (isSelf(req, member)) {
+        return res.status(403).json({ message: 'You cannot change your own role' });
+      }
+      if ((role === 'owner' || member.role === 'owner') && !canManageOwners(req)) {
+        return res.status(403).json({ message: 'Only an owner can make or change an owner' });
+      }
+    }
+
+    if (role !== undefined) {
+      if (member.role === 'doctor' || role === 'doctor') {
+        return res.status(400).json({ message: 'Doctor members are managed from the doctor\'s profile' });
+      }
+      if (!STAFF_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of ${STAFF_ROLES.join(', ')}` });
+      }
+      if (role !== 'owner' && await isLastOwner(member)) {
+        return res.status(400).json({ message: 'A hospital must have at least one owner' });
+      }
+    }
+
+    if (permissions !== undefined) {
+      const error = validatePermissions(permissions);
+      if (error) {
+        return res.status(400).json({ message: error });
+      }
+    }
+
+    if (role !== undefined && role !== member.role) {
+      member.role = role;
+      // A new role brings its default permissions unless new ones are given
+      member.permissions = HospitalMember.ROLE_PERMISSIONS[role];
+    }
+    if (permissions !== undefined) {
+      member.permissions = permissions;
+    }
+    await member.save();
+
+    await member.populate('user', 'name email');
+    res.json(formatMember(member));
+  } catch (error) {
+    console.error('Error updating hospital member:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Revoke rather than delete so the member's past actions keep their reference
+const removeMember = async (req, res) => {
+  try {
+    const member = await HospitalMember.findOne({
+      _id: req.params.memberId,
+      hospital: req.hospital._id,
+      status: 'active'
+    });
+    if (!member) {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+
+    if (member.role === 'doctor') {
+      return res.status(400).json({ message: 'Remove the doctor\'s login from the doctor\'s profile instead' });
+    }
+
+    if (member.role === 'owner' && !canManageOwners(req)) {
+      return res.status(403).json({ message: 'Only an owner can remove an owner' });
+    }
+
+    if (await isLastOwner(member)) {
+      return res.status(400).json({ message: 'A hospital must have at least one owner' });
+    }
+
+    member.status = 'revoked';
+    await member.save();
+
+    res.json({ message: 'Member removed successfully' });
+  } catch (error) {
+    console.error('Error removing hospital member:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The current user's own role and permissions at the selected hospital
+const getMyMembership = async (req, res) => {
+  try {
+    if (!req.membership) {
+      return res.status(404).json({ message: 'Membership not found' });
+    }
+
+    res.json({
+      hospital: {
+        id: req.hospital._id,
+        name: req.hospital.name
+      },
+      role: req.membership.role,
+      permissions: req.membership.role === 'owner'
+        ? HospitalMember.PERMISSIONS
+        : req.membership.permissions
+    });
+  } catch (error) {
+    console.error('Error fetching membership:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  getMyMembership
+};
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const PrescriptionService = require('../services/prescriptionService');
+
+const sendPrescriptionError = (res, error) => {
+  res.status(PrescriptionService.httpStatusFor(error)).json({ code: error.code, message: error.message });
+};
+
+const findHospitalBooking = async (req) => {
+  if (!mongoose.isValidObjectId(req.params.bookingId)) return null;
+  return Booking.findOne({ _id: req.params.bookingId, hospital: req.hospital._id });
+};
+
+const getBookingPrescription = async (req, res) => {
+  try {
+    const booking = await findHospitalBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    await booking.populate('prescriptionDetails.doctor', 'name specialization');
+    res.json({
+      ...PrescriptionService.format(booking),
+      amendments: booking.prescriptionDetails?.amendments || []
+    });
+  } catch (error) {
+    console.error('Error fetching prescription:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const addBookingPrescriptions = async (req, res) => {
+  try {
+    const booking = await findHospitalBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await PrescriptionService.addItems(booking, {
+      items: req.body.prescriptions,
+      followUpDate: req.body.followUpDate,
+      reason: req.body.reason,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescriptions added successfully',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error adding prescriptions:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const amendBookingPrescription = async (req, res) => {
+  try {
+    const booking = await findHospitalBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const { followUpDate, reason, ...changes } = req.body;
+    const result = await PrescriptionService.amendItem(booking, req.params.itemId, {
+      changes,
+      followUpDate,
+      reason,
+      userId: req.user.id
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescription updated successfully',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error amending prescription:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Staff with prescriptions:sign sign in the name of the doctor assigned to the booking
+const signBookingPrescription = async (req, res) => {
+  try {
+    const booking = await findHospitalBooking(req);
+    if (!booking) {
+      return res.status(404).json({ message: 'Booking not found' });
+    }
+
+    const result = await PrescriptionService.sign(booking, {
+      userId: req.user.id,
+      followUpDate: req.body.followUpDate
+    });
+    if (!result.success) {
+      return sendPrescriptionError(res, result.error);
+    }
+
+    res.json({
+      message: 'Prescription signed and shared with the patient',
+      prescription: PrescriptionService.format(result.data)
+    });
+  } catch (error) {
+    console.error('Error signing prescription:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const getMyPrescriptions = async (req, res) => {
+  try {
+    const prescriptions = await PrescriptionService.listForUser(req.user.id);
+    res.json({ count: prescriptions.length, prescriptions });
+  } catch (error) {
+    console.error('Error fetching prescriptions:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getBookingPrescription,
+  addBookingPrescriptions,
+  amendBookingPrescription,
+  signBookingPrescription,
+  getMyPrescriptions
+};
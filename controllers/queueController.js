@@ -0,0 +1,91 @@
+const QueueService = require('../services/queueService');
+const { parseDateString, nowInIST } = require('../utils/slotUtils');
+
+const sendQueueError = (res, error) => {
+  const status = error.code === 'BOOKING_NOT_FOUND' ? 404 : 400;
+  res.status(status).json({ code: error.code, message: error.message });
+};
+
+const getQueue = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    let date = nowInIST();
+    if (req.query.date) {
+      date = parseDateString(req.query.date);
+      if (!date) {
+        return res.status(400).json({ message: 'Please provide date in DD-MM-YYYY format' });
+      }
+    }
+
+    const queue = await QueueService.getQueue(hospital, date);
+    res.json(queue);
+  } catch (error) {
+    console.error('Error fetching queue:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const callNextToken = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const result = await QueueService.callNext(hospital, req.user.id);
+    if (!result.success) {
+      return sendQueueError(res, result.error);
+    }
+
+    res.json(result.data);
+  } catch (error) {
+    console.error('Error calling next token:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const updateQueueStatus = async (req, res) => {
+  try {
+    const { status } = req.body;
+
+    const validStatuses = ['checked-in', 'in-consultation', 'skipped', 'no-show', 'completed'];
+    if (!validStatuses.includes(status)) {
+      return res.status(400).json({
+        message: `Invalid status. Must be one of ${validStatuses.join(', ')}`
+      });
+    }
+
+    const hospital = req.hospital;
+
+    const result = await QueueService.updateStatus(hospital, req.params.bookingId, status, req.user.id);
+    if (!result.success) {
+      return sendQueueError(res, result.error);
+    }
+
+    res.json(result.data);
+  } catch (error) {
+    console.error('Error updating queue status:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const recallToken = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const result = await QueueService.recall(hospital, req.params.bookingId, req.user.id);
+    if (!result.success) {
+      return sendQueueError(res, result.error);
+    }
+
+    res.json(result.data);
+  } catch (error) {
+    console.error('Error recalling token:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getQueue,
+  callNextToken,
+  updateQueueStatus,
+  recallToken
+};
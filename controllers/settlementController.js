@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Settlement = require('../models/Settlement');
+const LedgerEntry = require('../models/LedgerEntry');
+const SettlementService = require('../services/settlementService');
+
+const sendCsv = (res, filename, csv) => {
+  res.setHeader('Content-Type', 'text/csv');
+  res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+  res.send(csv);
+};
+
+const getMySettlements = async (req, res) => {
+  try {
+    const hospital = req.hospital;
+
+    const query = { hospital: hospital._id };
+    if (Settlement.STATUSES.includes(req.query.status)) query.status = req.query.status;
+
+    const [summary, settlements] = await Promise.all([
+      SettlementService.getSummary(hospital._id),
+      Settlement.find(query).sort({ periodStart: -1 }).lean()
+    ]);
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `settlements-${hospital._id}.csv`, SettlementService.settlementsCsv(settlements));
+    }
+
+    res.json({
+      summary,
+      settlements: settlements.map(settlement => SettlementService.format(settlement))
+    });
+  } catch (error) {
+    console.error('Error fetching settlements:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// The ledger entries paid out by one settlement
+const getMySettlement = async (req, res) => {
+  try {
+    const settlement = mongoose.isValidObjectId(req.params.settlementId)
+      ? await Settlement.findOne({ _id: req.params.settlementId, hospital: req.hospital._id }).lean()
+      : null;
+    if (!settlement) {
+      return res.status(404).json({ message: 'Settlement not found' });
+    }
+
+    const entries = await LedgerEntry.find({ settlement: settlement._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    if (req.query.format === 'csv') {
+      return sendCsv(res, `settlement-${settlement._id}.csv`, SettlementService.entriesCsv(entries));
+    }
+
+    res.json({
+      ...SettlementService.format(settlement),
+      entries: entries.map(entry => SettlementService.formatEntry(entry))
+    });
+  } catch (error) {
+    console.error('Error fetching settlement:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  getMySettlements,
+  getMySettlement
+};
@@ -0,0 +1,94 @@
+const Hospital = require('../models/Hospital');
+const HospitalMember = require('../models/HospitalMember');
+const EventService = require('../services/eventService');
+const QueueService = require('../services/queueService');
+const { signStreamToken, STREAM_TOKEN_TTL_SECONDS } = require('../middlewares/auth');
+
+const HEARTBEAT_INTERVAL = 25000;
+
+const writeEvent = (res, { event, data }) => {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+// Keep the response open and forward everything published on the given channels
+const openStream = (req, res, channels, initialEvent) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  if (initialEvent) {
+    writeEvent(res, initialEvent);
+  }
+
+  const unsubscribers = channels.map(channel =>
+    EventService.subscribe(channel, message => writeEvent(res, message))
+  );
+
+  // Comment lines keep proxies from closing idle connections
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribers.forEach(unsubscribe => unsubscribe());
+  });
+};
+
+// A token to open the event stream with, as EventSource cannot send the login JWT
+const issueStreamToken = (req, res) => {
+  res.json({
+    token: signStreamToken(req.user),
+    expiresIn: STREAM_TOKEN_TTL_SECONDS
+  });
+};
+
+const streamEvents = async (req, res) => {
+  try {
+    const channels = [EventService.userChannel(req.user.id)];
+
+    // Staff who can see the hospital's bookings also get its booking and queue events
+    if (req.user.role === 'hospital') {
+      const membership = await HospitalMember.findForUser(req.user.id, req.header('X-Hospital-Id') || req.query.hospitalId);
+      if (membership && membership.hasPermission('bookings:view')) {
+        channels.push(EventService.hospitalChannel(membership.hospital._id));
+      }
+    }
+
+    openStream(req, res, channels, {
+      event: 'connected',
+      data: { userId: req.user.id, role: req.user.role }
+    });
+  } catch (error) {
+    console.error('Error opening event stream:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const streamDisplayBoard = async (req, res) => {
+  try {
+    const hospital = await Hospital.findById(req.params.id).select('_id');
+    if (!hospital) {
+      return res.status(404).json({ message: 'Hospital not found' });
+    }
+
+    const board = await QueueService.getDisplayBoard(hospital._id);
+
+    openStream(req, res, [EventService.displayChannel(hospital._id)], {
+      event: 'display.updated',
+      data: board
+    });
+  } catch (error) {
+    console.error('Error opening display board stream:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  issueStreamToken,
+  streamEvents,
+  streamDisplayBoard
+};
@@ -1,5 +1,8 @@
 const User = require('../models/User');
 const Booking = require('../models/Booking');
+const QueueService = require('../services/queueService');
+const WaitTimeService = require('../services/waitTimeService');
+const { toDateKey, nowInIST } = require('../utils/slotUtils');
 
 // Get user profile
 const getUserProfile = async (req, res) => {
@@ -89,12 +92,15 @@ const updateUserProfile = async (req, res) => {
         city: location.city,
         state: location.state,
         country: location.country,
-        pincode: location.pincode,
-        coordinates: {
-          type: "Point",
-          coordinates: location.coordinates?.coordinates || [0, 0]
-        }
+        pincode: location.pincode
       };
+      // Only a real point is stored so it can be found by the location index
+      if (location.coordinates?.coordinates) {
+        updateData.location.coordinates = {
+          type: "Point",
+          coordinates: location.coordinates.coordinates
+        };
+      }
     }
 
     if (emergencyContact) {
@@ -125,11 +131,8 @@ const updateUserProfile = async (req, res) => {
     }
 
     // Validate coordinates if provided
-    if (location?.coordinates?.coordinates) {
-      const [longitude, latitude] = location.coordinates.coordinates;
-      if (longitude < -180 || longitude > 180 || latitude < -90 || latitude > 90) {
-        return res.status(400).json({ message: 'Invalid coordinates' });
-      }
+    if (location?.coordinates?.coordinates && !User.isValidCoordinates(location.coordinates.coordinates)) {
+      return res.status(400).json({ message: 'Invalid coordinates' });
     }
 
     // Update the user
@@ -172,6 +175,9 @@ const updateUserProfile = async (req, res) => {
 
     res.json(response);
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update Profile Error:', error);
     res.status(500).json({ 
       message: 'Error updating profile',
@@ -207,6 +213,7 @@ const getMyBookings = async (req, res) => {
 
     const bookings = await Booking.find(query)
       .populate('hospital', 'name location')
+      .populate('familyMember', 'name relation')
       .sort({ appointmentDate: -1 })
       .lean();
 
@@ -214,6 +221,16 @@ const getMyBookings = async (req, res) => {
       return res.status(404).json({ message: 'No bookings found' });
     }
 
+    // Live queue position for today's bookings
+    const today = toDateKey(nowInIST());
+    const queuePositions = new Map();
+    await Promise.all(bookings
+      .filter(booking => toDateKey(booking.appointmentDate) === today)
+      .map(async booking => {
+        queuePositions.set(booking._id.toString(), await QueueService.getQueuePosition(booking));
+      }));
+    const waitTimes = await WaitTimeService.estimateForBookings(bookings);
+
     // Format the response
     const formattedBookings = bookings.map(booking => ({
       ...booking,
@@ -228,6 +245,8 @@ const getMyBookings = async (req, res) => {
       doctorName: booking.doctorName || null,
       specialty: booking.specialty || null,
       tokenNumber: booking.tokenNumber || null,
+      queue: queuePositions.get(booking._id.toString()) || null,
+      waitTime: waitTimes.get(booking._id.toString()) || null,
       payment: {
         ...booking.payment,
         status: booking.payment?.status || 'pending'
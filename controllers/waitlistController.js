@@ -0,0 +1,76 @@
+const WaitlistService = require('../services/waitlistService');
+const { parseDateString, nowInIST, getDayRange } = require('../utils/slotUtils');
+
+const joinWaitlist = async (req, res) => {
+  try {
+    const { hospitalId, date, doctorId } = req.body;
+    if (!hospitalId || !date) {
+      return res.status(400).json({ message: 'hospitalId and date are required' });
+    }
+
+    const result = await WaitlistService.join(req.user.id, { hospitalId, date, doctorId });
+    if (!result.success) {
+      return res.status(result.error.code === 'ALREADY_WAITLISTED' ? 409 : 400).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `You are number ${result.data.position} on the waitlist. We will notify you if a slot opens up.`,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await WaitlistService.listForUser(req.user.id, {
+      includeClosed: req.query.includeClosed === 'true'
+    });
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+const leaveWaitlist = async (req, res) => {
+  try {
+    const result = await WaitlistService.leave(req.params.id, req.user.id);
+    if (!result.success) {
+      return res.status(404).json({ message: result.error.message });
+    }
+    res.json({ success: true, message: 'You have left the waitlist', data: result.data });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+// Defaults to today
+const getHospitalWaitlist = async (req, res) => {
+  try {
+    const date = req.query.date ? parseDateString(req.query.date) : getDayRange(nowInIST()).start;
+    if (!date) {
+      return res.status(400).json({ message: 'date must be in DD-MM-YYYY format' });
+    }
+
+    const entries = await WaitlistService.getHospitalWaitlist(req.hospital._id, date);
+    res.json({ success: true, data: entries });
+  } catch (error) {
+    console.error('Error fetching hospital waitlist:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getHospitalWaitlist
+};
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const WebhookEvent = require('../models/WebhookEvent');
+const RazorpayService = require('../services/razorpayService');
+const PaymentService = require('../services/paymentService');
+
+// Razorpay amounts are in paise
+const toRupees = (paise) => (paise || 0) / 100;
+
+const toPayment = (entity) => ({
+  paymentId: entity.id,
+  orderId: entity.order_id,
+  amount: toRupees(entity.amount),
+  status: entity.status,
+  method: entity.method,
+  email: entity.email,
+  contact: entity.contact,
+  createdAt: entity.created_at,
+  errorCode: entity.error_code,
+  errorDescription: entity.error_description
+});
+
+const findPaymentBooking = (payment) => PaymentService.findBooking({
+  orderId: payment?.order_id,
+  paymentId: payment?.id,
+  bookingId: payment?.notes?.bookingId
+});
+
+// Each handler returns the booking it changed, or null when there was nothing to apply
+const EVENT_HANDLERS = {
+  'payment.captured': async ({ payment }) => {
+    const booking = await findPaymentBooking(payment?.entity);
+    if (!booking) return null;
+    return PaymentService.markPaid(booking._id, toPayment(payment.entity));
+  },
+
+  'order.paid': async ({ order, payment }) => {
+    const booking = await PaymentService.findBooking({
+      orderId: order?.entity?.id,
+      bookingId: order?.entity?.notes?.bookingId || order?.entity?.receipt
+    });
+    if (!booking || !payment?.entity) return null;
+    return PaymentService.markPaid(booking._id, toPayment(payment.entity));
+  },
+
+  'payment.failed': async ({ payment }) => {
+    const booking = await findPaymentBooking(payment?.entity);
+    if (!booking) return null;
+    return PaymentService.markFailed(booking._id, toPayment(payment.entity));
+  },
+
+  'refund.processed': async ({ refund, payment }) => {
+    const entity = refund?.entity;
+    if (!entity) return null;
+
+    const booking = await PaymentService.findBooking({
+      paymentId: entity.payment_id,
+      orderId: payment?.entity?.order_id
+    });
+    if (!booking) return null;
+
+    return PaymentService.markRefunded(booking._id, {
+      refundId: entity.id,
+      amount: toRupees(entity.amount),
+      processedAt: entity.created_at ? new Date(entity.created_at * 1000) : new Date()
+    });
+  }
+};
+
+const handleRazorpayWebhook = async (req, res) => {
+  const signature = req.header('X-Razorpay-Signature');
+  if (!RazorpayService.verifyWebhookSignature(req.body, signature)) {
+    return res.status(400).json({ message: 'Invalid webhook signature' });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    return res.status(400).json({ message: 'Invalid webhook payload' });
+  }
+
+  // Retried deliveries carry the same event id
+  const eventId = req.header('X-Razorpay-Event-Id') ||
+    crypto.createHash('sha256').update(req.body).digest('hex');
+
+  let webhookEvent;
+  try {
+    webhookEvent = await WebhookEvent.claim('razorpay', eventId, payload.event);
+    if (!webhookEvent) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    const handler = EVENT_HANDLERS[payload.event];
+    const booking = handler ? await handler(payload.payload || {}) : null;
+
+    webhookEvent.status = booking ? 'processed' : 'ignored';
+    webhookEvent.booking = booking?._id;
+    webhookEvent.processedAt = new Date();
+    await webhookEvent.save();
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error('Razorpay webhook error:', error);
+    if (webhookEvent) {
+      webhookEvent.status = 'failed';
+      webhookEvent.error = error.message;
+      await webhookEvent.save().catch(saveError => console.error('Error saving webhook event:', saveError));
+    }
+    // A non-2xx response makes Razorpay retry the delivery
+    res.status(500).json({ message: 'Webhook processing failed' });
+  }
+};
+
+module.exports = {
+  handleRazorpayWebhook
+};
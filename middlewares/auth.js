@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config/db');
+const Doctor = require('../models/Doctor');
 
 const auth = async (req, res, next) => {
   try {
@@ -10,6 +11,10 @@ const auth = async (req, res, next) => {
     }
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Stream tokens can only open event streams
+    if (decoded.scope) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
     req.user = decoded;
     next();
   } catch (error) {
@@ -18,6 +23,36 @@ const auth = async (req, res, next) => {
   }
 };
 
+const STREAM_SCOPE = 'stream';
+const STREAM_TOKEN_TTL_SECONDS = 60;
+
+// A short-lived token that only opens event streams, for URLs where the
+// login JWT would end up in logs and browser history
+const signStreamToken = (user) => jwt.sign(
+  { id: user.id, role: user.role, scope: STREAM_SCOPE },
+  process.env.JWT_SECRET,
+  { expiresIn: STREAM_TOKEN_TTL_SECONDS }
+);
+
+// EventSource cannot set headers, so streams may pass a stream token as
+// ?token=. Login JWTs are only taken in the Authorization header.
+const streamAuth = (req, res, next) => {
+  if (req.header('Authorization') || !req.query.token) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const decoded = jwt.verify(req.query.token, process.env.JWT_SECRET);
+    if (decoded.scope !== STREAM_SCOPE) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+    req.user = decoded;
+    next();
+  } catch (error) {
+    res.status(401).json({ message: 'Invalid token' });
+  }
+};
+
 const checkRole = (roles) => {
   return (req, res, next) => {
     if (!roles.includes(req.user.role)) {
@@ -27,4 +62,19 @@ const checkRole = (roles) => {
   };
 };
 
-module.exports = { auth, checkRole };
+// Attach the active Doctor profile linked to a doctor account as req.doctor
+const loadDoctor = async (req, res, next) => {
+  try {
+    const doctor = await Doctor.findOne({ user: req.user.id, isActive: true });
+    if (!doctor) {
+      return res.status(403).json({ message: 'Doctor account is not active' });
+    }
+    req.doctor = doctor;
+    next();
+  } catch (error) {
+    console.error('Doctor Auth Error:', error);
+    res.status(500).json({ message: error.message });
+  }
+};
+
+module.exports = { auth, streamAuth, signStreamToken, STREAM_TOKEN_TTL_SECONDS, checkRole, loadDoctor };
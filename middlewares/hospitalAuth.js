@@ -1,26 +1,63 @@
 // middlewares/hospitalAuth.js
 
+const mongoose = require('mongoose');
 const Hospital = require('../models/Hospital');
+const HospitalMember = require('../models/HospitalMember');
 
-const checkHospitalOwnership = async (req, res, next) => {
-  try {
-    const hospital = await Hospital.findById(req.params.id);
-    
-    if (!hospital) {
-      return res.status(404).json({ message: 'Hospital not found' });
-    }
+// Resolve the hospital the current staff user works for and check one of
+// their permissions. Routes with a hospital :id act on that hospital; other
+// routes use the X-Hospital-Id header or the user's first membership.
+// Sets req.hospital and req.membership (null for admins). Doctor logins use
+// the doctor portal (loadDoctor) instead.
+const STAFF_ROLES = ['hospital', 'admin'];
 
-    // Allow access if user is admin or owns the hospital
-    if (req.user.role === 'admin' || 
-        (req.user.role === 'hospital' && hospital.createdBy.toString() === req.user.id)) {
-      req.hospital = hospital;
-      return next();
-    }
+const hospitalAccess = (permission = null) => {
+  return async (req, res, next) => {
+    try {
+      if (!STAFF_ROLES.includes(req.user.role)) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      const requestedId = mongoose.isValidObjectId(req.params.id)
+        ? req.params.id
+        : req.header('X-Hospital-Id');
+
+      if (req.user.role === 'admin' && requestedId) {
+        const hospital = await Hospital.findById(requestedId);
+        if (!hospital) {
+          return res.status(404).json({ message: 'Hospital not found' });
+        }
+        req.hospital = hospital;
+        req.membership = null;
+        return next();
+      }
 
-    res.status(403).json({ message: 'Unauthorized access' });
-  } catch (error) {
-    res.status(500).json({ message: error.message });
-  }
+      if (requestedId && !mongoose.isValidObjectId(requestedId)) {
+        return res.status(400).json({ message: 'Invalid hospital ID' });
+      }
+
+      const membership = await HospitalMember.findForUser(req.user.id, requestedId);
+      if (!membership) {
+        return requestedId
+          ? res.status(403).json({ message: 'Unauthorized access' })
+          : res.status(404).json({ message: 'Hospital not found' });
+      }
+
+      if (permission && !membership.hasPermission(permission)) {
+        return res.status(403).json({
+          message: 'You do not have permission to perform this action',
+          permission
+        });
+      }
+
+      req.hospital = membership.hospital;
+      req.membership = membership;
+      next();
+    } catch (error) {
+      console.error('Hospital Access Error:', error);
+      res.status(500).json({ message: error.message });
+    }
+  };
 };
 
-module.exports = { checkHospitalOwnership };
\ No newline at end of file
+module.exports = { hospitalAccess };
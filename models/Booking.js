@@ -1,4 +1,92 @@
 const mongoose = require('mongoose');
+const Hospital = require('./Hospital');
+const TokenCounter = require('./TokenCounter');
+const { toDateKey, getDayRange } = require('../utils/slotUtils');
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: String,
+    enum: ['user', 'hospital', 'doctor', 'admin', 'system']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One move of the appointment to another day or slot
+const rescheduleSchema = new mongoose.Schema({
+  fromDate: Date,
+  fromTimeSlot: String,
+  fromTokenNumber: String,
+  toDate: Date,
+  toTimeSlot: String,
+  toTokenNumber: String,
+  actor: {
+    type: String,
+    enum: ['user', 'hospital']
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// One medicine on the prescription
+const prescriptionItemSchema = new mongoose.Schema({
+  medicine: {
+    type: String,
+    required: true
+  },
+  dosage: String,
+  frequency: String,
+  duration: String,
+  instructions: String,
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now
+  },
+  amendedAt: Date
+});
+
+// A change made to the prescription after it was signed
+const prescriptionAmendmentSchema = new mongoose.Schema({
+  item: mongoose.Schema.Types.ObjectId,
+  action: {
+    type: String,
+    enum: ['added', 'amended']
+  },
+  // Item fields as they were before the change
+  previous: mongoose.Schema.Types.Mixed,
+  reason: String,
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
 
 const bookingSchema = new mongoose.Schema({
   user: {
@@ -40,11 +128,36 @@ const bookingSchema = new mongoose.Schema({
   tokenNumber: {
     type: String
   },
+  // Sequence issued by TokenCounter and the appointment day it belongs to
+  tokenSequence: {
+    type: Number
+  },
+  tokenDate: {
+    type: String
+  },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'rejected', 'cancelled', 'completed'],
+    enum: [
+      'pending',
+      'confirmed',
+      'checked-in',
+      'in-consultation',
+      'skipped',
+      'no-show',
+      'rejected',
+      'cancelled',
+      'completed'
+    ],
     default: 'pending'
   },
+  // Every status the booking has been in, oldest first (see BookingStateMachine)
+  statusHistory: [statusChangeSchema],
+  reschedules: [rescheduleSchema],
+  // OP queue timestamps
+  checkedInAt: Date,
+  calledAt: Date,
+  skippedAt: Date,
+  completedAt: Date,
   payment: {
     orderId: String,
     paymentId: String,
@@ -56,11 +169,19 @@ const bookingSchema = new mongoose.Schema({
     },
     status: {
       type: String,
-      enum: ['pending', 'completed', 'failed', 'refunded'],
+      enum: ['pending', 'completed', 'failed', 'partially-refunded', 'refunded'],
       default: 'pending'
     },
     paidAt: Date,
+    // Gateway response for the captured payment
+    details: mongoose.Schema.Types.Mixed,
+    failureReason: String,
     breakdown: {
+      // Consultation fee collected online, 0 when paid at the hospital
+      basePrice: {
+        type: Number,
+        default: 0
+      },
       platformFee: {
         type: Number,
         required: true
@@ -69,15 +190,43 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         default: 0
       },
+      // Coupon discount on the platform and emergency fees
+      discount: {
+        type: Number,
+        default: 0
+      },
       gst: {
         type: Number,
         required: true
       },
+      // Percent; bookings made before fee schedules were charged 18%
+      gstRate: {
+        type: Number,
+        default: 18
+      },
       total: {
         type: Number,
         required: true
       }
     },
+    // FeeSchedule version the fees were charged under; 0 for the built-in defaults
+    feeScheduleVersion: {
+      type: Number,
+      default: 0
+    },
+    // Held from booking until the payment completes (redeemed) or the
+    // booking is closed unpaid (released)
+    coupon: {
+      coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+      },
+      code: String,
+      reserved: {
+        type: Boolean,
+        default: false
+      }
+    },
     refundDetails: {
       refundId: String,
       amount: Number,
@@ -86,6 +235,30 @@ const bookingSchema = new mongoose.Schema({
     }
   },
   rejectionReason: String,
+  cancelledAt: Date,
+  // Set while a cancellation or rejection is refunding the payment, so that
+  // no other status change can run alongside it
+  closingAt: {
+    type: Date,
+    default: null
+  },
+  // Refund decision recorded when the booking was cancelled
+  cancellation: {
+    cancelledBy: {
+      type: String,
+      enum: ['user', 'hospital', 'system']
+    },
+    reason: String,
+    policySource: {
+      type: String,
+      enum: ['hospital', 'platform']
+    },
+    hoursBeforeStart: Number,
+    refundPercent: Number,
+    refundAmount: Number,
+    nonRefundableAmount: Number
+  },
+  completionNotes: String,
   symptoms: String,
   specialization: String,
   preferredDoctor: {
@@ -118,6 +291,21 @@ const bookingSchema = new mongoose.Schema({
       type: String
     }
   },
+  // Saved family member the booking is for; null when it is for the account holder
+  familyMember: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FamilyMember',
+    default: null
+  },
+  // Whether the hospital may see the patient's medical record for this booking
+  medicalRecordConsent: {
+    shared: {
+      type: Boolean,
+      default: false
+    },
+    grantedAt: Date,
+    revokedAt: Date
+  },
   doctorName: {
     type: String,
     required: false
@@ -126,17 +314,22 @@ const bookingSchema = new mongoose.Schema({
     type: String,
     required: false
   },
-  prescriptions: [{
-    medicine: {
-      type: String
+  prescriptions: [prescriptionItemSchema],
+  // Signing makes the prescription available to the patient; a later change
+  // is recorded as an amendment and needs signing again
+  prescriptionDetails: {
+    followUpDate: Date,
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
     },
-    dosage: {
-      type: String
+    signedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
     },
-    duration: {
-      type: String
-    }
-  }],
+    signedAt: Date,
+    amendments: [prescriptionAmendmentSchema]
+  },
   paymentDetails: {
     amount: {
       type: Number
@@ -156,6 +349,11 @@ const bookingSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Doctor',
     required: false
+  },
+  // Whether this booking still holds a seat in the slot counters
+  capacityHeld: {
+    type: Boolean,
+    default: false
   }
 }, {
   timestamps: true
@@ -165,39 +363,55 @@ const bookingSchema = new mongoose.Schema({
 bookingSchema.index({ hospital: 1, appointmentDate: 1 });
 bookingSchema.index({ user: 1, status: 1 });
 
-// Add this before creating the model
+// A patient's bookings holding a coupon
+bookingSchema.index({ 'payment.coupon.coupon': 1, user: 1 }, { sparse: true });
+
+// A patient's visits to a hospital
+bookingSchema.index({ hospital: 1, user: 1, familyMember: 1, appointmentDate: -1 });
+
+// Token numbers are unique per hospital per day
+bookingSchema.index(
+  { hospital: 1, tokenDate: 1, tokenNumber: 1 },
+  { unique: true, partialFilterExpression: { tokenDate: { $type: 'string' } } }
+);
+
+// Next token for the hospital and appointment day
+bookingSchema.statics.issueToken = async function(hospitalId, appointmentDate, isEmergency = false) {
+  const hospital = await Hospital.findById(hospitalId).select('name tokenSettings');
+  if (!hospital) {
+    throw new Error('Hospital not found');
+  }
+
+  const tokenDate = toDateKey(appointmentDate);
+  const tokenSequence = await TokenCounter.nextSequence(hospital._id, tokenDate, () => {
+    // Days booked before the counter existed continue from their booking count
+    const { start, end } = getDayRange(appointmentDate);
+    return this.countDocuments({
+      hospital: hospital._id,
+      appointmentDate: { $gte: start, $lt: end }
+    });
+  });
+
+  return {
+    tokenDate,
+    tokenSequence,
+    tokenNumber: hospital.formatTokenNumber(tokenSequence, isEmergency)
+  };
+};
+
+// Issue the next token for the hospital and appointment day
 bookingSchema.pre('save', async function(next) {
   try {
     if (!this.tokenNumber) {
-      // Get the hospital details
-      await this.populate('hospital', 'name');
-      
-      if (!this.hospital) {
-        throw new Error('Hospital not found');
-      }
+      const token = await this.constructor.issueToken(
+        this.hospital._id || this.hospital,
+        this.appointmentDate,
+        this.isEmergency
+      );
 
-      // Get hospital prefix (first 3 letters uppercase)
-      const hospitalPrefix = this.hospital.name.substring(0, 3).toUpperCase();
-      
-      // Find bookings for the same hospital and date
-      const startOfDay = new Date(this.appointmentDate);
-      startOfDay.setHours(0, 0, 0, 0);
-      const endOfDay = new Date(this.appointmentDate);
-      endOfDay.setHours(23, 59, 59, 999);
-
-      const sameDayBookings = await this.constructor.find({
-        hospital: this.hospital._id,
-        appointmentDate: {
-          $gte: startOfDay,
-          $lt: endOfDay
-        }
-      }).sort('createdAt');
-
-      // Calculate sequential number
-      const sequentialNumber = sameDayBookings.length + 1;
-      
-      // Set token number
-      this.tokenNumber = `${hospitalPrefix}${sequentialNumber.toString().padStart(3, '0')}`;
+      this.tokenDate = token.tokenDate;
+      this.tokenSequence = token.tokenSequence;
+      this.tokenNumber = token.tokenNumber;
     }
     next();
   } catch (error) {
@@ -205,6 +419,14 @@ bookingSchema.pre('save', async function(next) {
   }
 });
 
+// Start the history with the status the booking was created in
+bookingSchema.pre('save', function(next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, actor: 'user', changedBy: this.user });
+  }
+  next();
+});
+
 const Booking = mongoose.model('Booking', bookingSchema);
 
 module.exports = Booking;
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// A promotional discount on the platform's fees for a booking (the platform
+// and emergency fees, before GST). The consultation fee collected for the
+// hospital is never discounted.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: /^[A-Z0-9_-]{3,20}$/
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  discountType: {
+    type: String,
+    enum: ['flat', 'percent'],
+    required: true
+  },
+  // Rupees for a flat discount, percent of the fees otherwise
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function(value) {
+        return this.discountType !== 'percent' || value <= 100;
+      },
+      message: 'A percentage discount cannot be more than 100'
+    }
+  },
+  // Cap on a percentage discount, in rupees; null for no cap
+  maxDiscount: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  validFrom: {
+    type: Date,
+    required: true
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  // Redemptions across all patients; null for no limit
+  usageLimit: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  perUserLimit: {
+    type: Number,
+    min: 1,
+    default: 1
+  },
+  // Only for patients without an earlier booking
+  firstBookingOnly: {
+    type: Boolean,
+    default: false
+  },
+  // Empty for every hospital. A hospital qualifies if it is listed or is in
+  // one of the categories.
+  hospitals: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  }],
+  categories: [String],
+  // Kept up to date as payments complete
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  // Bookings made with the coupon that are waiting on their payment. They
+  // count towards usageLimit until they are paid or closed.
+  reservedCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Discount on `amount` of platform fees, never more than the fees themselves
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percent'
+    ? Math.round(amount * this.value) / 100
+    : this.value;
+  if (this.maxDiscount != null) discount = Math.min(discount, this.maxDiscount);
+  return Math.min(discount, amount);
+};
+
+couponSchema.methods.appliesTo = function(hospital) {
+  if (!this.hospitals.length && !this.categories.length) return true;
+
+  const hospitalId = hospital._id.toString();
+  const categories = (hospital.categories || []).map(category => category.name);
+  return this.hospitals.some(id => id.toString() === hospitalId)
+    || this.categories.some(category => categories.includes(category));
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// A coupon used on a paid booking. Written once per booking when its payment
+// completes; these count towards the coupon's per-user limit.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
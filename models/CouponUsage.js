@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// Uses of a coupon per patient: redeemed plus still held by unpaid bookings.
+// Bookings take a use with a conditional $inc, so two concurrent requests can
+// never both take the patient's last one.
+const couponUsageSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+couponUsageSchema.index({ coupon: 1, user: 1 }, { unique: true });
+
+// Create the count if missing, seeded with the uses the patient already has
+couponUsageSchema.statics.ensure = async function(key, initialCount) {
+  try {
+    await this.updateOne(key, { $setOnInsert: { count: initialCount } }, { upsert: true });
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Take one use if fewer than `limit` are taken; returns null at the limit
+couponUsageSchema.statics.acquire = function(key, limit) {
+  return this.findOneAndUpdate(
+    { ...key, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+};
+
+couponUsageSchema.statics.release = function(key) {
+  return this.updateOne(
+    { ...key, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+const CouponUsage = mongoose.model('CouponUsage', couponUsageSchema);
+
+module.exports = CouponUsage;
@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { toDateKey, getDayName } = require('../utils/slotUtils');
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Weekly consulting hours, "HH:mm" in 24-hour format like Hospital.timings
+const availabilitySchema = new mongoose.Schema({
+  day: {
+    type: String,
+    enum: ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'],
+    required: true
+  },
+  startTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'Start time must be in HH:mm format']
+  },
+  endTime: {
+    type: String,
+    required: true,
+    match: [TIME_REGEX, 'End time must be in HH:mm format']
+  },
+  isAvailable: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const leaveSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const doctorSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  specialization: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  qualification: {
+    type: String,
+    trim: true
+  },
+  experience: {
+    type: Number, // in years
+    min: 0,
+    default: 0
+  },
+  consultationFee: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  availability: [availabilitySchema],
+  leaveDays: [leaveSchema],
+  // Falls back to the hospital's patients per slot when not set
+  patientsPerSlot: {
+    type: Number,
+    min: 1,
+    max: 10
+  },
+  maxPatientsPerDay: {
+    type: Number,
+    min: 1
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  // Login account created by the hospital (role: doctor)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+doctorSchema.index({ hospital: 1, isActive: 1 });
+doctorSchema.index({ user: 1 }, { unique: true, sparse: true });
+
+doctorSchema.methods.isOnLeave = function(date) {
+  const dateKey = toDateKey(date);
+  return (this.leaveDays || []).some(leave => toDateKey(leave.date) === dateKey);
+};
+
+// Consulting hours for the given date in the shape AvailabilityService expects
+// from Hospital.timings, or null when the doctor is not seeing patients that day
+doctorSchema.methods.getTimingForDate = function(date) {
+  if (!this.isActive || this.isOnLeave(date)) return null;
+
+  const day = getDayName(date);
+  const entry = (this.availability || []).find(slot => slot.day === day && slot.isAvailable);
+  if (!entry) return null;
+
+  return {
+    day,
+    openTime: entry.startTime,
+    closeTime: entry.endTime,
+    isOpen: true
+  };
+};
+
+const Doctor = mongoose.model('Doctor', doctorSchema);
+
+module.exports = Doctor;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A saved patient profile on a user's account, e.g. a child or parent the
+// user books appointments for. Bookings made for the member reference it so
+// the member's visits can be told apart from the account holder's.
+const familyMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    minlength: 2
+  },
+  dateOfBirth: {
+    type: Date,
+    required: true,
+    validate: {
+      validator: value => value <= new Date(),
+      message: 'Date of birth cannot be in the future'
+    }
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other'],
+    required: true
+  },
+  relation: {
+    type: String,
+    enum: ['spouse', 'child', 'parent', 'sibling', 'grandparent', 'other'],
+    required: true
+  },
+  // Defaults for bookings; the account holder's number is used when not set
+  mobile: String,
+  address: String,
+  medicalInfo: {
+    bloodGroup: {
+      type: String,
+      enum: ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-']
+    },
+    allergies: [String],
+    chronicConditions: [String],
+    currentMedications: [String]
+  },
+  // Removed members are kept so their past bookings still resolve
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+familyMemberSchema.index({ user: 1, isActive: 1 });
+
+// Age in whole years on `date`
+familyMemberSchema.methods.getAge = function(date = new Date()) {
+  const on = new Date(date);
+  const dob = new Date(this.dateOfBirth);
+  let age = on.getUTCFullYear() - dob.getUTCFullYear();
+  const birthdayPassed = on.getUTCMonth() > dob.getUTCMonth() ||
+    (on.getUTCMonth() === dob.getUTCMonth() && on.getUTCDate() >= dob.getUTCDate());
+  return birthdayPassed ? age : age - 1;
+};
+
+const FamilyMember = mongoose.model('FamilyMember', familyMemberSchema);
+
+FamilyMember.MAX_PER_USER = 10;
+
+module.exports = FamilyMember;
@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+const SCOPES = ['platform', 'category', 'hospital'];
+
+// Applies until an admin creates a platform schedule
+const DEFAULT_SCHEDULE = {
+  version: 0,
+  scope: 'platform',
+  platformFee: { type: 'flat', value: 30 },
+  emergencyFee: { type: 'flat', value: 100 },
+  gstRate: 18
+};
+
+// A flat amount in rupees, or a percentage of the consultation price
+const feeSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['flat', 'percent'],
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function(value) {
+        return this.type !== 'percent' || value <= 100;
+      },
+      message: 'A percentage fee cannot be more than 100'
+    }
+  }
+}, { _id: false });
+
+// The fees charged on bookings from `effectiveFrom`. A hospital's own
+// schedule wins over one for a category it is listed in, which wins over the
+// platform schedule; within a scope the latest one in effect applies.
+// Bookings keep the version they were charged under, so schedules are never
+// edited: a change is a new version.
+const feeScheduleSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  scope: {
+    type: String,
+    enum: SCOPES,
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: function() {
+      return this.scope === 'hospital';
+    }
+  },
+  // One of Hospital.CATEGORIES
+  category: {
+    type: String,
+    required: function() {
+      return this.scope === 'category';
+    }
+  },
+  platformFee: {
+    type: feeSchema,
+    required: true
+  },
+  emergencyFee: {
+    type: feeSchema,
+    required: true
+  },
+  // GST on the platform and emergency fees, in percent
+  gstRate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 28
+  },
+  effectiveFrom: {
+    type: Date,
+    required: true
+  },
+  // Set when an admin withdraws a schedule that was already in effect
+  endedAt: {
+    type: Date,
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ scope: 1, effectiveFrom: -1 });
+feeScheduleSchema.index({ hospital: 1, effectiveFrom: -1 });
+
+const FeeSchedule = mongoose.model('FeeSchedule', feeScheduleSchema);
+
+FeeSchedule.SCOPES = SCOPES;
+FeeSchedule.DEFAULT_SCHEDULE = DEFAULT_SCHEDULE;
+
+module.exports = FeeSchedule;
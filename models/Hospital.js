@@ -1,8 +1,9 @@
 const mongoose = require('mongoose');
+const { cancellationPolicySchema } = require('./PlatformSetting');
+const FeeSchedule = require('./FeeSchedule');
+const { toDateKey } = require('../utils/slotUtils');
 
-const PLATFORM_FEE = 30;  // Fixed platform fee in rupees
-const EMERGENCY_FEE = 100; // Additional fee for emergency bookings
-const GST_RATE = 0.18;    // 18% GST
+const CATEGORIES = ['Dentistry', 'Cardiology', 'Pulmonology', 'General', 'Neurology', 'Gastroenterology', 'Laboratory', 'Vaccination'];
 
 const timingSchema = new mongoose.Schema({
   day: {
@@ -41,11 +42,23 @@ const doctorSchema = new mongoose.Schema({
   }
 });
 
+// Whole days the hospital takes no OP bookings, e.g. a public holiday
+const closedDaySchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
     required: true,
-    enum: ['Dentistry', 'Cardiology', 'Pulmonology', 'General', 'Neurology', 'Gastroenterology', 'Laboratory', 'Vaccination']
+    enum: CATEGORIES
   }
 });
 
@@ -81,6 +94,11 @@ const hospitalSchema = new mongoose.Schema({
     required: true,
     min: 0
   },
+  // When set, patients pay the consultation fee online along with the platform fee
+  collectConsultationFee: {
+    type: Boolean,
+    default: false
+  },
   doctors: [doctorSchema],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -175,11 +193,53 @@ const hospitalSchema = new mongoose.Schema({
       default: 20
     }
   },
+  // Set together with slotSettings.patientsPerSlot; hospitals that never set
+  // it fall back to slotSettings
   patientsPerSlot: {
     type: Number,
-    default: 1,
     min: 1
   },
+  tokenSettings: {
+    // Defaults to the first three letters of the hospital name when not set
+    prefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 6,
+      match: [/^[A-Z0-9]*$/, 'Token prefix may only contain letters and digits']
+    },
+    emergencyPrefix: {
+      type: String,
+      trim: true,
+      uppercase: true,
+      maxlength: 3,
+      match: [/^[A-Z0-9]*$/, 'Emergency prefix may only contain letters and digits'],
+      default: 'E'
+    },
+    padding: {
+      type: Number,
+      min: 1,
+      max: 6,
+      default: 3
+    }
+  },
+  // Replaces the platform cancellation policy for this hospital when set
+  cancellationPolicy: cancellationPolicySchema,
+  // Limits on patients moving their own appointments
+  reschedulePolicy: {
+    maxReschedules: {
+      type: Number,
+      min: 0,
+      default: 2
+    },
+    // No patient reschedules this many hours before the booked slot
+    cutoffHours: {
+      type: Number,
+      min: 0,
+      default: 2
+    }
+  },
+  closedDays: [closedDaySchema]
 }, {
   timestamps: true
 });
@@ -204,27 +264,75 @@ hospitalSchema.set('toJSON', {
   }
 });
 
-hospitalSchema.methods.calculateFees = function(isEmergency = false) {
-  const platformFee = PLATFORM_FEE;
-  const emergencyFee = isEmergency ? EMERGENCY_FEE : 0;
-  const baseAmount = platformFee + emergencyFee;
-  const gst = Math.round(baseAmount * GST_RATE);  // GST on platform fee and emergency fee
-  const totalAmount = baseAmount + gst;
+hospitalSchema.methods.isClosedOn = function(date) {
+  const dateKey = toDateKey(date);
+  return (this.closedDays || []).some(closure => toDateKey(closure.date) === dateKey);
+};
+
+// Price of a consultation: the doctor's fee when one is chosen, otherwise
+// the hospital's OP price
+hospitalSchema.methods.getConsultationPrice = function(doctor = null) {
+  return doctor?.consultationFee || this.opBookingPrice || 0;
+};
+
+// Consultation fee collected online for a booking. Nothing unless the
+// hospital has opted in.
+hospitalSchema.methods.getConsultationFee = function(doctor = null) {
+  if (!this.collectConsultationFee) return 0;
+  return this.getConsultationPrice(doctor);
+};
+
+// Fees under `schedule` (see FeeScheduleService for the one in effect).
+// Percentage fees are taken from the consultation price. A coupon comes off
+// the platform and emergency fees before GST.
+hospitalSchema.methods.calculateFees = function(isEmergency = false, options = {}) {
+  const { consultationFee = 0, doctor = null, schedule = FeeSchedule.DEFAULT_SCHEDULE, coupon = null } = options;
+  const price = this.getConsultationPrice(doctor);
+  const applyFee = (fee) => (fee.type === 'percent'
+    ? Math.round(price * fee.value) / 100
+    : fee.value);
+
+  const basePrice = consultationFee;
+  const platformFee = applyFee(schedule.platformFee);
+  const emergencyFee = isEmergency ? applyFee(schedule.emergencyFee) : 0;
+  const discount = coupon ? coupon.calculateDiscount(platformFee + emergencyFee) : 0;
+  const baseAmount = platformFee + emergencyFee - discount;
+  const gst = Math.round(baseAmount * schedule.gstRate) / 100;  // GST on platform fee and emergency fee, to the paisa
+  const totalAmount = Math.round((basePrice + baseAmount + gst) * 100) / 100;
 
   return {
+    basePrice,
     platformFee,
     emergencyFee,
+    discount,
     gst,
     totalAmount,
+    gstRate: schedule.gstRate,
+    scheduleVersion: schedule.version,
+    couponCode: discount > 0 ? coupon.code : null,
     breakdown: {
+      basePrice,
       platformFee,
       emergencyFee,
+      discount,
       gst,
       total: totalAmount
     }
   };
 };
 
+// Build a token such as "ABC007" or "ABCE007" from a daily sequence number
+hospitalSchema.methods.formatTokenNumber = function(sequence, isEmergency = false) {
+  const settings = this.tokenSettings || {};
+  const prefix = settings.prefix || this.name.substring(0, 3).toUpperCase();
+  const emergencyPrefix = isEmergency ? (settings.emergencyPrefix ?? 'E') : '';
+  const padding = settings.padding || 3;
+
+  return `${prefix}${emergencyPrefix}${sequence.toString().padStart(padding, '0')}`;
+};
+
 const Hospital = mongoose.model('Hospital', hospitalSchema);
 
+Hospital.CATEGORIES = CATEGORIES;
+
 module.exports = Hospital;
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+
+const PERMISSIONS = [
+  'bookings:view',
+  'bookings:manage',
+  'queue:manage',
+  // Signing a prescription in the assigned doctor's name; no role but owner has it by default
+  'prescriptions:sign',
+  'payments:view',
+  'payments:manage',
+  'reports:view',
+  'doctors:manage',
+  'settings:edit',
+  'staff:manage'
+];
+
+// Default permission sets, given to members saved without a list of their
+// own. An empty list is kept as no permissions.
+const ROLE_PERMISSIONS = {
+  owner: PERMISSIONS,
+  receptionist: ['bookings:view', 'bookings:manage', 'queue:manage'],
+  billing: ['bookings:view', 'payments:view', 'payments:manage', 'reports:view'],
+  // Doctors see only their own bookings, through the doctor portal
+  doctor: []
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// A staff user's access to one hospital
+const hospitalMemberSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    required: true
+  },
+  permissions: {
+    type: [{
+      type: String,
+      enum: PERMISSIONS
+    }],
+    default: undefined
+  },
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  // Set for doctor members so their login maps to a Doctor profile
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+hospitalMemberSchema.index({ hospital: 1, user: 1 }, { unique: true });
+hospitalMemberSchema.index({ user: 1, status: 1 });
+
+hospitalMemberSchema.pre('validate', function(next) {
+  if (!this.permissions) {
+    this.permissions = ROLE_PERMISSIONS[this.role] || [];
+  }
+  next();
+});
+
+hospitalMemberSchema.methods.hasPermission = function(permission) {
+  if (this.role === 'owner') return true;
+  return (this.permissions || []).includes(permission);
+};
+
+// Hospitals created before memberships existed only have createdBy. Gives
+// their creator the owner membership they would have had, dated from when
+// the hospital was created so it stays the creator's first membership.
+hospitalMemberSchema.statics.backfillOwnerships = async function(userId, hospitalId = null) {
+  const Hospital = mongoose.model('Hospital');
+  const hospitals = await Hospital.find({
+    createdBy: userId,
+    ...(hospitalId ? { _id: hospitalId } : {})
+  }).select('createdAt').lean();
+  if (!hospitals.length) return;
+
+  const existing = await this.find({ user: userId, hospital: { $in: hospitals.map(hospital => hospital._id) } })
+    .select('hospital')
+    .lean();
+  const members = new Set(existing.map(member => member.hospital.toString()));
+
+  for (const hospital of hospitals.filter(hospital => !members.has(hospital._id.toString()))) {
+    const createdAt = hospital.createdAt || new Date();
+    try {
+      await new this({ hospital: hospital._id, user: userId, role: 'owner', createdAt, updatedAt: createdAt })
+        .save({ timestamps: false });
+    } catch (error) {
+      // Created by a concurrent request; a revoked membership stays revoked
+      if (error.code !== 11000) throw error;
+    }
+  }
+};
+
+// Active membership of a user, optionally for a specific hospital, with the
+// hospital populated. Without a hospital, the user's first membership is the
+// default.
+hospitalMemberSchema.statics.findForUser = async function(userId, hospitalId = null) {
+  const query = { user: userId, status: 'active' };
+  if (hospitalId) query.hospital = hospitalId;
+
+  if (hospitalId) {
+    const membership = await this.findOne(query).populate('hospital');
+    if (membership && membership.hospital) return membership;
+  }
+
+  await this.backfillOwnerships(userId, hospitalId);
+
+  const membership = await this.findOne(query).sort({ createdAt: 1 }).populate('hospital');
+  return membership && membership.hospital ? membership : null;
+};
+
+const HospitalMember = mongoose.model('HospitalMember', hospitalMemberSchema);
+
+HospitalMember.PERMISSIONS = PERMISSIONS;
+HospitalMember.ROLE_PERMISSIONS = ROLE_PERMISSIONS;
+HospitalMember.ROLES = ROLES;
+
+module.exports = HospitalMember;
@@ -0,0 +1,131 @@
+const mongoose = require('mongoose');
+
+const TYPES = ['invoice', 'credit-note'];
+
+const lineSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true
+  },
+  sac: String,
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  // Rates in percent; CGST and SGST within a state, IGST across states
+  cgstRate: { type: Number, default: 0 },
+  cgst: { type: Number, default: 0 },
+  sgstRate: { type: Number, default: 0 },
+  sgst: { type: Number, default: 0 },
+  igstRate: { type: Number, default: 0 },
+  igst: { type: Number, default: 0 },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  gstin: String,
+  address: String,
+  mobile: String,
+  state: String,
+  stateCode: String
+}, { _id: false });
+
+// A tax invoice for the platform's booking fees, or a credit note against one
+// when they are refunded. Both are kept exactly as issued: any later change or
+// delete is rejected.
+const invoiceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: TYPES,
+    required: true
+  },
+  // e.g. INV/24-25/000001, sequential per type and financial year
+  number: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  // The invoice a credit note reduces
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  originalNumber: String,
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+  supplier: partySchema,
+  recipient: partySchema,
+  placeOfSupply: {
+    state: String,
+    stateCode: String
+  },
+  taxType: {
+    type: String,
+    enum: ['intra-state', 'inter-state'],
+    required: true
+  },
+  lines: {
+    type: [lineSchema],
+    required: true
+  },
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    tax: Number,
+    total: Number
+  },
+  amountInWords: String
+}, {
+  timestamps: true
+});
+
+// One invoice and at most one credit note per booking
+invoiceSchema.index({ booking: 1, type: 1 }, { unique: true });
+invoiceSchema.index({ user: 1, issuedAt: -1 });
+
+const rejectChange = function(next) {
+  next(new Error('Invoices and credit notes cannot be changed once issued'));
+};
+
+invoiceSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+invoiceSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectChange
+);
+
+const Invoice = mongoose.model('Invoice', invoiceSchema);
+
+Invoice.TYPES = TYPES;
+
+module.exports = Invoice;
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Last number issued per document type per financial year
+const invoiceCounterSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['invoice', 'credit-note'],
+    required: true
+  },
+  financialYear: {
+    type: String, // e.g. "24-25"
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+invoiceCounterSchema.index({ type: 1, financialYear: 1 }, { unique: true });
+
+// Atomically issue the next number; each financial year starts again at 1
+invoiceCounterSchema.statics.nextSequence = async function(type, financialYear) {
+  const counter = await this.findOneAndUpdate(
+    { type, financialYear },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return counter.seq;
+};
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', invoiceCounterSchema);
+
+module.exports = InvoiceCounter;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// The number given to each booking's invoice and credit note. The request
+// that creates this entry is the only one to draw from InvoiceCounter, so a
+// number is never drawn for a document that another request is issuing.
+const invoiceNumberSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['invoice', 'credit-note'],
+    required: true
+  },
+  // Set once drawn; kept so a document whose issue failed part way is
+  // issued again under the same number
+  number: {
+    type: String,
+    default: null
+  },
+  claimedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+invoiceNumberSchema.index({ booking: 1, type: 1 }, { unique: true });
+
+const InvoiceNumber = mongoose.model('InvoiceNumber', invoiceNumberSchema);
+
+module.exports = InvoiceNumber;
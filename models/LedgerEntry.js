@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// What each line means for the hospital's balance
+const ENTRY_TYPES = {
+  payment: 'credit',        // Online payment collected for the hospital's booking
+  platform_fee: 'debit',    // Platform fee kept from the payment
+  emergency_fee: 'debit',   // Emergency fee kept from the payment
+  gst: 'debit',             // GST on the platform and emergency fees
+  discount: 'credit',       // Coupon discount, borne by the platform
+  refund: 'debit',          // Money returned to the patient
+  fee_reversal: 'credit'    // The platform's share of that refund
+};
+
+// One line of a hospital's settlement ledger. Lines are written once per
+// booking and type and never changed, apart from being attached to the
+// settlement that pays them out.
+const ledgerEntrySchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(ENTRY_TYPES),
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  // In rupees, always positive; direction says which way it moves the balance
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tokenNumber: String,
+  description: String,
+  // Set once the line is included in a settlement batch
+  settlement: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Settlement',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ledgerEntrySchema.index({ booking: 1, type: 1 }, { unique: true });
+ledgerEntrySchema.index({ hospital: 1, settlement: 1, createdAt: 1 });
+ledgerEntrySchema.index({ settlement: 1, createdAt: 1 });
+
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+
+LedgerEntry.ENTRY_TYPES = ENTRY_TYPES;
+
+module.exports = LedgerEntry;
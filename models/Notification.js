@@ -37,14 +37,17 @@ const notificationSchema = new mongoose.Schema({
       'APPOINTMENT_REMINDER',
       'BOOKING_MODIFIED',
       'TOKEN_UPDATED',
+      'TOKEN_CALLED',
       'DOCTOR_ASSIGNED',
-      'PRESCRIPTION_ADDED'
+      'PRESCRIPTION_ADDED',
+      'WAITLIST_OFFER',
+      'WAITLIST_OFFER_EXPIRED'
     ]
   },
   relatedTo: {
     model: {
       type: String,
-      enum: ['Booking', 'Hospital', 'Payment']
+      enum: ['Booking', 'Hospital', 'Payment', 'WaitlistEntry']
     },
     id: {
       type: mongoose.Schema.Types.ObjectId
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Refund share by how long before the slot start a booking is cancelled,
+// e.g. [{ hoursBefore: 24, refundPercent: 100 }, { hoursBefore: 0, refundPercent: 50 }]
+const refundTierSchema = new mongoose.Schema({
+  hoursBefore: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  refundPercent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const cancellationPolicySchema = new mongoose.Schema({
+  tiers: {
+    type: [refundTierSchema],
+    default: undefined
+  },
+  // Cancelling once the slot has started
+  afterStartRefundPercent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  emergencyFeeRefundable: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Platform-wide settings, stored as a single document keyed "default"
+const platformSettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  cancellationPolicy: cancellationPolicySchema,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+platformSettingSchema.statics.getSettings = async function() {
+  return this.findOneAndUpdate(
+    { key: 'default' },
+    { $setOnInsert: { key: 'default' } },
+    { upsert: true, new: true }
+  );
+};
+
+const PlatformSetting = mongoose.model('PlatformSetting', platformSettingSchema);
+
+PlatformSetting.cancellationPolicySchema = cancellationPolicySchema;
+
+module.exports = PlatformSetting;
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// "Now serving" pointer of a hospital's OP queue for one day
+const queueStateSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  nowServing: {
+    booking: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Booking'
+    },
+    tokenNumber: String,
+    calledAt: Date
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+queueStateSchema.index({ hospital: 1, date: 1 }, { unique: true });
+
+const QueueState = mongoose.model('QueueState', queueStateSchema);
+
+module.exports = QueueState;
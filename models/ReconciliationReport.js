@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+const ISSUE_TYPES = [
+  'UNRECORDED_PAYMENT',  // Captured at Razorpay but the booking was still pending
+  'PAYMENT_FAILED',      // Every attempt on the order failed
+  'PAID_BUT_CANCELLED',  // Money kept for a cancelled or rejected booking
+  'REFUNDED_BUT_ACTIVE', // Refunded while the booking is still active
+  'AMOUNT_MISMATCH',     // Captured amount differs from the booking amount
+  'GATEWAY_ERROR'        // Razorpay could not be queried
+];
+
+const issueSchema = new mongoose.Schema({
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital'
+  },
+  type: {
+    type: String,
+    enum: ISSUE_TYPES,
+    required: true
+  },
+  // fixed: the booking was corrected; review: finance needs to act
+  action: {
+    type: String,
+    enum: ['fixed', 'review'],
+    required: true
+  },
+  tokenNumber: String,
+  bookingStatus: String,
+  paymentStatus: String,
+  orderId: String,
+  paymentId: String,
+  expectedAmount: Number,
+  gatewayAmount: Number,
+  gatewayStatus: String,
+  details: String
+}, { _id: false });
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  // Bookings looked at and bookings corrected
+  checked: {
+    type: Number,
+    default: 0
+  },
+  fixed: {
+    type: Number,
+    default: 0
+  },
+  summary: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  issues: [issueSchema],
+  error: String
+}, {
+  timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+
+const ReconciliationReport = mongoose.model('ReconciliationReport', reconciliationReportSchema);
+
+ReconciliationReport.ISSUE_TYPES = ISSUE_TYPES;
+
+module.exports = ReconciliationReport;
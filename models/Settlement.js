@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const STATUSES = ['pending', 'paid', 'on-hold'];
+
+// A weekly payout to a hospital of the ledger lines recorded up to the end of
+// the week. Lines left over from weeks that did not add up to a payout are
+// carried into the next batch.
+const settlementSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  // Monday to Sunday, midnight like Booking.appointmentDate's date part
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: STATUSES,
+    default: 'pending'
+  },
+  entryCount: {
+    type: Number,
+    default: 0
+  },
+  credits: {
+    type: Number,
+    default: 0
+  },
+  debits: {
+    type: Number,
+    default: 0
+  },
+  // Amount owed to the hospital: credits less debits
+  netAmount: {
+    type: Number,
+    required: true
+  },
+  // Bank transfer reference, set when the payout is made
+  utr: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  holdReason: String,
+  statusHistory: [{
+    from: String,
+    to: String,
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// One batch per hospital and week
+settlementSchema.index({ hospital: 1, periodStart: 1 }, { unique: true });
+settlementSchema.index({ status: 1, periodStart: -1 });
+
+const Settlement = mongoose.model('Settlement', settlementSchema);
+
+Settlement.STATUSES = STATUSES;
+
+module.exports = Settlement;
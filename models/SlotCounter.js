@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Seats taken per hospital per day (slot: null) and per slot (slot: "HH:mm").
+// Bookings reserve a seat with a conditional $inc so two concurrent requests
+// can never both take the last one. Bookings made with a doctor count against
+// that doctor's own counters (doctor set) instead of the general slot counters.
+const slotCounterSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    default: null
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  slot: {
+    type: String,
+    default: null
+  },
+  count: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, {
+  timestamps: true
+});
+
+slotCounterSchema.index({ hospital: 1, doctor: 1, date: 1, slot: 1 }, { unique: true });
+
+// Create the counter if missing, seeded with the number of seats already taken
+slotCounterSchema.statics.ensure = async function(key, initialCount) {
+  try {
+    await this.updateOne(key, { $setOnInsert: { count: initialCount } }, { upsert: true });
+  } catch (error) {
+    // A concurrent request created it first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// Take one seat if fewer than `limit` are taken; returns null when full
+slotCounterSchema.statics.acquire = function(key, limit) {
+  return this.findOneAndUpdate(
+    { ...key, count: { $lt: limit } },
+    { $inc: { count: 1 } },
+    { new: true }
+  );
+};
+
+slotCounterSchema.statics.release = function(key) {
+  return this.updateOne(
+    { ...key, count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+};
+
+const SlotCounter = mongoose.model('SlotCounter', slotCounterSchema);
+
+module.exports = SlotCounter;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// Last token sequence issued per hospital per appointment day
+const tokenCounterSchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  date: {
+    type: String, // YYYY-MM-DD
+    required: true
+  },
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+tokenCounterSchema.index({ hospital: 1, date: 1 }, { unique: true });
+
+// Atomically issue the next sequence number. getInitialSequence seeds the
+// counter for days that already had bookings before the counter existed.
+tokenCounterSchema.statics.nextSequence = async function(hospitalId, date, getInitialSequence) {
+  const key = { hospital: hospitalId, date };
+
+  if (!(await this.exists(key))) {
+    const seq = getInitialSequence ? await getInitialSequence() : 0;
+    try {
+      await this.create({ ...key, seq });
+    } catch (error) {
+      // A concurrent booking created it first
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  const counter = await this.findOneAndUpdate(
+    key,
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return counter.seq;
+};
+
+const TokenCounter = mongoose.model('TokenCounter', tokenCounterSchema);
+
+module.exports = TokenCounter;
@@ -1,6 +1,14 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+const BLOOD_GROUPS = ['A+', 'A-', 'B+', 'B-', 'AB+', 'AB-', 'O+', 'O-'];
+
+// [longitude, latitude] as GeoJSON expects
+const isValidCoordinates = (coordinates) => Array.isArray(coordinates) &&
+  coordinates.length === 2 &&
+  coordinates[0] >= -180 && coordinates[0] <= 180 &&
+  coordinates[1] >= -90 && coordinates[1] <= 90;
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,7 +19,7 @@ const userSchema = new mongoose.Schema({
   email: {
     type: String,
     required: function() {
-      return ['hospital', 'admin'].includes(this.role);
+      return ['hospital', 'admin', 'doctor'].includes(this.role);
     },
     unique: true,
     sparse: true,
@@ -20,7 +28,7 @@ const userSchema = new mongoose.Schema({
   password: {
     type: String,
     required: function() {
-      return ['hospital', 'admin'].includes(this.role);
+      return ['hospital', 'admin', 'doctor'].includes(this.role);
     }
   },
   phoneNumber: {
@@ -37,7 +45,7 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['user', 'hospital', 'admin'],
+    enum: ['user', 'hospital', 'admin', 'doctor'],
     required: true
   },
   otp: String,
@@ -46,6 +54,54 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Patient details; shared with a hospital only for bookings the patient consented on
+  dateOfBirth: {
+    type: Date,
+    validate: {
+      validator: value => !value || value <= new Date(),
+      message: 'Date of birth cannot be in the future'
+    }
+  },
+  gender: {
+    type: String,
+    enum: ['male', 'female', 'other']
+  },
+  bloodGroup: {
+    type: String,
+    enum: BLOOD_GROUPS
+  },
+  location: {
+    address: String,
+    city: String,
+    state: String,
+    country: String,
+    pincode: String,
+    coordinates: {
+      // No defaults: a point without coordinates cannot be indexed
+      type: {
+        type: String,
+        enum: ['Point']
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined,
+        validate: {
+          validator: value => !value || isValidCoordinates(value),
+          message: 'Coordinates must be [longitude, latitude] within valid bounds'
+        }
+      }
+    }
+  },
+  emergencyContact: {
+    name: String,
+    relationship: String,
+    phoneNumber: String
+  },
+  medicalInfo: {
+    allergies: [String],
+    chronicConditions: [String],
+    currentMedications: [String]
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
@@ -70,6 +126,9 @@ userSchema.index({
   }
 });
 
+// Nearby patients, e.g. for hospitals looking at their catchment area
+userSchema.index({ 'location.coordinates': '2dsphere' });
+
 // Add static method to create default admin
 userSchema.statics.createDefaultAdmin = async function() {
   try {
@@ -104,6 +163,9 @@ userSchema.set('toJSON', { virtuals: true });
 
 const User = mongoose.model('User', userSchema);
 
+User.BLOOD_GROUPS = BLOOD_GROUPS;
+User.isValidCoordinates = isValidCoordinates;
+
 // Function to initialize indexes
 const initializeIndexes = async () => {
   try {
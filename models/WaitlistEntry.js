@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// A patient waiting for a seat on a fully booked day. When a booking for the
+// day is cancelled or rejected the oldest waiting entry is offered the freed
+// seat, which is held for them until the offer expires.
+const waitlistEntrySchema = new mongoose.Schema({
+  hospital: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Hospital',
+    required: true
+  },
+  // Only seats with this doctor are offered; any seat when not set
+  doctor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Doctor',
+    default: null
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Appointment day, midnight like Booking.appointmentDate's date part
+  date: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // The seat held for the patient while the offer is open
+  offer: {
+    timeSlot: String,
+    doctor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Doctor'
+    },
+    offeredAt: Date,
+    expiresAt: Date
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }
+}, {
+  timestamps: true
+});
+
+// Oldest first within a day's queue
+waitlistEntrySchema.index({ hospital: 1, date: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ user: 1, status: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+// One open entry per patient, hospital, day and doctor
+waitlistEntrySchema.index(
+  { user: 1, hospital: 1, date: 1, doctor: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+WaitlistEntry.OPEN_STATUSES = ['waiting', 'offered'];
+
+module.exports = WaitlistEntry;
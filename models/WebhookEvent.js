@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Reprocess an event left in "processing" by a crashed request after this long
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Payment gateway webhook deliveries, kept so retried deliveries of the same
+// event are only applied once
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  booking: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: String,
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Record the delivery and return it for processing, or null when the event
+// was already handled (or is being handled by another request)
+webhookEventSchema.statics.claim = async function(provider, eventId, event) {
+  try {
+    return await this.create({ provider, eventId, event });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  return this.findOneAndUpdate(
+    {
+      provider,
+      eventId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+      ]
+    },
+    { $set: { status: 'processing' }, $unset: { error: 1 }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const WebhookEvent = mongoose.model('WebhookEvent', webhookEventSchema);
+
+module.exports = WebhookEvent;
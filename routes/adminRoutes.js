@@ -9,7 +9,21 @@ const {
   getHospitals,
   updateHospitalStatus,
   getBookings,
-  getDashboardMetrics
+  getDashboardMetrics,
+  getReconciliationReports,
+  getReconciliationReport,
+  runReconciliation,
+  getPlatformCancellationPolicy,
+  updatePlatformCancellationPolicy,
+  getSettlements,
+  updateSettlementStatus,
+  runSettlements,
+  getFeeSchedules,
+  createFeeSchedule,
+  withdrawFeeSchedule,
+  getCoupons,
+  createCoupon,
+  updateCouponStatus
 } = require('../controllers/adminController');
 
 // Create admin middleware by combining auth and role check
@@ -429,4 +443,675 @@ router.put('/hospitals/:id/status', isAdmin, updateHospitalStatus);
  */
 router.get('/bookings', isAdmin, getBookings);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ReconciliationIssue:
+ *       type: object
+ *       properties:
+ *         booking:
+ *           type: string
+ *         hospital:
+ *           type: object
+ *         type:
+ *           type: string
+ *           enum: [UNRECORDED_PAYMENT, PAYMENT_FAILED, PAID_BUT_CANCELLED, REFUNDED_BUT_ACTIVE, AMOUNT_MISMATCH, GATEWAY_ERROR]
+ *         action:
+ *           type: string
+ *           enum: [fixed, review]
+ *           description: fixed when the booking was corrected automatically, review when finance needs to act
+ *         tokenNumber:
+ *           type: string
+ *         bookingStatus:
+ *           type: string
+ *         paymentStatus:
+ *           type: string
+ *         orderId:
+ *           type: string
+ *         paymentId:
+ *           type: string
+ *         expectedAmount:
+ *           type: number
+ *         gatewayAmount:
+ *           type: number
+ *         gatewayStatus:
+ *           type: string
+ *         details:
+ *           type: string
+ *     ReconciliationReport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         trigger:
+ *           type: string
+ *           enum: [scheduled, manual]
+ *         status:
+ *           type: string
+ *           enum: [running, completed, failed]
+ *         startedAt:
+ *           type: string
+ *           format: date-time
+ *         finishedAt:
+ *           type: string
+ *           format: date-time
+ *         checked:
+ *           type: number
+ *         fixed:
+ *           type: number
+ *         summary:
+ *           type: object
+ *           additionalProperties:
+ *             type: number
+ *           description: Issue count per type
+ *         issues:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ReconciliationIssue'
+ */
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/reports:
+ *   get:
+ *     summary: List payment reconciliation runs
+ *     description: Reports are listed newest first without their issues
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reconciliation reports
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/reconciliation/reports', isAdmin, getReconciliationReports);
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/reports/{id}:
+ *   get:
+ *     summary: Get a reconciliation report with its mismatches
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *         description: Only issues of this type
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           enum: [fixed, review]
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/ReconciliationReport'
+ *       404:
+ *         description: Report not found
+ */
+router.get('/reconciliation/reports/:id', isAdmin, getReconciliationReport);
+
+/**
+ * @swagger
+ * /api/admin/reconciliation/run:
+ *   post:
+ *     summary: Start a payment reconciliation run against Razorpay
+ *     description: Also runs nightly. Returns the new report straight away; it is filled in when the run finishes.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: Reconciliation started
+ *       409:
+ *         description: A run is already in progress
+ */
+router.post('/reconciliation/run', isAdmin, runReconciliation);
+
+/**
+ * @swagger
+ * /api/admin/settings/cancellation-policy:
+ *   get:
+ *     summary: Get the platform cancellation and refund policy
+ *     description: Applies to every hospital that has not set its own policy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Platform policy
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CancellationPolicy'
+ *   put:
+ *     summary: Update the platform cancellation and refund policy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancellationPolicy'
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid policy
+ */
+router.get('/settings/cancellation-policy', isAdmin, getPlatformCancellationPolicy);
+router.put('/settings/cancellation-policy', isAdmin, updatePlatformCancellationPolicy);
+
+/**
+ * @swagger
+ * /api/admin/settlements:
+ *   get:
+ *     summary: List weekly hospital settlements
+ *     description: Newest week first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, on-hold]
+ *       - in: query
+ *         name: hospitalId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Settlements
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 total:
+ *                   type: integer
+ *                 page:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
+ *       403:
+ *         description: Not authorized
+ */
+router.get('/settlements', isAdmin, getSettlements);
+
+/**
+ * @swagger
+ * /api/admin/settlements/run:
+ *   post:
+ *     summary: Create settlements for the last full week
+ *     description: |
+ *       Also runs every Monday. Ledger entries recorded before the week ended are batched
+ *       per hospital; hospitals whose entries do not add up to a payout keep them for the next week.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Settlements created
+ *       409:
+ *         description: Settlements are already being created
+ */
+router.post('/settlements/run', isAdmin, runSettlements);
+
+/**
+ * @swagger
+ * /api/admin/settlements/{id}/status:
+ *   put:
+ *     summary: Mark a settlement paid, put it on hold or release the hold
+ *     description: A paid settlement cannot be changed.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [paid, on-hold, pending]
+ *               utr:
+ *                 type: string
+ *                 description: Bank transfer reference, required when marking paid
+ *                 example: "HDFCN52024121512"
+ *               reason:
+ *                 type: string
+ *                 description: Required when putting the settlement on hold
+ *     responses:
+ *       200:
+ *         description: Settlement updated
+ *       400:
+ *         description: |
+ *           Error codes: INVALID_STATUS, INVALID_TRANSITION, UTR_REQUIRED, REASON_REQUIRED
+ *       404:
+ *         description: Settlement not found
+ *       409:
+ *         description: The settlement was changed concurrently (SETTLEMENT_CHANGED)
+ */
+router.put('/settlements/:id/status', isAdmin, updateSettlementStatus);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Fee:
+ *       type: object
+ *       required:
+ *         - type
+ *         - value
+ *       properties:
+ *         type:
+ *           type: string
+ *           enum: [flat, percent]
+ *           description: A flat amount in rupees, or a percentage of the consultation price
+ *         value:
+ *           type: number
+ *           example: 30
+ *     FeeSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         version:
+ *           type: integer
+ *           description: Stored on each booking charged under this schedule
+ *         name:
+ *           type: string
+ *           nullable: true
+ *         scope:
+ *           type: string
+ *           enum: [platform, category, hospital]
+ *         hospital:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *         category:
+ *           type: string
+ *           nullable: true
+ *         platformFee:
+ *           $ref: '#/components/schemas/Fee'
+ *         emergencyFee:
+ *           $ref: '#/components/schemas/Fee'
+ *         gstRate:
+ *           type: number
+ *           example: 18
+ *         effectiveFrom:
+ *           type: string
+ *           example: "01-01-2025"
+ *         endedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         status:
+ *           type: string
+ *           enum: [scheduled, started, ended]
+ */
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules:
+ *   get:
+ *     summary: List fee schedules
+ *     description: |
+ *       Newest version first. A hospital's own schedule wins over one for a category it is
+ *       listed in, which wins over the platform schedule; within a scope the latest started
+ *       schedule applies. Without any platform schedule a ₹30 platform fee, ₹100 emergency
+ *       fee and 18% GST are charged.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: scope
+ *         schema:
+ *           type: string
+ *           enum: [platform, category, hospital]
+ *       - in: query
+ *         name: hospitalId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FeeSchedule'
+ *   post:
+ *     summary: Create a fee schedule
+ *     description: Takes effect from the start of effectiveFrom (IST), which cannot be in the past.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - scope
+ *               - platformFee
+ *               - emergencyFee
+ *               - gstRate
+ *               - effectiveFrom
+ *             properties:
+ *               name:
+ *                 type: string
+ *               scope:
+ *                 type: string
+ *                 enum: [platform, category, hospital]
+ *               hospitalId:
+ *                 type: string
+ *                 description: Required for the hospital scope
+ *               category:
+ *                 type: string
+ *                 description: Required for the category scope
+ *               platformFee:
+ *                 $ref: '#/components/schemas/Fee'
+ *               emergencyFee:
+ *                 $ref: '#/components/schemas/Fee'
+ *               gstRate:
+ *                 type: number
+ *                 example: 18
+ *               effectiveFrom:
+ *                 type: string
+ *                 example: "01-01-2025"
+ *     responses:
+ *       201:
+ *         description: Fee schedule created
+ *       400:
+ *         description: Invalid schedule (INVALID_SCHEDULE)
+ *       409:
+ *         description: Another schedule was created at the same time (SCHEDULE_CONFLICT)
+ */
+router.get('/fee-schedules', isAdmin, getFeeSchedules);
+router.post('/fee-schedules', isAdmin, createFeeSchedule);
+
+/**
+ * @swagger
+ * /api/admin/fee-schedules/{id}:
+ *   delete:
+ *     summary: Withdraw a fee schedule
+ *     description: |
+ *       A schedule that has not started is deleted. One already in effect is ended now and
+ *       kept, since bookings charged under it refer to its version.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fee schedule deleted or ended
+ *       404:
+ *         description: Fee schedule not found or already ended
+ */
+router.delete('/fee-schedules/:id', isAdmin, withdrawFeeSchedule);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Coupon:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         code:
+ *           type: string
+ *           example: "FIRSTFREE"
+ *         description:
+ *           type: string
+ *           nullable: true
+ *         discountType:
+ *           type: string
+ *           enum: [flat, percent]
+ *         value:
+ *           type: number
+ *           description: Rupees for a flat discount, percent of the platform and emergency fees otherwise
+ *         maxDiscount:
+ *           type: number
+ *           nullable: true
+ *         validFrom:
+ *           type: string
+ *           example: "01-01-2025"
+ *         validUntil:
+ *           type: string
+ *           example: "31-01-2025"
+ *         usageLimit:
+ *           type: integer
+ *           nullable: true
+ *           description: Redemptions across all patients; null for no limit
+ *         perUserLimit:
+ *           type: integer
+ *         usedCount:
+ *           type: integer
+ *         reservedCount:
+ *           type: integer
+ *           description: Unpaid bookings holding the coupon; they count towards usageLimit
+ *         firstBookingOnly:
+ *           type: boolean
+ *         hospitals:
+ *           type: array
+ *           items:
+ *             type: string
+ *         categories:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/coupons:
+ *   get:
+ *     summary: List coupons
+ *     description: Newest first
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupons
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Coupon'
+ *   post:
+ *     summary: Create a coupon
+ *     description: |
+ *       Valid from the start of validFrom to the end of validUntil (IST). With hospitalIds or
+ *       categories, only hospitals that are listed or in one of the categories qualify.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *               - discountType
+ *               - value
+ *               - validFrom
+ *               - validUntil
+ *             properties:
+ *               code:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               discountType:
+ *                 type: string
+ *                 enum: [flat, percent]
+ *               value:
+ *                 type: number
+ *               maxDiscount:
+ *                 type: number
+ *               validFrom:
+ *                 type: string
+ *                 example: "01-01-2025"
+ *               validUntil:
+ *                 type: string
+ *                 example: "31-01-2025"
+ *               usageLimit:
+ *                 type: integer
+ *               perUserLimit:
+ *                 type: integer
+ *                 default: 1
+ *               firstBookingOnly:
+ *                 type: boolean
+ *                 default: false
+ *               hospitalIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               categories:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Invalid coupon (INVALID_COUPON)
+ *       409:
+ *         description: A coupon with this code already exists (COUPON_EXISTS)
+ */
+router.get('/coupons', isAdmin, getCoupons);
+router.post('/coupons', isAdmin, createCoupon);
+
+/**
+ * @swagger
+ * /api/admin/coupons/{id}/status:
+ *   put:
+ *     summary: Activate or deactivate a coupon
+ *     description: Bookings already made with a deactivated coupon keep their discount.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - isActive
+ *             properties:
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       404:
+ *         description: Coupon not found
+ */
+router.put('/coupons/:id/status', isAdmin, updateCouponStatus);
+
 module.exports = router; 
\ No newline at end of file
@@ -5,7 +5,8 @@ const {
   registerHospital,
   loginUser,
   loginHospital,
-  loginAdmin
+  loginAdmin,
+  loginDoctor
 } = require('../controllers/authController');
 const { auth, checkRole } = require('../middlewares/auth');
 
@@ -198,4 +199,37 @@ router.post('/login/hospital', loginHospital);
  */
 router.post('/login/admin', loginAdmin);
 
+/**
+ * @swagger
+ * /api/auth/login/doctor:
+ *   post:
+ *     summary: Login doctor
+ *     description: Doctor accounts are created by their hospital from the doctor roster.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 example: "dr.rao@cityhospital.com"
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid credentials
+ *       403:
+ *         description: Doctor has been removed by the hospital
+ */
+router.post('/login/doctor', loginDoctor);
+
 module.exports = router;
@@ -1,16 +1,23 @@
 const express = require('express');
 const router = express.Router();
 const { auth, checkRole } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
 const Booking = require('../models/Booking');
 const {
+  getQuote,
   createBooking,
   verifyPayment,
   getUserBookings,
   getHospitalBookings,
   updateBookingStatus,
   downloadBooking,
+  downloadPrescription,
   updateCodPaymentStatus,
-  cancelBooking
+  cancelBooking,
+  getCancellationPreview,
+  updateMedicalRecordConsent,
+  rescheduleBooking,
+  assignDoctor
 } = require('../controllers/bookingController');
 
 /**
@@ -26,14 +33,48 @@ const {
  *         hospital:
  *           type: string
  *           description: Hospital ID
+ *         familyMember:
+ *           type: string
+ *           nullable: true
+ *           description: Family member the booking is for; null when it is for the account holder
+ *         medicalRecordConsent:
+ *           type: object
+ *           properties:
+ *             shared:
+ *               type: boolean
+ *             grantedAt:
+ *               type: string
+ *               format: date-time
+ *             revokedAt:
+ *               type: string
+ *               format: date-time
  *         appointmentDate:
  *           type: string
  *           format: date-time
  *         tokenNumber:
- *           type: number
+ *           type: string
  *         status:
  *           type: string
- *           enum: [pending, confirmed, rejected, cancelled, completed]
+ *           enum: [pending, confirmed, checked-in, in-consultation, skipped, no-show, rejected, cancelled, completed]
+ *         statusHistory:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: string
+ *               to:
+ *                 type: string
+ *               actor:
+ *                 type: string
+ *                 enum: [user, hospital, doctor, admin, system]
+ *               changedBy:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *               at:
+ *                 type: string
+ *                 format: date-time
  *         symptoms:
  *           type: string
  *         specialization:
@@ -48,6 +89,28 @@ const {
  *             status:
  *               type: string
  *               enum: [pending, completed, failed]
+ *     WaitTimeEstimate:
+ *       type: object
+ *       description: Estimated consultation start for a confirmed booking, null for other bookings
+ *       properties:
+ *         estimatedStartTime:
+ *           type: string
+ *           example: "10:40 AM"
+ *         estimatedStartAt:
+ *           type: string
+ *           format: date-time
+ *         delayMinutes:
+ *           type: integer
+ *           description: Minutes after the booked slot
+ *         tokensAhead:
+ *           type: integer
+ *           description: Patients ahead in today's queue, null for later days
+ *         consultationMinutes:
+ *           type: integer
+ *         basis:
+ *           type: string
+ *           enum: [live, history, default]
+ *           description: live uses today's queue, history the hospital's last 30 days, default its slot settings
  */
 
 /**
@@ -60,6 +123,92 @@ const {
  *       bearerFormat: JWT
  */
 
+/**
+ * @swagger
+ * /api/bookings/quote:
+ *   post:
+ *     summary: Get the fees for a booking, with a coupon applied
+ *     description: |
+ *       Coupons take money off the platform and emergency fees before GST, and are only
+ *       accepted for online payments. The coupon is checked again when the booking is made
+ *       and counted as used once its payment completes.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hospitalId
+ *             properties:
+ *               hospitalId:
+ *                 type: string
+ *               doctorId:
+ *                 type: string
+ *               isEmergency:
+ *                 type: boolean
+ *                 default: false
+ *               paymentMethod:
+ *                 type: string
+ *                 enum: [online, cod]
+ *                 default: online
+ *               couponCode:
+ *                 type: string
+ *                 example: "FIRSTFREE"
+ *     responses:
+ *       200:
+ *         description: Fee breakdown
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     feeBreakdown:
+ *                       type: object
+ *                       properties:
+ *                         consultationFee:
+ *                           type: number
+ *                         platformFee:
+ *                           type: number
+ *                         emergencyFee:
+ *                           type: number
+ *                         discount:
+ *                           type: number
+ *                         couponCode:
+ *                           type: string
+ *                           nullable: true
+ *                         gst:
+ *                           type: number
+ *                         total:
+ *                           type: number
+ *                         note:
+ *                           type: string
+ *                     coupon:
+ *                       type: object
+ *                       nullable: true
+ *                       properties:
+ *                         code:
+ *                           type: string
+ *                         description:
+ *                           type: string
+ *       400:
+ *         description: |
+ *           error.code is one of NO_EMERGENCY_SERVICE, DOCTOR_NOT_FOUND, INVALID_COUPON,
+ *           COUPON_ONLINE_ONLY, COUPON_NOT_STARTED, COUPON_EXPIRED, COUPON_EXHAUSTED,
+ *           COUPON_NOT_APPLICABLE, COUPON_LIMIT_REACHED or COUPON_FIRST_BOOKING_ONLY
+ *       404:
+ *         description: Hospital not found
+ */
+router.post('/bookings/quote', auth, checkRole(['user']), getQuote);
+
 /**
  * @swagger
  * /api/bookings:
@@ -90,9 +239,15 @@ const {
  *                 type: string
  *               preferredDoctor:
  *                 type: string
+ *               doctorId:
+ *                 type: string
+ *                 description: Book with this doctor, using their hours and per-slot capacity
  *               paymentMethod:
  *                 type: string
  *                 enum: [online, cod]
+ *                 description: |
+ *                   Online payments include the consultation fee when the hospital collects it
+ *                   through the platform (see data.feeBreakdown.consultationFee)
  *               name:
  *                 type: string
  *               age:
@@ -104,9 +259,35 @@ const {
  *                 type: string
  *               address:
  *                 type: string
+ *               shareMedicalRecord:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Let the hospital see the patient's medical record for this booking
+ *               memberId:
+ *                 type: string
+ *                 description: |
+ *                   Book for a saved family member (see /api/user/profile/members). Name, age and
+ *                   gender come from the member; mobile and address default to the member's.
+ *               waitlistEntryId:
+ *                 type: string
+ *                 description: |
+ *                   Book the seat offered from the waitlist. The date, time slot and doctor
+ *                   must match the offer.
+ *               couponCode:
+ *                 type: string
+ *                 description: Discount on the platform fees of an online payment (see /api/bookings/quote)
  *     responses:
  *       201:
  *         description: Booking created successfully
+ *       400:
+ *         description: |
+ *           Booking rejected. error.code is one of INVALID_DATE_FORMAT, INVALID_TIME_FORMAT,
+ *           PAST_APPOINTMENT, HOSPITAL_UNAVAILABLE, NO_EMERGENCY_SERVICE, HOSPITAL_CLOSED, DAY_CLOSED,
+ *           OUTSIDE_HOURS, INVALID_SLOT, SLOT_FULL, DAILY_LIMIT_REACHED, DOCTOR_NOT_FOUND,
+ *           DOCTOR_ON_LEAVE, DOCTOR_UNAVAILABLE, DOCTOR_DAILY_LIMIT_REACHED or MEMBER_NOT_FOUND. The daily limit
+ *           errors set error.canJoinWaitlist. With waitlistEntryId: OFFER_NOT_FOUND,
+ *           OFFER_MISMATCH or OFFER_EXPIRED. With couponCode, the coupon errors listed
+ *           for /api/bookings/quote.
  *       401:
  *         description: Unauthorized - Invalid or missing token
  *       403:
@@ -154,17 +335,22 @@ router.post('/bookings/verify-payment', auth, checkRole(['user']), verifyPayment
  *             schema:
  *               type: array
  *               items:
- *                 $ref: '#/components/schemas/Booking'
+ *                 allOf:
+ *                   - $ref: '#/components/schemas/Booking'
+ *                   - type: object
+ *                     properties:
+ *                       waitTime:
+ *                         $ref: '#/components/schemas/WaitTimeEstimate'
  */
 router.get('/user/bookings', auth, checkRole(['user']), getUserBookings);
 router.get('/bookings/:id/download', auth, checkRole(['user']), downloadBooking);
 
 // Hospital routes
-router.get('/hospital/bookings', auth, checkRole(['hospital']), getHospitalBookings);
+router.get('/hospital/bookings', auth, hospitalAccess('bookings:view'), getHospitalBookings);
 router.patch(
-  '/hospital/bookings/:id/status',
+  '/hospital/bookings/:bookingId/status',
   auth,
-  checkRole(['hospital']),
+  hospitalAccess('bookings:manage'),
   updateBookingStatus
 );
 
@@ -207,6 +393,34 @@ router.get('/admin/bookings', auth, checkRole(['admin']), async (req, res) => {
  */
 router.get('/bookings/:id/download', auth, checkRole(['user']), downloadBooking);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/prescription/download:
+ *   get:
+ *     summary: Download the signed prescription as PDF
+ *     tags: [Prescriptions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Prescription PDF
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Booking not found or the prescription is not signed yet
+ */
+router.get('/bookings/:id/prescription/download', auth, checkRole(['user']), downloadPrescription);
+
 /**
  * @swagger
  * /api/hospital/bookings:
@@ -225,19 +439,24 @@ router.get('/bookings/:id/download', auth, checkRole(['user']), downloadBooking)
  *               items:
  *                 $ref: '#/components/schemas/Booking'
  */
-router.get('/hospital/bookings', auth, checkRole(['hospital']), getHospitalBookings);
+router.get('/hospital/bookings', auth, hospitalAccess('bookings:view'), getHospitalBookings);
 
 /**
  * @swagger
- * /api/hospital/bookings/{id}/status:
+ * /api/hospital/bookings/{bookingId}/status:
  *   patch:
  *     summary: Update booking status
+ *     description: |
+ *       Moves the booking along the booking state machine. Queue statuses (checked-in,
+ *       in-consultation, skipped, no-show, completed) are only accepted from the appointment
+ *       day on. Rejected and cancelled bookings are refunded in full. Every change is added
+ *       to the booking's statusHistory.
  *     tags: [Bookings]
  *     security:
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: bookingId
  *         required: true
  *         schema:
  *           type: string
@@ -251,10 +470,12 @@ router.get('/hospital/bookings', auth, checkRole(['hospital']), getHospitalBooki
  *             properties:
  *               status:
  *                 type: string
- *                 enum: [confirmed, rejected, cancelled, completed]
+ *                 enum: [confirmed, checked-in, in-consultation, skipped, no-show, rejected, cancelled, completed]
  *               rejectionReason:
  *                 type: string
  *                 description: Required when status is 'rejected'
+ *               completionNotes:
+ *                 type: string
  *     responses:
  *       200:
  *         description: Booking status updated successfully
@@ -262,11 +483,15 @@ router.get('/hospital/bookings', auth, checkRole(['hospital']), getHospitalBooki
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Booking'
+ *       400:
+ *         description: Transition not allowed (INVALID_TRANSITION, REASON_REQUIRED, APPOINTMENT_NOT_TODAY)
+ *       409:
+ *         description: The booking's status changed in the meantime (STATUS_CHANGED)
  */
 router.patch(
-  '/hospital/bookings/:id/status',
+  '/hospital/bookings/:bookingId/status',
   auth,
-  checkRole(['hospital']),
+  hospitalAccess('bookings:manage'),
   updateBookingStatus
 );
 
@@ -366,9 +591,17 @@ router.put(
  *         schema:
  *           type: string
  *         description: Booking ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Booking cancelled successfully
+ *         description: Booking cancelled; the refund follows the cancellation policy (see the cancellation preview)
  *       400:
  *         description: Cannot cancel booking in current status
  *       404:
@@ -376,6 +609,192 @@ router.put(
  */
 router.post('/bookings/:id/cancel', auth, checkRole(['user']), cancelBooking);
 
+/**
+ * @swagger
+ * /api/bookings/{id}/reschedule:
+ *   post:
+ *     summary: Move a booking to another date or time slot
+ *     description: |
+ *       Available to the patient who made the booking and to hospital staff with the
+ *       bookings:manage permission. Only pending and confirmed bookings can be moved. The payment
+ *       stays on the booking and a new token is issued when the day changes. Patients are held to
+ *       the hospital's reschedule policy: at most maxReschedules moves, and none within
+ *       cutoffHours of the booked slot.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - appointmentDate
+ *               - timeSlot
+ *             properties:
+ *               appointmentDate:
+ *                 type: string
+ *                 example: "25-12-2024"
+ *                 description: DD-MM-YYYY
+ *               timeSlot:
+ *                 type: string
+ *                 example: "10:30 AM"
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Booking moved; data holds the updated booking and its previous date, slot and token
+ *       400:
+ *         description: |
+ *           Not moved. error.code is one of NOT_RESCHEDULABLE, INVALID_DATE_FORMAT, INVALID_TIME_FORMAT,
+ *           PAST_APPOINTMENT, SAME_SLOT, HOSPITAL_UNAVAILABLE, RESCHEDULE_LIMIT_REACHED,
+ *           RESCHEDULE_CUTOFF_PASSED, DOCTOR_NOT_FOUND or any slot availability error from booking creation
+ *       403:
+ *         description: Staff member without the bookings:manage permission
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The booking changed while it was being moved
+ */
+router.post('/bookings/:id/reschedule', auth, checkRole(['user', 'hospital']), rescheduleBooking);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     CancellationQuote:
+ *       type: object
+ *       properties:
+ *         bookingId:
+ *           type: string
+ *         canCancel:
+ *           type: boolean
+ *         refundable:
+ *           type: boolean
+ *           description: False when there is no captured online payment to refund
+ *         paidAmount:
+ *           type: number
+ *         refundPercent:
+ *           type: number
+ *         refundAmount:
+ *           type: number
+ *         nonRefundableAmount:
+ *           type: number
+ *         emergencyFeeRetained:
+ *           type: number
+ *         hoursBeforeStart:
+ *           type: number
+ *           description: Negative once the slot has started
+ *         rule:
+ *           type: string
+ *           example: 24h-before
+ *         policySource:
+ *           type: string
+ *           enum: [hospital, platform]
+ *         policy:
+ *           $ref: '#/components/schemas/CancellationPolicy'
+ *     CancellationPolicy:
+ *       type: object
+ *       properties:
+ *         tiers:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               hoursBefore:
+ *                 type: number
+ *               refundPercent:
+ *                 type: number
+ *           example:
+ *             - hoursBefore: 24
+ *               refundPercent: 100
+ *             - hoursBefore: 0
+ *               refundPercent: 50
+ *         afterStartRefundPercent:
+ *           type: number
+ *         emergencyFeeRefundable:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/bookings/{id}/cancellation-preview:
+ *   get:
+ *     summary: Preview the refund for cancelling a booking now
+ *     description: Applies the hospital's cancellation policy, or the platform policy when the hospital has none
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Booking ID
+ *     responses:
+ *       200:
+ *         description: Refund preview
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/CancellationQuote'
+ *       404:
+ *         description: Booking not found
+ */
+router.get('/bookings/:id/cancellation-preview', auth, checkRole(['user']), getCancellationPreview);
+
+/**
+ * @swagger
+ * /api/bookings/{id}/medical-consent:
+ *   put:
+ *     summary: Share or stop sharing the patient's medical record with the hospital
+ *     description: |
+ *       While shared, the hospital and the assigned doctor see the patient's date of birth,
+ *       blood group, emergency contact and medical info on this booking. For bookings made
+ *       for a family member, the member's record is shared instead.
+ *     tags: [Bookings]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - share
+ *             properties:
+ *               share:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Consent updated
+ *       400:
+ *         description: share is missing or not a boolean
+ *       404:
+ *         description: Booking not found
+ */
+router.put('/bookings/:id/medical-consent', auth, checkRole(['user']), updateMedicalRecordConsent);
+
 /**
  * @swagger
  * /api/admin/bookings/pending-payments:
@@ -414,4 +833,44 @@ router.get('/admin/bookings/pending-payments', auth, checkRole(['admin']), async
   }
 });
 
+/**
+ * @swagger
+ * /api/hospitals/bookings/{bookingId}/doctor:
+ *   put:
+ *     summary: Assign or reassign a doctor to a booking
+ *     description: |
+ *       The doctor must belong to the hospital, work in the booked slot on that day and have a free seat in it.
+ *       The booking's seat moves to the doctor's capacity and the patient is notified.
+ *     tags: [Hospital Bookings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - doctorId
+ *             properties:
+ *               doctorId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Doctor assigned
+ *       400:
+ *         description: |
+ *           Doctor cannot take the booking. code is one of DOCTOR_ON_LEAVE, DOCTOR_UNAVAILABLE,
+ *           OUTSIDE_HOURS, INVALID_SLOT, SLOT_FULL, DOCTOR_DAILY_LIMIT_REACHED or BOOKING_CHANGED
+ *       404:
+ *         description: Hospital, booking or doctor not found
+ */
+router.put('/hospitals/bookings/:bookingId/doctor', auth, hospitalAccess('bookings:manage'), assignDoctor);
+
 module.exports = router;
@@ -0,0 +1,278 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole, loadDoctor } = require('../middlewares/auth');
+const {
+  getDoctorProfile,
+  getDoctorBookings,
+  getDoctorBooking,
+  callPatient,
+  completeConsultation,
+  addPrescriptions,
+  amendPrescription,
+  signPrescription
+} = require('../controllers/doctorPortalController');
+
+// Every route here acts as the logged-in doctor
+router.use(auth, checkRole(['doctor']), loadDoctor);
+
+/**
+ * @swagger
+ * /api/doctor/profile:
+ *   get:
+ *     summary: Get the logged-in doctor's profile
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Doctor profile with hospital
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Doctor'
+ *       403:
+ *         description: Not a doctor or the doctor was removed
+ */
+router.get('/profile', getDoctorProfile);
+
+/**
+ * @swagger
+ * /api/doctor/bookings:
+ *   get:
+ *     summary: Get the logged-in doctor's patients for a day
+ *     description: Only bookings assigned to this doctor, in queue order.
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: "25-12-2024"
+ *         description: Day in DD-MM-YYYY format, defaults to today
+ *     responses:
+ *       200:
+ *         description: Day list
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/bookings', getDoctorBookings);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}:
+ *   get:
+ *     summary: Get one of the doctor's bookings
+ *     description: Includes the patient's medical record when they shared it for this booking.
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Booking with medicalRecord (null unless shared)
+ *       404:
+ *         description: Booking not found or not assigned to this doctor
+ */
+router.get('/bookings/:bookingId', getDoctorBooking);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}/call:
+ *   post:
+ *     summary: Call a patient into consultation
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Patient called
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueueEntry'
+ *       400:
+ *         description: Booking cannot be called from its current status
+ *       404:
+ *         description: Booking not found or not assigned to this doctor
+ */
+router.post('/bookings/:bookingId/call', callPatient);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}/complete:
+ *   put:
+ *     summary: Mark a consultation complete
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               completionNotes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Consultation completed
+ *       400:
+ *         description: Patient is not in consultation
+ *       404:
+ *         description: Booking not found or not assigned to this doctor
+ */
+router.put('/bookings/:bookingId/complete', completeConsultation);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}/prescriptions:
+ *   post:
+ *     summary: Add medicines to a consultation's prescription
+ *     description: |
+ *       Allowed during or after the consultation. The patient sees the prescription once it
+ *       is signed. Adding to a signed prescription needs a reason and a new signature.
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prescriptions
+ *             properties:
+ *               prescriptions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PrescriptionItem'
+ *               followUpDate:
+ *                 type: string
+ *                 description: DD-MM-YYYY, after the appointment day
+ *               reason:
+ *                 type: string
+ *                 description: Required when the prescription is already signed
+ *           example:
+ *             prescriptions:
+ *               - medicine: "Paracetamol 500mg"
+ *                 dosage: "1 tablet"
+ *                 frequency: "1-0-1"
+ *                 duration: "5 days"
+ *                 instructions: "After food"
+ *             followUpDate: "02-01-2025"
+ *     responses:
+ *       200:
+ *         description: Medicines added
+ *       400:
+ *         description: Invalid prescriptions, follow-up date or consultation has not started
+ *       404:
+ *         description: Booking not found or not assigned to this doctor
+ *       409:
+ *         description: The prescription was changed concurrently
+ */
+router.post('/bookings/:bookingId/prescriptions', addPrescriptions);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}/prescriptions/sign:
+ *   post:
+ *     summary: Sign the prescription and share it with the patient
+ *     description: Only once the consultation is completed. The patient is notified.
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               followUpDate:
+ *                 type: string
+ *                 description: DD-MM-YYYY, after the appointment day
+ *     responses:
+ *       200:
+ *         description: Prescription signed
+ *       400:
+ *         description: Consultation not completed, nothing to sign or already signed
+ *       404:
+ *         description: Booking not found or not assigned to this doctor
+ */
+router.post('/bookings/:bookingId/prescriptions/sign', signPrescription);
+
+/**
+ * @swagger
+ * /api/doctor/bookings/{bookingId}/prescriptions/{itemId}:
+ *   put:
+ *     summary: Amend one medicine on the prescription
+ *     description: A signed prescription needs a reason to change and must be signed again.
+ *     tags: [Doctor Portal]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PrescriptionItem'
+ *               - type: object
+ *                 properties:
+ *                   followUpDate:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Prescription updated
+ *       400:
+ *         description: Invalid change or missing reason
+ *       404:
+ *         description: Booking or medicine not found
+ */
+router.put('/bookings/:bookingId/prescriptions/:itemId', amendPrescription);
+
+module.exports = router;
@@ -0,0 +1,332 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  getDoctors,
+  getDoctor,
+  createDoctor,
+  updateDoctor,
+  deleteDoctor,
+  createDoctorAccount,
+  removeDoctorAccount,
+  getHospitalDoctors
+} = require('../controllers/doctorController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Doctor:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         hospital:
+ *           type: string
+ *         name:
+ *           type: string
+ *         specialization:
+ *           type: string
+ *         qualification:
+ *           type: string
+ *         experience:
+ *           type: number
+ *           description: Years of experience
+ *         consultationFee:
+ *           type: number
+ *         availability:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: string
+ *                 enum: [monday, tuesday, wednesday, thursday, friday, saturday, sunday]
+ *               startTime:
+ *                 type: string
+ *                 example: "09:00"
+ *               endTime:
+ *                 type: string
+ *                 example: "13:00"
+ *               isAvailable:
+ *                 type: boolean
+ *         leaveDays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 format: date-time
+ *               reason:
+ *                 type: string
+ *         patientsPerSlot:
+ *           type: number
+ *           description: Patients this doctor sees per slot, defaults to the hospital setting
+ *         maxPatientsPerDay:
+ *           type: number
+ *         isActive:
+ *           type: boolean
+ *     DoctorInput:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *         specialization:
+ *           type: string
+ *         qualification:
+ *           type: string
+ *         experience:
+ *           type: number
+ *         consultationFee:
+ *           type: number
+ *         availability:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               day:
+ *                 type: string
+ *               startTime:
+ *                 type: string
+ *               endTime:
+ *                 type: string
+ *               isAvailable:
+ *                 type: boolean
+ *         leaveDays:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "25-12-2024"
+ *               reason:
+ *                 type: string
+ *         patientsPerSlot:
+ *           type: number
+ *         maxPatientsPerDay:
+ *           type: number
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/my/doctors:
+ *   get:
+ *     summary: List the logged-in hospital's doctors
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Doctors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Doctor'
+ *       404:
+ *         description: Hospital not found
+ *   post:
+ *     summary: Add a doctor to the logged-in hospital
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorInput'
+ *           example:
+ *             name: "Anita Rao"
+ *             specialization: "Cardiology"
+ *             experience: 12
+ *             consultationFee: 500
+ *             patientsPerSlot: 2
+ *             availability:
+ *               - day: "monday"
+ *                 startTime: "09:00"
+ *                 endTime: "13:00"
+ *     responses:
+ *       201:
+ *         description: Doctor created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Doctor'
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/hospitals/my/doctors', auth, hospitalAccess(), getDoctors);
+router.post('/hospitals/my/doctors', auth, hospitalAccess('doctors:manage'), createDoctor);
+
+/**
+ * @swagger
+ * /api/hospitals/my/doctors/{doctorId}:
+ *   get:
+ *     summary: Get one of the logged-in hospital's doctors
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doctor
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Doctor'
+ *       404:
+ *         description: Hospital or doctor not found
+ *   put:
+ *     summary: Update a doctor's details, weekly availability or leave days
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DoctorInput'
+ *     responses:
+ *       200:
+ *         description: Doctor updated
+ *       400:
+ *         description: Invalid fields, or deactivating the doctor or adding leave on days they still have bookings
+ *       404:
+ *         description: Hospital or doctor not found
+ *   delete:
+ *     summary: Remove a doctor
+ *     description: Deactivates the doctor. Fails while the doctor still has upcoming bookings.
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doctor removed
+ *       400:
+ *         description: Doctor has upcoming bookings
+ *       404:
+ *         description: Hospital or doctor not found
+ */
+router.get('/hospitals/my/doctors/:doctorId', auth, hospitalAccess(), getDoctor);
+router.put('/hospitals/my/doctors/:doctorId', auth, hospitalAccess('doctors:manage'), updateDoctor);
+router.delete('/hospitals/my/doctors/:doctorId', auth, hospitalAccess('doctors:manage'), deleteDoctor);
+
+/**
+ * @swagger
+ * /api/hospitals/my/doctors/{doctorId}/account:
+ *   post:
+ *     summary: Create a login for a doctor
+ *     description: The doctor signs in through /api/auth/login/doctor and only sees their own bookings.
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       201:
+ *         description: Doctor login created
+ *       400:
+ *         description: Invalid input, doctor already has a login or email is taken
+ *       404:
+ *         description: Hospital or doctor not found
+ *   delete:
+ *     summary: Remove a doctor's login
+ *     tags: [Doctors]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: doctorId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Doctor login removed
+ *       404:
+ *         description: Hospital or doctor login not found
+ */
+router.post('/hospitals/my/doctors/:doctorId/account', auth, hospitalAccess('doctors:manage'), createDoctorAccount);
+router.delete('/hospitals/my/doctors/:doctorId/account', auth, hospitalAccess('doctors:manage'), removeDoctorAccount);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/doctors:
+ *   get:
+ *     summary: List a hospital's doctors available for booking
+ *     tags: [Doctors]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: specialization
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Active doctors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Doctor'
+ */
+router.get('/hospitals/:id/doctors', getHospitalDoctors);
+
+module.exports = router;
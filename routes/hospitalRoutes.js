@@ -1,11 +1,13 @@
 const express = require('express');
 const router = express.Router();
 const { auth, checkRole } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
 const {
   createHospital,
   updateHospital,
   getHospitals,
   getHospital,
+  getHospitalAvailability,
   deleteHospital,
   updateHospitalStatus,
   getHospitalBookings,
@@ -25,9 +27,14 @@ const {
   updateBookingToken,
   getHospitalsForPatients,
   getHospitalPatients,
+  getPatientHistory,
   getHospitalReports,
   getPaymentStats,
-  updateSlotSettings
+  updateSlotSettings,
+  getCancellationPolicy,
+  updateCancellationPolicy,
+  addClosedDay,
+  removeClosedDay
 } = require('../controllers/hospitalController');
 
 /**
@@ -139,6 +146,10 @@ const {
  *         opBookingPrice:
  *           type: number
  *           example: 500
+ *         collectConsultationFee:
+ *           type: boolean
+ *           default: false
+ *           description: Online payments include the consultation fee
  *         doctors:
  *           type: array
  *           items:
@@ -262,7 +273,7 @@ router.get('/hospitals/filtered', getFilteredHospitals);
  *       200:
  *         description: Dashboard statistics retrieved successfully
  */
-router.get('/hospitals/dashboard', auth, checkRole(['hospital']), getDashboardStats);
+router.get('/hospitals/dashboard', auth, hospitalAccess('reports:view'), getDashboardStats);
 
 /**
  * @swagger
@@ -336,7 +347,7 @@ router.get('/hospitals', getHospitals);
  *       404:
  *         description: Hospital not found
  */
-router.put('/hospitals/updateprofile', auth, checkRole(['hospital']), updateHospitalProfile);
+router.put('/hospitals/updateprofile', auth, hospitalAccess('settings:edit'), updateHospitalProfile);
 
 /**
  * @swagger
@@ -385,7 +396,7 @@ router.put('/hospitals/updateprofile', auth, checkRole(['hospital']), updateHosp
  *       404:
  *         description: Hospital not found
  */
-router.get('/hospitals/profile', auth, checkRole(['hospital']), getOwnHospitalProfile);
+router.get('/hospitals/profile', auth, hospitalAccess(), getOwnHospitalProfile);
 
 /**
  * @swagger
@@ -423,6 +434,97 @@ router.get('/hospitals/profile', auth, checkRole(['hospital']), getOwnHospitalPr
 router.get('/hospitals/:id', getHospital);
 router.get('/hospitals/:id/profile', auth, checkRole(['admin']), getHospitalProfile);
 
+/**
+ * @swagger
+ * /api/hospitals/{id}/availability:
+ *   get:
+ *     summary: Get per-slot availability for a hospital on a date
+ *     description: Expands the hospital's timings for that weekday into slots of slotSettings.slotDuration minutes and returns the remaining capacity of each slot based on patientsPerSlot and existing pending/confirmed bookings.
+ *     tags: [Hospitals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Hospital ID
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "25-12-2024"
+ *         description: Date in DD-MM-YYYY format
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *         description: Use this doctor's consulting hours, leave days and per-slot capacity
+ *     responses:
+ *       200:
+ *         description: Slot availability for the day
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 doctor:
+ *                   type: object
+ *                   nullable: true
+ *                   properties:
+ *                     id:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                     specialization:
+ *                       type: string
+ *                     consultationFee:
+ *                       type: number
+ *                     onLeave:
+ *                       type: boolean
+ *                 date:
+ *                   type: string
+ *                 day:
+ *                   type: string
+ *                 isOpen:
+ *                   type: boolean
+ *                 acceptingBookings:
+ *                   type: boolean
+ *                 slotDuration:
+ *                   type: number
+ *                 patientsPerSlot:
+ *                   type: number
+ *                 dailyRemaining:
+ *                   type: number
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       timeSlot:
+ *                         type: string
+ *                         example: "09:20 AM"
+ *                       startTime:
+ *                         type: string
+ *                       endTime:
+ *                         type: string
+ *                       capacity:
+ *                         type: number
+ *                       booked:
+ *                         type: number
+ *                       remaining:
+ *                         type: number
+ *                       isPast:
+ *                         type: boolean
+ *                       isAvailable:
+ *                         type: boolean
+ *       400:
+ *         description: Invalid or past date
+ *       404:
+ *         description: Hospital or doctor not found
+ */
+router.get('/hospitals/:id/availability', getHospitalAvailability);
+
 /**
  * @swagger
  * /api/hospitals:
@@ -518,7 +620,7 @@ router.post('/hospitals', auth, checkRole(['admin', 'hospital']), createHospital
  *               message: "Hospital not found"
  *               status: 404
  */
-router.put('/hospitals/:id', auth, checkRole(['hospital', 'admin']), updateHospital || ((req, res) => res.status(500).json({ message: 'Handler not implemented' })));
+router.put('/hospitals/:id', auth, hospitalAccess('settings:edit'), updateHospital || ((req, res) => res.status(500).json({ message: 'Handler not implemented' })));
 
 /**
  * @swagger
@@ -554,7 +656,7 @@ router.put('/hospitals/:id', auth, checkRole(['hospital', 'admin']), updateHospi
  *       500:
  *         description: Server error
  */
-router.delete('/hospitals/:id', auth, checkRole(['hospital', 'admin']), deleteHospital);
+router.delete('/hospitals/:id', auth, hospitalAccess('settings:edit'), deleteHospital);
 
 /**
  * @swagger
@@ -585,6 +687,22 @@ router.delete('/hospitals/:id', auth, checkRole(['hospital', 'admin']), deleteHo
  *                 type: array
  *                 items:
  *                   $ref: '#/components/schemas/Hospital/properties/timings/items'
+ *               reschedulePolicy:
+ *                 type: object
+ *                 description: Limits on patients rescheduling their own bookings
+ *                 properties:
+ *                   maxReschedules:
+ *                     type: integer
+ *                     default: 2
+ *                   cutoffHours:
+ *                     type: number
+ *                     default: 2
+ *                     description: No patient reschedules this many hours before the booked slot
+ *               collectConsultationFee:
+ *                 type: boolean
+ *                 description: |
+ *                   Collect the consultation fee (the doctor's fee, or opBookingPrice) with online
+ *                   payments instead of at the hospital
  *     responses:
  *       200:
  *         description: Settings updated successfully
@@ -599,7 +717,7 @@ router.delete('/hospitals/:id', auth, checkRole(['hospital', 'admin']), deleteHo
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.put('/hospitals/:id/booking-settings', auth, checkRole(['hospital']), updateBookingSettings);
+router.put('/hospitals/:id/booking-settings', auth, hospitalAccess('settings:edit'), updateBookingSettings);
 
 /**
  * @swagger
@@ -626,7 +744,7 @@ router.put('/hospitals/:id/booking-settings', auth, checkRole(['hospital']), upd
  *               items:
  *                 $ref: '#/components/schemas/Booking'
  */
-router.get('/hospitals/:id/bookings', auth, checkRole(['hospital']), getHospitalBookings);
+router.get('/hospitals/:id/bookings', auth, hospitalAccess('bookings:view'), getHospitalBookings);
 
 /**
  * @swagger
@@ -655,7 +773,7 @@ router.get('/hospitals/:id/bookings', auth, checkRole(['hospital']), getHospital
  *             status: "confirmed"
  *             rejectionReason: "Doctor unavailable"
  */
-router.put('/hospitals/:id/bookings/:bookingId/status', auth, checkRole(['hospital']), updateBookingStatus);
+router.put('/hospitals/:id/bookings/:bookingId/status', auth, hospitalAccess('bookings:manage'), updateBookingStatus);
 
 /**
  * @swagger
@@ -694,7 +812,7 @@ router.put('/admin/hospitals/:id/status', auth, checkRole(['admin']), updateHosp
  *       200:
  *         description: Dashboard statistics retrieved successfully
  */
-router.get('/hospitals/dashboard', auth, checkRole(['hospital']), getDashboardStats);
+router.get('/hospitals/dashboard', auth, hospitalAccess('reports:view'), getDashboardStats);
 
 // Hospital Settings Routes
 /**
@@ -704,7 +822,7 @@ router.get('/hospitals/dashboard', auth, checkRole(['hospital']), getDashboardSt
  *     summary: Get hospital settings
  *     tags: [Hospital Settings]
  */
-router.get('/settings', auth, checkRole(['hospital']), getHospitalSettings);
+router.get('/settings', auth, hospitalAccess(), getHospitalSettings);
 
 /**
  * @swagger
@@ -734,8 +852,24 @@ router.get('/settings', auth, checkRole(['hospital']), getHospitalSettings);
  *                       type: string
  *               consultationFee:
  *                 type: number
+ *               tokenSettings:
+ *                 type: object
+ *                 description: Format of the daily token numbers issued to patients
+ *                 properties:
+ *                   prefix:
+ *                     type: string
+ *                     description: Defaults to the first three letters of the hospital name
+ *                     example: "CITY"
+ *                   emergencyPrefix:
+ *                     type: string
+ *                     example: "E"
+ *                   padding:
+ *                     type: number
+ *                     minimum: 1
+ *                     maximum: 6
+ *                     example: 3
  */
-router.put('/settings', auth, checkRole(['hospital']), updateHospitalSettings);
+router.put('/settings', auth, hospitalAccess('settings:edit'), updateHospitalSettings);
 
 // Add new dashboard routes with updated Swagger docs
 /**
@@ -770,7 +904,7 @@ router.put('/settings', auth, checkRole(['hospital']), updateHospitalSettings);
  *                     total:
  *                       type: number
  */
-router.get('/dashboard/stats', auth, checkRole(['hospital']), getDashboardStats);
+router.get('/dashboard/stats', auth, hospitalAccess('reports:view'), getDashboardStats);
 
 /**
  * @swagger
@@ -795,7 +929,7 @@ router.get('/dashboard/stats', auth, checkRole(['hospital']), getDashboardStats)
  *       200:
  *         description: List of bookings retrieved successfully
  */
-router.get('/bookings/manage', auth, checkRole(['hospital']), getHospitalBookings);
+router.get('/bookings/manage', auth, hospitalAccess('bookings:view'), getHospitalBookings);
 
 /**
  * @swagger
@@ -822,7 +956,7 @@ router.get('/bookings/manage', auth, checkRole(['hospital']), getHospitalBooking
  *               rejectionReason:
  *                 type: string
  */
-router.patch('/bookings/:bookingId/status', auth, checkRole(['hospital']), updateBookingStatus);
+router.patch('/bookings/:bookingId/status', auth, hospitalAccess('bookings:manage'), updateBookingStatus);
 
 /**
  * @swagger
@@ -863,8 +997,8 @@ router.patch('/bookings/:bookingId/status', auth, checkRole(['hospital']), updat
  *               consultationFee:
  *                 type: number
  */
-router.get('/settings', auth, checkRole(['hospital']), getHospitalSettings);
-router.put('/settings', auth, checkRole(['hospital']), updateHospitalSettings);
+router.get('/settings', auth, hospitalAccess(), getHospitalSettings);
+router.put('/settings', auth, hospitalAccess('settings:edit'), updateHospitalSettings);
 
 // Verify all functions exist by logging them
 console.log('Available controller functions:', {
@@ -897,15 +1031,15 @@ console.log('Available controller functions:', {
 });
 
 // Keep existing routes with error checking
-router.get('/hospitals/:id/bookings', auth, checkRole(['hospital']), 
+router.get('/hospitals/:id/bookings', auth, hospitalAccess('bookings:view'), 
   getHospitalBookings || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
-router.put('/hospitals/:id/bookings/:bookingId/status', auth, checkRole(['hospital']), 
+router.put('/hospitals/:id/bookings/:bookingId/status', auth, hospitalAccess('bookings:manage'), 
   updateBookingStatus || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
-router.get('/hospitals/:id/dashboard', auth, checkRole(['hospital']), 
+router.get('/hospitals/:id/dashboard', auth, hospitalAccess('reports:view'), 
   getDashboardStats || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
@@ -914,23 +1048,23 @@ router.put('/admin/hospitals/:id/status', auth, checkRole(['admin']),
 );
 
 // Dashboard routes
-router.get('/dashboard/stats', auth, checkRole(['hospital']), 
+router.get('/dashboard/stats', auth, hospitalAccess('reports:view'), 
   getDashboardStats || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
 // Booking management routes
-router.get('/bookings/manage', auth, checkRole(['hospital']), 
+router.get('/bookings/manage', auth, hospitalAccess('bookings:view'), 
   getHospitalBookings || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
-router.patch('/bookings/:bookingId/status', auth, checkRole(['hospital']), 
+router.patch('/bookings/:bookingId/status', auth, hospitalAccess('bookings:manage'), 
   updateBookingStatus || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
 
 
 // This was likely the problematic route
-router.put('/settings', auth, checkRole(['hospital']), 
+router.put('/settings', auth, hospitalAccess('settings:edit'), 
   updateHospitalSettings || ((req, res) => res.status(500).json({ message: 'Handler not implemented' }))
 );
 
@@ -982,7 +1116,7 @@ router.get('/public/hospitals', getFilteredHospitals);
  *       404:
  *         description: Hospital not found
  */
-router.put('/hospitals/:id/active-status', auth, checkRole(['hospital']), updateHospitalActiveStatus);
+router.put('/hospitals/:id/active-status', auth, hospitalAccess('settings:edit'), updateHospitalActiveStatus);
 
 /**
  * @swagger
@@ -1026,7 +1160,7 @@ router.put('/hospitals/:id/active-status', auth, checkRole(['hospital']), update
  *       404:
  *         description: Hospital not found
  */
-router.put('/hospitals/:id/booking-price', auth, checkRole(['hospital']), updateHospitalBookingPrice);
+router.put('/hospitals/:id/booking-price', auth, hospitalAccess('settings:edit'), updateHospitalBookingPrice);
 
 /**
  * @swagger
@@ -1100,7 +1234,7 @@ router.get('/hospitals/:id/profile', auth, checkRole(['admin']), getHospitalProf
  *       404:
  *         description: Hospital not found
  */
-router.get('/hospitals/profile', auth, checkRole(['hospital']), getOwnHospitalProfile);
+router.get('/hospitals/profile', auth, hospitalAccess(), getOwnHospitalProfile);
 
 /**
  * @swagger
@@ -1150,7 +1284,7 @@ router.get('/hospitals/profile', auth, checkRole(['hospital']), getOwnHospitalPr
  *       404:
  *         description: Hospital not found
  */
-router.put('/hospitals/updateprofile', auth, checkRole(['hospital']), updateHospitalProfile);
+router.put('/hospitals/updateprofile', auth, hospitalAccess('settings:edit'), updateHospitalProfile);
 
 // Keep only this single route for getting hospital bookings
 /**
@@ -1174,7 +1308,9 @@ router.put('/hospitals/updateprofile', auth, checkRole(['hospital']), updateHosp
  *           format: date
  *     responses:
  *       200:
- *         description: List of bookings retrieved successfully
+ *         description: |
+ *           List of bookings retrieved successfully. For upcoming confirmed bookings estimatedTime is the
+ *           predicted consultation start and waitTime carries the full estimate (see WaitTimeEstimate).
  *       401:
  *         description: Unauthorized
  *       403:
@@ -1182,7 +1318,7 @@ router.put('/hospitals/updateprofile', auth, checkRole(['hospital']), updateHosp
  *       500:
  *         description: Server error
  */
-router.get('/hospitals/my/bookings', auth, checkRole(['hospital']), getHospitalBookings);
+router.get('/hospitals/my/bookings', auth, hospitalAccess('bookings:view'), getHospitalBookings);
 
 /**
  * @swagger
@@ -1235,6 +1371,11 @@ router.get('/hospitals/my/bookings', auth, checkRole(['hospital']), getHospitalB
  *                       type: string
  *                     amount:
  *                       type: number
+ *                 medicalRecord:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/SharedMedicalRecord'
+ *                   nullable: true
+ *                   description: null unless the patient shared their record for this booking
  *       401:
  *         description: Unauthorized
  *       403:
@@ -1244,7 +1385,7 @@ router.get('/hospitals/my/bookings', auth, checkRole(['hospital']), getHospitalB
  *       500:
  *         description: Server error
  */
-router.get('/hospitals/my/bookings/:bookingId', auth, checkRole(['hospital']), getBookingDetails);
+router.get('/hospitals/my/bookings/:bookingId', auth, hospitalAccess('bookings:view'), getBookingDetails);
 
 /**
  * @swagger
@@ -1350,7 +1491,7 @@ router.get('/hospitals/my/bookings/:bookingId', auth, checkRole(['hospital']), g
  *                   type: string
  *                   example: "Internal server error"
  */
-router.put('/hospitals/bookings/:bookingId/manage', auth, checkRole(['hospital']), manageBooking);
+router.put('/hospitals/bookings/:bookingId/manage', auth, hospitalAccess('bookings:manage'), manageBooking);
 
 /**
  * @swagger
@@ -1378,23 +1519,27 @@ router.put('/hospitals/bookings/:bookingId/manage', auth, checkRole(['hospital']
  *             properties:
  *               tokenNumber:
  *                 type: string
- *                 description: New token number
+ *                 description: New token number, up to 12 uppercase letters and digits
  *                 example: "ABC001"
  *     responses:
  *       200:
  *         description: Token number updated successfully
  *       400:
- *         description: Invalid token number
+ *         description: Invalid token number, or already in use for this date
  *       404:
  *         description: Booking not found
+ *       409:
+ *         description: Token number was taken by another booking while updating
  */
-router.put('/hospitals/bookings/:bookingId/token', auth, checkRole(['hospital']), updateBookingToken);
+router.put('/hospitals/bookings/:bookingId/token', auth, hospitalAccess('bookings:manage'), updateBookingToken);
 
 /**
  * @swagger
  * /api/hospitals/patient/list:
  *   get:
  *     summary: Get hospitals list for patients
+ *     description: Kept for existing clients. Staff should use GET /api/hospitals/my/patients.
+ *     deprecated: true
  *     tags: [Hospitals]
  *     parameters:
  *       - in: query
@@ -1462,6 +1607,91 @@ router.put('/hospitals/bookings/:bookingId/token', auth, checkRole(['hospital'])
  */
 router.get('/hospitals/patient/list', getHospitalsForPatients);
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SharedMedicalRecord:
+ *       type: object
+ *       description: The patient's record, shared only with their consent
+ *       properties:
+ *         dateOfBirth:
+ *           type: string
+ *           format: date-time
+ *         gender:
+ *           type: string
+ *         bloodGroup:
+ *           type: string
+ *         emergencyContact:
+ *           type: object
+ *           nullable: true
+ *           properties:
+ *             name:
+ *               type: string
+ *             relationship:
+ *               type: string
+ *             phoneNumber:
+ *               type: string
+ *         medicalInfo:
+ *           type: object
+ *           properties:
+ *             allergies:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             chronicConditions:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             currentMedications:
+ *               type: array
+ *               items:
+ *                 type: string
+ *     PatientBooking:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         patientId:
+ *           type: string
+ *           description: |
+ *             The family member the booking was made for, or the booking account when it
+ *             was made for the account holder. Use it to group visits by patient.
+ *         relation:
+ *           type: string
+ *           nullable: true
+ *           description: Relation of the family member to the account holder
+ *         patientName:
+ *           type: string
+ *         patientAge:
+ *           type: number
+ *         patientGender:
+ *           type: string
+ *         appointmentDate:
+ *           type: string
+ *           format: date-time
+ *         timeSlot:
+ *           type: string
+ *         tokenNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *         contactNumber:
+ *           type: string
+ *         symptoms:
+ *           type: string
+ *         department:
+ *           type: string
+ *         doctorName:
+ *           type: string
+ *         waitTime:
+ *           $ref: '#/components/schemas/WaitTimeEstimate'
+ *         user:
+ *           type: object
+ *         payment:
+ *           type: object
+ */
+
 /**
  * @swagger
  * /api/hospitals/my/patients:
@@ -1512,7 +1742,7 @@ router.get('/hospitals/patient/list', getHospitalsForPatients);
  *       500:
  *         description: Server error
  */
-router.get('/my/patients', auth, checkRole(['hospital']), getHospitalPatients);
+router.get('/my/patients', auth, hospitalAccess('bookings:view'), getHospitalPatients);
 
 /**
  * @swagger
@@ -1588,7 +1818,7 @@ router.get('/my/patients', auth, checkRole(['hospital']), getHospitalPatients);
  *       500:
  *         description: Server error
  */
-router.get('/hospitals/my/reports', auth, checkRole(['hospital']), getHospitalReports);
+router.get('/hospitals/my/reports', auth, hospitalAccess('reports:view'), getHospitalReports);
 
 /**
  * @swagger
@@ -1639,7 +1869,34 @@ router.get('/hospitals/my/reports', auth, checkRole(['hospital']), getHospitalRe
  *       500:
  *         description: Server error
  */
-router.get('/hospitals/my/patients', auth, checkRole(['hospital']), getHospitalPatients);
+router.get('/hospitals/my/patients', auth, hospitalAccess('bookings:view'), getHospitalPatients);
+
+/**
+ * @swagger
+ * /api/hospitals/my/patients/{patientId}/history:
+ *   get:
+ *     summary: Get one patient's visits to the hospital
+ *     description: |
+ *       Visits of a family member are kept apart from those of the account holder who booked them.
+ *       patient.medicalRecord (SharedMedicalRecord) is null unless the patient shared their record
+ *       for one of these bookings.
+ *     tags: [Hospital Patients]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: patientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: patientId from the patient list
+ *     responses:
+ *       200:
+ *         description: The patient's latest details and visits, newest first
+ *       404:
+ *         description: The patient has no bookings at this hospital
+ */
+router.get('/hospitals/my/patients/:patientId/history', auth, hospitalAccess('bookings:view'), getPatientHistory);
 
 /**
  * @swagger
@@ -1688,7 +1945,7 @@ router.get('/hospitals/my/patients', auth, checkRole(['hospital']), getHospitalP
  *                       appointmentType:
  *                         type: string
  */
-router.get('/hospitals/payments/stats', auth, checkRole(['hospital']), getPaymentStats);
+router.get('/hospitals/payments/stats', auth, hospitalAccess('payments:view'), getPaymentStats);
 
 /**
  * @swagger
@@ -1711,8 +1968,13 @@ router.get('/hospitals/payments/stats', auth, checkRole(['hospital']), getPaymen
  *                 type: number
  *                 minimum: 1
  *                 description: Number of patients that can be booked in each time slot
+ *               slotDuration:
+ *                 type: number
+ *                 enum: [15, 20, 30, 45, 60]
+ *                 description: Length of each time slot in minutes
  *           example:
  *             patientsPerSlot: 3
+ *             slotDuration: 20
  *     responses:
  *       200:
  *         description: Slot settings updated successfully
@@ -1751,6 +2013,119 @@ router.get('/hospitals/payments/stats', auth, checkRole(['hospital']), getPaymen
  *                           maxPatientsPerSlot:
  *                             type: number
  */
-router.put('/hospitals/my/slot-settings', auth, checkRole(['hospital']), updateSlotSettings);
+router.put('/hospitals/my/slot-settings', auth, hospitalAccess('settings:edit'), updateSlotSettings);
+
+/**
+ * @swagger
+ * /api/hospitals/my/cancellation-policy:
+ *   get:
+ *     summary: Get the cancellation and refund policy applied to this hospital's bookings
+ *     tags: [Hospital Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Policy in effect and where it comes from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 source:
+ *                   type: string
+ *                   enum: [hospital, platform]
+ *                 policy:
+ *                   $ref: '#/components/schemas/CancellationPolicy'
+ *                 platformPolicy:
+ *                   $ref: '#/components/schemas/CancellationPolicy'
+ *   put:
+ *     summary: Set the hospital's own cancellation and refund policy
+ *     description: Tiers give the refund percentage by hours left before the slot starts. Send useDefault true to use the platform policy again.
+ *     tags: [Hospital Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/CancellationPolicy'
+ *               - type: object
+ *                 properties:
+ *                   useDefault:
+ *                     type: boolean
+ *           example:
+ *             tiers:
+ *               - hoursBefore: 48
+ *                 refundPercent: 100
+ *               - hoursBefore: 6
+ *                 refundPercent: 50
+ *             afterStartRefundPercent: 0
+ *             emergencyFeeRefundable: false
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Invalid policy
+ */
+router.get('/hospitals/my/cancellation-policy', auth, hospitalAccess(), getCancellationPolicy);
+router.put('/hospitals/my/cancellation-policy', auth, hospitalAccess('settings:edit'), updateCancellationPolicy);
+
+/**
+ * @swagger
+ * /api/hospitals/my/closed-days:
+ *   post:
+ *     summary: Close the hospital for a day
+ *     description: |
+ *       Stops new bookings for the date and cancels every active booking already made for it.
+ *       Paid bookings are refunded in full and patients are notified. Bookings whose refund
+ *       could not be initiated are still cancelled and listed with a refundError.
+ *     tags: [Hospital Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - date
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "26-01-2025"
+ *                 description: DD-MM-YYYY, today or later
+ *               reason:
+ *                 type: string
+ *                 example: Republic Day
+ *     responses:
+ *       200:
+ *         description: Hospital closed; lists the cancelled bookings and any that could not be cancelled
+ *       400:
+ *         description: Invalid or past date
+ * /api/hospitals/my/closed-days/{date}:
+ *   delete:
+ *     summary: Reopen a closed day for new bookings
+ *     description: Bookings cancelled when the day was closed stay cancelled.
+ *     tags: [Hospital Settings]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: DD-MM-YYYY
+ *     responses:
+ *       200:
+ *         description: Day reopened
+ *       404:
+ *         description: The hospital is not closed on this date
+ */
+router.post('/hospitals/my/closed-days', auth, hospitalAccess('settings:edit'), addClosedDay);
+router.delete('/hospitals/my/closed-days/:date', auth, hospitalAccess('settings:edit'), removeClosedDay);
 
 module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middlewares/auth');
+const {
+  getMyInvoices,
+  downloadInvoice
+} = require('../controllers/invoiceController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Invoice:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [invoice, credit-note]
+ *         number:
+ *           type: string
+ *           example: "INV/24-25/000042"
+ *         bookingId:
+ *           type: string
+ *         issuedOn:
+ *           type: string
+ *           example: "15-12-2024"
+ *         originalNumber:
+ *           type: string
+ *           nullable: true
+ *           description: For a credit note, the invoice it reduces
+ *         taxType:
+ *           type: string
+ *           enum: [intra-state, inter-state]
+ *           description: CGST and SGST within the platform's state, IGST otherwise
+ *         totals:
+ *           type: object
+ *           properties:
+ *             taxableValue:
+ *               type: number
+ *             cgst:
+ *               type: number
+ *             sgst:
+ *               type: number
+ *             igst:
+ *               type: number
+ *             tax:
+ *               type: number
+ *             total:
+ *               type: number
+ *         amountInWords:
+ *           type: string
+ *           example: "Rupees Thirty Five Only"
+ */
+
+/**
+ * @swagger
+ * /api/user/invoices:
+ *   get:
+ *     summary: Get the patient's tax invoices and credit notes
+ *     description: |
+ *       An invoice for the platform and emergency fees is issued when a booking is paid, and
+ *       a credit note when those fees are refunded. Newest first.
+ *     tags: [Invoices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: bookingId
+ *         schema:
+ *           type: string
+ *         description: Only documents for this booking
+ *     responses:
+ *       200:
+ *         description: Invoices and credit notes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: number
+ *                 invoices:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Invoice'
+ */
+router.get('/user/invoices', auth, checkRole(['user']), getMyInvoices);
+
+/**
+ * @swagger
+ * /api/user/invoices/{invoiceId}/download:
+ *   get:
+ *     summary: Download a tax invoice or credit note as PDF
+ *     tags: [Invoices]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: invoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF document
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Invoice not found
+ */
+router.get('/user/invoices/:invoiceId/download', auth, checkRole(['user']), downloadInvoice);
+
+module.exports = router;
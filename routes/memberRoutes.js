@@ -0,0 +1,213 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember,
+  getMyMembership
+} = require('../controllers/memberController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     HospitalMember:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         role:
+ *           type: string
+ *           enum: [owner, receptionist, billing, doctor]
+ *         permissions:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [bookings:view, bookings:manage, queue:manage, prescriptions:sign, payments:view, payments:manage, reports:view, doctors:manage, settings:edit, staff:manage]
+ *           description: Owners have every permission regardless of this list. An empty list means no permissions; leave it out to get the role's defaults.
+ *         status:
+ *           type: string
+ *           enum: [active, revoked]
+ *         doctor:
+ *           type: string
+ *           description: Doctor profile of a doctor member
+ *         user:
+ *           type: object
+ *           properties:
+ *             id:
+ *               type: string
+ *             name:
+ *               type: string
+ *             email:
+ *               type: string
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/my/membership:
+ *   get:
+ *     summary: Get the logged-in staff user's role and permissions
+ *     description: Staff working for several hospitals pick one with the X-Hospital-Id header on any hospital endpoint.
+ *     tags: [Hospital Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: X-Hospital-Id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Membership
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/hospitals/my/membership', auth, hospitalAccess(), getMyMembership);
+
+/**
+ * @swagger
+ * /api/hospitals/my/members:
+ *   get:
+ *     summary: List the hospital's staff
+ *     tags: [Hospital Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Staff members
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/HospitalMember'
+ *       403:
+ *         description: Missing staff:manage permission
+ *   post:
+ *     summary: Add a staff member
+ *     description: Creates the member's login from name, email and password. An existing login can only be added back if it was removed from this hospital. Permissions default to the role's set.
+ *     tags: [Hospital Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - role
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *               role:
+ *                 type: string
+ *                 enum: [owner, receptionist, billing]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *           example:
+ *             name: "Front Desk"
+ *             email: "frontdesk@cityhospital.com"
+ *             password: "changeme123"
+ *             role: "receptionist"
+ *     responses:
+ *       201:
+ *         description: Member added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HospitalMember'
+ *       400:
+ *         description: Invalid input, email already used by another account, or already a member
+ *       403:
+ *         description: Missing staff:manage permission, or adding an owner without being one
+ */
+router.get('/hospitals/my/members', auth, hospitalAccess('staff:manage'), getMembers);
+router.post('/hospitals/my/members', auth, hospitalAccess('staff:manage'), addMember);
+
+/**
+ * @swagger
+ * /api/hospitals/my/members/{memberId}:
+ *   put:
+ *     summary: Change a staff member's role or permissions
+ *     description: Changing the role resets permissions to the new role's defaults unless permissions are given too. Only owners can make or change an owner, and nobody can change their own role.
+ *     tags: [Hospital Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, receptionist, billing]
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Member updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HospitalMember'
+ *       400:
+ *         description: Invalid role or permissions, or the last owner would be demoted
+ *       403:
+ *         description: Changing your own role, or an owner's role without being one
+ *       404:
+ *         description: Member not found
+ *   delete:
+ *     summary: Revoke a staff member's access
+ *     tags: [Hospital Staff]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Member removed
+ *       400:
+ *         description: The last owner or a doctor member cannot be removed here
+ *       403:
+ *         description: Removing an owner without being one
+ *       404:
+ *         description: Member not found
+ */
+router.put('/hospitals/my/members/:memberId', auth, hospitalAccess('staff:manage'), updateMember);
+router.delete('/hospitals/my/members/:memberId', auth, hospitalAccess('staff:manage'), removeMember);
+
+module.exports = router;
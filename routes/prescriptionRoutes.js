@@ -0,0 +1,263 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  getBookingPrescription,
+  addBookingPrescriptions,
+  amendBookingPrescription,
+  signBookingPrescription,
+  getMyPrescriptions
+} = require('../controllers/prescriptionController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PrescriptionItem:
+ *       type: object
+ *       required:
+ *         - medicine
+ *       properties:
+ *         medicine:
+ *           type: string
+ *           example: "Paracetamol 500mg"
+ *         dosage:
+ *           type: string
+ *           example: "1 tablet"
+ *         frequency:
+ *           type: string
+ *           example: "1-0-1"
+ *         duration:
+ *           type: string
+ *           example: "5 days"
+ *         instructions:
+ *           type: string
+ *           example: "After food"
+ *     Prescription:
+ *       type: object
+ *       properties:
+ *         bookingId:
+ *           type: string
+ *         hospital:
+ *           type: object
+ *         appointmentDate:
+ *           type: string
+ *           example: "25-12-2024"
+ *         tokenNumber:
+ *           type: string
+ *         patientName:
+ *           type: string
+ *         doctor:
+ *           type: object
+ *           nullable: true
+ *           description: Doctor the prescription was signed by
+ *         items:
+ *           type: array
+ *           items:
+ *             allOf:
+ *               - type: object
+ *                 properties:
+ *                   id:
+ *                     type: string
+ *               - $ref: '#/components/schemas/PrescriptionItem'
+ *         followUpDate:
+ *           type: string
+ *           nullable: true
+ *           example: "02-01-2025"
+ *         signed:
+ *           type: boolean
+ *         signedAt:
+ *           type: string
+ *           format: date-time
+ *         amended:
+ *           type: boolean
+ *           description: Changed after it was first signed
+ */
+
+/**
+ * @swagger
+ * /api/user/prescriptions:
+ *   get:
+ *     summary: Get the logged-in patient's signed prescriptions
+ *     description: Newest appointment first. Prescriptions still being written are not listed.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Signed prescriptions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   type: number
+ *                 prescriptions:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Prescription'
+ */
+router.get('/user/prescriptions', auth, checkRole(['user']), getMyPrescriptions);
+
+/**
+ * @swagger
+ * /api/hospitals/my/bookings/{bookingId}/prescriptions:
+ *   get:
+ *     summary: Get a booking's prescription, including amendments
+ *     tags: [Prescriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Prescription with the amendment history
+ *       404:
+ *         description: Booking not found
+ *   post:
+ *     summary: Add medicines to a booking's prescription
+ *     description: |
+ *       Allowed during or after the consultation. Adding to a signed prescription is an
+ *       amendment: it needs a reason and the prescription must be signed again.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - prescriptions
+ *             properties:
+ *               prescriptions:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/PrescriptionItem'
+ *               followUpDate:
+ *                 type: string
+ *                 description: DD-MM-YYYY, after the appointment day
+ *               reason:
+ *                 type: string
+ *                 description: Required when the prescription is already signed
+ *     responses:
+ *       200:
+ *         description: Medicines added
+ *       400:
+ *         description: |
+ *           Error codes: INVALID_PRESCRIPTION, INVALID_FOLLOW_UP_DATE, CONSULTATION_NOT_STARTED, REASON_REQUIRED
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The prescription was changed concurrently (PRESCRIPTION_CHANGED)
+ */
+router.get('/hospitals/my/bookings/:bookingId/prescriptions', auth, hospitalAccess('bookings:view'), getBookingPrescription);
+router.post('/hospitals/my/bookings/:bookingId/prescriptions', auth, hospitalAccess('bookings:manage'), addBookingPrescriptions);
+
+/**
+ * @swagger
+ * /api/hospitals/my/bookings/{bookingId}/prescriptions/sign:
+ *   post:
+ *     summary: Sign the prescription and share it with the patient
+ *     description: |
+ *       Signed in the name of the doctor assigned to the booking once the consultation is
+ *       completed. The patient is notified and can download the PDF. Needs the
+ *       prescriptions:sign permission, which only owners have unless it is granted; doctors
+ *       sign their own through /api/doctor/bookings/{bookingId}/prescriptions/sign.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               followUpDate:
+ *                 type: string
+ *                 description: DD-MM-YYYY, after the appointment day
+ *     responses:
+ *       200:
+ *         description: Prescription signed
+ *       400:
+ *         description: |
+ *           Error codes: CONSULTATION_NOT_COMPLETED, EMPTY_PRESCRIPTION, ALREADY_SIGNED,
+ *           DOCTOR_REQUIRED, INVALID_FOLLOW_UP_DATE
+ *       403:
+ *         description: Missing the prescriptions:sign permission
+ *       404:
+ *         description: Booking not found
+ *       409:
+ *         description: The prescription was changed concurrently (PRESCRIPTION_CHANGED)
+ */
+router.post('/hospitals/my/bookings/:bookingId/prescriptions/sign', auth, hospitalAccess('prescriptions:sign'), signBookingPrescription);
+
+/**
+ * @swagger
+ * /api/hospitals/my/bookings/{bookingId}/prescriptions/{itemId}:
+ *   put:
+ *     summary: Amend one medicine on the prescription
+ *     description: |
+ *       Only the fields sent are changed. Changing a signed prescription needs a reason, is
+ *       kept in the amendment history and the prescription must be signed again.
+ *     tags: [Prescriptions]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/PrescriptionItem'
+ *               - type: object
+ *                 properties:
+ *                   followUpDate:
+ *                     type: string
+ *                   reason:
+ *                     type: string
+ *     responses:
+ *       200:
+ *         description: Prescription updated
+ *       400:
+ *         description: |
+ *           Error codes: INVALID_PRESCRIPTION, NO_CHANGES, INVALID_FOLLOW_UP_DATE,
+ *           CONSULTATION_NOT_STARTED, REASON_REQUIRED
+ *       404:
+ *         description: Booking or medicine not found
+ *       409:
+ *         description: The prescription was changed concurrently (PRESCRIPTION_CHANGED)
+ */
+router.put('/hospitals/my/bookings/:bookingId/prescriptions/:itemId', auth, hospitalAccess('bookings:manage'), amendBookingPrescription);
+
+module.exports = router;
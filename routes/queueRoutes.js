@@ -0,0 +1,186 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  getQueue,
+  callNextToken,
+  updateQueueStatus,
+  recallToken
+} = require('../controllers/queueController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     QueueEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         tokenNumber:
+ *           type: string
+ *         status:
+ *           type: string
+ *           enum: [confirmed, checked-in, in-consultation, skipped, no-show, completed]
+ *         isEmergency:
+ *           type: boolean
+ *         timeSlot:
+ *           type: string
+ *         patientName:
+ *           type: string
+ *         checkedInAt:
+ *           type: string
+ *           format: date-time
+ *         calledAt:
+ *           type: string
+ *           format: date-time
+ *         skippedAt:
+ *           type: string
+ *           format: date-time
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/my/queue:
+ *   get:
+ *     summary: Get the OP queue for the logged-in hospital
+ *     tags: [Hospital Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *           example: "25-12-2024"
+ *         description: Day in DD-MM-YYYY format, defaults to today
+ *     responses:
+ *       200:
+ *         description: Queue with the token now being served, waiting and skipped patients
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                 nowServing:
+ *                   type: object
+ *                   properties:
+ *                     booking:
+ *                       type: string
+ *                     tokenNumber:
+ *                       type: string
+ *                     calledAt:
+ *                       type: string
+ *                       format: date-time
+ *                 inConsultation:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QueueEntry'
+ *                 waiting:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QueueEntry'
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/QueueEntry'
+ *                 summary:
+ *                   type: object
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/hospitals/my/queue', auth, hospitalAccess('bookings:view'), getQueue);
+
+/**
+ * @swagger
+ * /api/hospitals/my/queue/next:
+ *   post:
+ *     summary: Call the next token
+ *     description: Marks the patient currently being served as completed and moves the next waiting patient (emergencies first, then by token) into consultation.
+ *     tags: [Hospital Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Next token called
+ *       400:
+ *         description: No patients are waiting (QUEUE_EMPTY)
+ *       404:
+ *         description: Hospital not found
+ */
+router.post('/hospitals/my/queue/next', auth, hospitalAccess('queue:manage'), callNextToken);
+
+/**
+ * @swagger
+ * /api/hospitals/my/queue/{bookingId}/status:
+ *   put:
+ *     summary: Update a patient's queue status
+ *     description: A pending booking can only be checked in if it is paid at the counter (cod); online bookings must be confirmed by their payment first.
+ *     tags: [Hospital Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [checked-in, in-consultation, skipped, no-show, completed]
+ *           example:
+ *             status: "checked-in"
+ *     responses:
+ *       200:
+ *         description: Queue status updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/QueueEntry'
+ *       400:
+ *         description: Invalid status or transition, or an unpaid online booking being checked in
+ *       404:
+ *         description: Booking not found
+ */
+router.put('/hospitals/my/queue/:bookingId/status', auth, hospitalAccess('queue:manage'), updateQueueStatus);
+
+/**
+ * @swagger
+ * /api/hospitals/my/queue/{bookingId}/recall:
+ *   post:
+ *     summary: Recall a skipped token back into the queue
+ *     tags: [Hospital Queue]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: bookingId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Token recalled and marked checked-in
+ *       400:
+ *         description: Booking is not skipped
+ *       404:
+ *         description: Booking not found
+ */
+router.post('/hospitals/my/queue/:bookingId/recall', auth, hospitalAccess('queue:manage'), recallToken);
+
+module.exports = router;
@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router();
+const { auth } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  getMySettlements,
+  getMySettlement
+} = require('../controllers/settlementController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Settlement:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         hospital:
+ *           type: object
+ *         periodStart:
+ *           type: string
+ *           example: "09-12-2024"
+ *         periodEnd:
+ *           type: string
+ *           example: "15-12-2024"
+ *         status:
+ *           type: string
+ *           enum: [pending, paid, on-hold]
+ *         entryCount:
+ *           type: integer
+ *         credits:
+ *           type: number
+ *           description: Online payments collected and platform fees refunded
+ *         debits:
+ *           type: number
+ *           description: Platform fees, GST and refunds to patients
+ *         netAmount:
+ *           type: number
+ *           description: Amount paid out to the hospital
+ *         utr:
+ *           type: string
+ *           nullable: true
+ *         paidAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *         holdReason:
+ *           type: string
+ *           nullable: true
+ *     LedgerEntry:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *         date:
+ *           type: string
+ *           example: "12-12-2024"
+ *         bookingId:
+ *           type: string
+ *         tokenNumber:
+ *           type: string
+ *         type:
+ *           type: string
+ *           enum: [payment, platform_fee, emergency_fee, discount, gst, refund, fee_reversal]
+ *         direction:
+ *           type: string
+ *           enum: [credit, debit]
+ *         amount:
+ *           type: number
+ *         description:
+ *           type: string
+ */
+
+/**
+ * @swagger
+ * /api/hospitals/my/settlements:
+ *   get:
+ *     summary: Get the hospital's payouts and the balance waiting for the next one
+ *     description: |
+ *       Online payments that include the consultation fee are credited to the hospital, less
+ *       the platform fee, GST and refunds. The balance is paid out weekly.
+ *     tags: [Hospitals]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, paid, on-hold]
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads the settlements as a spreadsheet
+ *     responses:
+ *       200:
+ *         description: Settlements, newest week first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     unsettledAmount:
+ *                       type: number
+ *                       description: Recorded but not yet in a settlement
+ *                     unsettledEntries:
+ *                       type: integer
+ *                     pendingAmount:
+ *                       type: number
+ *                     onHoldAmount:
+ *                       type: number
+ *                     paidAmount:
+ *                       type: number
+ *                 settlements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Settlement'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ */
+router.get('/hospitals/my/settlements', auth, hospitalAccess('payments:view'), getMySettlements);
+
+/**
+ * @swagger
+ * /api/hospitals/my/settlements/{settlementId}:
+ *   get:
+ *     summary: Get a settlement with its ledger entries
+ *     tags: [Hospitals]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: settlementId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *         description: csv downloads the ledger entries as a spreadsheet
+ *     responses:
+ *       200:
+ *         description: Settlement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               allOf:
+ *                 - $ref: '#/components/schemas/Settlement'
+ *                 - type: object
+ *                   properties:
+ *                     entries:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/LedgerEntry'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Settlement not found
+ */
+router.get('/hospitals/my/settlements/:settlementId', auth, hospitalAccess('payments:view'), getMySettlement);
+
+module.exports = router;
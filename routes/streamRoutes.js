@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const { auth, streamAuth } = require('../middlewares/auth');
+const {
+  issueStreamToken,
+  streamEvents,
+  streamDisplayBoard
+} = require('../controllers/streamController');
+
+/**
+ * @swagger
+ * /api/events/token:
+ *   post:
+ *     summary: Get a token for opening the event stream
+ *     description: |
+ *       Returns a token that expires after `expiresIn` seconds and is only accepted by
+ *       /api/events/stream as `?token=`. Request a new one before each connect, including
+ *       after the stream drops, since EventSource reconnects with the same URL.
+ *     tags: [Events]
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Stream token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                 expiresIn:
+ *                   type: integer
+ *                   example: 60
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/events/token', auth, issueStreamToken);
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Live updates for the logged-in user
+ *     description: |
+ *       Server-sent event stream. Events are `booking.created`, `booking.updated`, `token.updated` and
+ *       `notification.created`. Hospital accounts also receive `queue.updated` and events for their
+ *       hospital's bookings. Since EventSource cannot send headers, pass a token from
+ *       POST /api/events/token as `?token=`. The login JWT is not accepted there.
+ *     tags: [Events]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: token
+ *         schema:
+ *           type: string
+ *         description: Stream token from POST /api/events/token, used when the Authorization header cannot be set
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/events/stream', streamAuth, streamEvents);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/display-board/stream:
+ *   get:
+ *     summary: Public token display board for a hospital
+ *     description: |
+ *       Server-sent event stream for waiting-room screens. Sends a `display.updated` event with the
+ *       current board on connect and whenever the queue changes. Only token numbers are exposed.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Event stream of display board snapshots
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 date:
+ *                   type: string
+ *                 nowServing:
+ *                   type: string
+ *                 inConsultation:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 upNext:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 skipped:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                 waitingCount:
+ *                   type: integer
+ *       404:
+ *         description: Hospital not found
+ */
+router.get('/hospitals/:id/display-board/stream', streamDisplayBoard);
+
+module.exports = router;
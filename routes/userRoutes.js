@@ -7,6 +7,13 @@ const {
   deleteUserProfile,
   getMyBookings
 } = require('../controllers/userController');
+const {
+  getFamilyMembers,
+  getFamilyMember,
+  addFamilyMember,
+  updateFamilyMember,
+  removeFamilyMember
+} = require('../controllers/familyMemberController');
 
 /**
  * @swagger
@@ -138,11 +145,29 @@ const {
  *                 description: Only for user role
  *               profilePicture:
  *                 type: string
+ *               dateOfBirth:
+ *                 type: string
+ *                 format: date
+ *                 description: Must not be in the future
+ *               gender:
+ *                 type: string
+ *                 enum: [male, female, other]
+ *               bloodGroup:
+ *                 type: string
+ *                 enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *               location:
+ *                 $ref: '#/components/schemas/UserProfile/properties/location'
+ *               emergencyContact:
+ *                 $ref: '#/components/schemas/UserProfile/properties/emergencyContact'
+ *               medicalInfo:
+ *                 $ref: '#/components/schemas/UserProfile/properties/medicalInfo'
  *     responses:
  *       200:
  *         description: Profile updated successfully
  *       400:
- *         description: Invalid input or duplicate email/phone
+ *         description: |
+ *           Invalid input (unknown blood group, future date of birth, coordinates out of
+ *           bounds) or duplicate email/phone
  *       401:
  *         description: Unauthorized
  *       404:
@@ -189,6 +214,10 @@ const {
  *                   type: number
  *                 bookings:
  *                   type: array
+ *                   description: |
+ *                     Each booking for today that is still in the OP queue also carries
+ *                     queue.nowServing, queue.tokensAhead, queue.isBeingServed and queue.isSkipped.
+ *                     Upcoming confirmed bookings carry a waitTime estimate (see WaitTimeEstimate).
  *                   items:
  *                     $ref: '#/components/schemas/Booking'
  *       401:
@@ -197,9 +226,168 @@ const {
  *         description: No bookings found
  */
 
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     FamilyMember:
+ *       type: object
+ *       required:
+ *         - name
+ *         - dateOfBirth
+ *         - gender
+ *         - relation
+ *       properties:
+ *         id:
+ *           type: string
+ *           readOnly: true
+ *         name:
+ *           type: string
+ *         dateOfBirth:
+ *           type: string
+ *           format: date
+ *           example: "2018-04-12"
+ *         age:
+ *           type: number
+ *           readOnly: true
+ *         gender:
+ *           type: string
+ *           enum: [male, female, other]
+ *         relation:
+ *           type: string
+ *           enum: [spouse, child, parent, sibling, grandparent, other]
+ *         mobile:
+ *           type: string
+ *           description: Used for the member's bookings; the account holder's number when not set
+ *         address:
+ *           type: string
+ *         medicalInfo:
+ *           type: object
+ *           properties:
+ *             bloodGroup:
+ *               type: string
+ *               enum: [A+, A-, B+, B-, AB+, AB-, O+, O-]
+ *             allergies:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             chronicConditions:
+ *               type: array
+ *               items:
+ *                 type: string
+ *             currentMedications:
+ *               type: array
+ *               items:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/user/profile/members:
+ *   get:
+ *     summary: Get saved family members
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Family members on the account
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 members:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/FamilyMember'
+ *   post:
+ *     summary: Add a family member
+ *     description: Book for the member by passing memberId to POST /api/bookings.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FamilyMember'
+ *     responses:
+ *       201:
+ *         description: Family member added
+ *       400:
+ *         description: Invalid input or the account already has the maximum of 10 members
+ *
+ * /api/user/profile/members/{memberId}:
+ *   get:
+ *     summary: Get a family member
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Family member
+ *       404:
+ *         description: Family member not found
+ *   put:
+ *     summary: Update a family member
+ *     description: Only the fields sent are changed.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/FamilyMember'
+ *     responses:
+ *       200:
+ *         description: Family member updated
+ *       400:
+ *         description: Invalid input
+ *       404:
+ *         description: Family member not found
+ *   delete:
+ *     summary: Remove a family member
+ *     description: Past bookings made for the member are kept.
+ *     tags: [User Profile]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: memberId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Family member removed
+ *       404:
+ *         description: Family member not found
+ */
+
 router.get('/profile', auth, getUserProfile);
 router.put('/profile', auth, updateUserProfile);
 router.delete('/profile', auth, deleteUserProfile);
 router.get('/my-bookings', auth, getMyBookings);
+router.get('/profile/members', auth, getFamilyMembers);
+router.post('/profile/members', auth, addFamilyMember);
+router.get('/profile/members/:memberId', auth, getFamilyMember);
+router.put('/profile/members/:memberId', auth, updateFamilyMember);
+router.delete('/profile/members/:memberId', auth, removeFamilyMember);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,176 @@
+const express = require('express');
+const router = express.Router();
+const { auth, checkRole } = require('../middlewares/auth');
+const { hospitalAccess } = require('../middlewares/hospitalAuth');
+const {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+  getHospitalWaitlist
+} = require('../controllers/waitlistController');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     WaitlistEntry:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         hospital:
+ *           type: string
+ *         doctor:
+ *           type: string
+ *           nullable: true
+ *           description: Only this doctor's seats are offered; any seat when null
+ *         user:
+ *           type: string
+ *         date:
+ *           type: string
+ *           format: date-time
+ *         status:
+ *           type: string
+ *           enum: [waiting, offered, claimed, expired, cancelled]
+ *         position:
+ *           type: integer
+ *           nullable: true
+ *           description: Place in the day's queue while waiting
+ *         offer:
+ *           type: object
+ *           description: The seat held for the patient while the offer is open
+ *           properties:
+ *             timeSlot:
+ *               type: string
+ *               example: "10:20 AM"
+ *             doctor:
+ *               type: string
+ *             offeredAt:
+ *               type: string
+ *               format: date-time
+ *             expiresAt:
+ *               type: string
+ *               format: date-time
+ *         booking:
+ *           type: string
+ *           description: Booking made from the offer
+ */
+
+/**
+ * @swagger
+ * /api/waitlist:
+ *   post:
+ *     summary: Join the waitlist for a fully booked day
+ *     description: |
+ *       Only allowed once the day (or the doctor's day) has no bookable slots left.
+ *       When a booking for the day is cancelled or rejected the oldest waiting patient
+ *       is offered the freed seat with a WAITLIST_OFFER notification. The seat is held
+ *       for 30 minutes, or until the slot starts if sooner; book it by passing
+ *       waitlistEntryId to POST /api/bookings with the offered slot and doctor.
+ *     tags: [Waitlist]
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - hospitalId
+ *               - date
+ *             properties:
+ *               hospitalId:
+ *                 type: string
+ *               date:
+ *                 type: string
+ *                 example: "25-12-2024"
+ *                 description: DD-MM-YYYY
+ *               doctorId:
+ *                 type: string
+ *                 description: Wait for this doctor only
+ *     responses:
+ *       201:
+ *         description: Joined the waitlist
+ *       400:
+ *         description: |
+ *           Invalid request. Error codes: INVALID_DATE_FORMAT, PAST_DATE, HOSPITAL_UNAVAILABLE,
+ *           DOCTOR_NOT_FOUND, DAY_CLOSED, DAY_AVAILABLE (slots can still be booked)
+ *       409:
+ *         description: Already on the waitlist for this day (ALREADY_WAITLISTED)
+ *   get:
+ *     summary: Get the logged-in patient's waitlist entries
+ *     tags: [Waitlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeClosed
+ *         schema:
+ *           type: boolean
+ *         description: Include claimed, expired and cancelled entries
+ *     responses:
+ *       200:
+ *         description: Waitlist entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WaitlistEntry'
+ */
+router.post('/waitlist', auth, checkRole(['user']), joinWaitlist);
+router.get('/waitlist', auth, checkRole(['user']), getMyWaitlist);
+
+/**
+ * @swagger
+ * /api/waitlist/{id}:
+ *   delete:
+ *     summary: Leave the waitlist
+ *     description: A seat held for the patient is released and offered to the next patient.
+ *     tags: [Waitlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Left the waitlist
+ *       404:
+ *         description: No open waitlist entry with this id
+ */
+router.delete('/waitlist/:id', auth, checkRole(['user']), leaveWaitlist);
+
+/**
+ * @swagger
+ * /api/hospitals/my/waitlist:
+ *   get:
+ *     summary: Get the hospital's waitlist for a day
+ *     description: Open entries in the order seats are offered.
+ *     tags: [Waitlist]
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: date
+ *         schema:
+ *           type: string
+ *         description: DD-MM-YYYY, defaults to today
+ *     responses:
+ *       200:
+ *         description: Waitlist entries
+ *       400:
+ *         description: Invalid date
+ */
+router.get('/hospitals/my/waitlist', auth, hospitalAccess('bookings:view'), getHospitalWaitlist);
+
+module.exports = router;
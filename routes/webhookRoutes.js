@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const { handleRazorpayWebhook } = require('../controllers/webhookController');
+
+/**
+ * @swagger
+ * /api/webhooks/razorpay:
+ *   post:
+ *     summary: Receive Razorpay webhook events
+ *     description: |
+ *       Verifies the X-Razorpay-Signature header against the raw body using RAZORPAY_WEBHOOK_SECRET.
+ *       Handles payment.captured, order.paid, payment.failed and refund.processed; other events are
+ *       acknowledged and ignored. Deliveries are deduplicated by X-Razorpay-Event-Id.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: header
+ *         name: X-Razorpay-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: header
+ *         name: X-Razorpay-Event-Id
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               event:
+ *                 type: string
+ *                 example: payment.captured
+ *               payload:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Event received (or already processed)
+ *       400:
+ *         description: Invalid signature or payload
+ *       500:
+ *         description: Processing failed; Razorpay will retry
+ */
+// Signature verification needs the body exactly as sent, so this route parses it itself
+router.post('/razorpay', express.raw({ type: 'application/json' }), handleRazorpayWebhook);
+
+module.exports = router;
@@ -20,7 +20,7 @@ const corsOptions = {
     'http://localhost:5000'
   ],
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'X-Hospital-Id'],
   credentials: true,
   optionsSuccessStatus: 200
 };
@@ -49,6 +49,9 @@ app.use(helmet({
   crossOriginResourcePolicy: { policy: "cross-origin" },
   crossOriginOpenerPolicy: { policy: "same-origin-allow-popups" }
 }));
+// Webhooks read the raw body for signature checks, so they go before the JSON parser
+app.use('/api/webhooks', require('./routes/webhookRoutes'));
+
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -82,7 +85,16 @@ app.use('/api', require('./routes/hospitalRoutes'));
 app.use('/api', require('./routes/bookingRoutes'));
 app.use('/api/admin', require('./routes/adminRoutes'));
 app.use('/api', require('./routes/notificationRoutes'));
+app.use('/api', require('./routes/queueRoutes'));
+app.use('/api', require('./routes/doctorRoutes'));
+app.use('/api', require('./routes/memberRoutes'));
+app.use('/api', require('./routes/waitlistRoutes'));
+app.use('/api', require('./routes/prescriptionRoutes'));
+app.use('/api', require('./routes/settlementRoutes'));
+app.use('/api', require('./routes/invoiceRoutes'));
+app.use('/api', require('./routes/streamRoutes'));
 app.use('/api/user', require('./routes/userRoutes'));
+app.use('/api/doctor', require('./routes/doctorPortalRoutes'));
 
 // Swagger Documentation
 const swaggerOptions = {
@@ -0,0 +1,401 @@
+const Booking = require('../models/Booking');
+const SlotCounter = require('../models/SlotCounter');
+const {
+  toDateKey,
+  getDayRange,
+  getDayName,
+  timeToMinutes,
+  timeSlotToMinutes,
+  minutesToTime,
+  minutesToTimeSlot,
+  combineDateAndMinutes,
+  formatDateString,
+  nowInIST
+} = require('../utils/slotUtils');
+
+// Booking statuses that occupy a seat in a slot
+const ACTIVE_STATUSES = ['pending', 'confirmed', 'checked-in', 'in-consultation', 'skipped'];
+
+const DEFAULT_SLOT_DURATION = 20;
+
+class AvailabilityService {
+  static getSlotDuration(hospital) {
+    return hospital.slotSettings?.slotDuration || DEFAULT_SLOT_DURATION;
+  }
+
+  static getPatientsPerSlot(hospital, doctor = null) {
+    return doctor?.patientsPerSlot || hospital.patientsPerSlot || hospital.slotSettings?.patientsPerSlot || 1;
+  }
+
+  // Timing entry for the weekday of the given date, if any. With a doctor,
+  // their own consulting hours (null while on leave) replace the hospital's.
+  // Nobody is seen on the hospital's closed days.
+  static getTimingForDate(hospital, date, doctor = null) {
+    if (hospital.isClosedOn(date)) return null;
+
+    if (doctor) {
+      return doctor.getTimingForDate(date);
+    }
+
+    const day = getDayName(date);
+    return (hospital.timings || []).find(timing => timing.day === day) || null;
+  }
+
+  // Expand an open/close window into consecutive slots of slotDuration minutes.
+  // A trailing window shorter than one slot is not bookable.
+  static buildSlots(timing, slotDuration) {
+    if (!timing || !timing.isOpen) return [];
+
+    const open = timeToMinutes(timing.openTime);
+    const close = timeToMinutes(timing.closeTime);
+    if (open === null || close === null || close <= open) return [];
+
+    const slots = [];
+    for (let start = open; start + slotDuration <= close; start += slotDuration) {
+      slots.push({ start, end: start + slotDuration });
+    }
+    return slots;
+  }
+
+  // Count active bookings per slot start (minutes since midnight) for a day.
+  // Slot counts cover the given doctor's bookings, or bookings without a
+  // doctor when doctorId is null; total covers the whole hospital.
+  static async getBookedCounts(hospitalId, date, doctorId = null) {
+    const { start, end } = getDayRange(date);
+
+    const bookings = await Booking.find({
+      hospital: hospitalId,
+      appointmentDate: { $gte: start, $lt: end },
+      status: { $in: ACTIVE_STATUSES }
+    })
+    .select('timeSlot doctorAssigned')
+    .lean();
+
+    const doctorKey = doctorId ? doctorId.toString() : null;
+    const counts = new Map();
+    let doctorTotal = 0;
+
+    bookings.forEach(booking => {
+      const assigned = booking.doctorAssigned ? booking.doctorAssigned.toString() : null;
+      if (assigned !== doctorKey) return;
+
+      const minutes = timeSlotToMinutes(booking.timeSlot);
+      counts.set(minutes, (counts.get(minutes) || 0) + 1);
+      doctorTotal++;
+    });
+
+    return { counts, total: bookings.length, doctorTotal };
+  }
+
+  static async getDayAvailability(hospital, date, doctor = null) {
+    const slotDuration = this.getSlotDuration(hospital);
+    const patientsPerSlot = this.getPatientsPerSlot(hospital, doctor);
+    const timing = this.getTimingForDate(hospital, date, doctor);
+    const slotWindows = this.buildSlots(timing, slotDuration);
+
+    const { counts, total, doctorTotal } = await this.getBookedCounts(hospital._id, date, doctor?._id);
+
+    const acceptingBookings = hospital.status === 'approved' && hospital.isOpen && (!doctor || doctor.isActive);
+    let dailyRemaining = Math.max(hospital.maxOpBookingsPerDay - total, 0);
+    if (doctor?.maxPatientsPerDay) {
+      dailyRemaining = Math.min(dailyRemaining, Math.max(doctor.maxPatientsPerDay - doctorTotal, 0));
+    }
+    const now = nowInIST();
+
+    const slots = slotWindows.map(({ start, end }) => {
+      const booked = counts.get(start) || 0;
+      const remaining = Math.max(patientsPerSlot - booked, 0);
+      const isPast = combineDateAndMinutes(date, start) <= now;
+
+      return {
+        timeSlot: minutesToTimeSlot(start),
+        startTime: minutesToTime(start),
+        endTime: minutesToTime(end),
+        capacity: patientsPerSlot,
+        booked,
+        remaining,
+        isPast,
+        isAvailable: acceptingBookings && !isPast && remaining > 0 && dailyRemaining > 0
+      };
+    });
+
+    return {
+      hospitalId: hospital._id,
+      doctor: doctor ? {
+        id: doctor._id,
+        name: doctor.name,
+        specialization: doctor.specialization,
+        consultationFee: doctor.consultationFee,
+        onLeave: doctor.isOnLeave(date)
+      } : null,
+      date: formatDateString(date),
+      day: getDayName(date),
+      isOpen: slotWindows.length > 0,
+      closedDay: hospital.isClosedOn(date),
+      acceptingBookings,
+      openTime: timing?.isOpen ? timing.openTime : null,
+      closeTime: timing?.isOpen ? timing.closeTime : null,
+      slotDuration,
+      patientsPerSlot,
+      maxOpBookingsPerDay: hospital.maxOpBookingsPerDay,
+      totalBooked: total,
+      dailyRemaining,
+      availableSlots: slots.filter(slot => slot.isAvailable).length,
+      remainingCapacity: Math.min(
+        slots.reduce((sum, slot) => sum + (slot.isPast ? 0 : slot.remaining), 0),
+        dailyRemaining
+      ),
+      slots
+    };
+  }
+
+  // Check that timeSlot is the start of a bookable slot within that day's opening hours
+  // (or the doctor's consulting hours when booking with a doctor)
+  static validateSlot(hospital, date, timeSlot, doctor = null) {
+    const day = getDayName(date);
+    const timing = this.getTimingForDate(hospital, date, doctor);
+    const slotDuration = this.getSlotDuration(hospital);
+    const slotWindows = this.buildSlots(timing, slotDuration);
+
+    if (hospital.isClosedOn(date)) {
+      return {
+        success: false,
+        error: {
+          code: 'HOSPITAL_CLOSED',
+          message: 'The hospital is closed on this date. Please choose another date.'
+        }
+      };
+    }
+
+    if (doctor && doctor.isOnLeave(date)) {
+      return {
+        success: false,
+        error: {
+          code: 'DOCTOR_ON_LEAVE',
+          message: `Dr. ${doctor.name} is on leave on this date. Please choose another date or doctor.`
+        }
+      };
+    }
+
+    if (!slotWindows.length) {
+      return {
+        success: false,
+        error: doctor ? {
+          code: 'DOCTOR_UNAVAILABLE',
+          message: `Dr. ${doctor.name} does not see patients on ${day}. Please choose another date or doctor.`
+        } : {
+          code: 'DAY_CLOSED',
+          message: `This hospital does not accept OP bookings on ${day}. Please choose another date.`
+        }
+      };
+    }
+
+    const minutes = timeSlotToMinutes(timeSlot);
+    const open = timeToMinutes(timing.openTime);
+    const close = timeToMinutes(timing.closeTime);
+
+    if (minutes < open || minutes + slotDuration > close) {
+      const hours = doctor ? `Dr. ${doctor.name}'s hours` : 'OP hours';
+      return {
+        success: false,
+        error: {
+          code: 'OUTSIDE_HOURS',
+          message: `${hours} on ${day} are ${timing.openTime} to ${timing.closeTime}. Please choose a slot within these hours.`
+        }
+      };
+    }
+
+    if (!slotWindows.some(slot => slot.start === minutes)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SLOT',
+          message: `Slots start every ${slotDuration} minutes from ${timing.openTime}. Please choose one of the available slots.`
+        }
+      };
+    }
+
+    return { success: true, data: { start: minutes, end: minutes + slotDuration } };
+  }
+
+  // Bookings made before seats were counted were saved with capacityHeld
+  // false, yet counters are seeded from every active booking and so count
+  // them. Marks the day's ones as holding their seat before any of its
+  // counters is seeded or a seat in them is moved, so that closing or moving
+  // such a booking gives its seat back.
+  static async claimLegacySeats(hospitalId, date) {
+    const { start, end } = getDayRange(date);
+    await Booking.updateMany(
+      {
+        hospital: hospitalId,
+        appointmentDate: { $gte: start, $lt: end },
+        status: { $in: ACTIVE_STATUSES },
+        capacityHeld: { $ne: true }
+      },
+      { $set: { capacityHeld: true } }
+    );
+  }
+
+  static getCounterKeys(hospitalId, date, timeSlot, doctorId = null) {
+    const dateKey = toDateKey(date);
+    const doctor = doctorId || null;
+    return {
+      dayKey: { hospital: hospitalId, doctor: null, date: dateKey, slot: null },
+      slotKey: { hospital: hospitalId, doctor, date: dateKey, slot: minutesToTime(timeSlotToMinutes(timeSlot)) },
+      doctorDayKey: doctor ? { hospital: hospitalId, doctor, date: dateKey, slot: null } : null
+    };
+  }
+
+  // Atomically take one seat in the slot and one from the daily limit. With a
+  // doctor, the seat comes from that doctor's slot and daily limit instead.
+  // `sameDay` is for a booking moving within its own day: it already counts
+  // against the daily limits, so only the slot seat is taken.
+  static async reserveSeat(hospital, date, timeSlot, doctor = null, { sameDay = false } = {}) {
+    const { dayKey, slotKey, doctorDayKey } = this.getCounterKeys(hospital._id, date, timeSlot, doctor?._id);
+
+    // Seed counters from existing bookings the first time this day/slot is booked
+    await this.claimLegacySeats(hospital._id, date);
+    const { counts, total, doctorTotal } = await this.getBookedCounts(hospital._id, date, doctor?._id);
+    await SlotCounter.ensure(dayKey, total);
+    await SlotCounter.ensure(slotKey, counts.get(timeSlotToMinutes(timeSlot)) || 0);
+    if (doctorDayKey) {
+      await SlotCounter.ensure(doctorDayKey, doctorTotal);
+    }
+
+    const dayCounter = sameDay || await SlotCounter.acquire(dayKey, hospital.maxOpBookingsPerDay);
+    if (!dayCounter) {
+      return {
+        success: false,
+        error: {
+          code: 'DAILY_LIMIT_REACHED',
+          message: 'All OP bookings for this day have been taken. Please choose another date.'
+        }
+      };
+    }
+
+    const slotCounter = await SlotCounter.acquire(slotKey, this.getPatientsPerSlot(hospital, doctor));
+    if (!slotCounter) {
+      if (!sameDay) await SlotCounter.release(dayKey);
+      return {
+        success: false,
+        error: {
+          code: 'SLOT_FULL',
+          message: doctor
+            ? `Dr. ${doctor.name} is fully booked for this time slot. Please choose another slot.`
+            : 'This time slot is fully booked. Please choose another slot.'
+        }
+      };
+    }
+
+    if (doctorDayKey && !sameDay) {
+      // Doctors without a daily cap are only limited by their slots
+      const doctorCounter = await SlotCounter.acquire(doctorDayKey, doctor.maxPatientsPerDay || Number.MAX_SAFE_INTEGER);
+      if (!doctorCounter) {
+        await SlotCounter.release(slotKey);
+        await SlotCounter.release(dayKey);
+        return {
+          success: false,
+          error: {
+            code: 'DOCTOR_DAILY_LIMIT_REACHED',
+            message: `Dr. ${doctor.name} has no more appointments available on this day. Please choose another date or doctor.`
+          }
+        };
+      }
+    }
+
+    return { success: true };
+  }
+
+  // With `sameDay`, only the slot seat is given back, as reserveSeat took
+  static async releaseCounters(hospitalId, date, timeSlot, doctorId = null, { sameDay = false } = {}) {
+    const { dayKey, slotKey, doctorDayKey } = this.getCounterKeys(hospitalId, date, timeSlot, doctorId);
+    await SlotCounter.release(slotKey);
+    if (sameDay) return;
+    if (doctorDayKey) {
+      await SlotCounter.release(doctorDayKey);
+    }
+    await SlotCounter.release(dayKey);
+  }
+
+  // Move a booking's seat in its slot from its current doctor (or the general
+  // pool) to another doctor. The hospital's daily count is unchanged.
+  static async reassignSeat(hospital, booking, doctor) {
+    const previousDoctor = booking.doctorAssigned?._id || booking.doctorAssigned || null;
+    const current = this.getCounterKeys(hospital._id, booking.appointmentDate, booking.timeSlot, previousDoctor);
+    const next = this.getCounterKeys(hospital._id, booking.appointmentDate, booking.timeSlot, doctor._id);
+
+    // A legacy booking is counted in its current slot like any other
+    await this.claimLegacySeats(hospital._id, booking.appointmentDate);
+    const { counts, doctorTotal } = await this.getBookedCounts(hospital._id, booking.appointmentDate, doctor._id);
+    await SlotCounter.ensure(next.slotKey, counts.get(timeSlotToMinutes(booking.timeSlot)) || 0);
+    await SlotCounter.ensure(next.doctorDayKey, doctorTotal);
+
+    const slotCounter = await SlotCounter.acquire(next.slotKey, this.getPatientsPerSlot(hospital, doctor));
+    if (!slotCounter) {
+      return {
+        success: false,
+        error: {
+          code: 'SLOT_FULL',
+          message: `Dr. ${doctor.name} is fully booked for ${booking.timeSlot}.`
+        }
+      };
+    }
+
+    const doctorCounter = await SlotCounter.acquire(next.doctorDayKey, doctor.maxPatientsPerDay || Number.MAX_SAFE_INTEGER);
+    if (!doctorCounter) {
+      await SlotCounter.release(next.slotKey);
+      return {
+        success: false,
+        error: {
+          code: 'DOCTOR_DAILY_LIMIT_REACHED',
+          message: `Dr. ${doctor.name} has no more appointments available on this day.`
+        }
+      };
+    }
+
+    // Only move the seat if nobody reassigned or cancelled the booking meanwhile
+    const result = await Booking.updateOne(
+      { _id: booking._id, doctorAssigned: previousDoctor, status: booking.status, capacityHeld: true },
+      { $set: { doctorAssigned: doctor._id } }
+    );
+    if (!result.modifiedCount) {
+      await SlotCounter.release(next.slotKey);
+      await SlotCounter.release(next.doctorDayKey);
+      return {
+        success: false,
+        error: {
+          code: 'BOOKING_CHANGED',
+          message: 'Booking was changed by someone else. Please refresh and try again.'
+        }
+      };
+    }
+
+    await SlotCounter.release(current.slotKey);
+    if (current.doctorDayKey) {
+      await SlotCounter.release(current.doctorDayKey);
+    }
+
+    booking.doctorAssigned = doctor._id;
+    booking.capacityHeld = true;
+    return { success: true };
+  }
+
+  // Give back the seat held by a booking. Safe to call more than once.
+  static async releaseSeat(booking) {
+    const result = await Booking.updateOne(
+      { _id: booking._id, capacityHeld: true },
+      { $set: { capacityHeld: false } }
+    );
+    if (!result.modifiedCount) return false;
+
+    booking.capacityHeld = false;
+    const hospitalId = booking.hospital._id || booking.hospital;
+    const doctorId = booking.doctorAssigned?._id || booking.doctorAssigned || null;
+    await this.releaseCounters(hospitalId, booking.appointmentDate, booking.timeSlot, doctorId);
+    return true;
+  }
+}
+
+AvailabilityService.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = AvailabilityService;
@@ -0,0 +1,291 @@
+const Booking = require('../models/Booking');
+const AvailabilityService = require('./availabilityService');
+const CancellationService = require('./cancellationService');
+const NotificationService = require('./notificationService');
+const EventService = require('./eventService');
+const WaitlistService = require('./waitlistService');
+const SettlementService = require('./settlementService');
+const InvoiceService = require('./invoiceService');
+const CouponService = require('./couponService');
+const { toDateKey, nowInIST } = require('../utils/slotUtils');
+
+const STATES = [
+  'pending',
+  'confirmed',
+  'checked-in',
+  'in-consultation',
+  'skipped',
+  'no-show',
+  'completed',
+  'cancelled',
+  'rejected'
+];
+
+const ACTORS = ['user', 'hospital', 'doctor', 'admin', 'system'];
+
+// Who may move a booking from each status to the next. Statuses not listed
+// as a source are terminal.
+const TRANSITIONS = {
+  pending: {
+    confirmed: ['hospital', 'admin', 'system'],
+    'checked-in': ['hospital'],
+    rejected: ['hospital'],
+    cancelled: ['user', 'hospital', 'system']
+  },
+  confirmed: {
+    'checked-in': ['hospital'],
+    'in-consultation': ['hospital', 'doctor'],
+    skipped: ['hospital', 'doctor'],
+    'no-show': ['hospital', 'system'],
+    completed: ['hospital'],
+    rejected: ['hospital'],
+    cancelled: ['user', 'hospital', 'system']
+  },
+  'checked-in': {
+    'in-consultation': ['hospital', 'doctor'],
+    skipped: ['hospital', 'doctor'],
+    'no-show': ['hospital', 'system'],
+    completed: ['hospital'],
+    cancelled: ['hospital', 'system']
+  },
+  'in-consultation': {
+    completed: ['hospital', 'doctor'],
+    skipped: ['hospital', 'doctor']
+  },
+  skipped: {
+    'checked-in': ['hospital'],
+    'no-show': ['hospital', 'system'],
+    cancelled: ['hospital', 'system']
+  }
+};
+
+// Closing a booking before it is completed refunds it and frees its seat
+const CLOSING_STATUSES = ['cancelled', 'rejected'];
+
+// A closing claim older than this was left by a request that died mid-refund
+const CLOSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Statuses that only make sense once the appointment day has come
+const SAME_DAY_STATUSES = ['checked-in', 'in-consultation', 'skipped', 'no-show', 'completed'];
+
+const STATUS_TIMESTAMPS = {
+  'checked-in': 'checkedInAt',
+  'in-consultation': 'calledAt',
+  skipped: 'skippedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+const STATUS_NOTIFICATIONS = {
+  confirmed: 'BOOKING_CONFIRMED',
+  'in-consultation': 'TOKEN_CALLED',
+  completed: 'BOOKING_COMPLETED',
+  cancelled: 'BOOKING_CANCELLED',
+  rejected: 'BOOKING_REJECTED'
+};
+
+// Checks beyond the transition table; each returns an error or null
+const GUARDS = {
+  rejected: (booking, { reason }) => (reason ? null : {
+    code: 'REASON_REQUIRED',
+    message: 'A reason is required to reject a booking'
+  }),
+  // Pay-at-counter patients can be checked in before the hospital confirms;
+  // online bookings only once their payment has confirmed them
+  'checked-in': (booking) => (booking.status === 'pending' && booking.payment?.method !== 'cod' ? {
+    code: 'PAYMENT_PENDING',
+    message: 'Cannot check in an online booking before it is paid'
+  } : null)
+};
+
+SAME_DAY_STATUSES.forEach(status => {
+  const guard = GUARDS[status];
+  GUARDS[status] = (booking, options) => {
+    if (toDateKey(booking.appointmentDate) > toDateKey(nowInIST())) {
+      return {
+        code: 'APPOINTMENT_NOT_TODAY',
+        message: `Cannot mark a booking ${status} before its appointment day`
+      };
+    }
+    return guard ? guard(booking, options) : null;
+  };
+});
+
+// The status change has already been saved, so a failed notification is only logged
+const sendNotification = async (booking, type, additionalData) => {
+  try {
+    await NotificationService.createBookingNotifications(booking, type, additionalData);
+  } catch (error) {
+    console.error(`Error sending ${type} notification for booking ${booking._id}:`, error);
+  }
+};
+
+// Refund decisions are recorded against the user, the hospital or the system
+const cancelledByFor = (actor) => (actor === 'user' || actor === 'system' ? actor : 'hospital');
+
+// Matches bookings no other request is closing
+const notClosing = () => ({
+  $or: [
+    { closingAt: null },
+    { closingAt: { $lt: new Date(Date.now() - CLOSING_TIMEOUT_MS) } }
+  ]
+});
+
+const statusChanged = () => ({
+  success: false,
+  error: {
+    code: 'STATUS_CHANGED',
+    message: 'Booking status was changed by someone else. Please refresh and try again.'
+  }
+});
+
+// Every booking status change goes through here: the transition table and
+// guards decide whether it is allowed, and the side effects (refunds, seat
+// release, timestamps, status history, notifications and live updates) are
+// applied the same way whichever endpoint or job asked for it.
+class BookingStateMachine {
+  static canTransition(from, to, actor) {
+    return (TRANSITIONS[from]?.[to] || []).includes(actor);
+  }
+
+  static getAllowedTransitions(from, actor) {
+    return Object.keys(TRANSITIONS[from] || {}).filter(to => this.canTransition(from, to, actor));
+  }
+
+  static isTerminal(status) {
+    return !TRANSITIONS[status];
+  }
+
+  // Response status for a failed transition
+  static httpStatusFor(error) {
+    if (error.code === 'STATUS_CHANGED') return 409;
+    if (error.code === 'REFUND_FAILED') return 500;
+    return 400;
+  }
+
+  // Returns the reason the transition is not allowed, or null
+  static checkTransition(booking, to, { actor, reason } = {}) {
+    if (!STATES.includes(to)) {
+      return { code: 'INVALID_STATUS', message: `Unknown booking status ${to}` };
+    }
+    if (!this.canTransition(booking.status, to, actor)) {
+      return {
+        code: 'INVALID_TRANSITION',
+        message: `Cannot change status from ${booking.status} to ${to}`
+      };
+    }
+    return GUARDS[to] ? GUARDS[to](booking, { reason }) : null;
+  }
+
+  // Moves the booking to `to`. The change is only applied if the booking is
+  // still in the status it was read in, so concurrent updates cannot both win.
+  // Cancelling or rejecting first claims the booking, and only the request
+  // holding the claim goes on to the refund.
+  // `set` adds fields to the same update, e.g. completion notes; `notify: false`
+  // skips the status notification when the caller sends its own.
+  static async transition(booking, to, options = {}) {
+    const {
+      actor = 'system',
+      userId,
+      reason,
+      set = {},
+      notify = true,
+      closeOnRefundFailure = false
+    } = options;
+    const from = booking.status;
+
+    const error = this.checkTransition(booking, to, { actor, reason });
+    if (error) {
+      return { success: false, error };
+    }
+
+    const update = { ...set, status: to };
+    if (STATUS_TIMESTAMPS[to]) {
+      update[STATUS_TIMESTAMPS[to]] = new Date();
+    }
+    if (to === 'rejected') {
+      update.rejectionReason = reason;
+    }
+
+    let refund = null;
+    let claim = notClosing();
+    if (CLOSING_STATUSES.includes(to)) {
+      const closingAt = new Date();
+      const claimed = await Booking.findOneAndUpdate(
+        { _id: booking._id, status: from, ...notClosing() },
+        { $set: { closingAt } },
+        { new: true, runValidators: false }
+      );
+      if (!claimed) {
+        return statusChanged();
+      }
+      claim = { closingAt };
+
+      refund = await CancellationService.refund(claimed, {
+        cancelledBy: cancelledByFor(actor),
+        reason,
+        closeOnRefundFailure
+      });
+      if (!refund.success) {
+        await Booking.updateOne({ _id: booking._id, closingAt }, { $set: { closingAt: null } });
+        return { success: false, error: refund.error, refund: refund.quote };
+      }
+      Object.assign(update, refund.update);
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: from, ...claim },
+      {
+        $set: { ...update, closingAt: null },
+        $push: {
+          statusHistory: { from, to, actor, changedBy: userId, reason, at: new Date() }
+        }
+      },
+      { new: true, runValidators: false }
+    ).populate('hospital');
+
+    if (!updated) {
+      if (refund?.refunded) {
+        // Only possible when the claim outlived CLOSING_TIMEOUT_MS; a retry
+        // finds the same refund by its receipt
+        console.error(`Refund ${refund.update['payment.refundDetails'].refundId} issued for booking ${booking._id} whose closing claim expired`);
+      }
+      return statusChanged();
+    }
+
+    // The freed seat goes to the next patient on the day's waitlist
+    if (CLOSING_STATUSES.includes(to) && await AvailabilityService.releaseSeat(updated)) {
+      await WaitlistService.offerFreedSeat(updated);
+    }
+    // A coupon still held by an unpaid booking is free for others again
+    if (this.isTerminal(to) && updated.payment?.coupon?.reserved) {
+      await CouponService.release(updated);
+    }
+    EventService.publishBookingUpdate(updated);
+
+    if (notify && STATUS_NOTIFICATIONS[to]) {
+      await sendNotification(updated, STATUS_NOTIFICATIONS[to]);
+    }
+    if (refund?.refunded) {
+      await SettlementService.recordRefund(updated);
+      await InvoiceService.issueCreditNote(updated);
+      await sendNotification(updated, 'PAYMENT_REFUNDED', {
+        refundAmount: updated.payment.refundDetails.amount
+      });
+    }
+
+    return {
+      success: true,
+      booking: updated,
+      refund: refund?.quote,
+      refundError: refund?.refundError
+    };
+  }
+}
+
+BookingStateMachine.STATES = STATES;
+BookingStateMachine.ACTORS = ACTORS;
+BookingStateMachine.TRANSITIONS = TRANSITIONS;
+BookingStateMachine.CLOSING_STATUSES = CLOSING_STATUSES;
+
+module.exports = BookingStateMachine;
@@ -0,0 +1,59 @@
+const RefundPolicyService = require('./refundPolicyService');
+const RazorpayService = require('./razorpayService');
+
+// The refund step of every booking that ends before it is completed, whoever
+// closed it: the patient, the hospital or the hospital closing for the day.
+// BookingStateMachine runs it before a booking moves to cancelled or rejected.
+class CancellationService {
+  // Refund owed when `cancelledBy` closes the booking now. Patients get what
+  // the cancellation policy allows; anything the hospital closes is refunded in full.
+  static async quote(booking, cancelledBy) {
+    if (cancelledBy === 'user') {
+      return RefundPolicyService.quote(booking);
+    }
+    return RefundPolicyService.fullRefundQuote(booking);
+  }
+
+  // Refunds a captured online payment and returns the booking fields that
+  // record it. When the refund cannot be initiated the booking must stay as it
+  // was, unless closeOnRefundFailure is set; the payment then stays "completed"
+  // so the nightly reconciliation reports it for a manual refund.
+  static async refund(booking, { cancelledBy, reason, closeOnRefundFailure = false }) {
+    const quote = await this.quote(booking, cancelledBy);
+    const update = {
+      cancellation: {
+        cancelledBy,
+        reason,
+        policySource: quote.policySource,
+        hoursBeforeStart: quote.hoursBeforeStart,
+        refundPercent: quote.refundPercent,
+        refundAmount: quote.refundAmount,
+        nonRefundableAmount: quote.nonRefundableAmount
+      }
+    };
+
+    if (!(quote.refundAmount > 0)) {
+      return { success: true, quote, update, refunded: false };
+    }
+
+    // One cancellation refund per booking, however often this is retried
+    const refundResponse = await RazorpayService.initiateRefund(
+      booking.payment.paymentId,
+      quote.refundAmount,
+      `cancel-${booking._id}`
+    );
+
+    if (!refundResponse.success) {
+      if (!closeOnRefundFailure) {
+        return { success: false, error: refundResponse.error, quote };
+      }
+      return { success: true, quote, update, refunded: false, refundError: refundResponse.error };
+    }
+
+    update['payment.status'] = quote.refundAmount < booking.payment.amount ? 'partially-refunded' : 'refunded';
+    update['payment.refundDetails'] = refundResponse.data;
+    return { success: true, quote, update, refunded: true };
+  }
+}
+
+module.exports = CancellationService;
@@ -0,0 +1,281 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const CouponUsage = require('../models/CouponUsage');
+const Booking = require('../models/Booking');
+const Hospital = require('../models/Hospital');
+const {
+  parseDateString,
+  formatDateString,
+  IST_OFFSET_MS
+} = require('../utils/slotUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+// IST calendar day of a timestamp
+const formatDay = (date) => formatDateString(new Date(new Date(date).getTime() + IST_OFFSET_MS));
+
+const isLimit = (value) => value == null || (Number.isInteger(value) && value >= 1);
+
+// The patient's uses of a coupon: redeemed, or held by their unpaid bookings
+const countUses = async (couponId, userId) => {
+  const [redeemed, reserved] = await Promise.all([
+    CouponRedemption.countDocuments({ coupon: couponId, user: userId }),
+    Booking.countDocuments({ user: userId, 'payment.coupon.coupon': couponId, 'payment.coupon.reserved': true })
+  ]);
+  return redeemed + reserved;
+};
+
+// Checks a coupon against a booking before it is made, holds it while the
+// booking waits on its payment, and records it as used once the booking is paid
+class CouponService {
+  static httpStatusFor(error) {
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'COUPON_EXISTS') return 409;
+    return 400;
+  }
+
+  // The coupon for `code` if the patient can use it on a booking at
+  // `hospital`. Coupons are only taken with online payments.
+  static async validate(code, { userId, hospital, paymentMethod, at = new Date() }) {
+    const coupon = typeof code === 'string'
+      ? await Coupon.findOne({ code: code.trim().toUpperCase(), isActive: true })
+      : null;
+    if (!coupon) {
+      return fail('INVALID_COUPON', 'This coupon code is not valid');
+    }
+    if (paymentMethod !== 'online') {
+      return fail('COUPON_ONLINE_ONLY', 'Coupons can only be used when paying online');
+    }
+    if (at < coupon.validFrom) {
+      return fail('COUPON_NOT_STARTED', `This coupon can be used from ${formatDay(coupon.validFrom)}`);
+    }
+    if (at > coupon.validUntil) {
+      return fail('COUPON_EXPIRED', 'This coupon has expired');
+    }
+    if (coupon.usageLimit != null && coupon.usedCount + coupon.reservedCount >= coupon.usageLimit) {
+      return fail('COUPON_EXHAUSTED', 'This coupon has been fully redeemed');
+    }
+    if (!coupon.appliesTo(hospital)) {
+      return fail('COUPON_NOT_APPLICABLE', 'This coupon cannot be used at this hospital');
+    }
+
+    // Unpaid bookings still holding the coupon count as uses
+    const [uses, hasBooked] = await Promise.all([
+      countUses(coupon._id, userId),
+      coupon.firstBookingOnly ? Booking.exists({ user: userId, status: { $ne: 'cancelled' } }) : null
+    ]);
+    if (uses >= coupon.perUserLimit) {
+      return fail('COUPON_LIMIT_REACHED', 'You have already used this coupon');
+    }
+    if (hasBooked) {
+      return fail('COUPON_FIRST_BOOKING_ONLY', 'This coupon is only for your first booking');
+    }
+
+    return { success: true, data: coupon };
+  }
+
+  // Holds one use of the coupon for a booking being made, if both the
+  // patient's limit and the usage limit allow; each check and its hold are
+  // a single update
+  static async reserve(coupon, userId) {
+    const usageKey = { coupon: coupon._id, user: userId };
+    await CouponUsage.ensure(usageKey, await countUses(coupon._id, userId));
+    if (!await CouponUsage.acquire(usageKey, coupon.perUserLimit)) {
+      return fail('COUPON_LIMIT_REACHED', 'You have already used this coupon');
+    }
+
+    const reserved = await Coupon.findOneAndUpdate(
+      {
+        _id: coupon._id,
+        isActive: true,
+        $or: [
+          { usageLimit: null },
+          { $expr: { $lt: [{ $add: ['$usedCount', '$reservedCount'] }, '$usageLimit'] } }
+        ]
+      },
+      { $inc: { reservedCount: 1 } },
+      { new: true }
+    );
+    if (!reserved) {
+      await CouponUsage.release(usageKey);
+      return fail('COUPON_EXHAUSTED', 'This coupon has been fully redeemed');
+    }
+    return { success: true, data: reserved };
+  }
+
+  // Gives back a hold taken by reserve for a booking that was never saved
+  // or was closed unpaid
+  static async unreserve(couponId, userId) {
+    await Promise.all([
+      Coupon.updateOne({ _id: couponId, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } }),
+      CouponUsage.release({ coupon: couponId, user: userId })
+    ]);
+  }
+
+  // Takes the hold flag off a booking, once only. Returns whether it held one.
+  static async clearReservation(booking) {
+    const cleared = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.coupon.reserved': true },
+      { $set: { 'payment.coupon.reserved': false } },
+      { runValidators: false }
+    );
+    return Boolean(cleared);
+  }
+
+  // Called when a booking is closed before it was paid. Errors are logged so
+  // the status change is never held up.
+  static async release(booking) {
+    if (!booking.payment?.coupon?.coupon) return;
+
+    try {
+      if (await this.clearReservation(booking)) {
+        await this.unreserve(booking.payment.coupon.coupon, booking.user?._id || booking.user);
+      }
+    } catch (error) {
+      console.error(`Error releasing coupon for booking ${booking._id}:`, error);
+    }
+  }
+
+  // Called once the booking is paid: its hold becomes a use, so the
+  // patient's count stays as it is. Errors are
+  // logged so the payment itself is never held up.
+  static async redeem(booking) {
+    const couponId = booking.payment?.coupon?.coupon;
+    if (!couponId) return;
+
+    try {
+      await CouponRedemption.create({
+        coupon: couponId,
+        code: booking.payment.coupon.code,
+        user: booking.user?._id || booking.user,
+        booking: booking._id,
+        discount: booking.payment.breakdown?.discount || 0
+      });
+      if (await this.clearReservation(booking)) {
+        await Coupon.updateOne({ _id: couponId, reservedCount: { $gt: 0 } }, { $inc: { reservedCount: -1 } });
+      }
+      await Coupon.updateOne({ _id: couponId }, { $inc: { usedCount: 1 } });
+    } catch (error) {
+      // Already redeemed, e.g. by both the client verification and the webhook
+      if (error.code === 11000) return;
+      console.error(`Error redeeming coupon for booking ${booking._id}:`, error);
+    }
+  }
+
+  // Valid from the start of validFrom to the end of validUntil, both IST days
+  static async create(data, userId) {
+    const {
+      code,
+      description,
+      discountType,
+      value,
+      maxDiscount = null,
+      validFrom,
+      validUntil,
+      usageLimit = null,
+      perUserLimit = 1,
+      firstBookingOnly = false,
+      hospitalIds = [],
+      categories = []
+    } = data;
+
+    if (typeof code !== 'string' || !/^[A-Z0-9_-]{3,20}$/.test(code.trim().toUpperCase())) {
+      return fail('INVALID_COUPON', 'code must be 3 to 20 letters, digits, - or _');
+    }
+    if (!['flat', 'percent'].includes(discountType)) {
+      return fail('INVALID_COUPON', 'discountType must be flat or percent');
+    }
+    if (typeof value !== 'number' || value <= 0 || (discountType === 'percent' && value > 100)) {
+      return fail('INVALID_COUPON', 'value must be more than 0, and at most 100 for a percentage');
+    }
+    if (maxDiscount != null && (typeof maxDiscount !== 'number' || maxDiscount <= 0)) {
+      return fail('INVALID_COUPON', 'maxDiscount must be more than 0');
+    }
+    if (!isLimit(usageLimit) || !isLimit(perUserLimit) || perUserLimit == null) {
+      return fail('INVALID_COUPON', 'usageLimit and perUserLimit must be whole numbers, 1 or more');
+    }
+
+    const startDay = parseDateString(validFrom);
+    const endDay = parseDateString(validUntil);
+    if (!startDay || !endDay) {
+      return fail('INVALID_COUPON', 'validFrom and validUntil must be in DD-MM-YYYY format');
+    }
+    if (endDay < startDay) {
+      return fail('INVALID_COUPON', 'validUntil cannot be before validFrom');
+    }
+
+    if (!Array.isArray(hospitalIds) || !hospitalIds.every(id => mongoose.isValidObjectId(id))) {
+      return fail('INVALID_COUPON', 'hospitalIds must be a list of hospital IDs');
+    }
+    const hospitalCount = await Hospital.countDocuments({ _id: { $in: hospitalIds } });
+    if (hospitalCount !== new Set(hospitalIds.map(String)).size) {
+      return fail('INVALID_COUPON', 'hospitalIds must be existing hospitals');
+    }
+    if (!Array.isArray(categories) || !categories.every(category => Hospital.CATEGORIES.includes(category))) {
+      return fail('INVALID_COUPON', `categories must be from ${Hospital.CATEGORIES.join(', ')}`);
+    }
+
+    try {
+      const coupon = await Coupon.create({
+        code,
+        description,
+        discountType,
+        value,
+        maxDiscount,
+        validFrom: new Date(startDay.getTime() - IST_OFFSET_MS),
+        validUntil: new Date(endDay.getTime() + DAY_MS - IST_OFFSET_MS - 1),
+        usageLimit,
+        perUserLimit,
+        firstBookingOnly: firstBookingOnly === true,
+        hospitals: hospitalIds,
+        categories,
+        createdBy: userId
+      });
+      return { success: true, data: coupon };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return fail('COUPON_EXISTS', 'A coupon with this code already exists');
+    }
+  }
+
+  // Deactivated coupons can no longer be applied; bookings already made
+  // with one keep their discount
+  static async setActive(couponId, isActive) {
+    if (typeof isActive !== 'boolean') {
+      return fail('INVALID_COUPON', 'isActive must be true or false');
+    }
+    const coupon = mongoose.isValidObjectId(couponId)
+      ? await Coupon.findByIdAndUpdate(couponId, { $set: { isActive } }, { new: true })
+      : null;
+    if (!coupon) {
+      return fail('NOT_FOUND', 'Coupon not found');
+    }
+    return { success: true, data: coupon };
+  }
+
+  static format(coupon) {
+    return {
+      id: coupon._id,
+      code: coupon.code,
+      description: coupon.description || null,
+      discountType: coupon.discountType,
+      value: coupon.value,
+      maxDiscount: coupon.maxDiscount ?? null,
+      validFrom: formatDay(coupon.validFrom),
+      validUntil: formatDay(coupon.validUntil),
+      usageLimit: coupon.usageLimit ?? null,
+      perUserLimit: coupon.perUserLimit,
+      usedCount: coupon.usedCount,
+      reservedCount: coupon.reservedCount,
+      firstBookingOnly: coupon.firstBookingOnly,
+      hospitals: coupon.hospitals,
+      categories: coupon.categories,
+      isActive: coupon.isActive
+    };
+  }
+}
+
+module.exports = CouponService;
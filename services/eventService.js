@@ -0,0 +1,67 @@
+const { EventEmitter } = require('events');
+
+// In-process pub/sub behind the server-sent event streams. Events only reach
+// clients connected to the same Node process that published them.
+class EventService {
+  constructor() {
+    this.emitter = new EventEmitter();
+    this.emitter.setMaxListeners(0); // one listener per open stream
+  }
+
+  userChannel(userId) {
+    return `user:${userId}`;
+  }
+
+  hospitalChannel(hospitalId) {
+    return `hospital:${hospitalId}`;
+  }
+
+  // Public display boards only ever receive token numbers
+  displayChannel(hospitalId) {
+    return `display:${hospitalId}`;
+  }
+
+  subscribe(channel, listener) {
+    this.emitter.on(channel, listener);
+    return () => this.emitter.off(channel, listener);
+  }
+
+  publish(channel, event, data) {
+    this.emitter.emit(channel, { event, data, timestamp: new Date() });
+  }
+
+  publishNotification(notification) {
+    const channel = notification.recipientModel === 'Hospital'
+      ? this.hospitalChannel(notification.recipient)
+      : this.userChannel(notification.recipient);
+
+    this.publish(channel, 'notification.created', notification);
+  }
+
+  publishBookingUpdate(booking, event = 'booking.updated') {
+    const userId = booking.user?._id || booking.user;
+    const hospitalId = booking.hospital?._id || booking.hospital;
+
+    const data = {
+      id: booking._id,
+      tokenNumber: booking.tokenNumber,
+      status: booking.status,
+      appointmentDate: booking.appointmentDate,
+      timeSlot: booking.timeSlot,
+      paymentStatus: booking.payment?.status
+    };
+
+    this.publish(this.userChannel(userId), event, data);
+    this.publish(this.hospitalChannel(hospitalId), event, {
+      ...data,
+      patientName: booking.patientDetails?.name
+    });
+  }
+
+  publishDisplayBoard(hospitalId, board) {
+    this.publish(this.hospitalChannel(hospitalId), 'queue.updated', board);
+    this.publish(this.displayChannel(hospitalId), 'display.updated', board);
+  }
+}
+
+module.exports = new EventService();
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const FeeSchedule = require('../models/FeeSchedule');
+const Hospital = require('../models/Hospital');
+const {
+  parseDateString,
+  formatDateString,
+  getDayRange,
+  nowInIST,
+  IST_OFFSET_MS
+} = require('../utils/slotUtils');
+
+// Most specific first
+const SCOPE_PRIORITY = ['hospital', 'category', 'platform'];
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+// Returns an error message for an invalid { type, value } fee, or null
+const validateFee = (fee, field) => {
+  if (!fee || !['flat', 'percent'].includes(fee.type)) {
+    return `${field}.type must be flat or percent`;
+  }
+  if (typeof fee.value !== 'number' || fee.value < 0) {
+    return `${field}.value must be a number, 0 or more`;
+  }
+  if (fee.type === 'percent' && fee.value > 100) {
+    return `${field}.value cannot be more than 100 percent`;
+  }
+  return null;
+};
+
+// The fee schedule in effect for a hospital at a given moment, and the fees
+// it gives for a booking
+class FeeScheduleService {
+  static httpStatusFor(error) {
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'SCHEDULE_CONFLICT') return 409;
+    return 400;
+  }
+
+  // Every schedule in effect at `at`, latest first
+  static async loadSchedules(at = new Date()) {
+    return FeeSchedule.find({
+      effectiveFrom: { $lte: at },
+      $or: [{ endedAt: null }, { endedAt: { $gt: at } }]
+    })
+      .sort({ effectiveFrom: -1, version: -1 })
+      .lean();
+  }
+
+  // The schedule that applies to `hospital` out of `schedules` (from loadSchedules)
+  static resolve(schedules, hospital) {
+    const hospitalId = hospital._id.toString();
+    const categories = (hospital.categories || []).map(category => category.name);
+    const applies = {
+      hospital: schedule => schedule.hospital?.toString() === hospitalId,
+      category: schedule => categories.includes(schedule.category),
+      platform: () => true
+    };
+
+    for (const scope of SCOPE_PRIORITY) {
+      const schedule = schedules.find(entry => entry.scope === scope && applies[scope](entry));
+      if (schedule) return schedule;
+    }
+    return FeeSchedule.DEFAULT_SCHEDULE;
+  }
+
+  static async getActiveSchedule(hospital, at = new Date()) {
+    return this.resolve(await this.loadSchedules(at), hospital);
+  }
+
+  // Fees for a booking with `doctor` (optional), less any `coupon` (see
+  // CouponService.validate). The consultation fee is only added to online
+  // payments, for hospitals that collect it.
+  static applySchedule(hospital, schedule, { isEmergency = false, doctor = null, online = true, coupon = null } = {}) {
+    return hospital.calculateFees(isEmergency, {
+      consultationFee: online ? hospital.getConsultationFee(doctor) : 0,
+      doctor,
+      schedule,
+      coupon
+    });
+  }
+
+  static async getFees(hospital, options = {}) {
+    const schedule = await this.getActiveSchedule(hospital, options.at);
+    return this.applySchedule(hospital, schedule, options);
+  }
+
+  // Fee calculator for a list of hospitals that reads the schedules once
+  static async getCalculator(at = new Date()) {
+    const schedules = await this.loadSchedules(at);
+    return (hospital, options) => this.applySchedule(hospital, this.resolve(schedules, hospital), options);
+  }
+
+  // Schedules start at the beginning of an IST day, today or later
+  static async create(data, userId) {
+    const { scope, hospitalId, category, platformFee, emergencyFee, gstRate, effectiveFrom, name } = data;
+
+    if (!FeeSchedule.SCOPES.includes(scope)) {
+      return fail('INVALID_SCHEDULE', `scope must be one of ${FeeSchedule.SCOPES.join(', ')}`);
+    }
+    if (scope === 'hospital') {
+      const exists = mongoose.isValidObjectId(hospitalId) && await Hospital.exists({ _id: hospitalId });
+      if (!exists) {
+        return fail('INVALID_SCHEDULE', 'hospitalId must be an existing hospital');
+      }
+    }
+    if (scope === 'category' && !Hospital.CATEGORIES.includes(category)) {
+      return fail('INVALID_SCHEDULE', `category must be one of ${Hospital.CATEGORIES.join(', ')}`);
+    }
+
+    const feeError = validateFee(platformFee, 'platformFee') || validateFee(emergencyFee, 'emergencyFee');
+    if (feeError) {
+      return fail('INVALID_SCHEDULE', feeError);
+    }
+    if (typeof gstRate !== 'number' || gstRate < 0 || gstRate > 28) {
+      return fail('INVALID_SCHEDULE', 'gstRate must be a percentage between 0 and 28');
+    }
+
+    const startDay = parseDateString(effectiveFrom);
+    if (!startDay) {
+      return fail('INVALID_SCHEDULE', 'effectiveFrom must be in DD-MM-YYYY format');
+    }
+    if (startDay < getDayRange(nowInIST()).start) {
+      return fail('INVALID_SCHEDULE', 'effectiveFrom cannot be in the past');
+    }
+
+    // Versions are numbered in order of creation
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const latest = await FeeSchedule.findOne().sort({ version: -1 }).select('version').lean();
+      try {
+        const schedule = await FeeSchedule.create({
+          version: (latest?.version || 0) + 1,
+          name,
+          scope,
+          hospital: scope === 'hospital' ? hospitalId : undefined,
+          category: scope === 'category' ? category : undefined,
+          platformFee: { type: platformFee.type, value: platformFee.value },
+          emergencyFee: { type: emergencyFee.type, value: emergencyFee.value },
+          gstRate,
+          effectiveFrom: new Date(startDay.getTime() - IST_OFFSET_MS),
+          createdBy: userId
+        });
+        return { success: true, data: schedule };
+      } catch (error) {
+        // Another schedule took the version number first
+        if (error.code !== 11000) throw error;
+      }
+    }
+    return fail('SCHEDULE_CONFLICT', 'Another schedule was created at the same time. Please try again.');
+  }
+
+  // Schedules not yet in effect are deleted; ones already charged on
+  // bookings are ended now and kept for history
+  static async withdraw(scheduleId) {
+    const schedule = mongoose.isValidObjectId(scheduleId) ? await FeeSchedule.findById(scheduleId) : null;
+    if (!schedule || schedule.endedAt) {
+      return fail('NOT_FOUND', 'Fee schedule not found');
+    }
+
+    if (schedule.effectiveFrom > new Date()) {
+      await schedule.deleteOne();
+      return { success: true, data: { deleted: true, schedule } };
+    }
+
+    schedule.endedAt = new Date();
+    await schedule.save();
+    return { success: true, data: { deleted: false, schedule } };
+  }
+
+  // A started schedule may since have been replaced by a later one in its scope
+  static format(schedule, now = new Date()) {
+    let status = 'started';
+    if (schedule.endedAt) status = 'ended';
+    else if (schedule.effectiveFrom > now) status = 'scheduled';
+
+    return {
+      id: schedule._id,
+      version: schedule.version,
+      name: schedule.name || null,
+      scope: schedule.scope,
+      hospital: schedule.hospital?.name
+        ? { id: schedule.hospital._id, name: schedule.hospital.name }
+        : schedule.hospital || null,
+      category: schedule.category || null,
+      platformFee: schedule.platformFee,
+      emergencyFee: schedule.emergencyFee,
+      gstRate: schedule.gstRate,
+      effectiveFrom: formatDateString(new Date(schedule.effectiveFrom.getTime() + IST_OFFSET_MS)),
+      endedAt: schedule.endedAt || null,
+      status
+    };
+  }
+}
+
+FeeScheduleService.SCOPE_PRIORITY = SCOPE_PRIORITY;
+
+module.exports = FeeScheduleService;
@@ -0,0 +1,307 @@
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const InvoiceCounter = require('../models/InvoiceCounter');
+const InvoiceNumber = require('../models/InvoiceNumber');
+const Hospital = require('../models/Hospital');
+const FeeSchedule = require('../models/FeeSchedule');
+const RefundPolicyService = require('./refundPolicyService');
+const invoiceConfig = require('../config/invoice');
+const { formatDateString, IST_OFFSET_MS } = require('../utils/slotUtils');
+const {
+  roundAmount,
+  getStateCode,
+  getFinancialYear,
+  amountInWords,
+  allocate
+} = require('../utils/gstUtils');
+
+const NUMBER_PREFIXES = {
+  invoice: 'INV',
+  'credit-note': 'CN'
+};
+
+// A claim still without a number after this was left by a request that died
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const getSupplier = () => {
+  const stateCode = invoiceConfig.gstin?.slice(0, 2) || getStateCode(invoiceConfig.state);
+  return {
+    name: invoiceConfig.legalName,
+    gstin: invoiceConfig.gstin,
+    address: invoiceConfig.address,
+    state: invoiceConfig.state,
+    stateCode
+  };
+};
+
+// A line with its tax split into CGST and SGST within a state, IGST across states
+const buildLine = (description, taxableValue, tax, taxType, gstRate) => {
+  const line = {
+    description,
+    sac: invoiceConfig.sacCode,
+    taxableValue: roundAmount(taxableValue),
+    total: roundAmount(taxableValue + tax)
+  };
+
+  if (taxType === 'intra-state') {
+    const [cgst, sgst] = allocate(tax, [1, 1]);
+    return { ...line, cgstRate: gstRate / 2, cgst, sgstRate: gstRate / 2, sgst };
+  }
+  return { ...line, igstRate: gstRate, igst: roundAmount(tax) };
+};
+
+const sumLines = (lines) => {
+  const sum = (field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+  const totals = {
+    taxableValue: sum('taxableValue'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total: sum('total')
+  };
+  totals.tax = roundAmount(totals.cgst + totals.sgst + totals.igst);
+  return totals;
+};
+
+const formatAmount = (amount) => (amount || 0).toFixed(2);
+
+// IST calendar day of a timestamp
+const formatIssueDate = (date) => formatDateString(new Date(new Date(date).getTime() + IST_OFFSET_MS));
+
+// Tax invoices for the platform and emergency fees a patient pays on a
+// booking, and credit notes when those fees are refunded. The consultation
+// fee collected for the hospital is not the platform's supply and is left out.
+class InvoiceService {
+  // Numbers run without gaps: one is only drawn by the request that claims
+  // the booking's document, and is reused if issuing it has to be retried
+  static async claimNumber(type, financialYear, booking) {
+    const key = { booking, type };
+
+    try {
+      // Returns null to the request that inserts the claim
+      const existing = await InvoiceNumber.findOneAndUpdate(key, { $setOnInsert: { claimedAt: new Date() } }, { upsert: true });
+      if (existing?.number) return existing.number;
+
+      if (existing) {
+        const takenOver = await InvoiceNumber.findOneAndUpdate(
+          { ...key, number: null, claimedAt: { $lt: new Date(Date.now() - CLAIM_TIMEOUT_MS) } },
+          { $set: { claimedAt: new Date() } }
+        );
+        if (!takenOver) return null;
+      }
+    } catch (error) {
+      // Claimed concurrently by another request
+      if (error.code !== 11000) throw error;
+      return null;
+    }
+
+    const sequence = await InvoiceCounter.nextSequence(type, financialYear);
+    const number = `${NUMBER_PREFIXES[type]}/${financialYear}/${String(sequence).padStart(6, '0')}`;
+    await InvoiceNumber.updateOne(key, { $set: { number } });
+    return number;
+  }
+
+  static async issue(type, document) {
+    const financialYear = getFinancialYear(document.issuedAt);
+    const number = await this.claimNumber(type, financialYear, document.booking);
+    if (!number) {
+      // Being issued by another request
+      return Invoice.findOne({ booking: document.booking, type });
+    }
+
+    try {
+      return await Invoice.create({
+        ...document,
+        type,
+        financialYear,
+        number,
+        amountInWords: amountInWords(document.totals.total)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      // Issued concurrently for the same booking, under the same number
+      return Invoice.findOne({ booking: document.booking, type });
+    }
+  }
+
+  // Called once the booking is paid. Errors are logged so the payment itself
+  // is never held up; returns the invoice, or null when there is nothing to invoice.
+  static async issueInvoice(booking) {
+    try {
+      const breakdown = booking.payment?.breakdown;
+      const charged = [
+        ['Platform fee', breakdown?.platformFee || 0],
+        ['Emergency booking fee', breakdown?.emergencyFee || 0]
+      ];
+      // A coupon discount reduces the taxable value of each fee in proportion
+      const discounts = allocate(breakdown?.discount || 0, charged.map(([, amount]) => amount));
+      const fees = charged
+        .map(([label, amount], index) => [label, roundAmount(amount - discounts[index])])
+        .filter(([, amount]) => amount > 0);
+      if (!fees.length) return null;
+
+      const existing = await Invoice.findOne({ booking: booking._id, type: 'invoice' });
+      if (existing) return existing;
+
+      const hospitalId = booking.hospital?._id || booking.hospital;
+      const hospital = await Hospital.findById(hospitalId).select('name address').lean();
+      const supplier = getSupplier();
+      const placeOfSupply = {
+        state: hospital.address.state,
+        stateCode: getStateCode(hospital.address.state)
+      };
+      const taxType = placeOfSupply.stateCode && placeOfSupply.stateCode === supplier.stateCode
+        ? 'intra-state'
+        : 'inter-state';
+
+      const taxes = allocate(breakdown.gst || 0, fees.map(([, amount]) => amount));
+      const lines = fees.map(([label, amount], index) => buildLine(
+        `${label} - OP booking ${booking.tokenNumber} at ${hospital.name} on ${formatDateString(booking.appointmentDate)}`,
+        amount,
+        taxes[index],
+        taxType,
+        breakdown.gstRate ?? FeeSchedule.DEFAULT_SCHEDULE.gstRate
+      ));
+
+      return await this.issue('invoice', {
+        booking: booking._id,
+        user: booking.user?._id || booking.user,
+        hospital: hospitalId,
+        issuedAt: booking.payment.paidAt || new Date(),
+        supplier,
+        recipient: {
+          name: booking.patientDetails?.name,
+          mobile: booking.patientDetails?.mobile,
+          address: booking.patientDetails?.address
+        },
+        placeOfSupply,
+        taxType,
+        lines,
+        totals: sumLines(lines)
+      });
+    } catch (error) {
+      console.error(`Error issuing invoice for booking ${booking._id}:`, error);
+      return null;
+    }
+  }
+
+  // Called once a refund is processed. Credits the part of the refund that
+  // returns platform fees, spread over the invoice lines in proportion.
+  static async issueCreditNote(booking) {
+    try {
+      const refund = booking.payment?.refundDetails;
+      if (!(refund?.amount > 0)) return null;
+
+      const invoice = await Invoice.findOne({ booking: booking._id, type: 'invoice' }).lean();
+      if (!invoice) return null;
+
+      const existing = await Invoice.findOne({ booking: booking._id, type: 'credit-note' });
+      if (existing) return existing;
+
+      const credited = Math.min(
+        roundAmount(refund.amount - RefundPolicyService.consultationShare(booking)),
+        invoice.totals.total
+      );
+      if (!(credited > 0)) return null;
+
+      const lineTotals = allocate(credited, invoice.lines.map(line => line.total));
+      const lines = invoice.lines.map((line, index) => {
+        const [taxableValue, tax] = allocate(lineTotals[index], [line.taxableValue, line.total - line.taxableValue]);
+        return buildLine(line.description, taxableValue, tax, invoice.taxType, line.igstRate || line.cgstRate + line.sgstRate);
+      });
+
+      return await this.issue('credit-note', {
+        booking: booking._id,
+        user: invoice.user,
+        hospital: invoice.hospital,
+        originalInvoice: invoice._id,
+        originalNumber: invoice.number,
+        reason: booking.cancellation?.reason || 'Refund of booking fees',
+        issuedAt: refund.processedAt || new Date(),
+        supplier: invoice.supplier,
+        recipient: invoice.recipient,
+        placeOfSupply: invoice.placeOfSupply,
+        taxType: invoice.taxType,
+        lines,
+        totals: sumLines(lines)
+      });
+    } catch (error) {
+      console.error(`Error issuing credit note for booking ${booking._id}:`, error);
+      return null;
+    }
+  }
+
+  static format(invoice) {
+    return {
+      id: invoice._id,
+      type: invoice.type,
+      number: invoice.number,
+      bookingId: invoice.booking,
+      issuedOn: formatIssueDate(invoice.issuedAt),
+      originalNumber: invoice.originalNumber || null,
+      taxType: invoice.taxType,
+      totals: invoice.totals,
+      amountInWords: invoice.amountInWords
+    };
+  }
+
+  static renderPdf(invoice, stream) {
+    const creditNote = invoice.type === 'credit-note';
+    const { supplier, recipient, placeOfSupply, totals } = invoice;
+    const intraState = invoice.taxType === 'intra-state';
+
+    const doc = new PDFDocument({ margin: 50 });
+    doc.pipe(stream);
+
+    doc.fontSize(18).text(creditNote ? 'Credit Note' : 'Tax Invoice', { align: 'center' }).moveDown();
+
+    doc.fontSize(11).text(supplier.name);
+    if (supplier.address) doc.fontSize(9).text(supplier.address);
+    doc.fontSize(9)
+      .text(`GSTIN: ${supplier.gstin || 'N/A'}`)
+      .text(`State: ${supplier.state || ''}${supplier.stateCode ? ` (${supplier.stateCode})` : ''}`)
+      .moveDown();
+
+    doc.fontSize(10)
+      .text(`${creditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.number}`)
+      .text(`Date: ${formatIssueDate(invoice.issuedAt)}`);
+    if (creditNote) {
+      doc.text(`Against Invoice No: ${invoice.originalNumber}`);
+      if (invoice.reason) doc.text(`Reason: ${invoice.reason}`);
+    }
+    doc.text(`Place of Supply: ${placeOfSupply.state}${placeOfSupply.stateCode ? ` (${placeOfSupply.stateCode})` : ''}`)
+      .moveDown();
+
+    doc.text(`Billed to: ${recipient.name}`);
+    if (recipient.mobile) doc.text(`Mobile: ${recipient.mobile}`);
+    if (recipient.address) doc.text(`Address: ${recipient.address}`);
+    doc.moveDown();
+
+    invoice.lines.forEach((line, index) => {
+      doc.fontSize(10).text(`${index + 1}. ${line.description}`);
+      const taxes = intraState
+        ? [`CGST @ ${line.cgstRate}%: ₹${formatAmount(line.cgst)}`, `SGST @ ${line.sgstRate}%: ₹${formatAmount(line.sgst)}`]
+        : [`IGST @ ${line.igstRate}%: ₹${formatAmount(line.igst)}`];
+      doc.fontSize(9);
+      [`SAC: ${line.sac}`, `Taxable Value: ₹${formatAmount(line.taxableValue)}`, ...taxes, `Amount: ₹${formatAmount(line.total)}`]
+        .forEach(text => doc.text(text, { indent: 15 }));
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown().fontSize(10).text(`Taxable Value: ₹${formatAmount(totals.taxableValue)}`);
+    if (intraState) {
+      doc.text(`CGST: ₹${formatAmount(totals.cgst)}`).text(`SGST: ₹${formatAmount(totals.sgst)}`);
+    } else {
+      doc.text(`IGST: ₹${formatAmount(totals.igst)}`);
+    }
+    doc.fontSize(11).text(`Total: ₹${formatAmount(totals.total)}`)
+      .fontSize(9).text(invoice.amountInWords);
+
+    doc.moveDown(2).fontSize(8)
+      .text('This is a computer generated document and does not require a signature.');
+
+    doc.end();
+  }
+}
+
+module.exports = InvoiceService;
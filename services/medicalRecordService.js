@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const FamilyMember = require('../models/FamilyMember');
+
+// The patient's medical record as a hospital sees it on a booking. Nothing is
+// returned unless the patient has consented to share it for that booking, and
+// the record is read live so a revoked consent or an updated profile applies
+// straight away.
+class MedicalRecordService {
+  static isShared(booking) {
+    return Boolean(booking.medicalRecordConsent?.shared);
+  }
+
+  static async getSharedRecord(booking) {
+    if (!this.isShared(booking)) return null;
+
+    // A family member's own record, not the account holder's
+    if (booking.familyMember) {
+      const member = await FamilyMember.findById(booking.familyMember._id || booking.familyMember)
+        .select('dateOfBirth gender medicalInfo')
+        .lean();
+      if (!member) return null;
+
+      return {
+        dateOfBirth: member.dateOfBirth || null,
+        gender: member.gender || null,
+        bloodGroup: member.medicalInfo?.bloodGroup || null,
+        emergencyContact: null,
+        medicalInfo: {
+          allergies: member.medicalInfo?.allergies || [],
+          chronicConditions: member.medicalInfo?.chronicConditions || [],
+          currentMedications: member.medicalInfo?.currentMedications || []
+        }
+      };
+    }
+
+    const user = await User.findById(booking.user._id || booking.user)
+      .select('dateOfBirth gender bloodGroup emergencyContact medicalInfo')
+      .lean();
+    if (!user) return null;
+
+    return {
+      dateOfBirth: user.dateOfBirth || null,
+      gender: user.gender || null,
+      bloodGroup: user.bloodGroup || null,
+      emergencyContact: user.emergencyContact || null,
+      medicalInfo: {
+        allergies: user.medicalInfo?.allergies || [],
+        chronicConditions: user.medicalInfo?.chronicConditions || [],
+        currentMedications: user.medicalInfo?.currentMedications || []
+      }
+    };
+  }
+
+  // Consent fields to store on the booking when the patient changes it
+  static consentUpdate(shared) {
+    return shared
+      ? { 'medicalRecordConsent.shared': true, 'medicalRecordConsent.grantedAt': new Date() }
+      : { 'medicalRecordConsent.shared': false, 'medicalRecordConsent.revokedAt': new Date() };
+  }
+}
+
+module.exports = MedicalRecordService;
@@ -1,4 +1,5 @@
 const Notification = require('../models/Notification');
+const EventService = require('./eventService');
 
 class NotificationService {
   static async createNotification({
@@ -20,6 +21,7 @@ class NotificationService {
       });
 
       await notification.save();
+      EventService.publishNotification(notification);
       return notification;
     } catch (error) {
       console.error('Error creating notification:', error);
@@ -93,7 +95,17 @@ class NotificationService {
         PAYMENT_REFUNDED: {
           user: {
             title: 'Payment Refunded',
-            message: `Refund of ₹${booking.payment.amount} initiated for booking ${booking.tokenNumber}`
+            message: `Refund of ₹${additionalData.refundAmount ?? booking.payment.amount} ${additionalData.processed ? 'processed' : 'initiated'} for booking ${booking.tokenNumber}`
+          }
+        },
+        BOOKING_MODIFIED: {
+          user: {
+            title: 'Booking Rescheduled',
+            message: `Your booking at ${booking.hospital.name} has been moved from ${additionalData.previousDate} ${additionalData.previousTimeSlot} to ${new Date(booking.appointmentDate).toLocaleDateString()} ${booking.timeSlot}. Token: ${booking.tokenNumber}`
+          },
+          hospital: {
+            title: 'Booking Rescheduled',
+            message: `Booking for ${booking.patientDetails.name} moved from ${additionalData.previousDate} ${additionalData.previousTimeSlot} to ${new Date(booking.appointmentDate).toLocaleDateString()} ${booking.timeSlot} (token ${booking.tokenNumber})`
           }
         },
         TOKEN_UPDATED: {
@@ -102,6 +114,12 @@ class NotificationService {
             message: `Your token number for ${booking.hospital.name} has been updated to ${booking.tokenNumber}`
           }
         },
+        TOKEN_CALLED: {
+          user: {
+            title: 'Your Turn',
+            message: `Token ${booking.tokenNumber} has been called at ${booking.hospital.name}. Please proceed to the consultation room.`
+          }
+        },
         DOCTOR_ASSIGNED: {
           user: {
             title: 'Doctor Assigned',
@@ -110,8 +128,10 @@ class NotificationService {
         },
         PRESCRIPTION_ADDED: {
           user: {
-            title: 'Prescription Added',
-            message: `Your prescription for the appointment at ${booking.hospital.name} has been added`
+            title: additionalData.amended ? 'Prescription Amended' : 'Prescription Added',
+            message: additionalData.amended
+              ? `Your prescription for the appointment at ${booking.hospital.name} has been amended and signed again`
+              : `Your prescription for the appointment at ${booking.hospital.name} has been added`
           }
         }
       };
@@ -189,6 +209,39 @@ class NotificationService {
     });
   }
 
+  // Waitlist messages go to the patient only; the entry's hospital must be populated
+  static async createWaitlistNotification(entry, type) {
+    const day = new Date(entry.date).toLocaleDateString();
+    const expiresAt = entry.offer?.expiresAt
+      ? new Date(entry.offer.expiresAt).toLocaleTimeString('en-IN', { timeZone: 'Asia/Kolkata', hour: '2-digit', minute: '2-digit' })
+      : null;
+
+    const templates = {
+      WAITLIST_OFFER: {
+        title: 'A Slot Opened Up',
+        message: `A ${entry.offer?.timeSlot} slot at ${entry.hospital.name} on ${day} is held for you until ${expiresAt}. Book it before then to keep it.`
+      },
+      WAITLIST_OFFER_EXPIRED: {
+        title: 'Slot Offer Expired',
+        message: `The ${entry.offer?.timeSlot} slot at ${entry.hospital.name} on ${day} was not booked in time and has been offered to the next patient.`
+      }
+    };
+
+    const template = templates[type];
+    if (!template) return null;
+
+    return await this.createNotification({
+      recipient: entry.user._id || entry.user,
+      recipientModel: 'User',
+      ...template,
+      type,
+      relatedTo: {
+        model: 'WaitlistEntry',
+        id: entry._id
+      }
+    });
+  }
+
   static async createHospitalUpdateNotification(hospital, updateType, data = {}) {
     const templates = {
       HOSPITAL_UPDATED: {
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Booking = require('../models/Booking');
+const RazorpayService = require('./razorpayService');
+const NotificationService = require('./notificationService');
+const EventService = require('./eventService');
+const BookingStateMachine = require('./bookingStateMachine');
+const SettlementService = require('./settlementService');
+const InvoiceService = require('./invoiceService');
+const CouponService = require('./couponService');
+
+// Captured amounts are in rupees; anything under a paisa is rounding
+const amountsDiffer = (expected, actual) =>
+  expected != null && actual != null && Math.abs(expected - actual) >= 0.01;
+
+// Payment state changes shared by the client-side verification and the
+// gateway webhook. Each one is a conditional update, so whichever of the two
+// arrives second finds nothing to change and sends no duplicate notifications.
+class PaymentService {
+  // Booking an order or payment belongs to, by order id or the bookingId
+  // note attached when the order was created
+  static async findBooking({ orderId, paymentId, bookingId }) {
+    const conditions = [];
+    if (orderId) conditions.push({ 'payment.orderId': orderId });
+    if (paymentId) conditions.push({ 'payment.paymentId': paymentId });
+    if (bookingId && mongoose.isValidObjectId(bookingId)) conditions.push({ _id: bookingId });
+    if (!conditions.length) return null;
+
+    return Booking.findOne({ $or: conditions });
+  }
+
+  // Record a captured payment and confirm the booking if it is still waiting
+  // on it. Only an unpaid booking is changed, so a payment verified again
+  // after a refund cannot mark the booking paid a second time.
+  static async markPaid(bookingId, payment) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, 'payment.status': { $in: ['pending', 'failed'] } },
+      {
+        $set: {
+          'payment.paymentId': payment.paymentId,
+          'payment.status': 'completed',
+          'payment.paidAt': new Date(),
+          'payment.details': payment
+        },
+        $unset: { 'payment.failureReason': 1 }
+      },
+      { new: true, runValidators: false }
+    );
+    if (!booking) return null;
+
+    // Paid after the booking expired or was closed: there is nothing to
+    // invoice or settle, so the money goes straight back
+    if (booking.status === 'cancelled' || booking.status === 'rejected') {
+      return this.refundCapturedPayment(booking, payment, 'late');
+    }
+    // A payment that does not match the booking's fees does not pay for it
+    if (amountsDiffer(booking.payment.amount, payment.amount)) {
+      return this.refundCapturedPayment(booking, payment, 'mismatch');
+    }
+
+    let current = booking;
+    if (booking.status === 'pending') {
+      // PAYMENT_RECEIVED below tells the patient; no separate confirmation notice
+      const result = await BookingStateMachine.transition(booking, 'confirmed', {
+        actor: 'system',
+        reason: 'Payment received',
+        notify: false
+      });
+      if (result.success) current = result.booking;
+    }
+
+    if (current === booking) {
+      await booking.populate('hospital');
+      EventService.publishBookingUpdate(booking);
+    }
+    await CouponService.redeem(current);
+    await SettlementService.recordPayment(current);
+    await InvoiceService.issueInvoice(current);
+    await NotificationService.createBookingNotifications(current, 'PAYMENT_RECEIVED');
+    return current;
+  }
+
+  // Refunds in full a captured payment the booking cannot keep: `late` when
+  // the booking was already closed, `mismatch` when the amount is not what
+  // was charged. A failed refund leaves the payment completed for the
+  // nightly reconciliation to report.
+  static async refundCapturedPayment(booking, payment, reason) {
+    const amount = payment.amount ?? booking.payment.amount;
+    console.warn(`Payment ${booking.payment.paymentId} of ₹${amount} not accepted for ${booking.status} booking ${booking._id} (${reason}); refunding`);
+
+    const refundResponse = await RazorpayService.initiateRefund(
+      booking.payment.paymentId,
+      amount,
+      `${reason}-${booking._id}`
+    );
+    if (!refundResponse.success) {
+      console.error(`Refund of payment ${booking.payment.paymentId} for booking ${booking._id} failed; refund it manually`);
+      return booking;
+    }
+
+    const refunded = await Booking.findOneAndUpdate(
+      { _id: booking._id, 'payment.status': 'completed' },
+      {
+        $set: {
+          'payment.status': 'refunded',
+          'payment.refundDetails': refundResponse.data
+        }
+      },
+      { new: true, runValidators: false }
+    ).populate('hospital');
+    if (!refunded) return booking;
+
+    EventService.publishBookingUpdate(refunded);
+    await NotificationService.createBookingNotifications(refunded, 'PAYMENT_REFUNDED', {
+      refundAmount: refundResponse.data.amount
+    });
+    return refunded;
+  }
+
+  static async markFailed(bookingId, payment) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, 'payment.status': 'pending' },
+      {
+        $set: {
+          'payment.status': 'failed',
+          'payment.failureReason': payment.errorDescription || payment.errorCode
+        }
+      },
+      { new: true, runValidators: false }
+    );
+    if (!booking) return null;
+
+    await booking.populate('hospital');
+    EventService.publishBookingUpdate(booking);
+    await NotificationService.createBookingNotifications(booking, 'PAYMENT_FAILED');
+    return booking;
+  }
+
+  static async markRefunded(bookingId, refund) {
+    // Cancellation policies can refund only part of the payment
+    const existing = await Booking.findById(bookingId).select('payment.amount').lean();
+    if (!existing) return null;
+    const status = refund.amount < (existing.payment?.amount || 0) ? 'partially-refunded' : 'refunded';
+
+    const booking = await Booking.findOneAndUpdate(
+      {
+        _id: bookingId,
+        $or: [
+          { 'payment.refundDetails.refundId': { $ne: refund.refundId } },
+          { 'payment.refundDetails.status': { $ne: 'processed' } }
+        ]
+      },
+      {
+        $set: {
+          'payment.status': status,
+          'payment.refundDetails': {
+            refundId: refund.refundId,
+            amount: refund.amount,
+            status: 'processed',
+            processedAt: refund.processedAt || new Date()
+          }
+        }
+      },
+      { new: true, runValidators: false }
+    );
+    if (!booking) return null;
+
+    await booking.populate('hospital');
+    EventService.publishBookingUpdate(booking);
+    await SettlementService.recordRefund(booking);
+    await InvoiceService.issueCreditNote(booking);
+    await NotificationService.createBookingNotifications(booking, 'PAYMENT_REFUNDED', {
+      refundAmount: refund.amount,
+      processed: true
+    });
+    return booking;
+  }
+}
+
+module.exports = PaymentService;
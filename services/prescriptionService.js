@@ -0,0 +1,317 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Booking = require('../models/Booking');
+const NotificationService = require('./notificationService');
+const EventService = require('./eventService');
+const { parseDateString, formatDateString, toDateKey } = require('../utils/slotUtils');
+
+const ITEM_FIELDS = ['medicine', 'dosage', 'frequency', 'duration', 'instructions'];
+
+// Medicines can be written during the consultation; signing waits until it is over
+const PRESCRIBABLE_STATUSES = ['in-consultation', 'completed'];
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+const pickItemFields = (item) => ITEM_FIELDS.reduce((fields, field) => {
+  if (item[field] !== undefined) fields[field] = item[field];
+  return fields;
+}, {});
+
+// Prescriptions written, amended and signed by the assigned doctor or the
+// hospital's staff. The patient sees a prescription once it is signed.
+class PrescriptionService {
+  // Response status for a failed change
+  static httpStatusFor(error) {
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'PRESCRIPTION_CHANGED') return 409;
+    return 400;
+  }
+
+  static isSigned(booking) {
+    return Boolean(booking.prescriptionDetails?.signedAt);
+  }
+
+  // Returns an error message for an invalid list of items, or null
+  static validateItems(items) {
+    if (!Array.isArray(items) || !items.length) {
+      return 'Please provide prescriptions as a list of { medicine, dosage, frequency, duration, instructions }';
+    }
+    if (items.some(item => !item || typeof item.medicine !== 'string' || !item.medicine.trim())) {
+      return 'Every prescription needs a medicine';
+    }
+    return null;
+  }
+
+  // DD-MM-YYYY, after the appointment day
+  static parseFollowUpDate(booking, value) {
+    const date = parseDateString(value);
+    if (!date) {
+      return fail('INVALID_FOLLOW_UP_DATE', 'followUpDate must be in DD-MM-YYYY format');
+    }
+    if (toDateKey(date) <= toDateKey(booking.appointmentDate)) {
+      return fail('INVALID_FOLLOW_UP_DATE', 'The follow-up date must be after the appointment day');
+    }
+    return { success: true, date };
+  }
+
+  // Changes to a signed prescription need a reason and clear the signature.
+  // The update only applies if the signature is as it was read, so an edit
+  // and a signature cannot cross.
+  static async applyChange(booking, update, { reason, amendment, extraFilter = {} }) {
+    const signed = this.isSigned(booking);
+    if (signed && !reason) {
+      return fail('REASON_REQUIRED', 'A reason is required to change a signed prescription');
+    }
+
+    const $set = { ...update.$set };
+    const $push = { ...update.$push };
+    if (signed) {
+      $set['prescriptionDetails.signedAt'] = null;
+      $set['prescriptionDetails.signedBy'] = null;
+      $push['prescriptionDetails.amendments'] = { $each: amendment.map(entry => ({ ...entry, reason })) };
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: PRESCRIBABLE_STATUSES },
+        'prescriptionDetails.signedAt': booking.prescriptionDetails?.signedAt || null,
+        ...extraFilter
+      },
+      {
+        ...(Object.keys($set).length && { $set }),
+        ...(Object.keys($push).length && { $push })
+      },
+      { new: true, runValidators: false }
+    ).populate('hospital', 'name');
+
+    if (!updated) {
+      return fail('PRESCRIPTION_CHANGED', 'The prescription was changed by someone else. Please refresh and try again.');
+    }
+
+    EventService.publishBookingUpdate(updated);
+    return { success: true, data: updated };
+  }
+
+  static async addItems(booking, { items, followUpDate, userId, reason }) {
+    if (!PRESCRIBABLE_STATUSES.includes(booking.status)) {
+      return fail('CONSULTATION_NOT_STARTED', 'Prescriptions can only be added during or after the consultation');
+    }
+
+    const itemsError = this.validateItems(items);
+    if (itemsError) {
+      return fail('INVALID_PRESCRIPTION', itemsError);
+    }
+
+    const $set = {};
+    if (followUpDate !== undefined) {
+      const followUp = this.parseFollowUpDate(booking, followUpDate);
+      if (!followUp.success) return followUp;
+      $set['prescriptionDetails.followUpDate'] = followUp.date;
+    }
+
+    const newItems = items.map(item => ({
+      ...pickItemFields(item),
+      _id: new mongoose.Types.ObjectId(),
+      addedBy: userId,
+      addedAt: new Date()
+    }));
+
+    return this.applyChange(booking, {
+      $set,
+      $push: { prescriptions: { $each: newItems } }
+    }, {
+      reason,
+      amendment: newItems.map(item => ({ item: item._id, action: 'added', changedBy: userId }))
+    });
+  }
+
+  static async amendItem(booking, itemId, { changes, followUpDate, userId, reason }) {
+    if (!PRESCRIBABLE_STATUSES.includes(booking.status)) {
+      return fail('CONSULTATION_NOT_STARTED', 'Prescriptions can only be changed during or after the consultation');
+    }
+
+    const item = mongoose.isValidObjectId(itemId) ? booking.prescriptions.id(itemId) : null;
+    if (!item) {
+      return fail('NOT_FOUND', 'Prescription not found');
+    }
+
+    const fields = pickItemFields(changes || {});
+    if (fields.medicine !== undefined && (typeof fields.medicine !== 'string' || !fields.medicine.trim())) {
+      return fail('INVALID_PRESCRIPTION', 'Every prescription needs a medicine');
+    }
+    if (!Object.keys(fields).length && followUpDate === undefined) {
+      return fail('NO_CHANGES', `Provide at least one of ${ITEM_FIELDS.join(', ')} or followUpDate`);
+    }
+
+    const $set = { 'prescriptions.$.amendedAt': new Date() };
+    Object.entries(fields).forEach(([field, value]) => {
+      $set[`prescriptions.$.${field}`] = value;
+    });
+    if (followUpDate !== undefined) {
+      const followUp = this.parseFollowUpDate(booking, followUpDate);
+      if (!followUp.success) return followUp;
+      $set['prescriptionDetails.followUpDate'] = followUp.date;
+    }
+
+    const previous = pickItemFields(item);
+    if (followUpDate !== undefined) {
+      previous.followUpDate = booking.prescriptionDetails?.followUpDate || null;
+    }
+
+    return this.applyChange(booking, { $set }, {
+      reason,
+      amendment: [{ item: item._id, action: 'amended', previous, changedBy: userId }],
+      extraFilter: { 'prescriptions._id': item._id }
+    });
+  }
+
+  // Signed in the name of `doctorId`, by default the booking's doctor
+  static async sign(booking, { userId, doctorId, followUpDate }) {
+    if (booking.status !== 'completed') {
+      return fail('CONSULTATION_NOT_COMPLETED', 'A prescription can only be signed once the consultation is completed');
+    }
+    if (!booking.prescriptions?.length) {
+      return fail('EMPTY_PRESCRIPTION', 'Add at least one medicine before signing');
+    }
+    if (this.isSigned(booking)) {
+      return fail('ALREADY_SIGNED', 'The prescription is already signed');
+    }
+
+    const doctor = doctorId || booking.doctorAssigned;
+    if (!doctor) {
+      return fail('DOCTOR_REQUIRED', 'Assign a doctor to the booking before signing the prescription');
+    }
+
+    const $set = {
+      'prescriptionDetails.doctor': doctor,
+      'prescriptionDetails.signedBy': userId,
+      'prescriptionDetails.signedAt': new Date()
+    };
+    if (followUpDate !== undefined) {
+      const followUp = this.parseFollowUpDate(booking, followUpDate);
+      if (!followUp.success) return followUp;
+      $set['prescriptionDetails.followUpDate'] = followUp.date;
+    }
+
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: 'completed',
+        'prescriptionDetails.signedAt': null
+      },
+      { $set },
+      { new: true, runValidators: false }
+    ).populate('hospital', 'name');
+
+    if (!updated) {
+      return fail('PRESCRIPTION_CHANGED', 'The prescription was changed by someone else. Please refresh and try again.');
+    }
+
+    EventService.publishBookingUpdate(updated);
+    try {
+      await NotificationService.createBookingNotifications(updated, 'PRESCRIPTION_ADDED', {
+        amended: Boolean(updated.prescriptionDetails.amendments?.length)
+      });
+    } catch (error) {
+      console.error(`Error sending prescription notification for booking ${updated._id}:`, error);
+    }
+
+    return { success: true, data: updated };
+  }
+
+  static format(booking) {
+    const details = booking.prescriptionDetails || {};
+    return {
+      bookingId: booking._id,
+      hospital: booking.hospital?.name ? { id: booking.hospital._id, name: booking.hospital.name } : booking.hospital,
+      appointmentDate: formatDateString(booking.appointmentDate),
+      tokenNumber: booking.tokenNumber,
+      patientName: booking.patientDetails?.name,
+      doctor: details.doctor?.name
+        ? { id: details.doctor._id, name: details.doctor.name, specialization: details.doctor.specialization }
+        : details.doctor || null,
+      items: (booking.prescriptions || []).map(item => ({ id: item._id, ...pickItemFields(item) })),
+      followUpDate: details.followUpDate ? formatDateString(details.followUpDate) : null,
+      signed: Boolean(details.signedAt),
+      signedAt: details.signedAt || null,
+      amended: Boolean(details.amendments?.length)
+    };
+  }
+
+  // Signed prescriptions across the patient's bookings, newest first
+  static async listForUser(userId) {
+    const bookings = await Booking.find({
+      user: userId,
+      'prescriptionDetails.signedAt': { $ne: null }
+    })
+      .select('hospital appointmentDate tokenNumber patientDetails prescriptions prescriptionDetails')
+      .populate('hospital', 'name')
+      .populate('prescriptionDetails.doctor', 'name specialization')
+      .sort({ appointmentDate: -1 })
+      .lean();
+
+    return bookings.map(booking => this.format(booking));
+  }
+
+  // Writes the signed prescription as a PDF to `stream`. The booking needs
+  // hospital and prescriptionDetails.doctor populated.
+  static renderPdf(booking, stream) {
+    const details = booking.prescriptionDetails;
+    const doctor = details.doctor;
+    const hospital = booking.hospital;
+
+    const doc = new PDFDocument({ margin: 50 });
+    doc.pipe(stream);
+
+    doc.fontSize(20).text(hospital.name, { align: 'center' });
+    if (hospital.address) {
+      doc.fontSize(10).text(
+        [hospital.address.street, hospital.address.city, hospital.address.state, hospital.address.pincode]
+          .filter(Boolean).join(', '),
+        { align: 'center' }
+      );
+    }
+    doc.moveDown().fontSize(16).text('Prescription', { align: 'center' }).moveDown();
+
+    doc.fontSize(11)
+      .text(`Patient: ${booking.patientDetails.name}, ${booking.patientDetails.age} years, ${booking.patientDetails.gender}`)
+      .text(`Date: ${formatDateString(booking.appointmentDate)}`)
+      .text(`Token Number: ${booking.tokenNumber}`)
+      .text(`Doctor: Dr. ${doctor.name}${doctor.specialization ? ` (${doctor.specialization})` : ''}`);
+    if (doctor.qualification) {
+      doc.text(`Qualification: ${doctor.qualification}`);
+    }
+    doc.moveDown();
+
+    booking.prescriptions.forEach((item, index) => {
+      doc.fontSize(12).text(`${index + 1}. ${item.medicine}`);
+      const lines = [
+        item.dosage && `Dosage: ${item.dosage}`,
+        item.frequency && `Frequency: ${item.frequency}`,
+        item.duration && `Duration: ${item.duration}`,
+        item.instructions && `Instructions: ${item.instructions}`
+      ].filter(Boolean);
+      doc.fontSize(10);
+      lines.forEach(line => doc.text(line, { indent: 15 }));
+      doc.moveDown(0.5);
+    });
+
+    if (details.followUpDate) {
+      doc.moveDown().fontSize(11).text(`Follow-up on: ${formatDateString(details.followUpDate)}`);
+    }
+
+    doc.moveDown(2).fontSize(10)
+      .text(`Digitally signed by Dr. ${doctor.name} on ${new Date(details.signedAt).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })}`);
+    if (details.amendments?.length) {
+      doc.text('This prescription was amended after it was first issued.');
+    }
+
+    doc.end();
+  }
+}
+
+PrescriptionService.ITEM_FIELDS = ITEM_FIELDS;
+PrescriptionService.PRESCRIBABLE_STATUSES = PRESCRIBABLE_STATUSES;
+
+module.exports = PrescriptionService;
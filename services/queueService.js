@@ -0,0 +1,260 @@
+const Booking = require('../models/Booking');
+const QueueState = require('../models/QueueState');
+const EventService = require('./eventService');
+const BookingStateMachine = require('./bookingStateMachine');
+const { toDateKey, getDayRange, formatDateString, nowInIST } = require('../utils/slotUtils');
+
+// Patients who have not been called yet
+const WAITING_STATUSES = ['confirmed', 'checked-in'];
+
+// Bookings that still have a place in the day's queue
+const QUEUE_STATUSES = [...WAITING_STATUSES, 'in-consultation', 'skipped'];
+
+// Emergencies first, then by token
+const QUEUE_ORDER = { isEmergency: -1, tokenSequence: 1, createdAt: 1 };
+
+// Tokens callNext tries when other desks keep calling the same one first
+const MAX_CALL_ATTEMPTS = 3;
+
+const formatQueueEntry = (booking) => ({
+  id: booking._id,
+  tokenNumber: booking.tokenNumber,
+  status: booking.status,
+  isEmergency: booking.isEmergency,
+  timeSlot: booking.timeSlot,
+  patientName: booking.patientDetails?.name,
+  checkedInAt: booking.checkedInAt,
+  calledAt: booking.calledAt,
+  skippedAt: booking.skippedAt,
+  completedAt: booking.completedAt
+});
+
+class QueueService {
+  static getDayQuery(hospitalId, date) {
+    const { start, end } = getDayRange(date);
+    return {
+      hospital: hospitalId,
+      appointmentDate: { $gte: start, $lt: end }
+    };
+  }
+
+  static async getQueue(hospital, date = nowInIST()) {
+    const [state, bookings] = await Promise.all([
+      QueueState.findOne({ hospital: hospital._id, date: toDateKey(date) }).lean(),
+      Booking.find({
+        ...this.getDayQuery(hospital._id, date),
+        status: { $in: [...QUEUE_STATUSES, 'completed', 'no-show'] }
+      })
+      .sort(QUEUE_ORDER)
+      .select('tokenNumber tokenSequence isEmergency status timeSlot patientDetails.name checkedInAt calledAt skippedAt completedAt createdAt')
+      .lean()
+    ]);
+
+    const byStatus = (...statuses) => bookings.filter(booking => statuses.includes(booking.status));
+
+    return {
+      date: formatDateString(date),
+      nowServing: state?.nowServing?.booking ? state.nowServing : null,
+      inConsultation: byStatus('in-consultation').map(formatQueueEntry),
+      waiting: byStatus(...WAITING_STATUSES).map(formatQueueEntry),
+      skipped: byStatus('skipped').map(formatQueueEntry),
+      summary: {
+        waiting: byStatus(...WAITING_STATUSES).length,
+        checkedIn: byStatus('checked-in').length,
+        skipped: byStatus('skipped').length,
+        completed: byStatus('completed').length,
+        noShow: byStatus('no-show').length
+      }
+    };
+  }
+
+  // Token-only view of the queue for public display boards
+  static async getDisplayBoard(hospitalId, date = nowInIST()) {
+    const queue = await this.getQueue({ _id: hospitalId }, date);
+    const tokens = entries => entries.map(entry => entry.tokenNumber);
+
+    return {
+      date: queue.date,
+      nowServing: queue.nowServing?.tokenNumber || null,
+      inConsultation: tokens(queue.inConsultation),
+      upNext: tokens(queue.waiting.slice(0, 10)),
+      skipped: tokens(queue.skipped),
+      waitingCount: queue.summary.waiting
+    };
+  }
+
+  // Display boards only show today's queue, so changes to other days are not published
+  static async publishQueueUpdate(hospitalId, date = nowInIST()) {
+    if (toDateKey(date) !== toDateKey(nowInIST())) return;
+
+    try {
+      const board = await this.getDisplayBoard(hospitalId, date);
+      EventService.publishDisplayBoard(hospitalId, board);
+    } catch (error) {
+      console.error('Error publishing queue update:', error);
+    }
+  }
+
+  static async setNowServing(hospitalId, booking, userId) {
+    return QueueState.findOneAndUpdate(
+      { hospital: hospitalId, date: toDateKey(booking.appointmentDate) },
+      {
+        $set: {
+          nowServing: {
+            booking: booking._id,
+            tokenNumber: booking.tokenNumber,
+            calledAt: booking.calledAt
+          },
+          updatedBy: userId
+        }
+      },
+      { upsert: true, new: true }
+    );
+  }
+
+  // Finish the patient currently being served and call the next one in line
+  static async callNext(hospital, userId) {
+    const today = nowInIST();
+    const state = await QueueState.findOne({ hospital: hospital._id, date: toDateKey(today) });
+
+    if (state?.nowServing?.booking) {
+      const serving = await Booking.findOne({ _id: state.nowServing.booking, status: 'in-consultation' });
+      if (serving) {
+        await BookingStateMachine.transition(serving, 'completed', { actor: 'hospital', userId });
+      }
+    }
+
+    // The transition only applies while the booking is still waiting, which
+    // keeps two desks from calling the same token; the loser tries the next one
+    let booking = null;
+    for (let attempt = 0; attempt < MAX_CALL_ATTEMPTS && !booking; attempt++) {
+      const next = await Booking.findOne({
+        ...this.getDayQuery(hospital._id, today),
+        status: { $in: WAITING_STATUSES }
+      }).sort(QUEUE_ORDER);
+      if (!next) break;
+
+      const result = await BookingStateMachine.transition(next, 'in-consultation', { actor: 'hospital', userId });
+      if (result.success) {
+        booking = result.booking;
+      } else if (result.error.code !== 'STATUS_CHANGED') {
+        return result;
+      }
+    }
+
+    if (!booking) {
+      return {
+        success: false,
+        error: {
+          code: 'QUEUE_EMPTY',
+          message: 'No patients are waiting in the queue'
+        }
+      };
+    }
+
+    const updatedState = await this.setNowServing(hospital._id, booking, userId);
+    await this.publishQueueUpdate(hospital._id, today);
+
+    return {
+      success: true,
+      data: {
+        nowServing: updatedState.nowServing,
+        booking: formatQueueEntry(booking)
+      }
+    };
+  }
+
+  // Queue moves by the front desk, or by the doctor from their own day list
+  static async updateStatus(hospital, bookingId, status, userId, actor = 'hospital') {
+    const booking = await Booking.findOne({ _id: bookingId, hospital: hospital._id });
+
+    if (!booking) {
+      return {
+        success: false,
+        error: {
+          code: 'BOOKING_NOT_FOUND',
+          message: 'Booking not found'
+        }
+      };
+    }
+
+    const result = await BookingStateMachine.transition(booking, status, { actor, userId });
+    if (!result.success) {
+      return result;
+    }
+
+    const updatedBooking = result.booking;
+    const hospitalId = hospital._id;
+    const dateKey = toDateKey(updatedBooking.appointmentDate);
+
+    if (status === 'in-consultation') {
+      await this.setNowServing(hospitalId, updatedBooking, userId);
+    } else if (['skipped', 'no-show'].includes(status)) {
+      await QueueState.updateOne(
+        { hospital: hospitalId, date: dateKey, 'nowServing.booking': updatedBooking._id },
+        { $unset: { nowServing: 1 }, $set: { updatedBy: userId } }
+      );
+    }
+
+    await this.publishQueueUpdate(hospitalId, updatedBooking.appointmentDate);
+
+    return { success: true, data: formatQueueEntry(updatedBooking) };
+  }
+
+  // Put a skipped patient back in line at their original position
+  static async recall(hospital, bookingId, userId) {
+    const booking = await Booking.findOne({ _id: bookingId, hospital: hospital._id }).select('status');
+
+    if (booking && booking.status !== 'skipped') {
+      return {
+        success: false,
+        error: {
+          code: 'NOT_SKIPPED',
+          message: 'Only skipped tokens can be recalled'
+        }
+      };
+    }
+
+    return this.updateStatus(hospital, bookingId, 'checked-in', userId);
+  }
+
+  // Where a patient's booking stands in today's queue
+  static async getQueuePosition(booking) {
+    if (!QUEUE_STATUSES.includes(booking.status) || booking.tokenSequence == null) {
+      return null;
+    }
+
+    const hospitalId = booking.hospital._id || booking.hospital;
+    const dayQuery = this.getDayQuery(hospitalId, booking.appointmentDate);
+
+    const aheadQuery = {
+      ...dayQuery,
+      _id: { $ne: booking._id },
+      status: { $in: [...WAITING_STATUSES, 'in-consultation'] },
+      $or: booking.isEmergency
+        ? [{ isEmergency: true, tokenSequence: { $lt: booking.tokenSequence } }]
+        : [
+            { isEmergency: true },
+            { isEmergency: { $ne: true }, tokenSequence: { $lt: booking.tokenSequence } }
+          ]
+    };
+
+    const [tokensAhead, state] = await Promise.all([
+      booking.status === 'in-consultation' ? 0 : Booking.countDocuments(aheadQuery),
+      QueueState.findOne({ hospital: hospitalId, date: toDateKey(booking.appointmentDate) }).lean()
+    ]);
+
+    return {
+      nowServing: state?.nowServing?.tokenNumber || null,
+      tokensAhead,
+      isBeingServed: booking.status === 'in-consultation',
+      isSkipped: booking.status === 'skipped'
+    };
+  }
+}
+
+QueueService.WAITING_STATUSES = WAITING_STATUSES;
+QueueService.QUEUE_STATUSES = QUEUE_STATUSES;
+QueueService.QUEUE_ORDER = QUEUE_ORDER;
+
+module.exports = QueueService;
@@ -9,15 +9,23 @@ class RazorpayService {
     });
   }
 
-  async createOrder(bookingId, amount) {
+  // `breakdown` lists the charges making up `amount` (in rupees); each one is
+  // recorded as its own line in the order notes
+  async createOrder(bookingId, amount, breakdown = {}) {
     try {
+      const lines = Object.entries(breakdown).reduce((notes, [name, value]) => {
+        if (value) notes[name] = String(value);
+        return notes;
+      }, {});
+
       const order = await this.razorpay.orders.create({
         amount: Math.round(amount * 100), // Convert to paise
         currency: 'INR',
         receipt: bookingId,
         payment_capture: 1, // Auto capture payment
         notes: {
-          bookingId: bookingId
+          bookingId: bookingId,
+          ...lines
         }
       });
 
@@ -101,15 +109,45 @@ class RazorpayService {
     }
   }
 
-  async initiateRefund(paymentId, amount) {
+  // Webhooks are signed with the webhook secret over the exact raw request body
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !signature || !Buffer.isBuffer(rawBody)) {
+      return false;
+    }
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  // `receipt` keys the refund: when the payment already has a refund with the
+  // same receipt, e.g. from an attempt whose response was lost, that one is
+  // returned instead of refunding again
+  async initiateRefund(paymentId, amount, receipt) {
     try {
-      const refund = await this.razorpay.payments.refund(paymentId, {
-        amount: Math.round(amount * 100), // Convert to paise
-        speed: 'normal',
-        notes: {
-          reason: 'Booking cancellation'
-        }
-      });
+      let refund = null;
+      if (receipt) {
+        const existing = await this.razorpay.payments.fetchMultipleRefund(paymentId);
+        refund = (existing.items || []).find(item => item.receipt === receipt) || null;
+      }
+
+      if (!refund) {
+        refund = await this.razorpay.payments.refund(paymentId, {
+          amount: Math.round(amount * 100), // Convert to paise
+          speed: 'normal',
+          receipt,
+          notes: {
+            reason: 'Booking cancellation'
+          }
+        });
+      }
 
       return {
         success: true,
@@ -139,8 +177,12 @@ class RazorpayService {
       return {
         success: true,
         data: {
+          paymentId: payment.id,
+          orderId: payment.order_id,
           status: payment.status,
           amount: payment.amount / 100,
+          amountRefunded: (payment.amount_refunded || 0) / 100,
+          refundStatus: payment.refund_status,
           method: payment.method,
           email: payment.email,
           contact: payment.contact
@@ -158,6 +200,40 @@ class RazorpayService {
       };
     }
   }
+
+  // All payment attempts made against an order
+  async getOrderPayments(orderId) {
+    try {
+      const result = await this.razorpay.orders.fetchPayments(orderId);
+      return {
+        success: true,
+        data: (result.items || []).map(payment => ({
+          paymentId: payment.id,
+          orderId: payment.order_id,
+          status: payment.status,
+          amount: payment.amount / 100,
+          amountRefunded: (payment.amount_refunded || 0) / 100,
+          refundStatus: payment.refund_status,
+          method: payment.method,
+          email: payment.email,
+          contact: payment.contact,
+          createdAt: payment.created_at,
+          errorCode: payment.error_code,
+          errorDescription: payment.error_description
+        }))
+      };
+    } catch (error) {
+      console.error('Order payments fetch failed:', error);
+      return {
+        success: false,
+        error: {
+          code: 'ORDER_FETCH_FAILED',
+          message: 'Failed to fetch order payments',
+          details: error.message
+        }
+      };
+    }
+  }
 }
 
 module.exports = new RazorpayService(); 
\ No newline at end of file
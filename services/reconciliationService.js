@@ -0,0 +1,243 @@
+const Booking = require('../models/Booking');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const RazorpayService = require('./razorpayService');
+const PaymentService = require('./paymentService');
+const AvailabilityService = require('./availabilityService');
+
+const LOOKBACK_DAYS = 7;
+
+// Give the webhook and the client verification time to land first
+const STALE_PENDING_MS = 15 * 60 * 1000;
+
+// Razorpay calls per run, to stay well inside the API rate limits
+const MAX_GATEWAY_CHECKS = 300;
+
+const CLOSED_STATUSES = ['cancelled', 'rejected'];
+
+let isRunning = false;
+
+const amountsDiffer = (expected, actual) =>
+  expected != null && actual != null && Math.abs(expected - actual) >= 0.01;
+
+const buildIssue = (booking, type, action, extra = {}) => ({
+  booking: booking._id,
+  hospital: booking.hospital?._id || booking.hospital,
+  type,
+  action,
+  tokenNumber: booking.tokenNumber,
+  bookingStatus: booking.status,
+  paymentStatus: booking.payment?.status,
+  orderId: booking.payment?.orderId,
+  paymentId: booking.payment?.paymentId,
+  expectedAmount: booking.payment?.amount,
+  ...extra
+});
+
+// Cross-checks online payments against Razorpay: fixes bookings whose payment
+// outcome never reached us and lists the mismatches finance has to resolve
+class ReconciliationService {
+  // Starts a run and returns its report straight away with a promise for the
+  // finished report, or null when a run is already in progress
+  static async start({ trigger = 'scheduled', triggeredBy } = {}) {
+    if (isRunning) return null;
+    isRunning = true;
+
+    let report;
+    try {
+      report = await ReconciliationReport.create({ trigger, triggeredBy });
+    } catch (error) {
+      isRunning = false;
+      throw error;
+    }
+
+    const finished = this.reconcile(report).finally(() => {
+      isRunning = false;
+    });
+    return { report, finished };
+  }
+
+  static async run(options) {
+    const started = await this.start(options);
+    return started ? started.finished : null;
+  }
+
+  static async reconcile(report) {
+    const context = {
+      since: new Date(Date.now() - LOOKBACK_DAYS * 24 * 60 * 60 * 1000),
+      gatewayChecks: 0,
+      checked: new Set(),
+      fixed: 0,
+      issues: []
+    };
+
+    try {
+      await this.reconcilePendingPayments(context);
+      await this.reconcileCompletedPayments(context);
+      await this.findRefundedActiveBookings(context);
+
+      report.status = 'completed';
+    } catch (error) {
+      console.error('Reconciliation error:', error);
+      report.status = 'failed';
+      report.error = error.message;
+    }
+
+    const summary = {};
+    context.issues.forEach(issue => {
+      summary[issue.type] = (summary[issue.type] || 0) + 1;
+    });
+
+    report.checked = context.checked.size;
+    report.fixed = context.fixed;
+    report.issues = context.issues;
+    report.summary = summary;
+    report.finishedAt = new Date();
+    await report.save();
+    return report;
+  }
+
+  // Online bookings still waiting on a payment: look at the order's attempts
+  static async reconcilePendingPayments(context) {
+    const bookings = await Booking.find({
+      'payment.method': 'online',
+      'payment.status': { $in: ['pending', 'failed'] },
+      'payment.orderId': { $exists: true },
+      createdAt: { $gte: context.since, $lt: new Date(Date.now() - STALE_PENDING_MS) }
+    }).sort({ createdAt: 1 });
+
+    for (const booking of bookings) {
+      if (context.gatewayChecks >= MAX_GATEWAY_CHECKS) break;
+      context.gatewayChecks++;
+      context.checked.add(booking._id.toString());
+
+      const response = await RazorpayService.getOrderPayments(booking.payment.orderId);
+      if (!response.success) {
+        context.issues.push(buildIssue(booking, 'GATEWAY_ERROR', 'review', {
+          details: response.error.details || response.error.message
+        }));
+        continue;
+      }
+
+      const payments = response.data;
+      const captured = payments.find(payment => payment.status === 'captured');
+
+      if (captured) {
+        const updated = await PaymentService.markPaid(booking._id, captured);
+        const current = updated || booking;
+        if (updated) {
+          context.fixed++;
+          context.issues.push(buildIssue(booking, 'UNRECORDED_PAYMENT', 'fixed', {
+            paymentId: captured.paymentId,
+            gatewayAmount: captured.amount,
+            gatewayStatus: captured.status
+          }));
+        }
+
+        if (amountsDiffer(booking.payment.amount, captured.amount)) {
+          context.issues.push(buildIssue(current, 'AMOUNT_MISMATCH', 'review', {
+            paymentId: captured.paymentId,
+            gatewayAmount: captured.amount,
+            gatewayStatus: captured.status
+          }));
+        }
+
+        // markPaid refunds these; only a failed refund is left to review
+        if (CLOSED_STATUSES.includes(current.status) && current.payment?.status === 'completed') {
+          context.issues.push(buildIssue(current, 'PAID_BUT_CANCELLED', 'review', {
+            paymentId: captured.paymentId,
+            gatewayAmount: captured.amount,
+            gatewayStatus: captured.status,
+            details: 'Payment captured after the booking was closed; refund it or restore the booking'
+          }));
+        }
+        continue;
+      }
+
+      // Attempts are returned newest first
+      const allFailed = payments.length > 0 && payments.every(payment => payment.status === 'failed');
+      if (allFailed && booking.payment.status === 'pending') {
+        const updated = await PaymentService.markFailed(booking._id, payments[0]);
+        if (updated) {
+          context.fixed++;
+          context.issues.push(buildIssue(booking, 'PAYMENT_FAILED', 'fixed', {
+            paymentId: payments[0].paymentId,
+            gatewayAmount: payments[0].amount,
+            gatewayStatus: payments[0].status,
+            details: payments[0].errorDescription
+          }));
+        }
+      }
+    }
+  }
+
+  // Recently paid bookings: closed without a refund, refunded at Razorpay, or paid a different amount
+  static async reconcileCompletedPayments(context) {
+    const bookings = await Booking.find({
+      'payment.method': 'online',
+      'payment.status': 'completed',
+      'payment.paidAt': { $gte: context.since }
+    }).sort({ 'payment.paidAt': 1 });
+
+    for (const booking of bookings) {
+      context.checked.add(booking._id.toString());
+
+      const alreadyFlagged = context.issues.some(issue =>
+        issue.booking.equals(booking._id) && issue.type === 'PAID_BUT_CANCELLED'
+      );
+      // A cancellation that kept the money under the refund policy is expected,
+      // but not when the payment only arrived after the booking was closed
+      const paidAfterClosing = booking.cancelledAt && booking.payment.paidAt > booking.cancelledAt;
+      const retainedByPolicy = booking.cancellation?.refundAmount === 0 && !paidAfterClosing;
+      if (CLOSED_STATUSES.includes(booking.status) && !alreadyFlagged && !retainedByPolicy) {
+        context.issues.push(buildIssue(booking, 'PAID_BUT_CANCELLED', 'review', {
+          details: 'Booking was closed without a refund'
+        }));
+      }
+
+      if (!booking.payment.paymentId || context.gatewayChecks >= MAX_GATEWAY_CHECKS) continue;
+      context.gatewayChecks++;
+
+      const response = await RazorpayService.getPaymentStatus(booking.payment.paymentId);
+      if (!response.success) {
+        context.issues.push(buildIssue(booking, 'GATEWAY_ERROR', 'review', {
+          details: response.error.details || response.error.message
+        }));
+        continue;
+      }
+
+      const payment = response.data;
+      const gatewayDetails = { gatewayAmount: payment.amount, gatewayStatus: payment.status };
+
+      if (payment.amountRefunded > 0 && AvailabilityService.ACTIVE_STATUSES.includes(booking.status)) {
+        context.issues.push(buildIssue(booking, 'REFUNDED_BUT_ACTIVE', 'review', {
+          ...gatewayDetails,
+          details: `₹${payment.amountRefunded} refunded at Razorpay (${payment.refundStatus || 'partial'})`
+        }));
+      }
+
+      const alreadyMismatched = context.issues.some(issue =>
+        issue.booking.equals(booking._id) && issue.type === 'AMOUNT_MISMATCH'
+      );
+      if (amountsDiffer(booking.payment.amount, payment.amount) && !alreadyMismatched) {
+        context.issues.push(buildIssue(booking, 'AMOUNT_MISMATCH', 'review', gatewayDetails));
+      }
+    }
+  }
+
+  static async findRefundedActiveBookings(context) {
+    const bookings = await Booking.find({
+      'payment.status': 'refunded',
+      status: { $in: AvailabilityService.ACTIVE_STATUSES },
+      updatedAt: { $gte: context.since }
+    });
+
+    bookings.forEach(booking => {
+      context.checked.add(booking._id.toString());
+      context.issues.push(buildIssue(booking, 'REFUNDED_BUT_ACTIVE', 'review', {
+        details: 'Payment is marked refunded but the booking is still active'
+      }));
+    });
+  }
+}
+
+module.exports = ReconciliationService;
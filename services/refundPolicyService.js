@@ -0,0 +1,170 @@
+const Hospital = require('../models/Hospital');
+const PlatformSetting = require('../models/PlatformSetting');
+const { timeSlotToMinutes, combineDateAndMinutes, nowInIST } = require('../utils/slotUtils');
+
+// Used until an admin saves a platform policy
+const DEFAULT_POLICY = {
+  tiers: [
+    { hoursBefore: 24, refundPercent: 100 },
+    { hoursBefore: 0, refundPercent: 50 }
+  ],
+  afterStartRefundPercent: 0,
+  emergencyFeeRefundable: false
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const toPlainPolicy = (policy) => ({
+  tiers: [...policy.tiers]
+    .map(({ hoursBefore, refundPercent }) => ({ hoursBefore, refundPercent }))
+    .sort((a, b) => b.hoursBefore - a.hoursBefore),
+  afterStartRefundPercent: policy.afterStartRefundPercent ?? 0,
+  emergencyFeeRefundable: !!policy.emergencyFeeRefundable
+});
+
+const hasTiers = (policy) => Array.isArray(policy?.tiers) && policy.tiers.length > 0;
+
+// Only captured online payments can be refunded
+const isRefundable = (booking) =>
+  booking.payment?.method === 'online' && booking.payment?.status === 'completed';
+
+class RefundPolicyService {
+  // Returns an error message for an invalid policy, or null
+  static validatePolicy(policy) {
+    if (!policy || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+      return 'tiers must be a non-empty array of { hoursBefore, refundPercent }';
+    }
+
+    const seen = new Set();
+    for (const tier of policy.tiers) {
+      if (typeof tier.hoursBefore !== 'number' || tier.hoursBefore < 0) {
+        return 'hoursBefore must be a number of hours, 0 or more';
+      }
+      if (typeof tier.refundPercent !== 'number' || tier.refundPercent < 0 || tier.refundPercent > 100) {
+        return 'refundPercent must be between 0 and 100';
+      }
+      if (seen.has(tier.hoursBefore)) {
+        return `Only one tier is allowed per hoursBefore value (${tier.hoursBefore})`;
+      }
+      seen.add(tier.hoursBefore);
+    }
+
+    if (policy.afterStartRefundPercent !== undefined &&
+        (typeof policy.afterStartRefundPercent !== 'number' ||
+         policy.afterStartRefundPercent < 0 || policy.afterStartRefundPercent > 100)) {
+      return 'afterStartRefundPercent must be between 0 and 100';
+    }
+
+    return null;
+  }
+
+  static async getPlatformPolicy() {
+    const settings = await PlatformSetting.findOne({ key: 'default' }).lean();
+    return hasTiers(settings?.cancellationPolicy)
+      ? toPlainPolicy(settings.cancellationPolicy)
+      : toPlainPolicy(DEFAULT_POLICY);
+  }
+
+  // The hospital's own policy when it has one, otherwise the platform policy
+  static async getPolicy(hospital) {
+    if (hasTiers(hospital?.cancellationPolicy)) {
+      return { source: 'hospital', policy: toPlainPolicy(hospital.cancellationPolicy) };
+    }
+    return { source: 'platform', policy: await this.getPlatformPolicy() };
+  }
+
+  // Refund for cancelling the booking at `now` (IST wall-clock like appointment dates)
+  static evaluate(booking, policy, now = nowInIST()) {
+    const paidAmount = booking.payment?.amount || 0;
+    const slotMinutes = timeSlotToMinutes(booking.timeSlot);
+    const slotStart = slotMinutes == null
+      ? new Date(booking.appointmentDate)
+      : combineDateAndMinutes(booking.appointmentDate, slotMinutes);
+    const hoursBeforeStart = Math.round(((slotStart - now) / 3600000) * 100) / 100;
+
+    let refundPercent;
+    let rule;
+    if (hoursBeforeStart < 0) {
+      refundPercent = policy.afterStartRefundPercent;
+      rule = 'after-start';
+    } else {
+      const tier = policy.tiers.find(entry => hoursBeforeStart >= entry.hoursBefore);
+      refundPercent = tier ? tier.refundPercent : 0;
+      rule = tier ? `${tier.hoursBefore}h-before` : 'no-tier';
+    }
+
+    // The emergency fee and its share of GST are kept unless the policy refunds them
+    const breakdown = booking.payment?.breakdown || {};
+    const feeTotal = (breakdown.total || paidAmount) - (breakdown.gst || 0);
+    const emergencyShare = !policy.emergencyFeeRefundable && breakdown.emergencyFee && feeTotal > 0
+      ? roundAmount(paidAmount * breakdown.emergencyFee / feeTotal)
+      : 0;
+
+    const refundAmount = roundAmount((paidAmount - emergencyShare) * refundPercent / 100);
+
+    return {
+      paidAmount,
+      refundPercent,
+      refundAmount,
+      nonRefundableAmount: roundAmount(paidAmount - refundAmount),
+      emergencyFeeRetained: emergencyShare,
+      hoursBeforeStart,
+      rule
+    };
+  }
+
+  // Refund the booking's payer would get by cancelling now
+  static async quote(booking, now = nowInIST()) {
+    const hospital = await Hospital.findById(booking.hospital?._id || booking.hospital)
+      .select('cancellationPolicy')
+      .lean();
+    const { source, policy } = await this.getPolicy(hospital);
+    const evaluation = this.evaluate(booking, policy, now);
+    const refundable = isRefundable(booking);
+
+    return {
+      ...evaluation,
+      refundAmount: refundable ? evaluation.refundAmount : 0,
+      nonRefundableAmount: refundable ? evaluation.nonRefundableAmount : 0,
+      refundable,
+      policySource: source,
+      policy
+    };
+  }
+
+  // Rejections and hospital closures are not the patient's doing, so the
+  // policy does not apply and the whole payment, emergency fee included, goes back
+  static fullRefundQuote(booking) {
+    const paidAmount = booking.payment?.amount || 0;
+    const refundable = isRefundable(booking);
+
+    return {
+      paidAmount,
+      refundPercent: 100,
+      refundAmount: refundable ? paidAmount : 0,
+      nonRefundableAmount: 0,
+      emergencyFeeRetained: 0,
+      rule: 'full-refund',
+      refundable
+    };
+  }
+
+  // Part of the booking's processed refund that returns the consultation fee
+  // collected for the hospital; the rest returns platform fees and GST. It is
+  // the refund percent applied to the consultation fee.
+  static consultationShare(booking) {
+    const refund = booking.payment?.refundDetails;
+    const basePrice = booking.payment?.breakdown?.basePrice || 0;
+    if (!(refund?.amount > 0) || !basePrice) return 0;
+
+    const cancellation = booking.cancellation;
+    const refundPercent = cancellation?.refundAmount === refund.amount && cancellation.refundPercent != null
+      ? cancellation.refundPercent
+      : refund.amount / booking.payment.amount * 100;
+    return Math.min(roundAmount(basePrice * refundPercent / 100), refund.amount);
+  }
+}
+
+RefundPolicyService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RefundPolicyService;
@@ -0,0 +1,200 @@
+const Booking = require('../models/Booking');
+const Hospital = require('../models/Hospital');
+const Doctor = require('../models/Doctor');
+const AvailabilityService = require('./availabilityService');
+const NotificationService = require('./notificationService');
+const EventService = require('./eventService');
+const WaitlistService = require('./waitlistService');
+const {
+  parseDateString,
+  formatDateString,
+  toDateKey,
+  timeSlotToMinutes,
+  combineDateAndMinutes,
+  nowInIST
+} = require('../utils/slotUtils');
+
+// Bookings that have not reached the queue yet
+const RESCHEDULABLE_STATUSES = ['pending', 'confirmed'];
+
+const TIME_SLOT_REGEX = /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/;
+
+const DEFAULT_POLICY = { maxReschedules: 2, cutoffHours: 2 };
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+const slotStart = (date, timeSlot) => combineDateAndMinutes(date, timeSlotToMinutes(timeSlot));
+
+// Moves a booking to another day or slot. The payment stays on the booking,
+// the seat moves with it and a token is issued for the new day.
+class RescheduleService {
+  static getPolicy(hospital) {
+    return {
+      maxReschedules: hospital.reschedulePolicy?.maxReschedules ?? DEFAULT_POLICY.maxReschedules,
+      cutoffHours: hospital.reschedulePolicy?.cutoffHours ?? DEFAULT_POLICY.cutoffHours
+    };
+  }
+
+  static countUserReschedules(booking) {
+    return (booking.reschedules || []).filter(entry => entry.actor === 'user').length;
+  }
+
+  // `date` is DD-MM-YYYY and `timeSlot` HH:MM AM/PM, as when booking. The
+  // hospital's limit and cutoff apply to patients only; staff can always move
+  // an appointment that has not reached the queue.
+  static async reschedule(booking, { date, timeSlot, actor, userId, reason }) {
+    if (!RESCHEDULABLE_STATUSES.includes(booking.status)) {
+      return fail('NOT_RESCHEDULABLE', `A ${booking.status} booking cannot be rescheduled`);
+    }
+
+    const day = parseDateString(date);
+    if (!day) {
+      return fail('INVALID_DATE_FORMAT', 'Please enter date in DD-MM-YYYY format (e.g., 25-12-2024)');
+    }
+    if (!TIME_SLOT_REGEX.test(timeSlot || '')) {
+      return fail('INVALID_TIME_FORMAT', 'Please enter time in HH:MM AM/PM format (e.g., 09:30 AM)');
+    }
+
+    const now = nowInIST();
+    const appointmentDate = slotStart(day, timeSlot);
+    if (appointmentDate <= now) {
+      return fail('PAST_APPOINTMENT', 'Cannot move the appointment to a past date and time. Please select a future time slot.');
+    }
+    if (toDateKey(appointmentDate) === toDateKey(booking.appointmentDate) &&
+        timeSlotToMinutes(timeSlot) === timeSlotToMinutes(booking.timeSlot)) {
+      return fail('SAME_SLOT', 'The booking is already in this slot');
+    }
+
+    const hospital = await Hospital.findOne({
+      _id: booking.hospital._id || booking.hospital,
+      status: 'approved',
+      isOpen: true
+    });
+    if (!hospital) {
+      return fail('HOSPITAL_UNAVAILABLE', 'This hospital is currently not accepting bookings.');
+    }
+
+    if (actor === 'user') {
+      const policy = this.getPolicy(hospital);
+      if (this.countUserReschedules(booking) >= policy.maxReschedules) {
+        return fail(
+          'RESCHEDULE_LIMIT_REACHED',
+          `This booking has already been rescheduled ${policy.maxReschedules} time(s), the most ${hospital.name} allows`
+        );
+      }
+
+      const hoursBeforeStart = (slotStart(booking.appointmentDate, booking.timeSlot) - now) / 3600000;
+      if (hoursBeforeStart < policy.cutoffHours) {
+        return fail(
+          'RESCHEDULE_CUTOFF_PASSED',
+          `Appointments can only be rescheduled up to ${policy.cutoffHours} hour(s) before the booked slot`
+        );
+      }
+    }
+
+    // The assigned doctor keeps the appointment on the new day
+    let doctor = null;
+    if (booking.doctorAssigned) {
+      doctor = await Doctor.findOne({ _id: booking.doctorAssigned, hospital: hospital._id, isActive: true });
+      if (!doctor) {
+        return fail('DOCTOR_NOT_FOUND', 'The doctor on this booking is no longer available. Please cancel and book again.');
+      }
+    }
+
+    const slotCheck = AvailabilityService.validateSlot(hospital, appointmentDate, timeSlot, doctor);
+    if (!slotCheck.success) {
+      return slotCheck;
+    }
+
+    // A legacy booking holds its seat like any other before it is moved
+    await AvailabilityService.claimLegacySeats(hospital._id, booking.appointmentDate);
+
+    // Within the same day the booking keeps its place in the daily limits
+    const sameDay = toDateKey(appointmentDate) === toDateKey(booking.appointmentDate);
+    const reservation = await AvailabilityService.reserveSeat(hospital, appointmentDate, timeSlot, doctor, { sameDay });
+    if (!reservation.success) {
+      return reservation;
+    }
+
+    const previous = {
+      date: booking.appointmentDate,
+      timeSlot: booking.timeSlot,
+      tokenNumber: booking.tokenNumber
+    };
+
+    let updated;
+    try {
+      // A move within the same day keeps the patient's place in the queue
+      const token = sameDay
+        ? { tokenDate: booking.tokenDate, tokenSequence: booking.tokenSequence, tokenNumber: booking.tokenNumber }
+        : await Booking.issueToken(hospital._id, appointmentDate, booking.isEmergency);
+
+      // Only move the booking if nobody changed it since it was read
+      updated = await Booking.findOneAndUpdate(
+        {
+          _id: booking._id,
+          status: booking.status,
+          appointmentDate: previous.date,
+          timeSlot: previous.timeSlot,
+          capacityHeld: true
+        },
+        {
+          $set: {
+            appointmentDate,
+            timeSlot,
+            ...token,
+            capacityHeld: true
+          },
+          $push: {
+            reschedules: {
+              fromDate: previous.date,
+              fromTimeSlot: previous.timeSlot,
+              fromTokenNumber: previous.tokenNumber,
+              toDate: appointmentDate,
+              toTimeSlot: timeSlot,
+              toTokenNumber: token.tokenNumber,
+              actor,
+              changedBy: userId,
+              reason
+            }
+          }
+        },
+        { new: true, runValidators: false }
+      ).populate('hospital');
+    } catch (error) {
+      await AvailabilityService.releaseCounters(hospital._id, appointmentDate, timeSlot, doctor?._id, { sameDay });
+      throw error;
+    }
+
+    if (!updated) {
+      await AvailabilityService.releaseCounters(hospital._id, appointmentDate, timeSlot, doctor?._id, { sameDay });
+      return fail('BOOKING_CHANGED', 'Booking was changed by someone else. Please refresh and try again.');
+    }
+
+    // Free the old seat and offer it to the waitlist
+    await AvailabilityService.releaseCounters(hospital._id, previous.date, previous.timeSlot, doctor?._id, { sameDay });
+    try {
+      await WaitlistService.offerSeat(hospital._id, previous.date, previous.timeSlot, doctor?._id);
+    } catch (error) {
+      console.error(`Error offering the seat freed by booking ${booking._id} to the waitlist:`, error);
+    }
+
+    EventService.publishBookingUpdate(updated);
+    try {
+      await NotificationService.createBookingNotifications(updated, 'BOOKING_MODIFIED', {
+        previousDate: formatDateString(previous.date),
+        previousTimeSlot: previous.timeSlot,
+        previousTokenNumber: previous.tokenNumber
+      });
+    } catch (error) {
+      console.error(`Error sending reschedule notification for booking ${updated._id}:`, error);
+    }
+
+    return { success: true, data: { booking: updated, previous } };
+  }
+}
+
+RescheduleService.RESCHEDULABLE_STATUSES = RESCHEDULABLE_STATUSES;
+RescheduleService.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RescheduleService;
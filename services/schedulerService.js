@@ -1,6 +1,10 @@
 const cron = require('node-cron');
 const Booking = require('../models/Booking');
 const NotificationService = require('./notificationService');
+const BookingStateMachine = require('./bookingStateMachine');
+const ReconciliationService = require('./reconciliationService');
+const WaitlistService = require('./waitlistService');
+const SettlementService = require('./settlementService');
 
 // Run every day at midnight
 cron.schedule('0 0 * * *', async () => {
@@ -8,8 +12,14 @@ cron.schedule('0 0 * * *', async () => {
     // Send appointment reminders for tomorrow
     await sendAppointmentReminders();
     
+    // Pick up payments that never reached us before expiring unpaid bookings
+    await ReconciliationService.run({ trigger: 'scheduled' });
+
     // Check for expired pending bookings
     await handleExpiredBookings();
+
+    // Close waitlists for days that have passed
+    await WaitlistService.expirePastDays();
     
     // Check for pending payments
     await checkPendingPayments();
@@ -18,6 +28,24 @@ cron.schedule('0 0 * * *', async () => {
   }
 });
 
+// Waitlist offers are only held for a short time, so check them often
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    await WaitlistService.expireOffers();
+  } catch (error) {
+    console.error('Waitlist offer expiry error:', error);
+  }
+});
+
+// Batch last week's ledger for hospital payouts early every Monday
+cron.schedule('0 2 * * 1', async () => {
+  try {
+    await SettlementService.createWeeklyBatches();
+  } catch (error) {
+    console.error('Settlement batch error:', error);
+  }
+});
+
 async function sendAppointmentReminders() {
   const tomorrow = new Date();
   tomorrow.setDate(tomorrow.getDate() + 1);
@@ -43,13 +71,15 @@ async function handleExpiredBookings() {
   const now = new Date();
   const expiredBookings = await Booking.find({
     status: 'pending',
+    'payment.status': { $ne: 'completed' }, // Paid but not yet confirmed; left to the webhook
     createdAt: { $lt: new Date(now - 30 * 60000) } // 30 minutes old
-  }).populate('hospital');
+  });
 
   for (const booking of expiredBookings) {
-    booking.status = 'cancelled';
-    await booking.save();
-    await NotificationService.createBookingNotifications(booking, 'BOOKING_CANCELLED');
+    await BookingStateMachine.transition(booking, 'cancelled', {
+      actor: 'system',
+      reason: 'Payment not completed in time'
+    });
   }
 }
 
@@ -0,0 +1,363 @@
+const mongoose = require('mongoose');
+const LedgerEntry = require('../models/LedgerEntry');
+const Settlement = require('../models/Settlement');
+const RefundPolicyService = require('./refundPolicyService');
+const { IST_OFFSET_MS, formatDateString } = require('../utils/slotUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// NEFT, RTGS and IMPS references are 12 to 22 letters and digits
+const UTR_REGEX = /^[A-Z0-9]{12,22}$/;
+
+// Statuses a settlement can move to from each status; paid is final
+const TRANSITIONS = {
+  pending: ['paid', 'on-hold'],
+  'on-hold': ['paid', 'pending'],
+  paid: []
+};
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Signed effect of a ledger line on the hospital's balance
+const SIGNED_AMOUNT = {
+  $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', { $multiply: ['$amount', -1] }]
+};
+
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// IST calendar day of a timestamp
+const formatTimestamp = (date) => formatDateString(new Date(new Date(date).getTime() + IST_OFFSET_MS));
+
+let isRunning = false;
+
+// The hospital's side of online payments that include its consultation fee:
+// what was collected for it, what the platform keeps, and weekly payouts of
+// the difference
+class SettlementService {
+  // Response status for a failed status change
+  static httpStatusFor(error) {
+    if (error.code === 'NOT_FOUND') return 404;
+    if (error.code === 'SETTLEMENT_CHANGED') return 409;
+    return 400;
+  }
+
+  // Writes the booking's lines that are not in the ledger yet. Safe to call
+  // again for the same booking, e.g. from both the client verification and
+  // the webhook.
+  static async writeEntries(booking, lines) {
+    const hospitalId = booking.hospital?._id || booking.hospital;
+    const operations = lines
+      .filter(([, amount]) => amount > 0)
+      .map(([type, amount, description]) => ({
+        updateOne: {
+          filter: { booking: booking._id, type },
+          update: {
+            $setOnInsert: {
+              hospital: hospitalId,
+              direction: LedgerEntry.ENTRY_TYPES[type],
+              amount: roundAmount(amount),
+              tokenNumber: booking.tokenNumber,
+              description
+            }
+          },
+          upsert: true
+        }
+      }));
+
+    if (operations.length) {
+      await LedgerEntry.bulkWrite(operations, { ordered: false });
+    }
+  }
+
+  // Only online payments that include the consultation fee pass through to
+  // the hospital. Errors are logged so the payment itself is never held up.
+  static async recordPayment(booking) {
+    try {
+      const payment = booking.payment;
+      if (payment?.method !== 'online' || !(payment.breakdown?.basePrice > 0)) return;
+
+      await this.writeEntries(booking, [
+        ['payment', payment.amount, 'Online payment received'],
+        ['platform_fee', payment.breakdown.platformFee, 'Platform fee'],
+        ['emergency_fee', payment.breakdown.emergencyFee, 'Emergency fee'],
+        ['discount', payment.breakdown.discount, `Coupon ${payment.coupon?.code || ''} discount`.trim()],
+        ['gst', payment.breakdown.gst, 'GST on platform and emergency fees']
+      ]);
+    } catch (error) {
+      console.error(`Error recording ledger entries for booking ${booking._id}:`, error);
+    }
+  }
+
+  // The refund is taken from the hospital's balance and the platform gives
+  // back its share of the fees
+  static async recordRefund(booking) {
+    try {
+      const refund = booking.payment?.refundDetails;
+      if (!(refund?.amount > 0)) return;
+
+      // Nothing to reverse for payments that never reached the ledger
+      const paid = await LedgerEntry.exists({ booking: booking._id, type: 'payment' });
+      if (!paid) return;
+
+      const hospitalShare = RefundPolicyService.consultationShare(booking);
+
+      await this.writeEntries(booking, [
+        ['refund', refund.amount, `Refund ${refund.refundId || ''}`.trim()],
+        ['fee_reversal', refund.amount - hospitalShare, 'Platform fees refunded']
+      ]);
+    } catch (error) {
+      console.error(`Error recording refund ledger entries for booking ${booking._id}:`, error);
+    }
+  }
+
+  // The last full IST week (Monday to Sunday) before `now` and the moment it ended
+  static weekBounds(now = new Date()) {
+    const istNow = new Date(now.getTime() + IST_OFFSET_MS);
+    const daysSinceMonday = (istNow.getUTCDay() + 6) % 7;
+    const weekStart = Date.UTC(istNow.getUTCFullYear(), istNow.getUTCMonth(), istNow.getUTCDate() - daysSinceMonday);
+
+    return {
+      periodStart: new Date(weekStart - 7 * DAY_MS),
+      periodEnd: new Date(weekStart - DAY_MS),
+      cutoff: new Date(weekStart - IST_OFFSET_MS)
+    };
+  }
+
+  // Batches every unsettled line recorded before the end of last week, per
+  // hospital. A hospital whose lines do not add up to a payout keeps them
+  // for the next week. Returns null when a run is already in progress.
+  static async createWeeklyBatches(now = new Date()) {
+    if (isRunning) return null;
+    isRunning = true;
+
+    try {
+      const { periodStart, periodEnd, cutoff } = this.weekBounds(now);
+      const balances = await LedgerEntry.aggregate([
+        {
+          $match: {
+            settlement: null,
+            createdAt: { $lt: cutoff }
+          }
+        },
+        {
+          $group: {
+            _id: '$hospital',
+            credits: {
+              $sum: { $cond: [{ $eq: ['$direction', 'credit'] }, '$amount', 0] }
+            },
+            debits: {
+              $sum: { $cond: [{ $eq: ['$direction', 'debit'] }, '$amount', 0] }
+            },
+            entryIds: { $push: '$_id' }
+          }
+        }
+      ]);
+
+      let created = 0;
+      let carriedForward = 0;
+      for (const balance of balances) {
+        const netAmount = roundAmount(balance.credits - balance.debits);
+        if (netAmount <= 0) {
+          carriedForward++;
+          continue;
+        }
+
+        let settlement;
+        try {
+          settlement = await Settlement.create({
+            hospital: balance._id,
+            periodStart,
+            periodEnd,
+            entryCount: balance.entryIds.length,
+            credits: roundAmount(balance.credits),
+            debits: roundAmount(balance.debits),
+            netAmount
+          });
+        } catch (error) {
+          // The week was already batched for this hospital
+          if (error.code === 11000) continue;
+          throw error;
+        }
+
+        await LedgerEntry.updateMany(
+          { _id: { $in: balance.entryIds }, settlement: null },
+          { $set: { settlement: settlement._id } }
+        );
+        created++;
+      }
+
+      return { periodStart, periodEnd, created, carriedForward };
+    } finally {
+      isRunning = false;
+    }
+  }
+
+  static async updateStatus(settlementId, { status, utr, reason, userId }) {
+    if (!Settlement.STATUSES.includes(status)) {
+      return fail('INVALID_STATUS', `status must be one of ${Settlement.STATUSES.join(', ')}`);
+    }
+
+    const settlement = mongoose.isValidObjectId(settlementId)
+      ? await Settlement.findById(settlementId)
+      : null;
+    if (!settlement) {
+      return fail('NOT_FOUND', 'Settlement not found');
+    }
+    if (!TRANSITIONS[settlement.status].includes(status)) {
+      return fail('INVALID_TRANSITION', `A ${settlement.status} settlement cannot be marked ${status}`);
+    }
+
+    const $set = { status };
+    if (status === 'paid') {
+      const reference = typeof utr === 'string' ? utr.trim().toUpperCase() : '';
+      if (!UTR_REGEX.test(reference)) {
+        return fail('UTR_REQUIRED', 'A UTR reference of 12 to 22 letters and digits is required');
+      }
+      Object.assign($set, { utr: reference, paidAt: new Date(), paidBy: userId });
+    } else if (status === 'on-hold') {
+      if (!reason) {
+        return fail('REASON_REQUIRED', 'A reason is required to put a settlement on hold');
+      }
+      $set.holdReason = reason;
+    }
+
+    const updated = await Settlement.findOneAndUpdate(
+      { _id: settlement._id, status: settlement.status },
+      {
+        $set,
+        $push: { statusHistory: { from: settlement.status, to: status, changedBy: userId, reason } }
+      },
+      { new: true }
+    ).populate('hospital', 'name');
+
+    if (!updated) {
+      return fail('SETTLEMENT_CHANGED', 'The settlement was changed by someone else. Please refresh and try again.');
+    }
+    return { success: true, data: updated };
+  }
+
+  // Balance waiting for the next batch and totals of the hospital's settlements by status
+  static async getSummary(hospitalId) {
+    const [unsettled, settled] = await Promise.all([
+      LedgerEntry.aggregate([
+        {
+          $match: {
+            hospital: hospitalId,
+            settlement: null
+          }
+        },
+        {
+          $group: {
+            _id: null,
+            amount: { $sum: SIGNED_AMOUNT },
+            count: { $sum: 1 }
+          }
+        }
+      ]),
+      Settlement.aggregate([
+        {
+          $match: {
+            hospital: hospitalId
+          }
+        },
+        {
+          $group: {
+            _id: '$status',
+            amount: { $sum: '$netAmount' }
+          }
+        }
+      ])
+    ]);
+
+    const totals = Object.fromEntries(settled.map(group => [group._id, roundAmount(group.amount)]));
+    return {
+      unsettledAmount: roundAmount(unsettled[0]?.amount || 0),
+      unsettledEntries: unsettled[0]?.count || 0,
+      pendingAmount: totals.pending || 0,
+      onHoldAmount: totals['on-hold'] || 0,
+      paidAmount: totals.paid || 0
+    };
+  }
+
+  static format(settlement) {
+    return {
+      id: settlement._id,
+      hospital: settlement.hospital?.name
+        ? { id: settlement.hospital._id, name: settlement.hospital.name }
+        : settlement.hospital,
+      periodStart: formatDateString(settlement.periodStart),
+      periodEnd: formatDateString(settlement.periodEnd),
+      status: settlement.status,
+      entryCount: settlement.entryCount,
+      credits: settlement.credits,
+      debits: settlement.debits,
+      netAmount: settlement.netAmount,
+      utr: settlement.utr || null,
+      paidAt: settlement.paidAt || null,
+      holdReason: settlement.status === 'on-hold' ? settlement.holdReason : null,
+      createdAt: settlement.createdAt
+    };
+  }
+
+  static formatEntry(entry) {
+    return {
+      id: entry._id,
+      date: formatTimestamp(entry.createdAt),
+      bookingId: entry.booking,
+      tokenNumber: entry.tokenNumber || null,
+      type: entry.type,
+      direction: entry.direction,
+      amount: entry.amount,
+      description: entry.description || null
+    };
+  }
+
+  static settlementsCsv(settlements) {
+    return this.toCsv(settlements.map(settlement => this.format(settlement)), [
+      ['Settlement ID', 'id'],
+      ['Period Start', 'periodStart'],
+      ['Period End', 'periodEnd'],
+      ['Status', 'status'],
+      ['Entries', 'entryCount'],
+      ['Credits', 'credits'],
+      ['Debits', 'debits'],
+      ['Net Amount', 'netAmount'],
+      ['UTR', 'utr'],
+      ['Paid At', 'paidAt']
+    ]);
+  }
+
+  static entriesCsv(entries) {
+    return this.toCsv(entries.map(entry => this.formatEntry(entry)), [
+      ['Date', 'date'],
+      ['Booking ID', 'bookingId'],
+      ['Token Number', 'tokenNumber'],
+      ['Type', 'type'],
+      ['Direction', 'direction'],
+      ['Amount', 'amount'],
+      ['Description', 'description']
+    ]);
+  }
+
+  // `columns` is a list of [heading, field] pairs
+  static toCsv(rows, columns) {
+    const lines = [columns.map(([heading]) => csvValue(heading)).join(',')];
+    rows.forEach(row => {
+      lines.push(columns.map(([, field]) => {
+        const value = row[field];
+        return csvValue(value instanceof Date ? value.toISOString() : value);
+      }).join(','));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+SettlementService.TRANSITIONS = TRANSITIONS;
+
+module.exports = SettlementService;
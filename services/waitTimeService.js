@@ -0,0 +1,211 @@
+const Booking = require('../models/Booking');
+const Hospital = require('../models/Hospital');
+const AvailabilityService = require('./availabilityService');
+const QueueService = require('./queueService');
+const {
+  IST_OFFSET_MS,
+  toDateKey,
+  getDayRange,
+  timeSlotToMinutes,
+  minutesToTimeSlot,
+  combineDateAndMinutes,
+  nowInIST
+} = require('../utils/slotUtils');
+
+const HISTORY_DAYS = 30;
+const HISTORY_LIMIT = 500;
+const HISTORY_CACHE_TTL = 10 * 60 * 1000;
+
+// Today's consultations needed before the live pace fully replaces the historical one
+const LIVE_SAMPLE_SIZE = 5;
+
+// Ignore completions that were clearly recorded late or against the wrong day
+const DELAY_BOUNDS = { min: -60, max: 8 * 60 };
+const CONSULTATION_BOUNDS = { min: 1, max: 120 };
+
+const historyCache = new Map();
+
+const median = (values) => {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const withinBounds = (value, { min, max }) => value != null && value >= min && value <= max;
+
+// Stored appointment dates carry IST wall-clock time, real timestamps do not
+const toWallClock = (timestamp) => new Date(new Date(timestamp).getTime() + IST_OFFSET_MS);
+
+const getSlotStart = (booking) => {
+  const minutes = timeSlotToMinutes(booking.timeSlot);
+  return minutes == null ? null : combineDateAndMinutes(booking.appointmentDate, minutes);
+};
+
+// Minutes from the booked slot to the moment the consultation was completed
+const getCompletionDelay = (booking) => {
+  const slotStart = getSlotStart(booking);
+  if (!slotStart || !booking.completedAt) return null;
+  return (toWallClock(booking.completedAt) - slotStart) / 60000;
+};
+
+const getConsultationMinutes = (booking) => {
+  if (!booking.calledAt || !booking.completedAt) return null;
+  return (new Date(booking.completedAt) - new Date(booking.calledAt)) / 60000;
+};
+
+const getId = (value) => (value?._id || value).toString();
+
+class WaitTimeService {
+  // Slot duration split between the patients sharing a slot
+  static getDefaultConsultationMinutes(hospital) {
+    return AvailabilityService.getSlotDuration(hospital) / AvailabilityService.getPatientsPerSlot(hospital);
+  }
+
+  // How late consultations usually start and how long they take, from the last 30 days
+  static async getHistoricalStats(hospital) {
+    const key = hospital._id.toString();
+    const cached = historyCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.stats;
+    }
+
+    const since = new Date(nowInIST().getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const bookings = await Booking.find({
+      hospital: hospital._id,
+      status: 'completed',
+      completedAt: { $exists: true },
+      appointmentDate: { $gte: since }
+    })
+    .sort({ appointmentDate: -1 })
+    .limit(HISTORY_LIMIT)
+    .select('appointmentDate timeSlot calledAt completedAt')
+    .lean();
+
+    const delays = bookings.map(getCompletionDelay).filter(value => withinBounds(value, DELAY_BOUNDS));
+    const durations = bookings.map(getConsultationMinutes).filter(value => withinBounds(value, CONSULTATION_BOUNDS));
+
+    const consultationMinutes = median(durations) ?? this.getDefaultConsultationMinutes(hospital);
+    const completionDelay = median(delays);
+
+    const stats = {
+      consultationMinutes,
+      // Completion delay includes the consultation itself
+      startDelay: completionDelay == null ? null : Math.max(0, completionDelay - consultationMinutes),
+      samples: delays.length
+    };
+
+    historyCache.set(key, { stats, expiresAt: Date.now() + HISTORY_CACHE_TTL });
+    return stats;
+  }
+
+  // Today's queue in call order plus the pace of today's consultations so far
+  static async getLiveQueue(hospitalId) {
+    const dayQuery = QueueService.getDayQuery(hospitalId, nowInIST());
+
+    const [queue, completed] = await Promise.all([
+      Booking.find({
+        ...dayQuery,
+        status: { $in: [...QueueService.WAITING_STATUSES, 'in-consultation'] }
+      })
+      .sort(QueueService.QUEUE_ORDER)
+      .select('_id status')
+      .lean(),
+      Booking.find({ ...dayQuery, status: 'completed', calledAt: { $exists: true } })
+        .sort({ completedAt: -1 })
+        .limit(LIVE_SAMPLE_SIZE * 4)
+        .select('calledAt completedAt')
+        .lean()
+    ]);
+
+    // Patients already with the doctor are ahead of everyone waiting
+    const inConsultation = queue.filter(booking => booking.status === 'in-consultation');
+    const ordered = [
+      ...inConsultation,
+      ...queue.filter(booking => booking.status !== 'in-consultation')
+    ];
+
+    return {
+      positions: new Map(ordered.map((booking, index) => [booking._id.toString(), index])),
+      started: completed.length > 0 || inConsultation.length > 0,
+      durations: completed.map(getConsultationMinutes).filter(value => withinBounds(value, CONSULTATION_BOUNDS))
+    };
+  }
+
+  static estimate(booking, history, live) {
+    const slotStart = getSlotStart(booking);
+    if (!slotStart) return null;
+
+    let consultationMinutes = history.consultationMinutes;
+    let basis = history.samples ? 'history' : 'default';
+    let estimate = new Date(slotStart.getTime() + (history.startDelay || 0) * 60000);
+    let tokensAhead = null;
+
+    if (live) {
+      // Lean on today's pace more as the day's consultations come in
+      const liveMinutes = median(live.durations);
+      if (liveMinutes != null) {
+        const weight = Math.min(live.durations.length, LIVE_SAMPLE_SIZE) / LIVE_SAMPLE_SIZE;
+        consultationMinutes = weight * liveMinutes + (1 - weight) * consultationMinutes;
+      }
+
+      tokensAhead = live.positions.get(booking._id.toString()) ?? 0;
+      const byQueue = new Date(nowInIST().getTime() + tokensAhead * consultationMinutes * 60000);
+
+      if (live.started) {
+        basis = 'live';
+        estimate = new Date(Math.max(slotStart.getTime(), byQueue.getTime()));
+      } else {
+        estimate = new Date(Math.max(estimate.getTime(), byQueue.getTime()));
+      }
+    }
+
+    const { start } = getDayRange(estimate);
+    const estimateMinutes = Math.ceil((estimate - start) / 60000);
+
+    return {
+      estimatedStartTime: minutesToTimeSlot(Math.min(estimateMinutes, 24 * 60 - 1)),
+      estimatedStartAt: new Date(estimate.getTime() - IST_OFFSET_MS),
+      delayMinutes: Math.max(0, Math.round((estimate - slotStart) / 60000)),
+      tokensAhead,
+      consultationMinutes: Math.round(consultationMinutes),
+      basis
+    };
+  }
+
+  // Estimated consultation start for each upcoming confirmed booking, keyed by booking id
+  static async estimateForBookings(bookings) {
+    const estimates = new Map();
+    const today = toDateKey(nowInIST());
+
+    const eligible = bookings.filter(booking =>
+      QueueService.WAITING_STATUSES.includes(booking.status) &&
+      toDateKey(booking.appointmentDate) >= today
+    );
+    if (!eligible.length) return estimates;
+
+    const hospitalIds = [...new Set(eligible.map(booking => getId(booking.hospital)))];
+    const hospitals = await Hospital.find({ _id: { $in: hospitalIds } })
+      .select('slotSettings patientsPerSlot')
+      .lean();
+
+    await Promise.all(hospitals.map(async (hospital) => {
+      const hospitalBookings = eligible.filter(booking => getId(booking.hospital) === hospital._id.toString());
+      const hasToday = hospitalBookings.some(booking => toDateKey(booking.appointmentDate) === today);
+
+      const [history, live] = await Promise.all([
+        this.getHistoricalStats(hospital),
+        hasToday ? this.getLiveQueue(hospital._id) : null
+      ]);
+
+      hospitalBookings.forEach(booking => {
+        const isToday = toDateKey(booking.appointmentDate) === today;
+        estimates.set(booking._id.toString(), this.estimate(booking, history, isToday ? live : null));
+      });
+    }));
+
+    return estimates;
+  }
+}
+
+module.exports = WaitTimeService;
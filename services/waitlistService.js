@@ -0,0 +1,358 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry');
+const Hospital = require('../models/Hospital');
+const Doctor = require('../models/Doctor');
+const AvailabilityService = require('./availabilityService');
+const NotificationService = require('./notificationService');
+const {
+  parseDateString,
+  formatDateString,
+  toDateKey,
+  getDayRange,
+  timeSlotToMinutes,
+  combineDateAndMinutes,
+  nowInIST,
+  IST_OFFSET_MS
+} = require('../utils/slotUtils');
+
+// How long a freed seat is held for the patient it is offered to
+const OFFER_MINUTES = 30;
+
+// Seats starting sooner than this are left for walk-in bookings
+const MIN_OFFER_MINUTES = 10;
+
+const fail = (code, message) => ({ success: false, error: { code, message } });
+
+const idOf = (value) => (value?._id || value || null);
+
+const sameId = (a, b) => String(idOf(a)) === String(idOf(b));
+
+// Appointment times are stored as IST wall-clock time; offers expire in real time
+const slotStartsAt = (date, timeSlot) =>
+  new Date(combineDateAndMinutes(date, timeSlotToMinutes(timeSlot)).getTime() - IST_OFFSET_MS);
+
+// Patients waiting for a fully booked day. A seat freed by a cancelled or
+// rejected booking is reserved for the oldest waiting patient and offered to
+// them for a limited time; if they do not book it the offer expires and the
+// seat goes to the next patient in line.
+class WaitlistService {
+  // Place in the day's queue, counting only patients who are still waiting
+  static async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+
+    const ahead = await WaitlistEntry.countDocuments({
+      hospital: entry.hospital._id || entry.hospital,
+      date: entry.date,
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  // `date` is DD-MM-YYYY. Patients can only join once the day, or the
+  // doctor's day when `doctorId` is given, has no bookable slots left.
+  static async join(userId, { hospitalId, date, doctorId }) {
+    const day = parseDateString(date);
+    if (!day) {
+      return fail('INVALID_DATE_FORMAT', 'Please enter date in DD-MM-YYYY format (e.g., 25-12-2024)');
+    }
+    if (toDateKey(day) < toDateKey(nowInIST())) {
+      return fail('PAST_DATE', 'Cannot join the waitlist for a past date');
+    }
+    if (!mongoose.isValidObjectId(hospitalId)) {
+      return fail('HOSPITAL_UNAVAILABLE', 'This hospital is currently not accepting bookings.');
+    }
+
+    const hospital = await Hospital.findOne({ _id: hospitalId, status: 'approved', isOpen: true });
+    if (!hospital) {
+      return fail('HOSPITAL_UNAVAILABLE', 'This hospital is currently not accepting bookings.');
+    }
+
+    let doctor = null;
+    if (doctorId) {
+      doctor = await Doctor.findOne({ _id: doctorId, hospital: hospital._id, isActive: true });
+      if (!doctor) {
+        return fail('DOCTOR_NOT_FOUND', 'This doctor is not available at the selected hospital.');
+      }
+    }
+
+    const availability = await AvailabilityService.getDayAvailability(hospital, day, doctor);
+    if (!availability.isOpen) {
+      return fail('DAY_CLOSED', `${hospital.name} is not open for appointments on ${date}`);
+    }
+    if (availability.availableSlots > 0) {
+      return fail('DAY_AVAILABLE', 'There are still slots available on this day. Please book one instead.');
+    }
+
+    let entry;
+    try {
+      entry = await WaitlistEntry.create({
+        hospital: hospital._id,
+        doctor: doctor?._id || null,
+        user: userId,
+        date: day
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return fail('ALREADY_WAITLISTED', 'You are already on the waitlist for this day');
+      }
+      throw error;
+    }
+
+    return { success: true, data: { entry, position: await this.getPosition(entry) } };
+  }
+
+  static async listForUser(userId, { includeClosed = false } = {}) {
+    const query = { user: userId };
+    if (!includeClosed) {
+      query.status = { $in: WaitlistEntry.OPEN_STATUSES };
+    }
+
+    const entries = await WaitlistEntry.find(query)
+      .populate('hospital', 'name address')
+      .populate('doctor', 'name specialization')
+      .populate('offer.doctor', 'name specialization')
+      .sort({ date: 1, createdAt: 1 });
+
+    return Promise.all(entries.map(async entry => ({
+      ...entry.toObject(),
+      position: await this.getPosition(entry)
+    })));
+  }
+
+  // Open entries for a hospital's day, in the order seats are offered
+  static async getHospitalWaitlist(hospitalId, date) {
+    return WaitlistEntry.find({
+      hospital: hospitalId,
+      date,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    })
+      .populate('user', 'name email phone')
+      .populate('doctor', 'name specialization')
+      .populate('offer.doctor', 'name specialization')
+      .sort({ createdAt: 1 });
+  }
+
+  // A patient leaving the waitlist gives up any seat held for them
+  static async leave(entryId, userId) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return fail('NOT_FOUND', 'Waitlist entry not found');
+    }
+
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { _id: entryId, user: userId, status: { $in: WaitlistEntry.OPEN_STATUSES } },
+      { $set: { status: 'cancelled' } }
+    );
+    if (!entry) {
+      return fail('NOT_FOUND', 'Waitlist entry not found');
+    }
+
+    if (entry.status === 'offered') {
+      await this.passOnOffer(entry);
+    }
+
+    entry.status = 'cancelled';
+    return { success: true, data: { entry } };
+  }
+
+  // Called once a booking has given its seat back
+  static async offerFreedSeat(booking) {
+    try {
+      return await this.offerSeat(
+        booking.hospital._id || booking.hospital,
+        booking.appointmentDate,
+        booking.timeSlot,
+        idOf(booking.doctorAssigned)
+      );
+    } catch (error) {
+      console.error(`Error offering the seat freed by booking ${booking._id} to the waitlist:`, error);
+      return null;
+    }
+  }
+
+  // Reserves the slot for the oldest waiting patient who can take it and
+  // offers it to them. Patients waiting for a doctor are only offered that
+  // doctor's seats; the rest take any seat.
+  static async offerSeat(hospitalId, date, timeSlot, doctorId = null) {
+    const hospital = await Hospital.findOne({ _id: hospitalId, status: 'approved', isOpen: true });
+    if (!hospital || hospital.isClosedOn(date)) return null;
+
+    const startsAt = slotStartsAt(date, timeSlot);
+    if (startsAt - Date.now() < MIN_OFFER_MINUTES * 60000) return null;
+
+    const { start } = getDayRange(date);
+    const candidates = await WaitlistEntry.find({
+      hospital: hospital._id,
+      date: start,
+      status: 'waiting',
+      doctor: { $in: doctorId ? [doctorId, null] : [null] }
+    }).sort({ createdAt: 1 });
+    if (!candidates.length) return null;
+
+    let doctor = null;
+    if (doctorId) {
+      doctor = await Doctor.findOne({ _id: doctorId, hospital: hospital._id, isActive: true });
+      if (!doctor) return null;
+    }
+
+    const reservation = await AvailabilityService.reserveSeat(hospital, date, timeSlot, doctor);
+    if (!reservation.success) return null;
+
+    const offeredAt = new Date();
+    const expiresAt = new Date(Math.min(offeredAt.getTime() + OFFER_MINUTES * 60000, startsAt.getTime()));
+
+    // Someone earlier in line may leave or be offered another seat meanwhile
+    for (const candidate of candidates) {
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'waiting' },
+        {
+          $set: {
+            status: 'offered',
+            offer: { timeSlot, doctor: doctor?._id || null, offeredAt, expiresAt }
+          }
+        },
+        { new: true }
+      ).populate('hospital', 'name');
+
+      if (entry) {
+        try {
+          await NotificationService.createWaitlistNotification(entry, 'WAITLIST_OFFER');
+        } catch (error) {
+          console.error(`Error sending waitlist offer for entry ${entry._id}:`, error);
+        }
+        return entry;
+      }
+    }
+
+    await AvailabilityService.releaseCounters(hospital._id, date, timeSlot, doctor?._id);
+    return null;
+  }
+
+  // Frees the seat held by an offer that was declined or expired and offers
+  // it to the next patient
+  static async passOnOffer(entry) {
+    const hospitalId = idOf(entry.hospital);
+    const doctorId = idOf(entry.offer.doctor);
+    const slotDate = combineDateAndMinutes(entry.date, timeSlotToMinutes(entry.offer.timeSlot));
+
+    await AvailabilityService.releaseCounters(hospitalId, slotDate, entry.offer.timeSlot, doctorId);
+    try {
+      await this.offerSeat(hospitalId, slotDate, entry.offer.timeSlot, doctorId);
+    } catch (error) {
+      console.error(`Error passing on the seat held by waitlist entry ${entry._id}:`, error);
+    }
+  }
+
+  // Takes the seat held for the patient when they book the offered slot.
+  // Returns the claimed entry; the booking then uses the reserved seat
+  // instead of reserving a new one.
+  static async claimOffer(entryId, userId, { hospitalId, appointmentDate, timeSlot, doctorId }) {
+    if (!mongoose.isValidObjectId(entryId)) {
+      return fail('OFFER_NOT_FOUND', 'Waitlist offer not found');
+    }
+
+    const entry = await WaitlistEntry.findOne({ _id: entryId, user: userId })
+      .populate('offer.doctor', 'name');
+    if (!entry || entry.status !== 'offered') {
+      return fail('OFFER_NOT_FOUND', 'There is no open offer for this waitlist entry');
+    }
+
+    const matches = sameId(entry.hospital, hospitalId) &&
+      toDateKey(entry.date) === toDateKey(appointmentDate) &&
+      timeSlotToMinutes(entry.offer.timeSlot) === timeSlotToMinutes(timeSlot) &&
+      sameId(entry.offer.doctor, doctorId);
+    if (!matches) {
+      const withDoctor = entry.offer.doctor ? ` with Dr. ${entry.offer.doctor.name}` : '';
+      return fail(
+        'OFFER_MISMATCH',
+        `This offer is for the ${entry.offer.timeSlot} slot on ${formatDateString(entry.date)}${withDoctor}`
+      );
+    }
+
+    const claimed = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'offered', 'offer.expiresAt': { $gt: new Date() } },
+      { $set: { status: 'claimed' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return fail('OFFER_EXPIRED', 'This offer has expired and the slot has been released');
+    }
+
+    return { success: true, data: { entry: claimed } };
+  }
+
+  static async completeClaim(entry, booking) {
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { booking: booking._id } });
+  }
+
+  // The booking could not be saved; reopen the offer so the held seat is
+  // not lost and expires normally if the patient does not retry
+  static async undoClaim(entry) {
+    await WaitlistEntry.updateOne(
+      { _id: entry._id, status: 'claimed' },
+      { $set: { status: 'offered' } }
+    );
+  }
+
+  static async expireOffers() {
+    const expired = await WaitlistEntry.find({
+      status: 'offered',
+      'offer.expiresAt': { $lte: new Date() }
+    }).populate('hospital', 'name');
+
+    let count = 0;
+    for (const candidate of expired) {
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: 'offered' },
+        { $set: { status: 'expired' } },
+        { new: true }
+      ).populate('hospital', 'name');
+      if (!entry) continue;
+
+      count++;
+      try {
+        await NotificationService.createWaitlistNotification(entry, 'WAITLIST_OFFER_EXPIRED');
+      } catch (error) {
+        console.error(`Error sending waitlist expiry notice for entry ${entry._id}:`, error);
+      }
+      await this.passOnOffer(entry);
+    }
+    return count;
+  }
+
+  // Patients still waiting when their day has passed were never offered a seat
+  static async expirePastDays() {
+    const { start } = getDayRange(nowInIST());
+    const result = await WaitlistEntry.updateMany(
+      { status: 'waiting', date: { $lt: start } },
+      { $set: { status: 'expired' } }
+    );
+    return result.modifiedCount;
+  }
+
+  // The hospital closed for the day: nobody will be offered a seat
+  static async closeDay(hospitalId, date) {
+    const { start } = getDayRange(date);
+    const entries = await WaitlistEntry.find({
+      hospital: hospitalId,
+      date: start,
+      status: { $in: WaitlistEntry.OPEN_STATUSES }
+    });
+
+    for (const candidate of entries) {
+      const entry = await WaitlistEntry.findOneAndUpdate(
+        { _id: candidate._id, status: { $in: WaitlistEntry.OPEN_STATUSES } },
+        { $set: { status: 'cancelled' } }
+      );
+      if (entry?.status === 'offered') {
+        const slotDate = combineDateAndMinutes(entry.date, timeSlotToMinutes(entry.offer.timeSlot));
+        await AvailabilityService.releaseCounters(hospitalId, slotDate, entry.offer.timeSlot, idOf(entry.offer.doctor));
+      }
+    }
+    return entries.length;
+  }
+}
+
+WaitlistService.OFFER_MINUTES = OFFER_MINUTES;
+
+module.exports = WaitlistService;
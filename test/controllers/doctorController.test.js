@@ -0,0 +1,137 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, response } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Doctor = require('../../models/Doctor');
+const { updateDoctor, deleteDoctor } = require('../../controllers/doctorController');
+
+const hospital = { _id: objectId(), name: 'City Care' };
+
+const makeDoctor = (overrides = {}) => new Doctor({
+  hospital: hospital._id,
+  name: 'Rao',
+  specialization: 'General Medicine',
+  availability: [{ day: 'monday', startTime: '09:00', endTime: '13:00' }],
+  ...overrides
+});
+
+const makeRequest = (doctor, body = {}) => ({
+  hospital,
+  user: { id: objectId() },
+  params: { doctorId: doctor._id },
+  body
+});
+
+describe('Doctor', () => {
+  it('takes its consulting hours from its weekly schedule', () => {
+    const doctor = makeDoctor();
+
+    // 2 November 2026 is a Monday
+    assert.deepEqual(doctor.getTimingForDate(new Date('2026-11-02T00:00:00.000Z')), {
+      day: 'monday',
+      openTime: '09:00',
+      closeTime: '13:00',
+      isOpen: true
+    });
+    assert.equal(doctor.getTimingForDate(new Date('2026-11-03T00:00:00.000Z')), null);
+  });
+
+  it('sees nobody on a leave day', () => {
+    const doctor = makeDoctor({ leaveDays: [{ date: new Date('2026-11-02T00:00:00.000Z') }] });
+
+    assert.equal(doctor.getTimingForDate(new Date('2026-11-02T10:00:00.000Z')), null);
+  });
+});
+
+describe('doctorController', () => {
+  let saved;
+
+  beforeEach((t) => {
+    saved = t.mock.method(Doctor.prototype, 'save', async function() {
+      return this;
+    });
+  });
+
+  describe('updateDoctor', () => {
+    it('refuses to deactivate a doctor with upcoming bookings', async (t) => {
+      const doctor = makeDoctor();
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      t.mock.method(Booking, 'countDocuments', async () => 2);
+      const res = response();
+
+      await updateDoctor(makeRequest(doctor, { isActive: false }), res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.upcomingBookings, 2);
+      assert.equal(saved.mock.callCount(), 0);
+    });
+
+    it('checks only the newly added leave days for bookings', async (t) => {
+      const doctor = makeDoctor({ leaveDays: [{ date: new Date('2026-11-02T00:00:00.000Z') }] });
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      const count = t.mock.method(Booking, 'countDocuments', async () => 1);
+      const res = response();
+
+      await updateDoctor(makeRequest(doctor, {
+        leaveDays: [{ date: '02-11-2026' }, { date: '09-11-2026', reason: 'Conference' }]
+      }), res);
+
+      assert.equal(res.statusCode, 400);
+      const { $or: days } = count.mock.calls[0].arguments[0];
+      assert.equal(days.length, 1);
+      assert.equal(days[0].appointmentDate.$gte.toISOString(), '2026-11-09T00:00:00.000Z');
+    });
+
+    it('saves leave on days without bookings', async (t) => {
+      const doctor = makeDoctor();
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      t.mock.method(Booking, 'countDocuments', async () => 0);
+      const res = response();
+
+      await updateDoctor(makeRequest(doctor, { leaveDays: [{ date: '09-11-2026' }] }), res);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(saved.mock.callCount(), 1);
+      assert.equal(doctor.isOnLeave(new Date('2026-11-09T10:00:00.000Z')), true);
+    });
+
+    it('refuses a schedule ending before it starts', async (t) => {
+      const doctor = makeDoctor();
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      const res = response();
+
+      await updateDoctor(makeRequest(doctor, {
+        availability: [{ day: 'monday', startTime: '13:00', endTime: '09:00' }]
+      }), res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(saved.mock.callCount(), 0);
+    });
+  });
+
+  describe('deleteDoctor', () => {
+    it('keeps a doctor who still has bookings', async (t) => {
+      const doctor = makeDoctor();
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      t.mock.method(Booking, 'countDocuments', async () => 1);
+      const res = response();
+
+      await deleteDoctor(makeRequest(doctor), res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(doctor.isActive, true);
+    });
+
+    it('deactivates the doctor instead of deleting them', async (t) => {
+      const doctor = makeDoctor();
+      t.mock.method(Doctor, 'findOne', async () => doctor);
+      t.mock.method(Booking, 'countDocuments', async () => 0);
+      const res = response();
+
+      await deleteDoctor(makeRequest(doctor), res);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(doctor.isActive, false);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query, response } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Doctor = require('../../models/Doctor');
+const QueueService = require('../../services/queueService');
+const { loadDoctor, checkRole } = require('../../middlewares/auth');
+const {
+  getDoctorBookings,
+  callPatient,
+  completeConsultation
+} = require('../../controllers/doctorPortalController');
+
+const doctor = { _id: objectId(), hospital: objectId(), name: 'Rao' };
+
+const makeRequest = ({ params = {}, body = {}, query: search = {} } = {}) => ({
+  user: { id: objectId(), role: 'doctor' },
+  doctor,
+  params,
+  body,
+  query: search
+});
+
+describe('doctor portal access', () => {
+  it('lets only doctor logins in', () => {
+    const res = response();
+    let passed = false;
+
+    checkRole(['doctor'])({ user: { role: 'hospital' } }, res, () => { passed = true; });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+  });
+
+  it('turns away a doctor whose profile was deactivated', async (t) => {
+    const find = t.mock.method(Doctor, 'findOne', async () => null);
+    const res = response();
+    let passed = false;
+
+    await loadDoctor({ user: { id: 'user-1' } }, res, () => { passed = true; });
+
+    assert.equal(passed, false);
+    assert.equal(res.statusCode, 403);
+    assert.deepEqual(find.mock.calls[0].arguments[0], { user: 'user-1', isActive: true });
+  });
+});
+
+describe('doctorPortalController', () => {
+  it('lists only the doctor\'s own patients for the day', async (t) => {
+    const find = t.mock.method(Booking, 'find', () => query([
+      { _id: objectId(), status: 'checked-in', tokenNumber: 'CIT002' },
+      { _id: objectId(), status: 'completed', tokenNumber: 'CIT001' }
+    ]));
+    const res = response();
+
+    await getDoctorBookings(makeRequest({ query: { date: '02-11-2026' } }), res);
+
+    assert.equal(find.mock.calls[0].arguments[0].doctorAssigned, doctor._id);
+    assert.equal(res.body.date, '02-11-2026');
+    assert.deepEqual(res.body.summary, { total: 2, waiting: 1, inConsultation: 0, completed: 1 });
+  });
+
+  it('does not act on another doctor\'s booking', async (t) => {
+    const findOne = t.mock.method(Booking, 'findOne', async () => null);
+    const updateStatus = t.mock.method(QueueService, 'updateStatus', async () => ({ success: true }));
+    const res = response();
+
+    await callPatient(makeRequest({ params: { bookingId: objectId() } }), res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(findOne.mock.calls[0].arguments[0].doctorAssigned, doctor._id);
+    assert.equal(updateStatus.mock.callCount(), 0);
+  });
+
+  it('calls a patient as the doctor', async (t) => {
+    const booking = { _id: objectId() };
+    t.mock.method(Booking, 'findOne', async () => booking);
+    const updateStatus = t.mock.method(QueueService, 'updateStatus', async () => ({
+      success: true,
+      data: { id: booking._id, status: 'in-consultation' }
+    }));
+    const res = response();
+
+    await callPatient(makeRequest({ params: { bookingId: booking._id } }), res);
+
+    const [hospital, bookingId, status, , actor] = updateStatus.mock.calls[0].arguments;
+    assert.equal(hospital._id, doctor.hospital);
+    assert.equal(bookingId, booking._id);
+    assert.equal(status, 'in-consultation');
+    assert.equal(actor, 'doctor');
+    assert.equal(res.body.status, 'in-consultation');
+  });
+
+  it('keeps the completion notes only once the consultation is completed', async (t) => {
+    const booking = { _id: objectId() };
+    t.mock.method(Booking, 'findOne', async () => booking);
+    t.mock.method(QueueService, 'updateStatus', async () => ({
+      success: false,
+      error: { code: 'INVALID_TRANSITION', message: 'Cannot complete a confirmed booking' }
+    }));
+    const notes = t.mock.method(Booking, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const res = response();
+
+    await completeConsultation(makeRequest({
+      params: { bookingId: booking._id },
+      body: { completionNotes: 'Rest for two days' }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(res.body.code, 'INVALID_TRANSITION');
+    assert.equal(notes.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,118 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, response } = require('../helpers');
+const FamilyMember = require('../../models/FamilyMember');
+const {
+  getFamilyMember,
+  addFamilyMember,
+  updateFamilyMember,
+  removeFamilyMember
+} = require('../../controllers/familyMemberController');
+
+const userId = objectId();
+
+const makeMember = (overrides = {}) => new FamilyMember({
+  user: userId,
+  name: 'Meera',
+  dateOfBirth: new Date('2018-06-15'),
+  gender: 'female',
+  relation: 'child',
+  ...overrides
+});
+
+const makeRequest = ({ params = {}, body = {} } = {}) => ({
+  user: { id: userId },
+  params,
+  body
+});
+
+describe('FamilyMember', () => {
+  it('counts age in whole years', () => {
+    const member = makeMember();
+
+    assert.equal(member.getAge(new Date('2026-06-14')), 7);
+    assert.equal(member.getAge(new Date('2026-06-15')), 8);
+  });
+});
+
+describe('familyMemberController', () => {
+  it('finds only the account\'s own active members', async (t) => {
+    const find = t.mock.method(FamilyMember, 'findOne', async () => null);
+    const res = response();
+
+    await getFamilyMember(makeRequest({ params: { memberId: objectId().toString() } }), res);
+
+    assert.equal(res.statusCode, 404);
+    const filter = find.mock.calls[0].arguments[0];
+    assert.equal(filter.user, userId);
+    assert.equal(filter.isActive, true);
+  });
+
+  it('does not look up an invalid member id', async (t) => {
+    const find = t.mock.method(FamilyMember, 'findOne', async () => null);
+    const res = response();
+
+    await updateFamilyMember(makeRequest({ params: { memberId: 'not-an-id' } }), res);
+
+    assert.equal(res.statusCode, 404);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('adds a member to the account', async (t) => {
+    t.mock.method(FamilyMember, 'countDocuments', async () => 1);
+    const save = t.mock.method(FamilyMember.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    const res = response();
+
+    await addFamilyMember(makeRequest({
+      body: { name: 'Meera', dateOfBirth: '2018-06-15', gender: 'female', relation: 'child', user: objectId() }
+    }), res);
+
+    assert.equal(res.statusCode, 201);
+    assert.equal(res.body.dateOfBirth, '2018-06-15');
+    assert.equal(save.mock.calls[0].this.user, userId);
+  });
+
+  it('refuses a member over the account limit', async (t) => {
+    t.mock.method(FamilyMember, 'countDocuments', async () => FamilyMember.MAX_PER_USER);
+    const save = t.mock.method(FamilyMember.prototype, 'save', async function() { return this; });
+    const res = response();
+
+    await addFamilyMember(makeRequest({
+      body: { name: 'Meera', dateOfBirth: '2018-06-15', gender: 'female', relation: 'child' }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.equal(save.mock.callCount(), 0);
+  });
+
+  it('answers 400 for an invalid profile', async (t) => {
+    t.mock.method(FamilyMember, 'countDocuments', async () => 0);
+    t.mock.method(FamilyMember.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    const res = response();
+
+    await addFamilyMember(makeRequest({
+      body: { name: 'Meera', dateOfBirth: '2999-01-01', gender: 'female', relation: 'cousin' }
+    }), res);
+
+    assert.equal(res.statusCode, 400);
+    assert.match(res.body.message, /future/);
+  });
+
+  it('hides a removed member instead of deleting them', async (t) => {
+    const member = makeMember();
+    t.mock.method(FamilyMember, 'findOne', async () => member);
+    t.mock.method(member, 'save', async () => member);
+    const res = response();
+
+    await removeFamilyMember(makeRequest({ params: { memberId: member._id.toString() } }), res);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(member.isActive, false);
+  });
+});
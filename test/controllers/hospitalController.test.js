@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query, response } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Hospital = require('../../models/Hospital');
+const EventService = require('../../services/eventService');
+const BookingStateMachine = require('../../services/bookingStateMachine');
+const WaitlistService = require('../../services/waitlistService');
+const { updateBookingToken, addClosedDay } = require('../../controllers/hospitalController');
+
+const hospital = { _id: objectId(), name: 'City Care' };
+
+describe('updateBookingToken', () => {
+  const makeRequest = (booking, tokenNumber) => ({
+    hospital,
+    params: { bookingId: booking._id },
+    body: { tokenNumber }
+  });
+
+  it('answers 409 when another booking takes the token while saving', async (t) => {
+    const booking = {
+      _id: objectId(),
+      tokenNumber: 'CIT001',
+      appointmentDate: new Date('2026-11-02T09:00:00.000Z'),
+      save: async () => { throw Object.assign(new Error('duplicate key'), { code: 11000 }); }
+    };
+    t.mock.method(Booking, 'findOne', async (filter) => (filter.tokenNumber ? null : booking));
+    const publish = t.mock.method(EventService, 'publishBookingUpdate', () => {});
+    const res = response();
+
+    await updateBookingToken(makeRequest(booking, 'CIT009'), res);
+
+    assert.equal(res.statusCode, 409);
+    assert.equal(publish.mock.callCount(), 0);
+  });
+
+  it('refuses a token already used that day', async (t) => {
+    const booking = { _id: objectId(), appointmentDate: new Date('2026-11-02T09:00:00.000Z') };
+    t.mock.method(Booking, 'findOne', async (filter) => (filter.tokenNumber ? { _id: objectId() } : booking));
+    const res = response();
+
+    await updateBookingToken(makeRequest(booking, 'CIT009'), res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
+
+describe('addClosedDay', () => {
+  it('cancels the day\'s bookings, carrying on past a failed refund', async (t) => {
+    const closing = new Hospital({ name: 'City Care' });
+    t.mock.method(closing, 'save', async () => closing);
+    const paid = { _id: objectId(), tokenNumber: 'CIT001' };
+    const unrefunded = { _id: objectId(), tokenNumber: 'CIT002' };
+    t.mock.method(Booking, 'find', () => query([paid, unrefunded]));
+    const transition = t.mock.method(BookingStateMachine, 'transition', async (booking) => (
+      booking === paid
+        ? { success: true, refund: { refundAmount: 590 } }
+        : { success: true, refund: { refundAmount: 590 }, refundError: { message: 'Gateway down' } }
+    ));
+    const closeWaitlist = t.mock.method(WaitlistService, 'closeDay', async () => {});
+    const res = response();
+
+    await addClosedDay({
+      hospital: closing,
+      user: { id: objectId() },
+      body: { date: '02-11-2099', reason: 'Renovation' }
+    }, res);
+
+    assert.equal(closing.isClosedOn(new Date('2099-11-02T10:00:00.000Z')), true);
+    assert.deepEqual(transition.mock.calls.map(call => [call.arguments[1], call.arguments[2].closeOnRefundFailure]), [
+      ['cancelled', true],
+      ['cancelled', true]
+    ]);
+    assert.deepEqual(res.body.cancelled.map(entry => entry.refundAmount), [590, 0]);
+    assert.equal(res.body.cancelled[1].refundError.message, 'Gateway down');
+    assert.equal(closeWaitlist.mock.callCount(), 1);
+  });
+
+  it('refuses to close a past day', async () => {
+    const res = response();
+
+    await addClosedDay({
+      hospital: new Hospital({ name: 'City Care' }),
+      user: { id: objectId() },
+      body: { date: '02-11-2020' }
+    }, res);
+
+    assert.equal(res.statusCode, 400);
+  });
+});
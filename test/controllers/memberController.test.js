@@ -0,0 +1,228 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query, response } = require('../helpers');
+const HospitalMember = require('../../models/HospitalMember');
+const User = require('../../models/User');
+const {
+  addMember,
+  updateMember,
+  removeMember
+} = require('../../controllers/memberController');
+
+const hospital = { _id: objectId(), name: 'City Care' };
+
+const makeMember = (role, overrides = {}) => new HospitalMember({
+  hospital: hospital._id,
+  user: objectId(),
+  role,
+  ...overrides
+});
+
+// A request from `membership` at the hospital, as hospitalAccess leaves it
+const makeRequest = (membership, { body = {}, params = {} } = {}) => ({
+  user: { id: membership.user.toString(), role: 'hospital' },
+  hospital,
+  membership,
+  body,
+  params
+});
+
+describe('memberController', () => {
+  beforeEach((t) => {
+    t.mock.method(HospitalMember.prototype, 'save', async function() {
+      await this.validate();
+      return this;
+    });
+    t.mock.method(HospitalMember.prototype, 'populate', async function() {
+      return this;
+    });
+    t.mock.method(console, 'error', () => {});
+  });
+
+  describe('addMember', () => {
+    it('lets only an owner add an owner', async () => {
+      const res = response();
+
+      await addMember(makeRequest(makeMember('receptionist', { permissions: ['staff:manage'] }), {
+        body: { name: 'Asha', email: 'asha@example.com', password: 'password1', role: 'owner' }
+      }), res);
+
+      assert.equal(res.statusCode, 403);
+    });
+
+    it('creates a login for a new staff member with the role\'s permissions', async (t) => {
+      t.mock.method(User, 'findOne', async () => null);
+      t.mock.method(HospitalMember, 'exists', async () => null);
+      t.mock.method(HospitalMember, 'findOne', async () => null);
+      const saveUser = t.mock.method(User.prototype, 'save', async function() {
+        return this;
+      });
+      const res = response();
+
+      await addMember(makeRequest(makeMember('owner'), {
+        body: { name: 'Asha', email: 'asha@example.com', password: 'password1', role: 'billing' }
+      }), res);
+
+      assert.equal(res.statusCode, 201);
+      assert.equal(saveUser.mock.callCount(), 1);
+      assert.equal(saveUser.mock.calls[0].this.role, 'hospital');
+      assert.deepEqual([...res.body.permissions], HospitalMember.ROLE_PERMISSIONS.billing);
+    });
+
+    it('does not attach a login that was never a member here', async (t) => {
+      t.mock.method(User, 'findOne', async () => ({ _id: objectId(), role: 'hospital' }));
+      t.mock.method(HospitalMember, 'exists', async () => null);
+      const res = response();
+
+      await addMember(makeRequest(makeMember('owner'), {
+        body: { email: 'owner@other.example.com', role: 'receptionist' }
+      }), res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(res.body.message, 'An account with this email already exists');
+    });
+
+    it('keeps an empty permission list', async (t) => {
+      t.mock.method(User, 'findOne', async () => null);
+      t.mock.method(HospitalMember, 'findOne', async () => null);
+      t.mock.method(User.prototype, 'save', async function() {
+        return this;
+      });
+      const res = response();
+
+      await addMember(makeRequest(makeMember('owner'), {
+        body: { name: 'Ravi', email: 'ravi@example.com', password: 'password1', role: 'receptionist', permissions: [] }
+      }), res);
+
+      assert.equal(res.statusCode, 201);
+      assert.deepEqual([...res.body.permissions], []);
+    });
+  });
+
+  describe('updateMember', () => {
+    it('does not let a member change their own role', async (t) => {
+      const owner = makeMember('owner');
+      t.mock.method(HospitalMember, 'findOne', async () => owner);
+      const res = response();
+
+      await updateMember(makeRequest(owner, { body: { role: 'billing' }, params: { memberId: owner._id } }), res);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(owner.role, 'owner');
+    });
+
+    it('does not let staff managers demote an owner', async (t) => {
+      const owner = makeMember('owner');
+      t.mock.method(HospitalMember, 'findOne', async () => owner);
+      const res = response();
+
+      await updateMember(makeRequest(makeMember('receptionist', { permissions: ['staff:manage'] }), {
+        body: { role: 'receptionist' },
+        params: { memberId: owner._id }
+      }), res);
+
+      assert.equal(res.statusCode, 403);
+    });
+
+    it('gives a new role its default permissions', async (t) => {
+      const member = makeMember('billing', { permissions: ['reports:view'] });
+      t.mock.method(HospitalMember, 'findOne', async () => member);
+      const res = response();
+
+      await updateMember(makeRequest(makeMember('owner'), {
+        body: { role: 'receptionist' },
+        params: { memberId: member._id }
+      }), res);
+
+      assert.equal(res.statusCode, 200);
+      assert.deepEqual([...res.body.permissions], HospitalMember.ROLE_PERMISSIONS.receptionist);
+    });
+
+    it('answers 500 when saving fails', async (t) => {
+      const member = makeMember('billing');
+      t.mock.method(HospitalMember, 'findOne', async () => member);
+      member.save = async () => { throw new Error('connection lost'); };
+      const res = response();
+
+      await updateMember(makeRequest(makeMember('owner'), {
+        body: { permissions: ['payments:view'] },
+        params: { memberId: member._id }
+      }), res);
+
+      assert.equal(res.statusCode, 500);
+    });
+  });
+
+  describe('removeMember', () => {
+    it('does not let staff managers remove an owner', async (t) => {
+      const owner = makeMember('owner');
+      t.mock.method(HospitalMember, 'findOne', async () => owner);
+      const res = response();
+
+      await removeMember(makeRequest(makeMember('receptionist', { permissions: ['staff:manage'] }), {
+        params: { memberId: owner._id }
+      }), res);
+
+      assert.equal(res.statusCode, 403);
+      assert.equal(owner.status, 'active');
+    });
+
+    it('keeps the last owner', async (t) => {
+      const owner = makeMember('owner');
+      t.mock.method(HospitalMember, 'findOne', async () => owner);
+      t.mock.method(HospitalMember, 'countDocuments', async () => 1);
+      const res = response();
+
+      await removeMember(makeRequest(makeMember('owner'), { params: { memberId: owner._id } }), res);
+
+      assert.equal(res.statusCode, 400);
+      assert.equal(owner.status, 'active');
+    });
+
+    it('revokes a member instead of deleting them', async (t) => {
+      const member = makeMember('receptionist');
+      t.mock.method(HospitalMember, 'findOne', async () => member);
+      const res = response();
+
+      await removeMember(makeRequest(makeMember('owner'), { params: { memberId: member._id } }), res);
+
+      assert.equal(res.statusCode, 200);
+      assert.equal(member.status, 'revoked');
+    });
+  });
+});
+
+describe('HospitalMember', () => {
+  it('gives a member saved without permissions those of their role', async () => {
+    const member = makeMember('receptionist');
+    await member.validate();
+
+    assert.deepEqual([...member.permissions], HospitalMember.ROLE_PERMISSIONS.receptionist);
+    assert.equal(member.hasPermission('payments:view'), false);
+  });
+
+  it('lets owners do everything', () => {
+    assert.equal(makeMember('owner', { permissions: [] }).hasPermission('staff:manage'), true);
+  });
+
+  it('makes the hospital a legacy owner created their default', async (t) => {
+    const userId = objectId();
+    const created = { _id: objectId(), createdAt: new Date('2024-01-01') };
+    const Hospital = require('../../models/Hospital');
+    t.mock.method(Hospital, 'find', () => query([created]));
+    t.mock.method(HospitalMember, 'find', () => query([]));
+    const save = t.mock.method(HospitalMember.prototype, 'save', async function() {
+      return this;
+    });
+    const findOne = t.mock.method(HospitalMember, 'findOne', () => query(null));
+
+    await HospitalMember.findForUser(userId);
+
+    const backfilled = save.mock.calls[0].this;
+    assert.equal(backfilled.role, 'owner');
+    assert.equal(backfilled.hospital.toString(), created._id.toString());
+    assert.deepEqual(backfilled.createdAt, created.createdAt);
+    // The default is looked up only after the backfill
+    assert.equal(findOne.mock.callCount(), 1);
+  });
+});
@@ -0,0 +1,72 @@
+// Shared setup for the unit tests. Nothing here talks to MongoDB or Razorpay:
+// each test replaces the model and gateway calls it needs with t.mock.
+process.env.RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || 'rzp_test_key';
+process.env.RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || 'rzp_test_secret';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test_jwt_secret';
+
+const mongoose = require('mongoose');
+
+// Without a connection, a query no test replaced fails at once instead of
+// waiting for one (as User's index setup on load would)
+mongoose.set('bufferCommands', false);
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Stands in for a Mongoose query resolving to `result`; populate, select,
+// lean, sort and limit return the same query so call chains work unchanged
+const query = (result) => {
+  const chain = {
+    then: (resolve, reject) => Promise.resolve(typeof result === 'function' ? result() : result).then(resolve, reject)
+  };
+  ['populate', 'select', 'lean', 'sort', 'limit'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  return chain;
+};
+
+// SlotCounter statics backed by a Map, with the same conditional updates as
+// the real ones. Returns the counts by key for assertions.
+const fakeSlotCounters = (t, SlotCounter) => {
+  const counts = new Map();
+  const keyOf = ({ hospital, doctor, date, slot }) => [hospital, doctor, date, slot].map(String).join('|');
+
+  t.mock.method(SlotCounter, 'ensure', async (key, initialCount) => {
+    if (!counts.has(keyOf(key))) counts.set(keyOf(key), initialCount);
+  });
+  t.mock.method(SlotCounter, 'acquire', async (key, limit) => {
+    const count = counts.get(keyOf(key)) || 0;
+    if (count >= limit) return null;
+    counts.set(keyOf(key), count + 1);
+    return { count: count + 1 };
+  });
+  t.mock.method(SlotCounter, 'release', async (key) => {
+    const count = counts.get(keyOf(key)) || 0;
+    if (count > 0) counts.set(keyOf(key), count - 1);
+  });
+
+  return {
+    get: (key) => counts.get(keyOf(key)) || 0,
+    set: (key, count) => counts.set(keyOf(key), count)
+  };
+};
+
+// Stands in for an Express response, keeping the status and body sent
+const response = () => {
+  const res = { statusCode: 200, body: undefined };
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.body = body;
+    return res;
+  };
+  return res;
+};
+
+module.exports = {
+  objectId,
+  query,
+  fakeSlotCounters,
+  response
+};
@@ -0,0 +1,66 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+require('../helpers');
+const { auth, streamAuth, signStreamToken } = require('../../middlewares/auth');
+
+const LOGIN = { id: 'user-1', role: 'user', email: 'patient@example.com' };
+
+const loginToken = () => jwt.sign(LOGIN, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+// Runs a middleware and reports whether it called next, and any response
+const run = (middleware, { token, header } = {}) => {
+  const req = {
+    headers: {},
+    query: token ? { token } : {},
+    header: (name) => (name === 'Authorization' && header ? `Bearer ${header}` : undefined)
+  };
+  const outcome = { next: false, status: null };
+  const res = {
+    status: (code) => {
+      outcome.status = code;
+      return res;
+    },
+    json: () => res
+  };
+  middleware(req, res, () => { outcome.next = true; });
+  return { ...outcome, user: req.user };
+};
+
+describe('streamAuth', () => {
+  it('opens the stream with a stream token in the URL', () => {
+    const result = run(streamAuth, { token: signStreamToken(LOGIN) });
+
+    assert.equal(result.next, true);
+    assert.equal(result.user.id, 'user-1');
+    assert.equal(result.user.scope, 'stream');
+  });
+
+  it('refuses the login JWT in the URL', () => {
+    const result = run(streamAuth, { token: loginToken() });
+
+    assert.equal(result.next, false);
+    assert.equal(result.status, 401);
+  });
+
+  it('still takes the login JWT in the Authorization header', () => {
+    assert.equal(run(streamAuth, { header: loginToken() }).next, true);
+  });
+
+  it('refuses an expired stream token', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const token = signStreamToken(LOGIN);
+    t.mock.timers.tick(61 * 1000);
+
+    assert.equal(run(streamAuth, { token }).status, 401);
+  });
+});
+
+describe('auth', () => {
+  it('refuses a stream token for other routes', () => {
+    const result = run(auth, { header: signStreamToken(LOGIN) });
+
+    assert.equal(result.next, false);
+    assert.equal(result.status, 401);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const Hospital = require('../../models/Hospital');
+const Coupon = require('../../models/Coupon');
+const FeeScheduleService = require('../../services/feeScheduleService');
+
+const schedule = (overrides = {}) => ({
+  version: 3,
+  platformFee: { type: 'flat', value: 25 },
+  emergencyFee: { type: 'flat', value: 100 },
+  gstRate: 18,
+  ...overrides
+});
+
+const makeHospital = () => new Hospital({ name: 'City Care', opBookingPrice: 400 });
+
+describe('Hospital#calculateFees', () => {
+  it('charges GST to the paisa on the platform fee', () => {
+    const fees = makeHospital().calculateFees(false, { schedule: schedule() });
+
+    assert.equal(fees.gst, 4.5);
+    assert.equal(fees.totalAmount, 29.5);
+    assert.equal(fees.scheduleVersion, 3);
+  });
+
+  it('adds the emergency fee and the consultation fee collected online', () => {
+    const fees = makeHospital().calculateFees(true, { consultationFee: 400, schedule: schedule() });
+
+    assert.equal(fees.emergencyFee, 100);
+    assert.equal(fees.gst, 22.5);
+    // GST is on the platform's fees only, not the consultation fee
+    assert.equal(fees.totalAmount, 547.5);
+  });
+
+  it('takes percentage fees from the consultation price', () => {
+    const fees = makeHospital().calculateFees(false, {
+      schedule: schedule({ platformFee: { type: 'percent', value: 7.5 } })
+    });
+
+    assert.equal(fees.platformFee, 30);
+    assert.equal(fees.gst, 5.4);
+  });
+
+  it('applies a coupon before GST', () => {
+    const coupon = new Coupon({ code: 'HALF', discountType: 'percent', value: 50 });
+    const fees = makeHospital().calculateFees(false, { schedule: schedule(), coupon });
+
+    assert.equal(fees.discount, 12.5);
+    assert.equal(fees.gst, 2.25);
+    assert.equal(fees.totalAmount, 14.75);
+    assert.equal(fees.couponCode, 'HALF');
+  });
+});
+
+describe('Hospital#getConsultationFee', () => {
+  it('collects nothing online unless the hospital opted in', () => {
+    assert.equal(makeHospital().getConsultationFee({ consultationFee: 600 }), 0);
+  });
+
+  it('prefers the doctor\'s fee to the OP price', () => {
+    const hospital = new Hospital({ name: 'City Care', opBookingPrice: 400, collectConsultationFee: true });
+
+    assert.equal(hospital.getConsultationFee({ consultationFee: 600 }), 600);
+    assert.equal(hospital.getConsultationFee(), 400);
+  });
+});
+
+describe('FeeScheduleService.applySchedule', () => {
+  it('adds the consultation fee to online payments only', () => {
+    const hospital = new Hospital({ name: 'City Care', opBookingPrice: 400, collectConsultationFee: true });
+
+    const online = FeeScheduleService.applySchedule(hospital, schedule());
+    const atCounter = FeeScheduleService.applySchedule(hospital, schedule(), { online: false });
+
+    assert.equal(online.breakdown.basePrice, 400);
+    assert.equal(online.totalAmount, 429.5);
+    assert.equal(atCounter.breakdown.basePrice, 0);
+    assert.equal(atCounter.totalAmount, 29.5);
+  });
+});
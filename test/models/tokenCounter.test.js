@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Hospital = require('../../models/Hospital');
+const TokenCounter = require('../../models/TokenCounter');
+
+// TokenCounter documents backed by a Map, with a unique hospital and date
+const fakeCounters = (t) => {
+  const counters = new Map();
+  const keyOf = ({ hospital, date }) => `${hospital}|${date}`;
+  t.mock.method(TokenCounter, 'exists', async (key) => counters.has(keyOf(key)));
+  t.mock.method(TokenCounter, 'create', async ({ seq, ...key }) => {
+    if (counters.has(keyOf(key))) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    counters.set(keyOf(key), seq);
+  });
+  t.mock.method(TokenCounter, 'findOneAndUpdate', async (key) => {
+    counters.set(keyOf(key), counters.get(keyOf(key)) + 1);
+    return { seq: counters.get(keyOf(key)) };
+  });
+  return counters;
+};
+
+describe('TokenCounter.nextSequence', () => {
+  it('issues each number once, even to concurrent bookings', async (t) => {
+    fakeCounters(t);
+    const hospital = objectId();
+
+    const sequences = await Promise.all([1, 2, 3].map(() => TokenCounter.nextSequence(hospital, '2026-11-02')));
+
+    assert.deepEqual(sequences.sort(), [1, 2, 3]);
+  });
+
+  it('continues a day that had bookings before the counter existed', async (t) => {
+    fakeCounters(t);
+    const seed = t.mock.fn(async () => 4);
+
+    assert.equal(await TokenCounter.nextSequence(objectId(), '2026-11-02', seed), 5);
+    assert.equal(seed.mock.callCount(), 1);
+  });
+
+  it('starts every day over', async (t) => {
+    fakeCounters(t);
+    const hospital = objectId();
+
+    await TokenCounter.nextSequence(hospital, '2026-11-02');
+    assert.equal(await TokenCounter.nextSequence(hospital, '2026-11-03'), 1);
+  });
+});
+
+describe('Booking.issueToken', () => {
+  it('formats the day\'s next number with the hospital\'s prefix', async (t) => {
+    const hospital = new Hospital({ name: 'City Care', tokenSettings: { padding: 2 } });
+    t.mock.method(Hospital, 'findById', () => query(hospital));
+    t.mock.method(TokenCounter, 'nextSequence', async () => 7);
+
+    const token = await Booking.issueToken(hospital._id, new Date('2026-11-02T09:00:00.000Z'), true);
+
+    assert.deepEqual(token, { tokenDate: '2026-11-02', tokenSequence: 7, tokenNumber: 'CITE07' });
+  });
+});
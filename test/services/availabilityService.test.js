@@ -0,0 +1,200 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query, fakeSlotCounters } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Hospital = require('../../models/Hospital');
+const SlotCounter = require('../../models/SlotCounter');
+const AvailabilityService = require('../../services/availabilityService');
+
+const DATE = new Date('2026-11-02T00:00:00.000Z');
+const SLOT = '09:00 AM';
+
+const makeHospital = (overrides = {}) => ({
+  _id: objectId(),
+  maxOpBookingsPerDay: 10,
+  patientsPerSlot: 2,
+  ...overrides
+});
+
+const makeDoctor = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'Rao',
+  patientsPerSlot: 1,
+  maxPatientsPerDay: null,
+  ...overrides
+});
+
+// No bookings on the day yet unless a test says otherwise. Returns the
+// updateMany mock that marks legacy bookings as holding their seat.
+const stubBookings = (t, bookings = []) => {
+  t.mock.method(Booking, 'find', () => query(bookings));
+  return t.mock.method(Booking, 'updateMany', async () => ({ modifiedCount: 0 }));
+};
+
+describe('AvailabilityService.getPatientsPerSlot', () => {
+  it('falls back to the slot settings when the hospital never set its own', () => {
+    const hospital = new Hospital({ name: 'City Care', slotSettings: { patientsPerSlot: 3 } });
+
+    assert.equal(AvailabilityService.getPatientsPerSlot(hospital), 3);
+  });
+
+  it('prefers the doctor\'s capacity', () => {
+    assert.equal(AvailabilityService.getPatientsPerSlot(makeHospital(), makeDoctor({ patientsPerSlot: 4 })), 4);
+  });
+});
+
+describe('AvailabilityService.reserveSeat', () => {
+  it('takes seats until the slot is full', async (t) => {
+    stubBookings(t);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const hospital = makeHospital();
+    const { dayKey, slotKey } = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT);
+
+    assert.equal((await AvailabilityService.reserveSeat(hospital, DATE, SLOT)).success, true);
+    assert.equal((await AvailabilityService.reserveSeat(hospital, DATE, SLOT)).success, true);
+    const full = await AvailabilityService.reserveSeat(hospital, DATE, SLOT);
+
+    assert.equal(full.error.code, 'SLOT_FULL');
+    assert.equal(counters.get(slotKey), 2);
+    // The daily seat taken for the failed attempt is given back
+    assert.equal(counters.get(dayKey), 2);
+  });
+
+  it('stops at the hospital daily limit', async (t) => {
+    stubBookings(t);
+    fakeSlotCounters(t, SlotCounter);
+    const hospital = makeHospital({ maxOpBookingsPerDay: 1 });
+
+    await AvailabilityService.reserveSeat(hospital, DATE, SLOT);
+    const result = await AvailabilityService.reserveSeat(hospital, DATE, '09:20 AM');
+
+    assert.equal(result.error.code, 'DAILY_LIMIT_REACHED');
+  });
+
+  it('seeds new counters from bookings made before they existed', async (t) => {
+    const claim = stubBookings(t, [{ timeSlot: SLOT, doctorAssigned: null }]);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const hospital = makeHospital({ patientsPerSlot: 1 });
+    const { dayKey } = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT);
+
+    const result = await AvailabilityService.reserveSeat(hospital, DATE, SLOT);
+
+    assert.equal(result.error.code, 'SLOT_FULL');
+    assert.equal(counters.get(dayKey), 1);
+    // Those bookings now hold the seats they were counted in
+    const [filter, update] = claim.mock.calls[0].arguments;
+    assert.deepEqual(filter.capacityHeld, { $ne: true });
+    assert.deepEqual(update, { $set: { capacityHeld: true } });
+  });
+
+  it('uses the doctor\'s own slot capacity and daily cap', async (t) => {
+    stubBookings(t);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const hospital = makeHospital();
+    const doctor = makeDoctor({ patientsPerSlot: 2, maxPatientsPerDay: 1 });
+    const { dayKey, slotKey } = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT, doctor._id);
+
+    assert.equal((await AvailabilityService.reserveSeat(hospital, DATE, SLOT, doctor)).success, true);
+    const result = await AvailabilityService.reserveSeat(hospital, DATE, SLOT, doctor);
+
+    assert.equal(result.error.code, 'DOCTOR_DAILY_LIMIT_REACHED');
+    assert.equal(counters.get(slotKey), 1);
+    assert.equal(counters.get(dayKey), 1);
+  });
+});
+
+describe('AvailabilityService.releaseSeat', () => {
+  it('gives the seat back only once', async (t) => {
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const hospital = makeHospital();
+    const booking = { _id: objectId(), hospital: hospital._id, appointmentDate: DATE, timeSlot: SLOT, capacityHeld: true };
+    const { dayKey, slotKey } = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT);
+    counters.set(dayKey, 1);
+    counters.set(slotKey, 1);
+
+    let held = true;
+    t.mock.method(Booking, 'updateOne', async () => {
+      const modifiedCount = held ? 1 : 0;
+      held = false;
+      return { modifiedCount };
+    });
+
+    assert.equal(await AvailabilityService.releaseSeat(booking), true);
+    assert.equal(await AvailabilityService.releaseSeat(booking), false);
+    assert.equal(counters.get(dayKey), 0);
+    assert.equal(counters.get(slotKey), 0);
+  });
+});
+
+describe('AvailabilityService.reassignSeat', () => {
+  const setup = (t, { capacityHeld, modified = true }) => {
+    stubBookings(t);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const update = t.mock.method(Booking, 'updateOne', async () => ({ modifiedCount: modified ? 1 : 0 }));
+    const hospital = makeHospital();
+    const doctor = makeDoctor();
+    const booking = {
+      _id: objectId(),
+      hospital: hospital._id,
+      appointmentDate: DATE,
+      timeSlot: SLOT,
+      status: 'confirmed',
+      doctorAssigned: null,
+      capacityHeld
+    };
+    const current = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT);
+    const next = AvailabilityService.getCounterKeys(hospital._id, DATE, SLOT, doctor._id);
+    return { counters, update, hospital, doctor, booking, current, next };
+  };
+
+  it('moves a held seat from the general pool to the doctor', async (t) => {
+    const { counters, hospital, doctor, booking, current, next } = setup(t, { capacityHeld: true });
+    counters.set(current.slotKey, 1);
+
+    const result = await AvailabilityService.reassignSeat(hospital, booking, doctor);
+
+    assert.equal(result.success, true);
+    assert.equal(counters.get(current.slotKey), 0);
+    assert.equal(counters.get(next.slotKey), 1);
+    assert.equal(counters.get(next.doctorDayKey), 1);
+    assert.equal(booking.doctorAssigned, doctor._id);
+  });
+
+  it('moves the seat of a booking made before seats were counted', async (t) => {
+    const { counters, update, hospital, doctor, booking, current, next } = setup(t, { capacityHeld: false });
+    counters.set(current.slotKey, 1);
+
+    const result = await AvailabilityService.reassignSeat(hospital, booking, doctor);
+
+    assert.equal(result.success, true);
+    // The day's legacy bookings were marked as holding the seats counted for them
+    assert.deepEqual(Booking.updateMany.mock.calls[0].arguments[1], { $set: { capacityHeld: true } });
+    assert.equal(update.mock.calls[0].arguments[0].capacityHeld, true);
+    assert.equal(counters.get(current.slotKey), 0);
+    assert.equal(counters.get(next.slotKey), 1);
+    assert.equal(booking.capacityHeld, true);
+  });
+
+  it('gives the new seat back when the booking changed meanwhile', async (t) => {
+    const { counters, hospital, doctor, booking, current, next } = setup(t, { capacityHeld: true, modified: false });
+    counters.set(current.slotKey, 1);
+
+    const result = await AvailabilityService.reassignSeat(hospital, booking, doctor);
+
+    assert.equal(result.success, false);
+    assert.equal(counters.get(current.slotKey), 1);
+    assert.equal(counters.get(next.slotKey), 0);
+    assert.equal(counters.get(next.doctorDayKey), 0);
+  });
+
+  it('refuses a doctor whose slot is full', async (t) => {
+    const { counters, hospital, doctor, booking, current, next } = setup(t, { capacityHeld: true });
+    counters.set(current.slotKey, 1);
+    counters.set(next.slotKey, 1);
+
+    const result = await AvailabilityService.reassignSeat(hospital, booking, doctor);
+
+    assert.equal(result.error.code, 'SLOT_FULL');
+    assert.equal(counters.get(current.slotKey), 1);
+  });
+});
@@ -0,0 +1,162 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const AvailabilityService = require('../../services/availabilityService');
+const CancellationService = require('../../services/cancellationService');
+const NotificationService = require('../../services/notificationService');
+const EventService = require('../../services/eventService');
+const SettlementService = require('../../services/settlementService');
+const InvoiceService = require('../../services/invoiceService');
+const BookingStateMachine = require('../../services/bookingStateMachine');
+
+const today = () => new Date();
+const nextWeek = () => new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+
+const makeBooking = (overrides = {}) => ({
+  _id: objectId(),
+  status: 'confirmed',
+  appointmentDate: today(),
+  payment: { method: 'online', status: 'completed', paymentId: 'pay_1', amount: 529.5 },
+  ...overrides
+});
+
+describe('BookingStateMachine.checkTransition', () => {
+  it('allows only the listed actors', () => {
+    const booking = makeBooking();
+
+    assert.equal(BookingStateMachine.checkTransition(booking, 'cancelled', { actor: 'user' }), null);
+    assert.equal(BookingStateMachine.checkTransition(booking, 'completed', { actor: 'user' }).code, 'INVALID_TRANSITION');
+    assert.equal(BookingStateMachine.checkTransition(booking, 'unknown', { actor: 'hospital' }).code, 'INVALID_STATUS');
+  });
+
+  it('allows no change from a terminal status', () => {
+    ['completed', 'cancelled', 'rejected', 'no-show'].forEach(status => {
+      assert.equal(BookingStateMachine.isTerminal(status), true);
+      assert.deepEqual(BookingStateMachine.getAllowedTransitions(status, 'hospital'), []);
+    });
+  });
+
+  it('requires a reason to reject', () => {
+    const booking = makeBooking();
+
+    assert.equal(BookingStateMachine.checkTransition(booking, 'rejected', { actor: 'hospital' }).code, 'REASON_REQUIRED');
+    assert.equal(BookingStateMachine.checkTransition(booking, 'rejected', { actor: 'hospital', reason: 'Closed' }), null);
+  });
+
+  it('checks in pending bookings only when paid at the counter', () => {
+    const online = makeBooking({ status: 'pending', payment: { method: 'online', status: 'pending' } });
+    const cod = makeBooking({ status: 'pending', payment: { method: 'cod', status: 'pending' } });
+
+    assert.equal(BookingStateMachine.checkTransition(online, 'checked-in', { actor: 'hospital' }).code, 'PAYMENT_PENDING');
+    assert.equal(BookingStateMachine.checkTransition(cod, 'checked-in', { actor: 'hospital' }), null);
+  });
+
+  it('keeps queue statuses for the appointment day', () => {
+    const booking = makeBooking({ appointmentDate: nextWeek() });
+
+    assert.equal(BookingStateMachine.checkTransition(booking, 'checked-in', { actor: 'hospital' }).code, 'APPOINTMENT_NOT_TODAY');
+  });
+});
+
+describe('BookingStateMachine.transition', () => {
+  let calls;
+
+  beforeEach((t) => {
+    calls = [];
+    t.mock.method(AvailabilityService, 'releaseSeat', async () => false);
+    t.mock.method(EventService, 'publishBookingUpdate', () => {});
+    t.mock.method(NotificationService, 'createBookingNotifications', async () => {});
+    t.mock.method(SettlementService, 'recordRefund', async () => {});
+    t.mock.method(InvoiceService, 'issueCreditNote', async () => null);
+  });
+
+  // Booking.findOneAndUpdate answering each call in turn, recording the filters
+  const stubUpdates = (t, ...results) => t.mock.method(Booking, 'findOneAndUpdate', (filter, update) => {
+    calls.push({ name: 'findOneAndUpdate', filter, update });
+    return query(results.shift() ?? null);
+  });
+
+  const stubRefund = (t, result) => t.mock.method(CancellationService, 'refund', async (booking) => {
+    calls.push({ name: 'refund', booking });
+    return result;
+  });
+
+  const refunded = {
+    success: true,
+    refunded: true,
+    quote: { refundAmount: 529.5 },
+    update: {
+      cancellation: { cancelledBy: 'user' },
+      'payment.status': 'refunded',
+      'payment.refundDetails': { refundId: 'rfnd_1', amount: 529.5 }
+    }
+  };
+
+  it('claims the booking before refunding it', async (t) => {
+    const booking = makeBooking();
+    const claimed = { ...booking, closingAt: new Date() };
+    const updated = { ...booking, status: 'cancelled', payment: { ...booking.payment, refundDetails: { amount: 529.5 } } };
+    stubUpdates(t, claimed, updated);
+    stubRefund(t, refunded);
+
+    const result = await BookingStateMachine.transition(booking, 'cancelled', { actor: 'user' });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(calls.map(call => call.name), ['findOneAndUpdate', 'refund', 'findOneAndUpdate']);
+    assert.equal(calls[1].booking, claimed);
+    // The status change only applies while this request still holds the claim
+    assert.ok(calls[2].filter.closingAt instanceof Date);
+    assert.equal(calls[2].update.$set.closingAt, null);
+    assert.equal(calls[2].update.$set['payment.status'], 'refunded');
+    assert.equal(SettlementService.recordRefund.mock.callCount(), 1);
+  });
+
+  it('does not refund a booking another request is closing', async (t) => {
+    stubUpdates(t, null);
+    stubRefund(t, refunded);
+
+    const result = await BookingStateMachine.transition(makeBooking(), 'cancelled', { actor: 'user' });
+
+    assert.equal(result.error.code, 'STATUS_CHANGED');
+    assert.equal(CancellationService.refund.mock.callCount(), 0);
+  });
+
+  it('drops the claim and keeps the status when the refund fails', async (t) => {
+    const booking = makeBooking();
+    stubUpdates(t, { ...booking, closingAt: new Date() });
+    stubRefund(t, { success: false, error: { code: 'REFUND_FAILED', message: 'Gateway error' }, quote: {} });
+    const clear = t.mock.method(Booking, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    const result = await BookingStateMachine.transition(booking, 'cancelled', { actor: 'hospital' });
+
+    assert.equal(result.error.code, 'REFUND_FAILED');
+    assert.equal(BookingStateMachine.httpStatusFor(result.error), 500);
+    assert.equal(clear.mock.calls[0].arguments[1].$set.closingAt, null);
+    assert.equal(Booking.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('changes other statuses with a single conditional update', async (t) => {
+    const booking = makeBooking({ status: 'pending', payment: { method: 'online', status: 'completed' } });
+    stubUpdates(t, { ...booking, status: 'confirmed' });
+    stubRefund(t, refunded);
+
+    const result = await BookingStateMachine.transition(booking, 'confirmed', { actor: 'system' });
+
+    assert.equal(result.success, true);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].filter.status, 'pending');
+    assert.ok(calls[0].filter.$or);
+    assert.equal(calls[0].update.$push.statusHistory.to, 'confirmed');
+    assert.equal(CancellationService.refund.mock.callCount(), 0);
+  });
+
+  it('reports a status changed meanwhile', async (t) => {
+    stubUpdates(t, null);
+
+    const result = await BookingStateMachine.transition(makeBooking(), 'completed', { actor: 'hospital' });
+
+    assert.equal(result.error.code, 'STATUS_CHANGED');
+    assert.equal(BookingStateMachine.httpStatusFor(result.error), 409);
+  });
+});
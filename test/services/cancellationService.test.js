@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('../helpers');
+const RazorpayService = require('../../services/razorpayService');
+const RefundPolicyService = require('../../services/refundPolicyService');
+const CancellationService = require('../../services/cancellationService');
+
+const booking = (payment = {}) => ({
+  _id: objectId(),
+  hospital: objectId(),
+  payment: {
+    method: 'online',
+    status: 'completed',
+    paymentId: 'pay_1',
+    amount: 590,
+    breakdown: { basePrice: 400, emergencyFee: 100, gst: 90, total: 590 },
+    ...payment
+  }
+});
+
+describe('CancellationService.refund', () => {
+  it('refunds the whole payment when the hospital cancels', async (t) => {
+    const policy = t.mock.method(RefundPolicyService, 'quote', async () => ({}));
+    const refund = t.mock.method(RazorpayService, 'initiateRefund', async () => ({ success: true, data: { id: 'rfnd_1' } }));
+    const cancelled = booking();
+
+    const result = await CancellationService.refund(cancelled, { cancelledBy: 'hospital', reason: 'Closed' });
+
+    assert.equal(policy.mock.callCount(), 0);
+    // The emergency fee goes back too
+    assert.deepEqual(refund.mock.calls[0].arguments, ['pay_1', 590, `cancel-${cancelled._id}`]);
+    assert.equal(result.update['payment.status'], 'refunded');
+    assert.equal(result.update.cancellation.cancelledBy, 'hospital');
+    assert.equal(result.update.cancellation.refundPercent, 100);
+  });
+
+  it('refunds a patient\'s cancellation as the policy allows', async (t) => {
+    t.mock.method(RefundPolicyService, 'quote', async () => ({
+      policySource: 'platform',
+      refundPercent: 50,
+      refundAmount: 236,
+      nonRefundableAmount: 354
+    }));
+    const refund = t.mock.method(RazorpayService, 'initiateRefund', async () => ({ success: true, data: { id: 'rfnd_1' } }));
+
+    const result = await CancellationService.refund(booking(), { cancelledBy: 'user' });
+
+    assert.equal(refund.mock.calls[0].arguments[1], 236);
+    assert.equal(result.update['payment.status'], 'partially-refunded');
+    assert.equal(result.update.cancellation.policySource, 'platform');
+  });
+
+  it('records a cancellation without a refund for an unpaid booking', async (t) => {
+    const refund = t.mock.method(RazorpayService, 'initiateRefund', async () => ({ success: true }));
+
+    const result = await CancellationService.refund(booking({ status: 'pending' }), { cancelledBy: 'hospital' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refunded, false);
+    assert.equal(refund.mock.callCount(), 0);
+    assert.equal(result.update['payment.status'], undefined);
+  });
+
+  it('fails when the refund cannot be initiated', async (t) => {
+    t.mock.method(RazorpayService, 'initiateRefund', async () => ({ success: false, error: { message: 'Gateway down' } }));
+
+    const result = await CancellationService.refund(booking(), { cancelledBy: 'hospital' });
+
+    assert.equal(result.success, false);
+    assert.equal(result.update, undefined);
+  });
+
+  it('closes the booking anyway when asked, leaving the payment for reconciliation', async (t) => {
+    t.mock.method(RazorpayService, 'initiateRefund', async () => ({ success: false, error: { message: 'Gateway down' } }));
+
+    const result = await CancellationService.refund(booking(), { cancelledBy: 'hospital', closeOnRefundFailure: true });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refunded, false);
+    assert.equal(result.refundError.message, 'Gateway down');
+    assert.equal(result.update['payment.status'], undefined);
+  });
+});
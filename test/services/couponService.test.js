@@ -0,0 +1,186 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Coupon = require('../../models/Coupon');
+const CouponRedemption = require('../../models/CouponRedemption');
+const CouponUsage = require('../../models/CouponUsage');
+const CouponService = require('../../services/couponService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const makeCoupon = (overrides = {}) => new Coupon({
+  code: 'WELCOME',
+  discountType: 'flat',
+  value: 20,
+  validFrom: new Date(Date.now() - DAY_MS),
+  validUntil: new Date(Date.now() + DAY_MS),
+  perUserLimit: 1,
+  ...overrides
+});
+
+const hospital = { _id: objectId(), categories: [] };
+
+describe('Coupon#calculateDiscount', () => {
+  it('caps a percentage discount at maxDiscount', () => {
+    const coupon = makeCoupon({ discountType: 'percent', value: 50, maxDiscount: 10 });
+
+    assert.equal(coupon.calculateDiscount(30), 10);
+  });
+
+  it('never takes off more than the fees', () => {
+    assert.equal(makeCoupon({ value: 50 }).calculateDiscount(30), 30);
+  });
+});
+
+describe('CouponService.validate', () => {
+  const stubCounts = (t, { redeemed = 0, reserved = 0 } = {}) => {
+    t.mock.method(CouponRedemption, 'countDocuments', async () => redeemed);
+    t.mock.method(Booking, 'countDocuments', async () => reserved);
+    t.mock.method(Booking, 'exists', async () => null);
+  };
+
+  const validate = (paymentMethod = 'online') => (
+    CouponService.validate('welcome', { userId: objectId(), hospital, paymentMethod })
+  );
+
+  it('accepts a coupon the patient has not used', async (t) => {
+    const coupon = makeCoupon();
+    t.mock.method(Coupon, 'findOne', () => query(coupon));
+    stubCounts(t);
+
+    const result = await validate();
+
+    assert.equal(result.success, true);
+    assert.equal(result.data, coupon);
+  });
+
+  it('only takes coupons with online payments', async (t) => {
+    t.mock.method(Coupon, 'findOne', () => query(makeCoupon()));
+    stubCounts(t);
+
+    assert.equal((await validate('cod')).error.code, 'COUPON_ONLINE_ONLY');
+  });
+
+  it('counts uses held by unpaid bookings against the usage limit', async (t) => {
+    t.mock.method(Coupon, 'findOne', () => query(makeCoupon({ usageLimit: 5, usedCount: 3, reservedCount: 2 })));
+    stubCounts(t);
+
+    assert.equal((await validate()).error.code, 'COUPON_EXHAUSTED');
+  });
+
+  it('counts the patient\'s unpaid bookings against their own limit', async (t) => {
+    t.mock.method(Coupon, 'findOne', () => query(makeCoupon()));
+    stubCounts(t, { reserved: 1 });
+
+    assert.equal((await validate()).error.code, 'COUPON_LIMIT_REACHED');
+  });
+});
+
+describe('CouponService reservations', () => {
+  // CouponUsage counts per patient, with the same conditions as the real collection
+  const fakeUsage = (t, initial = 0) => {
+    const counts = new Map();
+    const keyOf = ({ coupon, user }) => `${coupon}:${user}`;
+    t.mock.method(CouponRedemption, 'countDocuments', async () => initial);
+    t.mock.method(Booking, 'countDocuments', async () => 0);
+    t.mock.method(CouponUsage, 'ensure', async (key, initialCount) => {
+      if (!counts.has(keyOf(key))) counts.set(keyOf(key), initialCount);
+    });
+    t.mock.method(CouponUsage, 'acquire', async (key, limit) => {
+      const count = counts.get(keyOf(key));
+      if (count >= limit) return null;
+      counts.set(keyOf(key), count + 1);
+      return { count: count + 1 };
+    });
+    t.mock.method(CouponUsage, 'release', async (key) => {
+      const count = counts.get(keyOf(key));
+      if (count > 0) counts.set(keyOf(key), count - 1);
+    });
+    return (coupon, user) => counts.get(keyOf({ coupon, user }));
+  };
+
+  it('holds a use only while the usage limit allows', async (t) => {
+    const uses = fakeUsage(t);
+    const update = t.mock.method(Coupon, 'findOneAndUpdate', () => query(null));
+    const coupon = makeCoupon({ usageLimit: 1 });
+    const user = objectId();
+
+    const result = await CouponService.reserve(coupon, user);
+
+    assert.equal(result.error.code, 'COUPON_EXHAUSTED');
+    assert.deepEqual(update.mock.calls[0].arguments[1], { $inc: { reservedCount: 1 } });
+    // The patient's use is given back
+    assert.equal(uses(coupon._id, user), 0);
+  });
+
+  it('lets concurrent bookings take no more than the patient\'s limit', async (t) => {
+    fakeUsage(t);
+    const coupon = makeCoupon({ perUserLimit: 1 });
+    t.mock.method(Coupon, 'findOneAndUpdate', () => query(coupon));
+    const user = objectId();
+
+    const results = await Promise.all([
+      CouponService.reserve(coupon, user),
+      CouponService.reserve(coupon, user)
+    ]);
+
+    assert.deepEqual(results.map(result => result.success), [true, false]);
+    assert.equal(results[1].error.code, 'COUPON_LIMIT_REACHED');
+    assert.equal(Coupon.findOneAndUpdate.mock.callCount(), 1);
+  });
+
+  it('counts uses made before the patient\'s count existed', async (t) => {
+    fakeUsage(t, 2);
+    t.mock.method(Coupon, 'findOneAndUpdate', () => query(null));
+
+    const result = await CouponService.reserve(makeCoupon({ perUserLimit: 2 }), objectId());
+
+    assert.equal(result.error.code, 'COUPON_LIMIT_REACHED');
+  });
+
+  it('gives a booking\'s hold back once', async (t) => {
+    const coupon = makeCoupon();
+    const booking = { _id: objectId(), user: objectId(), payment: { coupon: { coupon: coupon._id, reserved: true } } };
+    let reserved = true;
+    t.mock.method(Booking, 'findOneAndUpdate', () => query(() => {
+      const found = reserved ? booking : null;
+      reserved = false;
+      return found;
+    }));
+    const unreserve = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const release = t.mock.method(CouponUsage, 'release', async () => ({ modifiedCount: 1 }));
+
+    await CouponService.release(booking);
+    await CouponService.release(booking);
+
+    assert.equal(unreserve.mock.callCount(), 1);
+    assert.deepEqual(unreserve.mock.calls[0].arguments[1], { $inc: { reservedCount: -1 } });
+    assert.deepEqual(release.mock.calls.map(call => call.arguments[0]), [{ coupon: coupon._id, user: booking.user }]);
+  });
+
+  it('turns the hold into a use when the booking is paid, once', async (t) => {
+    const coupon = makeCoupon();
+    const booking = {
+      _id: objectId(),
+      user: objectId(),
+      payment: { coupon: { coupon: coupon._id, code: 'WELCOME', reserved: true }, breakdown: { discount: 20 } }
+    };
+    let redeemed = false;
+    t.mock.method(CouponRedemption, 'create', async () => {
+      if (redeemed) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      redeemed = true;
+    });
+    t.mock.method(Booking, 'findOneAndUpdate', () => query(booking));
+    const update = t.mock.method(Coupon, 'updateOne', async () => ({ modifiedCount: 1 }));
+    const release = t.mock.method(CouponUsage, 'release', async () => ({ modifiedCount: 1 }));
+
+    await CouponService.redeem(booking);
+    await CouponService.redeem(booking);
+
+    const increments = update.mock.calls.map(call => call.arguments[1].$inc);
+    assert.deepEqual(increments, [{ reservedCount: -1 }, { usedCount: 1 }]);
+    // The patient's use stays counted
+    assert.equal(release.mock.callCount(), 0);
+  });
+});
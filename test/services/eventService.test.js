@@ -0,0 +1,58 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId } = require('../helpers');
+const EventService = require('../../services/eventService');
+
+// Messages published on `channel` while `publish` runs
+const collect = (channel, publish) => {
+  const messages = [];
+  const unsubscribe = EventService.subscribe(channel, message => messages.push(message));
+  publish();
+  unsubscribe();
+  return messages;
+};
+
+describe('EventService', () => {
+  const booking = {
+    _id: objectId(),
+    user: objectId(),
+    hospital: { _id: objectId(), name: 'City Care' },
+    tokenNumber: 'CIT001',
+    status: 'confirmed',
+    patientDetails: { name: 'Asha' },
+    payment: { status: 'completed' }
+  };
+
+  it('sends a booking change to its patient and its hospital', () => {
+    const toPatient = collect(EventService.userChannel(booking.user), () => EventService.publishBookingUpdate(booking));
+    const toHospital = collect(EventService.hospitalChannel(booking.hospital._id), () => EventService.publishBookingUpdate(booking));
+
+    assert.equal(toPatient[0].event, 'booking.updated');
+    assert.equal(toPatient[0].data.paymentStatus, 'completed');
+    // Only the hospital sees the patient's name
+    assert.equal(toPatient[0].data.patientName, undefined);
+    assert.equal(toHospital[0].data.patientName, 'Asha');
+  });
+
+  it('stops sending once unsubscribed', () => {
+    const messages = [];
+    const unsubscribe = EventService.subscribe(EventService.userChannel(booking.user), message => messages.push(message));
+    unsubscribe();
+
+    EventService.publishBookingUpdate(booking);
+
+    assert.equal(messages.length, 0);
+  });
+
+  it('sends display boards to the public channel and the hospital', () => {
+    const hospitalId = booking.hospital._id;
+    const board = { nowServing: 'CIT001', upNext: ['CIT002'] };
+
+    const shown = collect(EventService.displayChannel(hospitalId), () => EventService.publishDisplayBoard(hospitalId, board));
+    const toStaff = collect(EventService.hospitalChannel(hospitalId), () => EventService.publishDisplayBoard(hospitalId, board));
+
+    assert.deepEqual(shown.map(message => message.event), ['display.updated']);
+    assert.deepEqual(toStaff.map(message => message.event), ['queue.updated']);
+    assert.equal(shown[0].data, board);
+  });
+});
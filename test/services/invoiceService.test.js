@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const InvoiceCounter = require('../../models/InvoiceCounter');
+const InvoiceNumber = require('../../models/InvoiceNumber');
+const InvoiceService = require('../../services/invoiceService');
+
+// InvoiceNumber claims for one booking's document, with the same upsert and
+// takeover conditions as the real collection
+const fakeClaims = (t) => {
+  let claim = null;
+  t.mock.method(InvoiceNumber, 'findOneAndUpdate', (filter, update, options = {}) => query(() => {
+    if (options.upsert) {
+      if (claim) return claim;
+      claim = { number: null, claimedAt: new Date() };
+      return null;
+    }
+    if (claim && claim.number === null && claim.claimedAt < filter.claimedAt.$lt) {
+      claim.claimedAt = new Date();
+      return claim;
+    }
+    return null;
+  }));
+  t.mock.method(InvoiceNumber, 'updateOne', async (filter, update) => {
+    claim.number = update.$set.number;
+  });
+  return {
+    get: () => claim,
+    set: (value) => { claim = value; }
+  };
+};
+
+describe('InvoiceService.claimNumber', () => {
+  it('draws one number per document however often it is issued', async (t) => {
+    fakeClaims(t);
+    const next = t.mock.method(InvoiceCounter, 'nextSequence', async () => 7);
+    const booking = objectId();
+
+    assert.equal(await InvoiceService.claimNumber('invoice', '26-27', booking), 'INV/26-27/000007');
+    assert.equal(await InvoiceService.claimNumber('invoice', '26-27', booking), 'INV/26-27/000007');
+    assert.equal(next.mock.callCount(), 1);
+  });
+
+  it('draws nothing while another request holds the claim', async (t) => {
+    const claims = fakeClaims(t);
+    const next = t.mock.method(InvoiceCounter, 'nextSequence', async () => 1);
+    claims.set({ number: null, claimedAt: new Date() });
+
+    assert.equal(await InvoiceService.claimNumber('credit-note', '26-27', objectId()), null);
+    assert.equal(next.mock.callCount(), 0);
+  });
+
+  it('takes over a claim left without a number', async (t) => {
+    const claims = fakeClaims(t);
+    t.mock.method(InvoiceCounter, 'nextSequence', async () => 12);
+    claims.set({ number: null, claimedAt: new Date(Date.now() - 60 * 60 * 1000) });
+
+    assert.equal(await InvoiceService.claimNumber('credit-note', '26-27', objectId()), 'CN/26-27/000012');
+    assert.equal(claims.get().number, 'CN/26-27/000012');
+  });
+});
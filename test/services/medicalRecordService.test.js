@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const User = require('../../models/User');
+const FamilyMember = require('../../models/FamilyMember');
+const MedicalRecordService = require('../../services/medicalRecordService');
+
+const shared = { shared: true, grantedAt: new Date('2026-11-01T10:00:00.000Z') };
+
+describe('MedicalRecordService.getSharedRecord', () => {
+  it('shows nothing without the patient\'s consent', async (t) => {
+    const find = t.mock.method(User, 'findById', () => query({ bloodGroup: 'O+' }));
+
+    assert.equal(await MedicalRecordService.getSharedRecord({ user: objectId() }), null);
+    assert.equal(await MedicalRecordService.getSharedRecord({
+      user: objectId(),
+      medicalRecordConsent: { shared: false, revokedAt: new Date() }
+    }), null);
+    assert.equal(find.mock.callCount(), 0);
+  });
+
+  it('reads the account holder\'s current record', async (t) => {
+    t.mock.method(User, 'findById', () => query({
+      gender: 'female',
+      bloodGroup: 'B+',
+      emergencyContact: { name: 'Ravi', phone: '9876543210' },
+      medicalInfo: { allergies: ['Penicillin'] }
+    }));
+
+    const record = await MedicalRecordService.getSharedRecord({ user: objectId(), medicalRecordConsent: shared });
+
+    assert.equal(record.bloodGroup, 'B+');
+    assert.equal(record.emergencyContact.name, 'Ravi');
+    assert.deepEqual(record.medicalInfo, { allergies: ['Penicillin'], chronicConditions: [], currentMedications: [] });
+  });
+
+  it('reads a family member\'s own record for their booking', async (t) => {
+    const holder = t.mock.method(User, 'findById', () => query({ bloodGroup: 'B+' }));
+    t.mock.method(FamilyMember, 'findById', () => query({
+      gender: 'male',
+      medicalInfo: { bloodGroup: 'A-', chronicConditions: ['Asthma'] }
+    }));
+
+    const record = await MedicalRecordService.getSharedRecord({
+      user: objectId(),
+      familyMember: objectId(),
+      medicalRecordConsent: shared
+    });
+
+    assert.equal(record.bloodGroup, 'A-');
+    assert.equal(record.emergencyContact, null);
+    assert.deepEqual(record.medicalInfo.chronicConditions, ['Asthma']);
+    assert.equal(holder.mock.callCount(), 0);
+  });
+});
+
+describe('MedicalRecordService.consentUpdate', () => {
+  it('records when consent was granted or revoked', () => {
+    const granted = MedicalRecordService.consentUpdate(true);
+    const revoked = MedicalRecordService.consentUpdate(false);
+
+    assert.equal(granted['medicalRecordConsent.shared'], true);
+    assert.ok(granted['medicalRecordConsent.grantedAt'] instanceof Date);
+    assert.equal(revoked['medicalRecordConsent.shared'], false);
+    assert.ok(revoked['medicalRecordConsent.revokedAt'] instanceof Date);
+  });
+});
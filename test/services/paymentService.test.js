@@ -0,0 +1,117 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const RazorpayService = require('../../services/razorpayService');
+const NotificationService = require('../../services/notificationService');
+const EventService = require('../../services/eventService');
+const BookingStateMachine = require('../../services/bookingStateMachine');
+const SettlementService = require('../../services/settlementService');
+const InvoiceService = require('../../services/invoiceService');
+const CouponService = require('../../services/couponService');
+const PaymentService = require('../../services/paymentService');
+
+const PAYMENT = { paymentId: 'pay_1', method: 'upi' };
+
+const makeBooking = (overrides = {}) => ({
+  _id: objectId(),
+  status: 'pending',
+  payment: { method: 'online', status: 'completed', paymentId: 'pay_1', amount: 529.5 },
+  populate: async () => {},
+  ...overrides
+});
+
+describe('PaymentService.markPaid', () => {
+  beforeEach((t) => {
+    t.mock.method(EventService, 'publishBookingUpdate', () => {});
+    t.mock.method(NotificationService, 'createBookingNotifications', async () => {});
+    t.mock.method(CouponService, 'redeem', async () => {});
+    t.mock.method(SettlementService, 'recordPayment', async () => {});
+    t.mock.method(InvoiceService, 'issueInvoice', async () => null);
+  });
+
+  const stubUpdates = (t, ...results) => t.mock.method(Booking, 'findOneAndUpdate', () => query(results.shift() ?? null));
+
+  const notificationTypes = () => NotificationService.createBookingNotifications.mock.calls.map(call => call.arguments[1]);
+
+  it('confirms a pending booking and records the payment', async (t) => {
+    const booking = makeBooking();
+    const confirmed = { ...booking, status: 'confirmed' };
+    stubUpdates(t, booking);
+    const transition = t.mock.method(BookingStateMachine, 'transition', async () => ({ success: true, booking: confirmed }));
+
+    const result = await PaymentService.markPaid(booking._id, PAYMENT);
+
+    assert.equal(result, confirmed);
+    assert.equal(transition.mock.calls[0].arguments[1], 'confirmed');
+    assert.equal(CouponService.redeem.mock.calls[0].arguments[0], confirmed);
+    assert.equal(SettlementService.recordPayment.mock.callCount(), 1);
+    assert.equal(InvoiceService.issueInvoice.mock.callCount(), 1);
+    assert.deepEqual(notificationTypes(), ['PAYMENT_RECEIVED']);
+  });
+
+  it('ignores a payment already recorded or refunded', async (t) => {
+    const update = stubUpdates(t, null);
+
+    assert.equal(await PaymentService.markPaid(objectId(), PAYMENT), null);
+    assert.deepEqual(update.mock.calls[0].arguments[0]['payment.status'], { $in: ['pending', 'failed'] });
+    assert.equal(SettlementService.recordPayment.mock.callCount(), 0);
+  });
+
+  it('refunds a payment for a different amount instead of confirming', async (t) => {
+    const booking = makeBooking();
+    stubUpdates(t, booking, { ...booking, payment: { ...booking.payment, status: 'refunded' } });
+    const transition = t.mock.method(BookingStateMachine, 'transition', async () => ({ success: true }));
+    const refund = t.mock.method(RazorpayService, 'initiateRefund', async () => ({
+      success: true,
+      data: { refundId: 'rfnd_2', amount: 100, status: 'processed' }
+    }));
+    t.mock.method(console, 'warn', () => {});
+
+    await PaymentService.markPaid(booking._id, { ...PAYMENT, amount: 100 });
+
+    assert.deepEqual(refund.mock.calls[0].arguments, ['pay_1', 100, `mismatch-${booking._id}`]);
+    assert.equal(transition.mock.callCount(), 0);
+    assert.equal(SettlementService.recordPayment.mock.callCount(), 0);
+    assert.deepEqual(notificationTypes(), ['PAYMENT_REFUNDED']);
+  });
+
+  it('refunds a payment captured for a cancelled booking instead of invoicing it', async (t) => {
+    const booking = makeBooking({ status: 'cancelled' });
+    const refunded = { ...booking, payment: { ...booking.payment, status: 'refunded' } };
+    const update = stubUpdates(t, booking, refunded);
+    const refund = t.mock.method(RazorpayService, 'initiateRefund', async () => ({
+      success: true,
+      data: { refundId: 'rfnd_1', amount: 529.5, status: 'processed' }
+    }));
+    t.mock.method(console, 'warn', () => {});
+
+    const result = await PaymentService.markPaid(booking._id, PAYMENT);
+
+    assert.equal(result, refunded);
+    assert.deepEqual(refund.mock.calls[0].arguments, ['pay_1', 529.5, `late-${booking._id}`]);
+    assert.equal(update.mock.calls[1].arguments[1].$set['payment.status'], 'refunded');
+    assert.equal(CouponService.redeem.mock.callCount(), 0);
+    assert.equal(SettlementService.recordPayment.mock.callCount(), 0);
+    assert.equal(InvoiceService.issueInvoice.mock.callCount(), 0);
+    assert.deepEqual(notificationTypes(), ['PAYMENT_REFUNDED']);
+  });
+
+  it('leaves a late payment completed when its refund fails', async (t) => {
+    const booking = makeBooking({ status: 'rejected' });
+    const update = stubUpdates(t, booking);
+    t.mock.method(RazorpayService, 'initiateRefund', async () => ({
+      success: false,
+      error: { code: 'REFUND_FAILED', message: 'Gateway error' }
+    }));
+    t.mock.method(console, 'error', () => {});
+    t.mock.method(console, 'warn', () => {});
+
+    const result = await PaymentService.markPaid(booking._id, PAYMENT);
+
+    assert.equal(result, booking);
+    assert.equal(update.mock.callCount(), 1);
+    assert.equal(InvoiceService.issueInvoice.mock.callCount(), 0);
+    assert.deepEqual(notificationTypes(), []);
+  });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const HospitalMember = require('../../models/HospitalMember');
+const EventService = require('../../services/eventService');
+const NotificationService = require('../../services/notificationService');
+const PrescriptionService = require('../../services/prescriptionService');
+
+const SIGNED_AT = new Date('2026-11-02T06:00:00.000Z');
+
+const makeBooking = (overrides = {}) => new Booking({
+  user: objectId(),
+  hospital: objectId(),
+  appointmentDate: new Date('2026-11-02T10:00:00.000Z'),
+  timeSlot: '10:00 AM',
+  status: 'completed',
+  doctorAssigned: objectId(),
+  prescriptions: [{ medicine: 'Paracetamol', dosage: '500mg', frequency: 'Twice a day' }],
+  ...overrides
+});
+
+describe('PrescriptionService', () => {
+  let update;
+
+  beforeEach((t) => {
+    t.mock.method(EventService, 'publishBookingUpdate', () => {});
+    update = t.mock.method(Booking, 'findOneAndUpdate', (filter, change) => query({ _id: filter._id, change }));
+  });
+
+  describe('addItems', () => {
+    it('waits for the consultation to start', async () => {
+      const result = await PrescriptionService.addItems(makeBooking({ status: 'checked-in' }), {
+        items: [{ medicine: 'Cetirizine' }],
+        userId: objectId()
+      });
+
+      assert.equal(result.error.code, 'CONSULTATION_NOT_STARTED');
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('refuses an item without a medicine', async () => {
+      const result = await PrescriptionService.addItems(makeBooking(), { items: [{ dosage: '5ml' }], userId: objectId() });
+
+      assert.equal(result.error.code, 'INVALID_PRESCRIPTION');
+    });
+
+    it('adds items to an unsigned prescription without an amendment', async () => {
+      const booking = makeBooking();
+
+      const result = await PrescriptionService.addItems(booking, {
+        items: [{ medicine: 'Cetirizine', addedBy: 'someone-else' }],
+        userId: objectId()
+      });
+
+      assert.equal(result.success, true);
+      const [filter, change] = update.mock.calls[0].arguments;
+      assert.equal(filter['prescriptionDetails.signedAt'], null);
+      assert.equal(change.$push.prescriptions.$each[0].medicine, 'Cetirizine');
+      assert.notEqual(change.$push.prescriptions.$each[0].addedBy, 'someone-else');
+      assert.equal(change.$push['prescriptionDetails.amendments'], undefined);
+    });
+  });
+
+  describe('amendItem', () => {
+    const signedBooking = () => makeBooking({ prescriptionDetails: { signedAt: SIGNED_AT, signedBy: objectId() } });
+
+    it('needs a reason to change a signed prescription', async () => {
+      const booking = signedBooking();
+
+      const result = await PrescriptionService.amendItem(booking, booking.prescriptions[0]._id, {
+        changes: { dosage: '650mg' },
+        userId: objectId()
+      });
+
+      assert.equal(result.error.code, 'REASON_REQUIRED');
+      assert.equal(update.mock.callCount(), 0);
+    });
+
+    it('clears the signature and keeps the previous values', async () => {
+      const booking = signedBooking();
+      const item = booking.prescriptions[0];
+
+      const result = await PrescriptionService.amendItem(booking, item._id, {
+        changes: { dosage: '650mg' },
+        userId: objectId(),
+        reason: 'Dose too low'
+      });
+
+      assert.equal(result.success, true);
+      const [filter, change] = update.mock.calls[0].arguments;
+      // Applies only while the signature is the one that was read
+      assert.equal(filter['prescriptionDetails.signedAt'], SIGNED_AT);
+      assert.equal(change.$set['prescriptions.$.dosage'], '650mg');
+      assert.equal(change.$set['prescriptionDetails.signedAt'], null);
+      const [amendment] = change.$push['prescriptionDetails.amendments'].$each;
+      assert.equal(amendment.previous.dosage, '500mg');
+      assert.equal(amendment.reason, 'Dose too low');
+    });
+
+    it('reports a prescription changed meanwhile', async (t) => {
+      t.mock.method(Booking, 'findOneAndUpdate', () => query(null));
+      const booking = makeBooking();
+
+      const result = await PrescriptionService.amendItem(booking, booking.prescriptions[0]._id, {
+        changes: { dosage: '650mg' },
+        userId: objectId()
+      });
+
+      assert.equal(result.error.code, 'PRESCRIPTION_CHANGED');
+      assert.equal(PrescriptionService.httpStatusFor(result.error), 409);
+    });
+
+    it('refuses a follow-up on or before the appointment day', async () => {
+      const booking = makeBooking();
+
+      const result = await PrescriptionService.amendItem(booking, booking.prescriptions[0]._id, {
+        followUpDate: '02-11-2026',
+        userId: objectId()
+      });
+
+      assert.equal(result.error.code, 'INVALID_FOLLOW_UP_DATE');
+    });
+  });
+
+  describe('sign', () => {
+    it('signs only a completed consultation', async () => {
+      const result = await PrescriptionService.sign(makeBooking({ status: 'in-consultation' }), { userId: objectId() });
+
+      assert.equal(result.error.code, 'CONSULTATION_NOT_COMPLETED');
+    });
+
+    it('signs in the assigned doctor\'s name and notifies the patient', async (t) => {
+      const notify = t.mock.method(NotificationService, 'createBookingNotifications', async () => {});
+      t.mock.method(Booking, 'findOneAndUpdate', (filter, change) => query({
+        _id: filter._id,
+        prescriptionDetails: { amendments: [] },
+        change
+      }));
+      const booking = makeBooking();
+
+      const result = await PrescriptionService.sign(booking, { userId: objectId() });
+
+      assert.equal(result.success, true);
+      assert.equal(result.data.change.$set['prescriptionDetails.doctor'], booking.doctorAssigned);
+      assert.equal(notify.mock.calls[0].arguments[1], 'PRESCRIPTION_ADDED');
+    });
+
+    it('is signed by staff only with the permission granted', async () => {
+      const receptionist = new HospitalMember({ hospital: objectId(), user: objectId(), role: 'receptionist' });
+      const granted = new HospitalMember({
+        hospital: objectId(),
+        user: objectId(),
+        role: 'receptionist',
+        permissions: ['bookings:manage', 'prescriptions:sign']
+      });
+      await receptionist.validate();
+
+      assert.equal(receptionist.hasPermission('bookings:manage'), true);
+      assert.equal(receptionist.hasPermission('prescriptions:sign'), false);
+      assert.equal(granted.hasPermission('prescriptions:sign'), true);
+    });
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const QueueState = require('../../models/QueueState');
+const EventService = require('../../services/eventService');
+const BookingStateMachine = require('../../services/bookingStateMachine');
+const QueueService = require('../../services/queueService');
+const { nowInIST } = require('../../utils/slotUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const hospital = { _id: objectId(), name: 'City Care' };
+
+const makeBooking = (overrides = {}) => ({
+  _id: objectId(),
+  hospital: hospital._id,
+  status: 'checked-in',
+  tokenNumber: 'CIT001',
+  tokenSequence: 1,
+  isEmergency: false,
+  appointmentDate: nowInIST(),
+  ...overrides
+});
+
+describe('QueueService.callNext', () => {
+  beforeEach((t) => {
+    t.mock.method(EventService, 'publishDisplayBoard', () => {});
+    t.mock.method(QueueService, 'getDisplayBoard', async () => ({}));
+    t.mock.method(QueueState, 'findOneAndUpdate', async (filter, update) => ({ nowServing: update.$set.nowServing }));
+  });
+
+  // Each booking in line is called by the state machine, which answers in turn
+  const stubQueue = (t, { serving = null, line = [], results = [] }) => {
+    t.mock.method(QueueState, 'findOne', async () => (serving ? { nowServing: { booking: serving._id } } : null));
+    t.mock.method(Booking, 'findOne', (filter) => query(filter._id ? serving : line.shift() ?? null));
+    return t.mock.method(BookingStateMachine, 'transition', async (booking, status) => (
+      status === 'completed' ? { success: true, booking } : results.shift()
+    ));
+  };
+
+  it('completes the patient being served and calls the next token', async (t) => {
+    const serving = makeBooking({ status: 'in-consultation' });
+    const next = makeBooking({ tokenNumber: 'CIT002', tokenSequence: 2 });
+    const transition = stubQueue(t, {
+      serving,
+      line: [next],
+      results: [{ success: true, booking: { ...next, status: 'in-consultation' } }]
+    });
+
+    const result = await QueueService.callNext(hospital, objectId());
+
+    assert.deepEqual(transition.mock.calls.map(call => call.arguments[1]), ['completed', 'in-consultation']);
+    assert.equal(result.data.nowServing.tokenNumber, 'CIT002');
+    assert.equal(EventService.publishDisplayBoard.mock.callCount(), 1);
+  });
+
+  it('tries the next token when another desk called this one first', async (t) => {
+    const taken = makeBooking();
+    const next = makeBooking({ tokenNumber: 'CIT002', tokenSequence: 2 });
+    stubQueue(t, {
+      line: [taken, next],
+      results: [
+        { success: false, error: { code: 'STATUS_CHANGED', message: 'Changed' } },
+        { success: true, booking: { ...next, status: 'in-consultation' } }
+      ]
+    });
+
+    const result = await QueueService.callNext(hospital, objectId());
+
+    assert.equal(result.data.booking.tokenNumber, 'CIT002');
+  });
+
+  it('reports an empty queue', async (t) => {
+    stubQueue(t, {});
+
+    const result = await QueueService.callNext(hospital, objectId());
+
+    assert.equal(result.error.code, 'QUEUE_EMPTY');
+    assert.equal(QueueState.findOneAndUpdate.mock.callCount(), 0);
+  });
+});
+
+describe('QueueService.getQueue', () => {
+  it('groups the day\'s bookings by where they stand', async (t) => {
+    t.mock.method(QueueState, 'findOne', () => query({ nowServing: { booking: objectId(), tokenNumber: 'CIT001' } }));
+    t.mock.method(Booking, 'find', () => query([
+      makeBooking({ status: 'in-consultation' }),
+      makeBooking({ status: 'confirmed', tokenNumber: 'CIT003' }),
+      makeBooking({ status: 'checked-in', tokenNumber: 'CIT004' }),
+      makeBooking({ status: 'skipped', tokenNumber: 'CIT002' }),
+      makeBooking({ status: 'completed' })
+    ]));
+
+    const queue = await QueueService.getQueue(hospital);
+
+    assert.equal(queue.nowServing.tokenNumber, 'CIT001');
+    assert.deepEqual(queue.waiting.map(entry => entry.tokenNumber), ['CIT003', 'CIT004']);
+    assert.deepEqual(queue.skipped.map(entry => entry.tokenNumber), ['CIT002']);
+    assert.deepEqual(queue.summary, { waiting: 2, checkedIn: 1, skipped: 1, completed: 1, noShow: 0 });
+  });
+});
+
+describe('QueueService.publishQueueUpdate', () => {
+  it('publishes only changes to today\'s queue', async (t) => {
+    t.mock.method(QueueService, 'getDisplayBoard', async () => ({}));
+    const publish = t.mock.method(EventService, 'publishDisplayBoard', () => {});
+
+    await QueueService.publishQueueUpdate(hospital._id, new Date(nowInIST().getTime() + DAY_MS));
+    await QueueService.publishQueueUpdate(hospital._id, nowInIST());
+
+    assert.equal(publish.mock.callCount(), 1);
+  });
+});
+
+describe('QueueService.recall', () => {
+  it('recalls only skipped tokens', async (t) => {
+    t.mock.method(Booking, 'findOne', () => query(makeBooking({ status: 'confirmed' })));
+    const transition = t.mock.method(BookingStateMachine, 'transition', async () => ({ success: true }));
+
+    const result = await QueueService.recall(hospital, objectId(), objectId());
+
+    assert.equal(result.error.code, 'NOT_SKIPPED');
+    assert.equal(transition.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+require('../helpers');
+const RazorpayService = require('../../services/razorpayService');
+
+describe('RazorpayService.createOrder', () => {
+  it('records each charge of the order in its notes', async (t) => {
+    const create = t.mock.method(RazorpayService.razorpay.orders, 'create', async (order) => ({
+      id: 'order_1',
+      amount: order.amount,
+      currency: order.currency,
+      receipt: order.receipt
+    }));
+
+    const result = await RazorpayService.createOrder('booking-1', 429.5, {
+      basePrice: 400,
+      platformFee: 25,
+      emergencyFee: 0,
+      gst: 4.5
+    });
+
+    const { amount, notes } = create.mock.calls[0].arguments[0];
+    assert.equal(amount, 42950);
+    assert.deepEqual(notes, { bookingId: 'booking-1', basePrice: '400', platformFee: '25', gst: '4.5' });
+    assert.equal(result.data.amount, 429.5);
+  });
+});
@@ -0,0 +1,179 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const ReconciliationReport = require('../../models/ReconciliationReport');
+const RazorpayService = require('../../services/razorpayService');
+const PaymentService = require('../../services/paymentService');
+const ReconciliationService = require('../../services/reconciliationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const makeBooking = (overrides = {}) => ({
+  _id: objectId(),
+  hospital: objectId(),
+  status: 'pending',
+  tokenNumber: 'CIT-001',
+  ...overrides,
+  payment: {
+    method: 'online',
+    status: 'pending',
+    orderId: 'order_1',
+    amount: 529.5,
+    ...overrides.payment
+  }
+});
+
+// Bookings found by each pass of a run: pending payments, completed
+// payments and refunded payments
+const stubBookings = (t, { pending = [], completed = [], refunded = [] }) => {
+  t.mock.method(Booking, 'find', (filter) => {
+    const status = filter['payment.status'];
+    if (status === 'completed') return query(completed);
+    if (status === 'refunded') return query(refunded);
+    return query(pending);
+  });
+};
+
+const run = () => ReconciliationService.reconcile({ save: async () => {} });
+
+const issueTypes = (report) => report.issues.map(issue => `${issue.type}:${issue.action}`);
+
+describe('ReconciliationService.reconcile', () => {
+  beforeEach((t) => {
+    t.mock.method(PaymentService, 'markPaid', async () => null);
+    t.mock.method(PaymentService, 'markFailed', async () => null);
+  });
+
+  it('records a payment captured at Razorpay that never reached us', async (t) => {
+    const booking = makeBooking();
+    stubBookings(t, { pending: [booking] });
+    t.mock.method(RazorpayService, 'getOrderPayments', async () => ({
+      success: true,
+      data: [{ paymentId: 'pay_1', status: 'captured', amount: 529.5 }]
+    }));
+    PaymentService.markPaid.mock.mockImplementation(async () => ({ ...booking, status: 'confirmed' }));
+
+    const report = await run();
+
+    assert.equal(report.status, 'completed');
+    assert.equal(PaymentService.markPaid.mock.calls[0].arguments[0], booking._id);
+    assert.deepEqual(issueTypes(report), ['UNRECORDED_PAYMENT:fixed']);
+    assert.equal(report.fixed, 1);
+    assert.equal(report.checked, 1);
+  });
+
+  it('flags a late payment whose refund failed for review', async (t) => {
+    const booking = makeBooking({ status: 'cancelled' });
+    stubBookings(t, { pending: [booking] });
+    t.mock.method(RazorpayService, 'getOrderPayments', async () => ({
+      success: true,
+      data: [{ paymentId: 'pay_1', status: 'captured', amount: 529.5 }]
+    }));
+    // markPaid leaves the payment completed when it cannot refund it
+    PaymentService.markPaid.mock.mockImplementation(async () => ({
+      ...booking,
+      payment: { ...booking.payment, status: 'completed' }
+    }));
+
+    const report = await run();
+
+    assert.deepEqual(issueTypes(report), ['UNRECORDED_PAYMENT:fixed', 'PAID_BUT_CANCELLED:review']);
+  });
+
+  it('marks a booking failed once every attempt has failed', async (t) => {
+    stubBookings(t, { pending: [makeBooking()] });
+    t.mock.method(RazorpayService, 'getOrderPayments', async () => ({
+      success: true,
+      data: [
+        { paymentId: 'pay_2', status: 'failed', amount: 529.5, errorDescription: 'Card declined' },
+        { paymentId: 'pay_1', status: 'failed', amount: 529.5 }
+      ]
+    }));
+    PaymentService.markFailed.mock.mockImplementation(async (id) => ({ _id: id }));
+
+    const report = await run();
+
+    assert.equal(PaymentService.markFailed.mock.calls[0].arguments[1].paymentId, 'pay_2');
+    assert.deepEqual(issueTypes(report), ['PAYMENT_FAILED:fixed']);
+    assert.equal(report.issues[0].details, 'Card declined');
+  });
+
+  it('lists gateway errors instead of stopping the run', async (t) => {
+    stubBookings(t, { pending: [makeBooking(), makeBooking()] });
+    t.mock.method(RazorpayService, 'getOrderPayments', async () => ({
+      success: false,
+      error: { code: 'FETCH_FAILED', message: 'Gateway timeout' }
+    }));
+
+    const report = await run();
+
+    assert.equal(report.status, 'completed');
+    assert.deepEqual(issueTypes(report), ['GATEWAY_ERROR:review', 'GATEWAY_ERROR:review']);
+  });
+
+  it('flags a closed booking that kept the payment, unless the refund policy kept it', async (t) => {
+    const paidAt = new Date(Date.now() - 2 * HOUR_MS);
+    const withoutRefund = makeBooking({ status: 'cancelled', payment: { status: 'completed', paidAt } });
+    const keptByPolicy = makeBooking({
+      status: 'cancelled',
+      cancelledAt: new Date(Date.now() - HOUR_MS),
+      cancellation: { refundAmount: 0 },
+      payment: { status: 'completed', paidAt }
+    });
+    const paidAfterClosing = makeBooking({
+      status: 'rejected',
+      cancelledAt: new Date(paidAt.getTime() - HOUR_MS),
+      cancellation: { refundAmount: 0 },
+      payment: { status: 'completed', paidAt }
+    });
+    stubBookings(t, { completed: [withoutRefund, keptByPolicy, paidAfterClosing] });
+
+    const report = await run();
+
+    assert.deepEqual(report.issues.map(issue => issue.booking), [withoutRefund._id, paidAfterClosing._id]);
+    assert.deepEqual(issueTypes(report), ['PAID_BUT_CANCELLED:review', 'PAID_BUT_CANCELLED:review']);
+  });
+
+  it('flags active bookings refunded at Razorpay or paid a different amount', async (t) => {
+    const booking = makeBooking({
+      status: 'confirmed',
+      payment: { status: 'completed', paymentId: 'pay_1', paidAt: new Date() }
+    });
+    stubBookings(t, { completed: [booking] });
+    t.mock.method(RazorpayService, 'getPaymentStatus', async () => ({
+      success: true,
+      data: { status: 'refunded', amount: 500, amountRefunded: 500, refundStatus: 'full' }
+    }));
+
+    const report = await run();
+
+    assert.deepEqual(issueTypes(report), ['REFUNDED_BUT_ACTIVE:review', 'AMOUNT_MISMATCH:review']);
+    assert.equal(report.issues[1].gatewayAmount, 500);
+  });
+
+  it('flags bookings refunded here but still active', async (t) => {
+    stubBookings(t, { refunded: [makeBooking({ status: 'confirmed', payment: { status: 'refunded' } })] });
+
+    const report = await run();
+
+    assert.deepEqual(issueTypes(report), ['REFUNDED_BUT_ACTIVE:review']);
+  });
+});
+
+describe('ReconciliationService.start', () => {
+  it('runs once at a time', async (t) => {
+    stubBookings(t, {});
+    t.mock.method(ReconciliationReport, 'create', async (data) => ({ ...data, save: async () => {} }));
+
+    const first = await ReconciliationService.start({ trigger: 'manual' });
+    const second = await ReconciliationService.start({ trigger: 'manual' });
+    await first.finished;
+    const third = await ReconciliationService.start({ trigger: 'manual' });
+    await third.finished;
+
+    assert.equal(second, null);
+    assert.equal(first.report.trigger, 'manual');
+    assert.notEqual(third, null);
+  });
+});
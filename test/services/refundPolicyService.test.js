@@ -0,0 +1,116 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Hospital = require('../../models/Hospital');
+const PlatformSetting = require('../../models/PlatformSetting');
+const RefundPolicyService = require('../../services/refundPolicyService');
+
+// Latest tier first, as getPolicy returns it
+const policy = {
+  tiers: [
+    { hoursBefore: 24, refundPercent: 100 },
+    { hoursBefore: 2, refundPercent: 50 }
+  ],
+  afterStartRefundPercent: 0,
+  emergencyFeeRefundable: false
+};
+
+// Stored appointment times are IST wall-clock time in the UTC fields
+const booking = (overrides = {}) => ({
+  _id: objectId(),
+  hospital: objectId(),
+  appointmentDate: new Date('2026-11-02T00:00:00.000Z'),
+  timeSlot: '10:00 AM',
+  payment: { method: 'online', status: 'completed', amount: 500 },
+  ...overrides
+});
+
+const hoursBefore = (hours) => new Date(Date.parse('2026-11-02T10:00:00.000Z') - hours * 3600000);
+
+describe('RefundPolicyService.validatePolicy', () => {
+  it('accepts a policy with distinct tiers', () => {
+    assert.equal(RefundPolicyService.validatePolicy(policy), null);
+  });
+
+  it('refuses missing, out of range or repeated tiers', () => {
+    assert.match(RefundPolicyService.validatePolicy({ tiers: [] }), /non-empty/);
+    assert.match(RefundPolicyService.validatePolicy({ tiers: [{ hoursBefore: 2, refundPercent: 120 }] }), /refundPercent/);
+    assert.match(RefundPolicyService.validatePolicy({
+      tiers: [{ hoursBefore: 2, refundPercent: 50 }, { hoursBefore: 2, refundPercent: 80 }]
+    }), /Only one tier/);
+    assert.match(RefundPolicyService.validatePolicy({ ...policy, afterStartRefundPercent: -1 }), /afterStartRefundPercent/);
+  });
+});
+
+describe('RefundPolicyService.evaluate', () => {
+  it('applies the first tier the cancellation is early enough for', () => {
+    const early = RefundPolicyService.evaluate(booking(), policy, hoursBefore(30));
+    const late = RefundPolicyService.evaluate(booking(), policy, hoursBefore(5));
+    const tooLate = RefundPolicyService.evaluate(booking(), policy, hoursBefore(1));
+
+    assert.deepEqual([early.refundPercent, early.rule], [100, '24h-before']);
+    assert.deepEqual([late.refundPercent, late.refundAmount, late.rule], [50, 250, '2h-before']);
+    assert.deepEqual([tooLate.refundAmount, tooLate.rule], [0, 'no-tier']);
+  });
+
+  it('uses the after-start percent once the slot has begun', () => {
+    const result = RefundPolicyService.evaluate(booking(), { ...policy, afterStartRefundPercent: 10 }, hoursBefore(-1));
+
+    assert.equal(result.rule, 'after-start');
+    assert.equal(result.refundAmount, 50);
+    assert.equal(result.hoursBeforeStart, -1);
+  });
+
+  it('keeps the emergency fee and its GST unless the policy refunds it', () => {
+    const emergency = booking({
+      payment: {
+        method: 'online',
+        status: 'completed',
+        amount: 590,
+        breakdown: { basePrice: 400, emergencyFee: 100, gst: 90, total: 590 }
+      }
+    });
+
+    const kept = RefundPolicyService.evaluate(emergency, policy, hoursBefore(30));
+    const refunded = RefundPolicyService.evaluate(emergency, { ...policy, emergencyFeeRefundable: true }, hoursBefore(30));
+
+    assert.equal(kept.emergencyFeeRetained, 118);
+    assert.equal(kept.refundAmount, 472);
+    assert.equal(refunded.refundAmount, 590);
+  });
+});
+
+describe('RefundPolicyService.quote', () => {
+  it('prefers the hospital\'s own policy to the platform policy', async (t) => {
+    t.mock.method(Hospital, 'findById', () => query({ cancellationPolicy: policy }));
+    const platform = t.mock.method(PlatformSetting, 'findOne', () => query(null));
+
+    const quote = await RefundPolicyService.quote(booking(), hoursBefore(5));
+
+    assert.equal(quote.policySource, 'hospital');
+    assert.equal(quote.refundAmount, 250);
+    assert.equal(platform.mock.callCount(), 0);
+  });
+
+  it('falls back to the default policy without a saved one', async (t) => {
+    t.mock.method(PlatformSetting, 'findOne', () => query(null));
+
+    const { source, policy: used } = await RefundPolicyService.getPolicy({});
+
+    assert.equal(source, 'platform');
+    assert.deepEqual(used.tiers, RefundPolicyService.DEFAULT_POLICY.tiers);
+  });
+
+  it('refunds nothing for a booking paid at the counter', async (t) => {
+    t.mock.method(Hospital, 'findById', () => query({ cancellationPolicy: policy }));
+
+    const quote = await RefundPolicyService.quote(
+      booking({ payment: { method: 'cash', status: 'completed', amount: 500 } }),
+      hoursBefore(30)
+    );
+
+    assert.equal(quote.refundable, false);
+    assert.equal(quote.refundAmount, 0);
+    assert.equal(quote.refundPercent, 100);
+  });
+});
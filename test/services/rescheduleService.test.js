@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query, fakeSlotCounters } = require('../helpers');
+const Booking = require('../../models/Booking');
+const Hospital = require('../../models/Hospital');
+const SlotCounter = require('../../models/SlotCounter');
+const AvailabilityService = require('../../services/availabilityService');
+const NotificationService = require('../../services/notificationService');
+const EventService = require('../../services/eventService');
+const WaitlistService = require('../../services/waitlistService');
+const RescheduleService = require('../../services/rescheduleService');
+const { formatDateString } = require('../../utils/slotUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// An IST day ten days out, as stored (wall-clock time in the UTC fields)
+const day = (offset = 0) => {
+  const date = new Date(Date.now() + (10 + offset) * DAY_MS);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+const at = (date, hours, minutes = 0) => new Date(date.getTime() + (hours * 60 + minutes) * 60 * 1000);
+
+const makeHospital = (overrides = {}) => ({
+  _id: objectId(),
+  name: 'City Care',
+  maxOpBookingsPerDay: 1,
+  patientsPerSlot: 1,
+  ...overrides
+});
+
+const makeBooking = (hospital, overrides = {}) => ({
+  _id: objectId(),
+  hospital: hospital._id,
+  status: 'confirmed',
+  appointmentDate: at(day(), 9),
+  timeSlot: '09:00 AM',
+  tokenDate: 'day',
+  tokenSequence: 1,
+  tokenNumber: 'A1',
+  capacityHeld: true,
+  reschedules: [],
+  ...overrides
+});
+
+describe('RescheduleService.reschedule', () => {
+  beforeEach((t) => {
+    t.mock.method(AvailabilityService, 'validateSlot', () => ({ success: true }));
+    t.mock.method(WaitlistService, 'offerSeat', async () => null);
+    t.mock.method(EventService, 'publishBookingUpdate', () => {});
+    t.mock.method(NotificationService, 'createBookingNotifications', async () => {});
+    t.mock.method(Booking, 'issueToken', async () => ({ tokenDate: 'next', tokenSequence: 1, tokenNumber: 'A1' }));
+  });
+
+  // The booking is the only one on its day; updates succeed unless told not to
+  const stubBookings = (t, hospital, booking, { updated = true } = {}) => {
+    t.mock.method(Hospital, 'findOne', () => query(hospital));
+    t.mock.method(Booking, 'find', (filter) => query(
+      filter.appointmentDate.$gte <= booking.appointmentDate && booking.appointmentDate < filter.appointmentDate.$lt
+        ? [booking]
+        : []
+    ));
+    const claim = t.mock.method(Booking, 'updateMany', async () => ({ modifiedCount: 0 }));
+    const update = t.mock.method(Booking, 'findOneAndUpdate', (filter, change) => query(
+      updated ? { ...booking, ...change.$set } : null
+    ));
+    return { claim, update };
+  };
+
+  const keysFor = (hospital, date, timeSlot) => AvailabilityService.getCounterKeys(hospital._id, date, timeSlot);
+
+  it('moves a booking within its day when the day is fully booked', async (t) => {
+    const hospital = makeHospital();
+    const booking = makeBooking(hospital);
+    stubBookings(t, hospital, booking);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const before = keysFor(hospital, booking.appointmentDate, '09:00 AM');
+    const after = keysFor(hospital, booking.appointmentDate, '11:00 AM');
+
+    const result = await RescheduleService.reschedule(booking, {
+      date: formatDateString(day()), timeSlot: '11:00 AM', actor: 'hospital', userId: objectId()
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(counters.get(before.dayKey), 1);
+    assert.equal(counters.get(before.slotKey), 0);
+    assert.equal(counters.get(after.slotKey), 1);
+    // The patient keeps their token on the same day
+    assert.equal(Booking.issueToken.mock.callCount(), 0);
+  });
+
+  it('takes a seat from the new day and frees the old one', async (t) => {
+    const hospital = makeHospital();
+    const booking = makeBooking(hospital);
+    stubBookings(t, hospital, booking);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const before = keysFor(hospital, booking.appointmentDate, '09:00 AM');
+    const after = keysFor(hospital, at(day(1), 9), '09:00 AM');
+
+    const result = await RescheduleService.reschedule(booking, {
+      date: formatDateString(day(1)), timeSlot: '09:00 AM', actor: 'hospital', userId: objectId()
+    });
+
+    assert.equal(result.success, true);
+    assert.equal(counters.get(before.dayKey), 0);
+    assert.equal(counters.get(after.dayKey), 1);
+    assert.equal(WaitlistService.offerSeat.mock.callCount(), 1);
+  });
+
+  it('frees the seat of a booking made before seats were counted', async (t) => {
+    const hospital = makeHospital({ maxOpBookingsPerDay: 5 });
+    const booking = makeBooking(hospital, { capacityHeld: false });
+    const { claim, update } = stubBookings(t, hospital, booking);
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const before = keysFor(hospital, booking.appointmentDate, '09:00 AM');
+    counters.set(before.dayKey, 1);
+    counters.set(before.slotKey, 1);
+
+    const result = await RescheduleService.reschedule(booking, {
+      date: formatDateString(day(1)), timeSlot: '09:00 AM', actor: 'hospital', userId: objectId()
+    });
+
+    assert.equal(result.success, true);
+    // The booking's own day is claimed before the move
+    assert.ok(claim.mock.calls[0].arguments[0].appointmentDate.$lt > booking.appointmentDate);
+    assert.equal(update.mock.calls[0].arguments[0].capacityHeld, true);
+    assert.equal(counters.get(before.dayKey), 0);
+    assert.equal(counters.get(before.slotKey), 0);
+  });
+
+  it('gives back only the slot seat when a same-day move loses a race', async (t) => {
+    const hospital = makeHospital();
+    const booking = makeBooking(hospital);
+    stubBookings(t, hospital, booking, { updated: false });
+    const counters = fakeSlotCounters(t, SlotCounter);
+    const after = keysFor(hospital, booking.appointmentDate, '11:00 AM');
+
+    const result = await RescheduleService.reschedule(booking, {
+      date: formatDateString(day()), timeSlot: '11:00 AM', actor: 'hospital', userId: objectId()
+    });
+
+    assert.equal(result.error.code, 'BOOKING_CHANGED');
+    assert.equal(counters.get(after.slotKey), 0);
+    assert.equal(counters.get(after.dayKey), 1);
+  });
+});
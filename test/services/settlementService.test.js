@@ -0,0 +1,182 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const LedgerEntry = require('../../models/LedgerEntry');
+const Settlement = require('../../models/Settlement');
+const SettlementService = require('../../services/settlementService');
+
+const booking = (payment = {}) => ({
+  _id: objectId(),
+  hospital: objectId(),
+  tokenNumber: 'CIT001',
+  payment: {
+    method: 'online',
+    status: 'completed',
+    amount: 429.5,
+    breakdown: { basePrice: 400, platformFee: 25, emergencyFee: 0, gst: 4.5 },
+    ...payment
+  }
+});
+
+// The ledger lines written by a bulkWrite call, as [type, direction, amount]
+const linesOf = (bulkWrite) => bulkWrite.mock.calls[0].arguments[0].map(({ updateOne }) => [
+  updateOne.filter.type,
+  updateOne.update.$setOnInsert.direction,
+  updateOne.update.$setOnInsert.amount
+]);
+
+describe('SettlementService.recordPayment', () => {
+  it('records the payment and the fees the platform keeps', async (t) => {
+    const bulkWrite = t.mock.method(LedgerEntry, 'bulkWrite', async () => ({}));
+
+    await SettlementService.recordPayment(booking());
+
+    assert.deepEqual(linesOf(bulkWrite), [
+      ['payment', 'credit', 429.5],
+      ['platform_fee', 'debit', 25],
+      ['gst', 'debit', 4.5]
+    ]);
+    // Written once per booking and type, however often it is called
+    assert.ok(bulkWrite.mock.calls[0].arguments[0].every(({ updateOne }) => updateOne.upsert));
+  });
+
+  it('leaves out payments without the consultation fee', async (t) => {
+    const bulkWrite = t.mock.method(LedgerEntry, 'bulkWrite', async () => ({}));
+
+    await SettlementService.recordPayment(booking({ breakdown: { basePrice: 0, platformFee: 25, gst: 4.5 } }));
+    await SettlementService.recordPayment(booking({ method: 'cash' }));
+
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe('SettlementService.recordRefund', () => {
+  it('takes the consultation fee refunded from the hospital\'s balance', async (t) => {
+    t.mock.method(LedgerEntry, 'exists', async () => ({ _id: objectId() }));
+    const bulkWrite = t.mock.method(LedgerEntry, 'bulkWrite', async () => ({}));
+    const refunded = booking({ status: 'refunded', refundDetails: { refundId: 'rfnd_1', amount: 429.5 } });
+
+    await SettlementService.recordRefund(refunded);
+
+    // The hospital is short its 400 and the platform gives back the rest
+    assert.deepEqual(linesOf(bulkWrite), [
+      ['refund', 'debit', 429.5],
+      ['fee_reversal', 'credit', 29.5]
+    ]);
+  });
+
+  it('skips refunds of payments never recorded', async (t) => {
+    t.mock.method(LedgerEntry, 'exists', async () => null);
+    const bulkWrite = t.mock.method(LedgerEntry, 'bulkWrite', async () => ({}));
+
+    await SettlementService.recordRefund(booking({ refundDetails: { amount: 429.5 } }));
+
+    assert.equal(bulkWrite.mock.callCount(), 0);
+  });
+});
+
+describe('SettlementService.weekBounds', () => {
+  it('covers the last full IST week', () => {
+    // 00:30 IST on Monday 9 November 2026
+    const bounds = SettlementService.weekBounds(new Date('2026-11-08T19:00:00.000Z'));
+
+    assert.equal(bounds.periodStart.toISOString(), '2026-11-02T00:00:00.000Z');
+    assert.equal(bounds.periodEnd.toISOString(), '2026-11-08T00:00:00.000Z');
+    assert.equal(bounds.cutoff.toISOString(), '2026-11-08T18:30:00.000Z');
+  });
+});
+
+describe('SettlementService.createWeeklyBatches', () => {
+  it('batches positive balances and carries the rest forward', async (t) => {
+    const owed = objectId();
+    const entryIds = [objectId(), objectId()];
+    t.mock.method(LedgerEntry, 'aggregate', async () => [
+      { _id: owed, credits: 429.5, debits: 29.5, entryIds },
+      { _id: objectId(), credits: 29.5, debits: 429.5, entryIds: [objectId()] }
+    ]);
+    const create = t.mock.method(Settlement, 'create', async (data) => ({ _id: objectId(), ...data }));
+    const attach = t.mock.method(LedgerEntry, 'updateMany', async () => ({}));
+
+    const result = await SettlementService.createWeeklyBatches(new Date('2026-11-08T19:00:00.000Z'));
+
+    assert.equal(result.created, 1);
+    assert.equal(result.carriedForward, 1);
+    assert.equal(create.mock.calls[0].arguments[0].hospital, owed);
+    assert.equal(create.mock.calls[0].arguments[0].netAmount, 400);
+    assert.deepEqual(attach.mock.calls[0].arguments[0]._id.$in, entryIds);
+  });
+
+  it('skips a hospital whose week was already batched', async (t) => {
+    t.mock.method(LedgerEntry, 'aggregate', async () => [
+      { _id: objectId(), credits: 400, debits: 0, entryIds: [objectId()] }
+    ]);
+    t.mock.method(Settlement, 'create', async () => {
+      throw Object.assign(new Error('duplicate key'), { code: 11000 });
+    });
+    const attach = t.mock.method(LedgerEntry, 'updateMany', async () => ({}));
+
+    const result = await SettlementService.createWeeklyBatches();
+
+    assert.equal(result.created, 0);
+    assert.equal(attach.mock.callCount(), 0);
+  });
+});
+
+describe('SettlementService.updateStatus', () => {
+  const pending = () => new Settlement({
+    hospital: objectId(),
+    periodStart: new Date('2026-11-02T00:00:00.000Z'),
+    periodEnd: new Date('2026-11-08T00:00:00.000Z'),
+    netAmount: 400
+  });
+
+  it('needs a UTR reference to mark a settlement paid', async (t) => {
+    const settlement = pending();
+    t.mock.method(Settlement, 'findById', async () => settlement);
+    const update = t.mock.method(Settlement, 'findOneAndUpdate', () => query(settlement));
+
+    const result = await SettlementService.updateStatus(settlement._id, { status: 'paid', utr: 'abc', userId: objectId() });
+
+    assert.equal(result.error.code, 'UTR_REQUIRED');
+    assert.equal(update.mock.callCount(), 0);
+  });
+
+  it('marks it paid only while it is as it was read', async (t) => {
+    const settlement = pending();
+    t.mock.method(Settlement, 'findById', async () => settlement);
+    const update = t.mock.method(Settlement, 'findOneAndUpdate', () => query(null));
+
+    const result = await SettlementService.updateStatus(settlement._id, {
+      status: 'paid',
+      utr: 'hdfcn52026110912',
+      userId: objectId()
+    });
+
+    const [filter, change] = update.mock.calls[0].arguments;
+    assert.equal(filter.status, 'pending');
+    assert.equal(change.$set.utr, 'HDFCN52026110912');
+    assert.equal(result.error.code, 'SETTLEMENT_CHANGED');
+    assert.equal(SettlementService.httpStatusFor(result.error), 409);
+  });
+
+  it('does not change a paid settlement', async (t) => {
+    const settlement = pending();
+    settlement.status = 'paid';
+    t.mock.method(Settlement, 'findById', async () => settlement);
+
+    const result = await SettlementService.updateStatus(settlement._id, { status: 'on-hold', reason: 'Check' });
+
+    assert.equal(result.error.code, 'INVALID_TRANSITION');
+  });
+});
+
+describe('SettlementService.toCsv', () => {
+  it('quotes values with commas, quotes or line breaks', () => {
+    const csv = SettlementService.toCsv(
+      [{ type: 'discount', description: 'Coupon "DIWALI", 10%' }],
+      [['Type', 'type'], ['Description', 'description']]
+    );
+
+    assert.equal(csv, 'Type,Description\ndiscount,"Coupon ""DIWALI"", 10%"\n');
+  });
+});
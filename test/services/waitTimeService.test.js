@@ -0,0 +1,100 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Booking = require('../../models/Booking');
+const WaitTimeService = require('../../services/waitTimeService');
+
+// 10:00 IST on 2 November 2026
+const NOW = Date.parse('2026-11-02T04:30:00.000Z');
+
+const MINUTE_MS = 60 * 1000;
+
+// Stored appointment times are IST wall-clock time in the UTC fields
+const booking = (overrides = {}) => ({
+  _id: objectId(),
+  appointmentDate: new Date('2026-11-02T09:00:00.000Z'),
+  timeSlot: '09:00 AM',
+  ...overrides
+});
+
+describe('WaitTimeService.estimate', () => {
+  const history = { consultationMinutes: 12, startDelay: 15, samples: 40 };
+
+  it('adds the usual delay to a later day\'s slot', () => {
+    const estimate = WaitTimeService.estimate(
+      booking({ appointmentDate: new Date('2026-11-05T09:00:00.000Z') }),
+      history,
+      null
+    );
+
+    assert.equal(estimate.estimatedStartTime, '09:15 AM');
+    assert.equal(estimate.delayMinutes, 15);
+    assert.equal(estimate.basis, 'history');
+    assert.equal(estimate.tokensAhead, null);
+  });
+
+  it('follows today\'s queue and pace once consultations have started', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const patient = booking();
+    const live = {
+      positions: new Map([[patient._id.toString(), 2]]),
+      started: true,
+      durations: [10, 10, 10, 10, 10]
+    };
+
+    const estimate = WaitTimeService.estimate(patient, history, live);
+
+    // Two patients ahead at today's 10 minutes each
+    assert.equal(estimate.estimatedStartTime, '10:20 AM');
+    assert.equal(estimate.estimatedStartAt.toISOString(), '2026-11-02T04:50:00.000Z');
+    assert.equal(estimate.delayMinutes, 80);
+    assert.equal(estimate.consultationMinutes, 10);
+    assert.equal(estimate.basis, 'live');
+  });
+
+  it('never estimates a start before the booked slot', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: NOW });
+    const patient = booking({ appointmentDate: new Date('2026-11-02T11:00:00.000Z'), timeSlot: '11:00 AM' });
+    const live = { positions: new Map([[patient._id.toString(), 0]]), started: true, durations: [] };
+
+    assert.equal(WaitTimeService.estimate(patient, history, live).estimatedStartTime, '11:00 AM');
+  });
+});
+
+describe('WaitTimeService.getHistoricalStats', () => {
+  it('takes the median pace of past consultations, leaving out outliers', async (t) => {
+    // Called and completed the given minutes after a 09:00 IST slot
+    const visit = (calledMinutes, doneMinutes) => ({
+      appointmentDate: new Date('2026-10-20T09:00:00.000Z'),
+      timeSlot: '09:00 AM',
+      calledAt: new Date(Date.parse('2026-10-20T03:30:00.000Z') + calledMinutes * MINUTE_MS),
+      completedAt: new Date(Date.parse('2026-10-20T03:30:00.000Z') + doneMinutes * MINUTE_MS)
+    });
+    const find = t.mock.method(Booking, 'find', () => query([
+      visit(20, 30),
+      visit(20, 30),
+      visit(25, 33),
+      // Completed two days late
+      visit(20, 2 * 24 * 60)
+    ]));
+    const hospital = { _id: objectId(), slotSettings: { slotDuration: 20, patientsPerSlot: 2 } };
+
+    const stats = await WaitTimeService.getHistoricalStats(hospital);
+    await WaitTimeService.getHistoricalStats(hospital);
+
+    assert.deepEqual(stats, { consultationMinutes: 10, startDelay: 20, samples: 3 });
+    // Cached for the next estimates
+    assert.equal(find.mock.callCount(), 1);
+  });
+
+  it('splits the slot between its patients without history', async (t) => {
+    t.mock.method(Booking, 'find', () => query([]));
+
+    const stats = await WaitTimeService.getHistoricalStats({
+      _id: objectId(),
+      slotSettings: { slotDuration: 30, patientsPerSlot: 3 }
+    });
+
+    assert.deepEqual(stats, { consultationMinutes: 10, startDelay: null, samples: 0 });
+  });
+});
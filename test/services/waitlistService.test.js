@@ -0,0 +1,162 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectId, query } = require('../helpers');
+const Hospital = require('../../models/Hospital');
+const WaitlistEntry = require('../../models/WaitlistEntry');
+const AvailabilityService = require('../../services/availabilityService');
+const NotificationService = require('../../services/notificationService');
+const WaitlistService = require('../../services/waitlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SLOT = '09:00 AM';
+
+// An IST day three days out, as stored (midnight in the UTC fields)
+const day = () => {
+  const date = new Date(Date.now() + 3 * DAY_MS);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const hospital = { _id: objectId(), name: 'City Care', isClosedOn: () => false };
+
+const makeEntry = (overrides = {}) => ({
+  _id: objectId(),
+  hospital: hospital._id,
+  user: objectId(),
+  date: day(),
+  status: 'waiting',
+  ...overrides
+});
+
+const makeOffer = (overrides = {}) => makeEntry({
+  status: 'offered',
+  offer: { timeSlot: SLOT, doctor: null, expiresAt: new Date(Date.now() + 60000) },
+  ...overrides
+});
+
+describe('WaitlistService.offerSeat', () => {
+  beforeEach((t) => {
+    t.mock.method(Hospital, 'findOne', async () => hospital);
+    t.mock.method(AvailabilityService, 'reserveSeat', async () => ({ success: true }));
+    t.mock.method(AvailabilityService, 'releaseCounters', async () => {});
+    t.mock.method(NotificationService, 'createWaitlistNotification', async () => {});
+  });
+
+  // Each conditional update answers in turn: the entry when it was still
+  // waiting, null when someone else changed it first
+  const stubEntries = (t, candidates, ...results) => {
+    t.mock.method(WaitlistEntry, 'find', () => query(candidates));
+    return t.mock.method(WaitlistEntry, 'findOneAndUpdate', (filter, update) => query(() => {
+      const waiting = results.shift();
+      return waiting ? { ...candidates.find(entry => entry._id === filter._id), ...update.$set } : null;
+    }));
+  };
+
+  it('holds the seat for the patient who has waited longest', async (t) => {
+    const first = makeEntry();
+    const update = stubEntries(t, [first, makeEntry()], true);
+
+    const offered = await WaitlistService.offerSeat(hospital._id, day(), SLOT);
+
+    assert.equal(offered._id, first._id);
+    assert.equal(offered.status, 'offered');
+    assert.equal(update.mock.calls[0].arguments[0].status, 'waiting');
+    assert.equal(offered.offer.expiresAt - offered.offer.offeredAt, WaitlistService.OFFER_MINUTES * 60000);
+    assert.equal(AvailabilityService.reserveSeat.mock.callCount(), 1);
+    assert.equal(NotificationService.createWaitlistNotification.mock.calls[0].arguments[1], 'WAITLIST_OFFER');
+  });
+
+  it('passes over a patient who left the waitlist meanwhile', async (t) => {
+    const second = makeEntry();
+    stubEntries(t, [makeEntry(), second], false, true);
+
+    const offered = await WaitlistService.offerSeat(hospital._id, day(), SLOT);
+
+    assert.equal(offered._id, second._id);
+  });
+
+  it('gives the seat back when nobody can take it', async (t) => {
+    stubEntries(t, [makeEntry()], false);
+
+    assert.equal(await WaitlistService.offerSeat(hospital._id, day(), SLOT), null);
+    assert.equal(AvailabilityService.releaseCounters.mock.callCount(), 1);
+  });
+
+  it('leaves seats about to start for walk-ins', async (t) => {
+    stubEntries(t, [makeEntry()], true);
+    const date = day();
+    // 09:00 IST is 03:30 UTC; the clock is five minutes before it
+    t.mock.timers.enable({ apis: ['Date'], now: date.getTime() + 3.5 * 60 * 60 * 1000 - 5 * 60000 });
+
+    assert.equal(await WaitlistService.offerSeat(hospital._id, date, SLOT), null);
+    assert.equal(AvailabilityService.reserveSeat.mock.callCount(), 0);
+  });
+});
+
+describe('WaitlistService.claimOffer', () => {
+  const claim = (entry, overrides = {}) => WaitlistService.claimOffer(entry._id, entry.user, {
+    hospitalId: hospital._id,
+    appointmentDate: day(),
+    timeSlot: SLOT,
+    doctorId: null,
+    ...overrides
+  });
+
+  it('claims an open offer for its own slot', async (t) => {
+    const entry = makeOffer();
+    t.mock.method(WaitlistEntry, 'findOne', () => query(entry));
+    const update = t.mock.method(WaitlistEntry, 'findOneAndUpdate', async () => ({ ...entry, status: 'claimed' }));
+
+    const result = await claim(entry);
+
+    assert.equal(result.data.entry.status, 'claimed');
+    // Only an offer that has not expired meanwhile can be claimed
+    assert.ok(update.mock.calls[0].arguments[0]['offer.expiresAt'].$gt instanceof Date);
+  });
+
+  it('refuses another slot than the one offered', async (t) => {
+    const entry = makeOffer();
+    t.mock.method(WaitlistEntry, 'findOne', () => query(entry));
+
+    const result = await claim(entry, { timeSlot: '10:00 AM' });
+
+    assert.equal(result.error.code, 'OFFER_MISMATCH');
+  });
+
+  it('refuses an offer that expired', async (t) => {
+    const entry = makeOffer();
+    t.mock.method(WaitlistEntry, 'findOne', () => query(entry));
+    t.mock.method(WaitlistEntry, 'findOneAndUpdate', async () => null);
+
+    assert.equal((await claim(entry)).error.code, 'OFFER_EXPIRED');
+  });
+});
+
+describe('WaitlistService.expireOffers', () => {
+  beforeEach((t) => {
+    t.mock.method(AvailabilityService, 'releaseCounters', async () => {});
+    t.mock.method(NotificationService, 'createWaitlistNotification', async () => {});
+    t.mock.method(WaitlistService, 'offerSeat', async () => null);
+  });
+
+  it('expires the offer and offers its seat to the next patient', async (t) => {
+    const entry = makeOffer({ offer: { timeSlot: SLOT, doctor: null, expiresAt: new Date(Date.now() - 1000) } });
+    t.mock.method(WaitlistEntry, 'find', () => query([entry]));
+    t.mock.method(WaitlistEntry, 'findOneAndUpdate', () => query({ ...entry, status: 'expired' }));
+
+    assert.equal(await WaitlistService.expireOffers(), 1);
+    assert.equal(NotificationService.createWaitlistNotification.mock.calls[0].arguments[1], 'WAITLIST_OFFER_EXPIRED');
+    assert.equal(AvailabilityService.releaseCounters.mock.callCount(), 1);
+    const [hospitalId, , timeSlot] = WaitlistService.offerSeat.mock.calls[0].arguments;
+    assert.equal(hospitalId, hospital._id);
+    assert.equal(timeSlot, SLOT);
+  });
+
+  it('leaves an offer claimed meanwhile', async (t) => {
+    t.mock.method(WaitlistEntry, 'find', () => query([makeOffer()]));
+    t.mock.method(WaitlistEntry, 'findOneAndUpdate', () => query(null));
+
+    assert.equal(await WaitlistService.expireOffers(), 0);
+    assert.equal(AvailabilityService.releaseCounters.mock.callCount(), 0);
+    assert.equal(WaitlistService.offerSeat.mock.callCount(), 0);
+  });
+});
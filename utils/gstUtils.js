@@ -0,0 +1,124 @@
+const { IST_OFFSET_MS } = require('./slotUtils');
+
+// GST state codes, keyed by lower-case state or union territory name
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  'new delhi': '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  orissa: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  pondicherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38'
+};
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Two-digit code for a state name, or null when it is not recognised
+const getStateCode = (state) => {
+  if (!state) return null;
+  const key = state.toLowerCase().replace(/&/g, 'and').replace(/\s+/g, ' ').trim();
+  return STATE_CODES[key] || null;
+};
+
+// Financial year (April to March) of an instant in IST, e.g. "24-25"
+const getFinancialYear = (date = new Date()) => {
+  const istDate = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const year = istDate.getUTCFullYear();
+  const startYear = istDate.getUTCMonth() >= 3 ? year : year - 1;
+  return `${String(startYear).slice(2)}-${String(startYear + 1).slice(2)}`;
+};
+
+const twoDigitsInWords = (number) => (number < 20
+  ? ONES[number]
+  : `${TENS[Math.floor(number / 10)]}${number % 10 ? ` ${ONES[number % 10]}` : ''}`);
+
+const threeDigitsInWords = (number) => [
+  number >= 100 ? `${ONES[Math.floor(number / 100)]} Hundred` : '',
+  twoDigitsInWords(number % 100)
+].filter(Boolean).join(' ');
+
+// Whole number in words using lakh and crore
+const numberInWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const crore = Math.floor(number / 10000000);
+  const lakh = Math.floor((number % 10000000) / 100000);
+  const thousand = Math.floor((number % 100000) / 1000);
+  const rest = number % 1000;
+
+  return [
+    crore ? `${numberInWords(crore)} Crore` : '',
+    lakh ? `${twoDigitsInWords(lakh)} Lakh` : '',
+    thousand ? `${twoDigitsInWords(thousand)} Thousand` : '',
+    rest ? threeDigitsInWords(rest) : ''
+  ].filter(Boolean).join(' ');
+};
+
+// e.g. 565.4 -> "Rupees Five Hundred Sixty Five and Forty Paise Only"
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(amount * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+  return `Rupees ${numberInWords(rupees)}${paise ? ` and ${twoDigitsInWords(paise)} Paise` : ''} Only`;
+};
+
+// Splits `total` in proportion to `weights` so the shares add up to exactly
+// `total`. The last share takes the rounding difference.
+const allocate = (total, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  let remaining = roundAmount(total);
+  return weights.map((weight, index) => {
+    if (index === weights.length - 1) return roundAmount(remaining);
+    const share = weightTotal > 0 ? roundAmount(total * weight / weightTotal) : 0;
+    remaining -= share;
+    return share;
+  });
+};
+
+module.exports = {
+  STATE_CODES,
+  roundAmount,
+  getStateCode,
+  getFinancialYear,
+  numberInWords,
+  amountInWords,
+  allocate
+};
@@ -0,0 +1,107 @@
+// Appointment dates are stored with the IST wall-clock time in their UTC fields
+// (see createBooking), so every helper here works on UTC getters/setters.
+const IST_OFFSET_MS = 5.5 * 60 * 60 * 1000;
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DATE_REGEX = /^(0[1-9]|[12][0-9]|3[01])-(0[1-9]|1[0-2])-\d{4}$/;
+const TIME_SLOT_REGEX = /^(0?[1-9]|1[0-2]):[0-5][0-9] (AM|PM)$/;
+
+// Parse a DD-MM-YYYY string into the start of that day, or null if invalid
+const parseDateString = (value) => {
+  if (!DATE_REGEX.test(value)) return null;
+
+  const [day, month, year] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+
+  // Reject dates like 31-02-2025 that roll over into the next month
+  if (date.getUTCDate() !== day || date.getUTCMonth() !== month - 1) return null;
+  return date;
+};
+
+// Format a date as DD-MM-YYYY
+const formatDateString = (date) => {
+  const day = date.getUTCDate().toString().padStart(2, '0');
+  const month = (date.getUTCMonth() + 1).toString().padStart(2, '0');
+  return `${day}-${month}-${date.getUTCFullYear()}`;
+};
+
+// Stable per-day key (YYYY-MM-DD) used for counters and grouping
+const toDateKey = (date) => new Date(date).toISOString().split('T')[0];
+
+// "HH:mm" (24-hour, as stored in Hospital.timings) to minutes since midnight
+const timeToMinutes = (time) => {
+  if (!time || !/^\d{1,2}:\d{2}$/.test(time)) return null;
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "09:30 AM" to minutes since midnight
+const timeSlotToMinutes = (timeSlot) => {
+  if (!TIME_SLOT_REGEX.test(timeSlot)) return null;
+
+  const [time, period] = timeSlot.split(' ');
+  const [hours, minutes] = time.split(':').map(Number);
+
+  let hour24 = hours;
+  if (period === 'PM' && hours !== 12) {
+    hour24 += 12;
+  } else if (period === 'AM' && hours === 12) {
+    hour24 = 0;
+  }
+  return hour24 * 60 + minutes;
+};
+
+// Minutes since midnight to "HH:mm"
+const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
+};
+
+// Minutes since midnight to "09:30 AM"
+const minutesToTimeSlot = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  const period = hours < 12 ? 'AM' : 'PM';
+  const hour12 = hours % 12 || 12;
+  return `${hour12.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')} ${period}`;
+};
+
+// Start (inclusive) and end (exclusive) of the day containing the given date
+const getDayRange = (date) => {
+  const start = new Date(date);
+  start.setUTCHours(0, 0, 0, 0);
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { start, end };
+};
+
+const getDayName = (date) => DAYS[new Date(date).getUTCDay()];
+
+// Combine a day and a minutes-since-midnight offset into an appointment date
+const combineDateAndMinutes = (date, totalMinutes) => {
+  const { start } = getDayRange(date);
+  return new Date(start.getTime() + totalMinutes * 60000);
+};
+
+// Current IST wall-clock time, comparable with stored appointment dates
+const nowInIST = () => new Date(Date.now() + IST_OFFSET_MS);
+
+module.exports = {
+  IST_OFFSET_MS,
+  DAYS,
+  DATE_REGEX,
+  TIME_SLOT_REGEX,
+  parseDateString,
+  formatDateString,
+  toDateKey,
+  timeToMinutes,
+  timeSlotToMinutes,
+  minutesToTime,
+  minutesToTimeSlot,
+  getDayRange,
+  getDayName,
+  combineDateAndMinutes,
+  nowInIST
+};